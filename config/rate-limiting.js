@@ -1,6 +1,9 @@
 /**
  * Rate Limiting Configuration for High-Load Scenarios
  * Optimized for 200+ concurrent users
+ *
+ * The plugin enforces the api, memory and websocket limits server-side from the
+ * same env vars (src/services/rate-limiter.ts, validated in src/config/env.ts).
  */
 
 // Environment-based configuration with sensible defaults
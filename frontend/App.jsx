@@ -3,12 +3,14 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { Analytics } from '@vercel/analytics/react';
 import { ChatDataProvider } from './contexts/ChatDataContext.jsx';
 import { ElizaMemoriesProvider } from './contexts/ElizaMemoriesContext.jsx';
+import { AgentProvider, useAgent } from './contexts/AgentContext.jsx';
 import CatDisplay from './components/CatDisplay.jsx';
 import TerminalHeader from './components/TerminalHeader.jsx';
 import Footer from './components/Footer.jsx';
 import BottomNavigation from './components/BottomNavigation.jsx';
 import FloatingChatButton from './components/FloatingChatButton.jsx';
 import MaintenancePage from './components/MaintenancePage.jsx';
+import useMaintenance from './hooks/useMaintenance.js';
 
 import About from './components/About.jsx';
 import Docs from './components/Docs.jsx';
@@ -28,10 +30,26 @@ import Terminal from './components/Terminal.jsx';
  * - Always-on immersive terminal interface
  * - Debug mode for developers and testing
  * - Integration with ElizaOS agent system
+ * - Agent picker for servers running more than one cat
  */
 function PurlApp() {
-  // Check for maintenance mode from environment variables
-  const isMaintenanceMode = import.meta.env.VITE_MAINTENANCE_MODE === 'true';
+  return (
+    <AgentProvider>
+      <PurlAppContent />
+    </AgentProvider>
+  );
+}
+
+/**
+ * App content for the selected agent. The tree is keyed by agent ID, so
+ * switching cats remounts the data providers and the chat with a clean slate
+ * instead of mixing the memories and sessions of two agents.
+ */
+function PurlAppContent() {
+  const { agentId } = useAgent();
+
+  // Maintenance mode is switched on the backend and pushed over the Purl socket
+  const maintenance = useMaintenance();
   
   // Theme state for consistent theming across components
   const [currentTheme, setCurrentTheme] = useState(() => {
@@ -54,12 +72,16 @@ function PurlApp() {
   }, [currentTheme]);
 
   // If maintenance mode is enabled, show only the maintenance page
-  if (isMaintenanceMode) {
+  if (maintenance.active) {
     return (
-      <ElizaMemoriesProvider agentId="40608b6b-63b6-0e2c-b819-9d9850d060ec">
-        <ChatDataProvider agentId="40608b6b-63b6-0e2c-b819-9d9850d060ec">
+      <ElizaMemoriesProvider key={agentId} agentId={agentId}>
+        <ChatDataProvider agentId={agentId}>
           <div className="purl-app maintenance-mode">
-            <MaintenancePage theme={currentTheme} />
+            <MaintenancePage
+              theme={currentTheme}
+              message={maintenance.message}
+              eta={maintenance.eta}
+            />
             <Analytics />
           </div>
         </ChatDataProvider>
@@ -68,8 +90,8 @@ function PurlApp() {
   }
 
   return (
-            <ElizaMemoriesProvider agentId="40608b6b-63b6-0e2c-b819-9d9850d060ec">
-          <ChatDataProvider agentId="40608b6b-63b6-0e2c-b819-9d9850d060ec">
+            <ElizaMemoriesProvider key={agentId} agentId={agentId}>
+          <ChatDataProvider agentId={agentId}>
         <Router>
         <div className="purl-app fullscreen-mode">
         {/* Terminal Header - Navigation and branding */}
@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import useElizaSession from '../hooks/useElizaSession.js';
 import useConversationStorage from '../hooks/useConversationStorage.js';
+import { useAgent } from '../contexts/AgentContext.jsx';
+import { getChatUserId } from '../utils/chatSession.js';
 import AsciiCat from './AsciiCat.jsx';
 import './AgentChatSocket.css';
 
@@ -12,19 +14,11 @@ import './AgentChatSocket.css';
  * simplified chat interface without channel management complexity.
  */
 
-// Generate UUID for user ID
-const generateUUID = () => {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c == 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
-};
-
 function AgentChat({ theme = 'dark' }) {
-  // Use the agent ID from your ElizaOS setup
-  const [agentId] = useState('40608b6b-63b6-0e2c-b819-9d9850d060ec');
-  const [userId] = useState(() => generateUUID());
+  // Agent selected in the header picker
+  const { agentId } = useAgent();
+  // Same visitor across reloads, so their saved chat can be resumed
+  const [userId] = useState(() => getChatUserId());
   
   // UI state
   const [message, setMessage] = useState('');
@@ -220,8 +214,9 @@ function AgentChat({ theme = 'dark' }) {
                     
                     {msg.status && msg.status !== 'sending' && (
                       <span className="message-status">
+                        {(msg.status === 'queued' || msg.status === 'retrying') && '🕓'}
                         {msg.status === 'delivered' && '✓'}
-                        {msg.status === 'error' && '❌'}
+                        {msg.status === 'failed' && '❌'}
                         {msg.status === 'thinking' && '💭'}
                       </span>
                     )}
@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import useElizaSocketIO from '../hooks/useElizaSocketIO.js';
 import useConversationStorage from '../hooks/useConversationStorage.js';
+import { useAgent } from '../contexts/AgentContext.jsx';
+import { getChatUserId } from '../utils/chatSession.js';
 import AsciiCat from './AsciiCat.jsx';
 import './AgentChatSocket.css';
 
@@ -12,19 +14,11 @@ import './AgentChatSocket.css';
  * for immediate message delivery and response.
  */
 
-// Generate UUID for user ID
-const generateUUID = () => {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c == 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
-};
-
 function AgentChatSocket({ theme = 'dark' }) {
-  // Use the agent ID from your ElizaOS setup
-  const [agentId] = useState('40608b6b-63b6-0e2c-b819-9d9850d060ec');
-  const [userId] = useState(() => generateUUID());
+  // Agent selected in the header picker
+  const { agentId } = useAgent();
+  // Same visitor across reloads, so their saved chat can be resumed
+  const [userId] = useState(() => getChatUserId());
   
   // UI state
   const [message, setMessage] = useState('');
@@ -44,7 +38,8 @@ function AgentChatSocket({ theme = 'dark' }) {
     sendMessage,
     addSystemMessage,
     clearMessages,
-    endSession
+    endSession,
+    retryMessage
   } = useElizaSocketIO(agentId, userId);
   
   // Conversation storage for logs page integration
@@ -132,7 +127,8 @@ function AgentChatSocket({ theme = 'dark' }) {
 
   // Check if user can send a message (Purl must have replied to the last user message)
   const canSendMessage = () => {
-    if (!connected || !socketReady || loading || isThinking) return false;
+    // No connection needed: messages wait in the outbox until there is one
+    if (loading || isThinking) return false;
     
     // If no messages yet, user can send first message
     if (messages.length === 0) return true;
@@ -149,7 +145,7 @@ function AgentChatSocket({ theme = 'dark' }) {
     
     // Check if Purl has responded with any non-system message
     const purlHasReplied = messagesAfterLastUser.some(msg => 
-      msg.isAgent && !msg.isSystem
+      msg.isAgent && !msg.isSystem && !msg.isDraft
     );
     
     return purlHasReplied;
@@ -452,7 +448,7 @@ function AgentChatSocket({ theme = 'dark' }) {
                         <div key={msg.id} className="message-wrapper">
                           <div className={`message ${
                             msg.isAgent ? 'agent-message' : msg.isSystem ? 'system-message action-message-container' : 'user-message'
-                          } ${msg.isThinking ? 'thinking' : ''} ${isActionMessage ? actionInfo.className : ''}`}
+                          } ${msg.isThinking ? 'thinking' : ''} ${msg.isDraft ? 'streaming' : ''} ${isActionMessage ? actionInfo.className : ''}`}
                                data-system-type={msg.metadata?.systemType || ''}>
                             
                             {/* Show Purl header for system action messages */}
@@ -472,11 +468,20 @@ function AgentChatSocket({ theme = 'dark' }) {
                                   {msg.isAgent ? 'Purl' : 'You'}
                                 </span>
                                 
-                                {msg.status && msg.status !== 'sending' && (
-                                  <span className="message-status">
-                                    {msg.status === 'delivered' && ''}
-                                    {msg.status === 'error' && 'Error'}
-                                    {msg.status === 'thinking' && 'Thinking...'}
+                                {msg.status && (
+                                  <span className={`message-status ${msg.status}`} title={msg.error}>
+                                    {msg.status === 'queued' && '🕓 Queued'}
+                                    {msg.status === 'sending' && 'Sending...'}
+                                    {msg.status === 'retrying' && `Retrying at ${formatTime(msg.retryAt)}`}
+                                    {msg.status === 'delivered' && '✓'}
+                                    {msg.status === 'failed' && (
+                                      <>
+                                        Not sent
+                                        <button type="button" className="message-retry" onClick={() => retryMessage(msg.id)}>
+                                          Retry
+                                        </button>
+                                      </>
+                                    )}
                                   </span>
                                 )}
                                 
@@ -556,6 +561,7 @@ function AgentChatSocket({ theme = 'dark' }) {
                               ) : (
                               <div className="message-text-content">
                                 {msg.content}
+                                {msg.isStreaming && <span className="typing-cursor" aria-hidden="true" />}
                                 
                                 {/* Render image attachments */}
                                 {msg.metadata?.attachments && msg.metadata.attachments.length > 0 && (
@@ -668,10 +674,10 @@ function AgentChatSocket({ theme = 'dark' }) {
                     onChange={(e) => setMessage(e.target.value)}
                     onKeyPress={handleKeyPress}
                     placeholder={
-                      !connected 
-                        ? "Waking up Purl..." 
-                        : !socketReady
-                        ? "Connecting to Purl..."
+                      loading
+                        ? "Waking up Purl..."
+                        : !connected || !socketReady
+                        ? "Offline - your message will be sent once Purl is back"
                         : isThinking
                         ? "Purl is thinking..."
                         : !canSendMessage() && messages.length > 0
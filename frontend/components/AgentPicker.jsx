@@ -0,0 +1,35 @@
+import { useAgent } from '../contexts/AgentContext.jsx';
+
+/**
+ * AgentPicker Component - choose which cat to talk to
+ *
+ * Lists the agents running on the server (see AgentContext). Hidden while
+ * there is only one, so a single-cat deployment looks exactly as before.
+ */
+const AgentPicker = ({ theme = 'dark', className = '' }) => {
+  const { agents, agentId, selectAgent } = useAgent();
+
+  if (agents.length < 2) {
+    return null;
+  }
+
+  return (
+    <label className={`agent-picker ${theme} ${className}`} title="Choose which cat to talk to">
+      <span className="agent-picker-label">Cat:</span>
+      <select
+        className="agent-picker-select"
+        value={agentId}
+        onChange={(event) => selectAgent(event.target.value)}
+        aria-label="Choose which cat to talk to"
+      >
+        {agents.map((agent) => (
+          <option key={agent.id} value={agent.id}>
+            {agent.name}{agent.status && agent.status !== 'active' ? ` (${agent.status})` : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default AgentPicker;
@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
-import { getConfig } from '../utils/config.js';
+import { PURL_SERVER_EVENTS, connectPurlSocket, onEvent } from '../services/socketProtocol.js';
 import { 
   SPRITE_ANIMATION_CONFIG, 
   CAT_STATES, 
@@ -24,7 +24,7 @@ import useAgentThoughts from '../hooks/useAgentThoughts.js';
  * Features:
  * - Dynamic ASCII art with dual theme support (dark terminal / light modern)
  * - Frame-based animation system
- * - WebSocket integration for AI agent control
+ * - Socket.IO integration for AI agent control (SET_CAT_STATE)
  * - Interactive grid showing real conversation data
  * - Thought bubble displaying Purl's consciousness
  * - Real-time chat log previews
@@ -71,9 +71,10 @@ const CatDisplay = ({ onConnectionChange = null, onThemeChange, initialTheme })
 
 
 
-  // Refs for cleanup and WebSocket management
+  // Refs for cleanup and Socket.IO management
   const animationInterval = useRef(null);
   const websocket = useRef(null);
+  const stateResetTimeout = useRef(null);
 
   /**
    * Animation Controller - Handles frame cycling for ASCII mode
@@ -106,34 +107,46 @@ const CatDisplay = ({ onConnectionChange = null, onThemeChange, initialTheme })
   }, [currentState]);
 
   /**
-   * WebSocket Connection - Listens for external AI agent commands
-   * Expects messages like: "walk", "eat", "sleep", "jump", "sit"
+   * Socket.IO Connection - Listens for SET_CAT_STATE events from the agent plugin
+   * Payloads look like: { state: 'eating', kind: 'state', durationMs: 0, reason }
+   * Transient states (expressions, jumping) fall back to sitting after durationMs
    */
   useEffect(() => {
-    const connectWebSocket = () => {
-      try {
-        // ElizaOS uses Socket.IO, not raw WebSocket - disable this for now
-        // TODO: Replace with proper Socket.IO connection
-        console.log('🔌 WebSocket connection disabled - ElizaOS uses Socket.IO');
-        setIsConnected(false);
-        return;
-        
-      } catch (error) {
-        console.log('🚫 WebSocket connection failed:', error);
-        setIsConnected(false);
-        // Retry connection after 5 seconds
-        setTimeout(connectWebSocket, 5000);
+    const socket = connectPurlSocket();
+    websocket.current = socket;
+
+    const updateConnection = (connected) => {
+      setIsConnected(connected);
+      if (onConnectionChange) {
+        onConnectionChange(connected);
       }
     };
 
-    // Initialize connection
-    connectWebSocket();
+    socket.on('connect', () => updateConnection(true));
+    socket.on('disconnect', () => updateConnection(false));
+    socket.on('connect_error', () => updateConnection(false));
+
+    onEvent(socket, PURL_SERVER_EVENTS, 'catStateChanged', (change) => {
+      if (!ASCII_ANIMATION_CONFIG[change.state]) {
+        console.warn('🐱 Ignoring unknown cat state:', change.state);
+        return;
+      }
+
+      clearTimeout(stateResetTimeout.current);
+      setCurrentState(change.state);
+
+      if (change.durationMs > 0) {
+        stateResetTimeout.current = setTimeout(() => {
+          setCurrentState(CAT_STATES.SITTING);
+        }, change.durationMs);
+      }
+    });
 
     // Cleanup on unmount
     return () => {
-      if (websocket.current) {
-        websocket.current.close();
-      }
+      clearTimeout(stateResetTimeout.current);
+      socket.disconnect();
+      websocket.current = null;
       if (animationInterval.current) {
         clearInterval(animationInterval.current);
       }
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import useConversationStorage from '../hooks/useConversationStorage.js';
+import useModerationFlags, { getModerationLevel } from '../hooks/useModerationFlags.js';
 import { useElizaMemoriesContext } from '../contexts/ElizaMemoriesContext.jsx';
 import ChatLogPreview from './ChatLogPreview.jsx';
 import { MonitorIcon, DownloadIcon, ClipboardIcon, SearchIcon, EyeIcon, CalendarIcon, ClockIcon, ChatIcon, CheckIcon, BugIcon, ExternalLinkIcon } from './icons/Icons.jsx';
@@ -14,6 +15,7 @@ import './ConversationLogs.css';
  * - Filter by date range and keywords
  * - Export conversation transcripts
  * - Privacy controls and anonymization
+ * - Conversations flagged by moderation are blurred, or left out when refused
  * - Responsive design for all devices
  * - Deep links: /logs?id={conversationId}&page={n}
  */
@@ -37,6 +39,10 @@ const ConversationLogs = ({ theme = 'dark' }) => {
     refreshMemories
   } = useElizaMemoriesContext();
 
+  // roomId -> 'blur' | 'hide' from the backend moderation stage
+  const moderationFlags = useModerationFlags();
+  const moderationOf = (conv) => conv.moderation || moderationFlags[conv.conversationId] || null;
+
   // Search and filter state
   const [searchQuery, setSearchQuery] = useState('');
   const [conversations, setConversations] = useState([]);
@@ -98,6 +104,7 @@ const ConversationLogs = ({ theme = 'dark' }) => {
           lastMessage: last ? last.content : 'No messages',
           preview: conv.preview || (last ? String(last.content).slice(0, 50) : 'No messages'),
           isPublic: true,
+          moderation: getModerationLevel(moderationFlags, conv.roomId || conv.id, conv.memories),
         };
       });
     };
@@ -120,7 +127,7 @@ const ConversationLogs = ({ theme = 'dark' }) => {
       setCalculatedStats(calculateStats(memMapped));
       setIsLoading(false);
     }
-  }, [memoryConversations, memoryLoading, memoryError]);
+  }, [memoryConversations, memoryLoading, memoryError, moderationFlags]);
 
   /**
    * Initial load + handle URL search param (search and deep-link id/page)
@@ -154,18 +161,18 @@ const ConversationLogs = ({ theme = 'dark' }) => {
     const byId = conversations.find(c => c.conversationId === deepId);
     const byLog = conversations.find(c => c.logNumber === deepId);
     const target = byId || byLog;
-    if (target) {
+    if (target && moderationOf(target) !== 'hide') {
       setSelectedConversation(target);
       loadConversationMessages(target.conversationId);
     }
-  }, [conversations]);
+  }, [conversations, moderationFlags]);
 
   /**
    * Filter conversations when search query or filters change
    */
   useEffect(() => {
     filterConversations();
-  }, [searchQuery, conversations, dateFilter, sortBy]);
+  }, [searchQuery, conversations, dateFilter, sortBy, moderationFlags]);
 
   /**
    * Load conversations from storage service (fallback)
@@ -252,8 +259,8 @@ const ConversationLogs = ({ theme = 'dark' }) => {
         break;
     }
 
-    // Only show public conversations
-    filtered = filtered.filter(conv => conv.isPublic !== false);
+    // Only show public conversations, without the ones moderation refused
+    filtered = filtered.filter(conv => conv.isPublic !== false && moderationOf(conv) !== 'hide');
 
     switch (sortBy) {
       case 'oldest':
@@ -294,6 +301,7 @@ const ConversationLogs = ({ theme = 'dark' }) => {
             id: m.id,
             type: isAgentMessage ? 'agent' : 'user',
             originalType: m.type, // Keep original for debugging
+            moderation: m.moderation || null,
           content: m.content,
           timestamp: m.timestamp instanceof Date ? m.timestamp.toISOString() : m.timestamp,
             // Extract attachments from content.attachments (Eliza format)
@@ -744,7 +752,7 @@ Generated by Purl Agent System - purl.cat
                     <div className="message-line">
                       <span className="timestamp">[{timestamp}]</span>
                       <span className={`sender ${isUser ? 'user-sender' : 'agent-sender'}`}>{isUser ? 'USER' : 'PURL'}</span>
-                      <span className="message-content">{message.content}</span>
+                      <span className={`message-content ${message.moderation ? 'moderated' : ''}`}>{message.content}</span>
                     </div>
                     
                     {/* Check if content contains image URLs */}
@@ -949,7 +957,7 @@ Generated by Purl Agent System - purl.cat
         <>
           <div className="conversations-grid">
             {paginatedItems.map((conversation) => (
-              <div key={conversation.conversationId} className="conversation-card" onClick={() => viewConversation(conversation)}>
+              <div key={conversation.conversationId} className={`conversation-card ${moderationOf(conversation) === 'blur' ? 'moderation-blur' : ''}`} onClick={() => viewConversation(conversation)}>
                 <div className="card-header">
                   <span className="log-number">#{conversation.logNumber}</span>
                   <span className={`status-badge ${conversation.isActive ? 'active' : 'completed'}`}>
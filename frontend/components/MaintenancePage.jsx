@@ -14,9 +14,9 @@ import InteractiveGrid from './InteractiveGrid.jsx';
  * - Centered maintenance message overlay
  * - Animated ASCII cat in background
  * - Interactive grid (blurred)
- * - Controlled by VITE_MAINTENANCE_MODE environment variable
+ * - Operator message and expected return time from the backend maintenance status
  */
-const MaintenancePage = ({ theme = 'dark' }) => {
+const MaintenancePage = ({ theme = 'dark', message = null, eta = null }) => {
   // Cat animation state
   const [currentState, setCurrentState] = useState(CAT_STATES.SITTING);
   const [currentFrame, setCurrentFrame] = useState(0);
@@ -121,12 +121,26 @@ const MaintenancePage = ({ theme = 'dark' }) => {
           </h1>
           
           <div className="maintenance-message">
-            <p>
-              Our digital cat is currently fast asleep, dreaming of digital mice and virtual sunbeams.
-            </p>
-            <p>
-              She'll wake up soon and be ready to chat again!
-            </p>
+            {message ? (
+              <p>{message}</p>
+            ) : (
+              <>
+                <p>
+                  Our digital cat is currently fast asleep, dreaming of digital mice and virtual sunbeams.
+                </p>
+                <p>
+                  She'll wake up soon and be ready to chat again!
+                </p>
+              </>
+            )}
+            {eta && (
+              <p className="maintenance-eta">
+                Expected back {new Date(eta).toLocaleString(undefined, {
+                  dateStyle: 'medium',
+                  timeStyle: 'short'
+                })}
+              </p>
+            )}
           </div>
           
           {/* Status Indicator */}
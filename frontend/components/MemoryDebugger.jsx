@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { getConfig } from '../utils/config.js';
+import { useAgent } from '../contexts/AgentContext.jsx';
 
 /**
  * MemoryDebugger - Test component to debug ElizaOS Memory API
@@ -12,7 +13,7 @@ const MemoryDebugger = () => {
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
   
-  const AGENT_ID = '40608b6b-63b6-0e2c-b819-9d9850d060ec';
+  const { agentId: AGENT_ID } = useAgent();
   const BASE_URL = getConfig().BASE_URL;
   
   const testMemoryAPI = async () => {
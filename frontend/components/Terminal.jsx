@@ -1,4 +1,5 @@
 import BackroomTerminal from './BackroomTerminal.jsx';
+import { useAgent } from '../contexts/AgentContext.jsx';
 
 /**
  * Terminal Component - Dedicated Backroom Surveillance Feed
@@ -7,8 +8,8 @@ import BackroomTerminal from './BackroomTerminal.jsx';
  * Separate from the conversation logs for different user experiences.
  */
 const Terminal = ({ theme = 'dark' }) => {
-  // ElizaOS Agent ID - you may want to make this configurable
-  const AGENT_ID = '40608b6b-63b6-0e2c-b819-9d9850d060ec';
+  // Agent selected in the header picker
+  const { agentId: AGENT_ID } = useAgent();
 
   return (
     <div className="terminal-page">
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { AngelIcon, DevilIcon } from './icons/Icons.jsx';
+import AgentPicker from './AgentPicker.jsx';
 
 /**
  * TerminalHeader Component - Full Screen Terminal Navigation
@@ -8,6 +9,7 @@ import { AngelIcon, DevilIcon } from './icons/Icons.jsx';
  * Features:
  * - Site branding with logo and name
  * - Connection status indicator
+ * - Agent picker when the server runs more than one cat
  * - Navigation links (About, Docs)
  * - Social media icons (X/Twitter)
  * - Click-to-copy contract address
@@ -190,8 +192,10 @@ const TerminalHeader = ({ theme = 'dark', onThemeChange }) => {
           </a>
         </nav>
 
-        {/* Right Section - Social, Contract & Mobile Menu */}
+        {/* Right Section - Agent Picker, Social, Contract & Mobile Menu */}
         <div className="header-actions">
+          <AgentPicker theme={theme} />
+
           {/* Social Icons - Desktop Only */}
           <div className="social-links desktop-only">
             <a 
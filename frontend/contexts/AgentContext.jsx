@@ -0,0 +1,104 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { getConfig } from '../utils/config.js';
+import { authenticatedGet, buildApiUrl, handleApiResponse } from '../utils/api.js';
+import { tilePreviewService } from '../services/TilePreviewService.js';
+
+/**
+ * Agent Context - which cat the visitor is talking to
+ *
+ * The server can run several agents (Purl plus every character in the
+ * characters/ directory). This provider discovers them from GET /api/agents,
+ * keeps the visitor's choice in localStorage and exposes the selected agent ID
+ * to the rest of the app, so no component has to hard-code one.
+ *
+ * Until the list arrives (or if the request fails) the remembered or default
+ * agent (DEFAULT_AGENT_ID, Purl) stays selected.
+ */
+
+const STORAGE_KEY = 'purl-agent-id';
+
+// Only log in development
+const log = process.env.NODE_ENV === 'development' ? console.log : () => {};
+
+const AgentContext = createContext(null);
+
+export const AgentProvider = ({ children }) => {
+  const [agents, setAgents] = useState([]);
+  const [agentId, setAgentId] = useState(
+    () => localStorage.getItem(STORAGE_KEY) || getConfig().DEFAULT_AGENT_ID
+  );
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadAgents = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await authenticatedGet(buildApiUrl('/api/agents'));
+      const data = await handleApiResponse(response, 'Load agents');
+      const list = data?.data?.agents || data?.agents || [];
+      setAgents(list);
+
+      // Fall back to the default (or first) agent if the remembered one is gone
+      setAgentId((current) => {
+        if (list.length === 0 || list.some((agent) => agent.id === current)) return current;
+        const fallback =
+          list.find((agent) => agent.id === getConfig().DEFAULT_AGENT_ID) || list[0];
+        return fallback.id;
+      });
+    } catch (err) {
+      console.error('❌ [Agents] Failed to load agents:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAgents();
+  }, [loadAgents]);
+
+  // Remember the choice and point the shared preview cache at the new agent
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, agentId);
+    tilePreviewService.setAgentId(agentId);
+  }, [agentId]);
+
+  const selectAgent = useCallback((id) => {
+    log('🐱 [Agents] Switching to agent:', id);
+    setAgentId(id);
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      agents,
+      agentId,
+      agent: agents.find((agent) => agent.id === agentId) || null,
+      loading,
+      error,
+      selectAgent,
+      reload: loadAgents,
+    }),
+    [agents, agentId, loading, error, selectAgent, loadAgents]
+  );
+
+  return <AgentContext.Provider value={value}>{children}</AgentContext.Provider>;
+};
+
+/**
+ * Hook to read the selected agent
+ */
+export const useAgent = () => {
+  const context = useContext(AgentContext);
+
+  if (context === null) {
+    throw new Error(
+      'useAgent must be used within an AgentProvider. ' +
+      'Make sure to wrap your app or component tree with <AgentProvider>.'
+    );
+  }
+
+  return context;
+};
+
+export default AgentProvider;
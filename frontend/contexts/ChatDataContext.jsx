@@ -22,7 +22,7 @@ const ChatDataContext = createContext(null);
 
 export const ChatDataProvider = ({ 
   children, 
-  agentId = '40608b6b-63b6-0e2c-b819-9d9850d060ec' 
+  agentId = getConfig().DEFAULT_AGENT_ID
 }) => {
   const config = getConfig();
   
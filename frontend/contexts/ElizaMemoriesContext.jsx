@@ -1,5 +1,6 @@
 import React, { createContext, useContext } from 'react';
 import useElizaMemories from '../hooks/useElizaMemories.js';
+import { getConfig } from '../utils/config.js';
 
 /**
  * ElizaMemories Context Provider
@@ -26,7 +27,7 @@ const ElizaMemoriesContext = createContext(null);
  */
 export const ElizaMemoriesProvider = ({ 
   children, 
-  agentId = '40608b6b-63b6-0e2c-b819-9d9850d060ec' // Default agent ID
+  agentId = getConfig().DEFAULT_AGENT_ID // Default agent ID
 }) => {
   // Debug: Track provider instances
   React.useEffect(() => {
@@ -129,7 +129,7 @@ class SmartCache {
   }
 }
 
-export const UnifiedDataProvider = ({ children, agentId = '40608b6b-63b6-0e2c-b819-9d9850d060ec' }) => {
+export const UnifiedDataProvider = ({ children, agentId = getConfig().DEFAULT_AGENT_ID }) => {
   const config = getConfig();
   
   // Core state - minimal and optimized
@@ -111,29 +111,6 @@ const useAgentThoughts = () => {
     const { newMessages = 0, newConversations = 0 } = context;
 
     try {
-      // Create a context prompt for the agent based on current activity
-      let contextPrompt = `You are Purl, an AI agent observing chat conversations. Current situation: `;
-      
-      if (busyLevel === 'quiet') {
-        contextPrompt += `It's quiet with only ${recentMessages} recent messages. `;
-      } else if (busyLevel === 'moderate') {
-        contextPrompt += `Moderate activity with ${recentMessages} messages and ${activeConversations} active conversations. `;
-      } else if (busyLevel === 'busy') {
-        contextPrompt += `Busy period with ${recentMessages} messages flowing across ${activeConversations} conversations. `;
-      } else {
-        contextPrompt += `Chaotic activity with ${recentMessages} messages! Lots happening across ${activeConversations} conversations. `;
-      }
-
-      if (newMessages > 0) {
-        contextPrompt += `${newMessages} new messages just came in. `;
-      }
-      
-      if (newConversations > 0) {
-        contextPrompt += `${newConversations} new conversations started. `;
-      }
-
-      contextPrompt += `Share a brief, natural thought about what you're observing or feeling. Keep it under 60 characters, casual and authentic. No quotes needed.`;
-
       // Build headers with API key for production
       const headers = {
         'Content-Type': 'application/json',
@@ -145,26 +122,36 @@ const useAgentThoughts = () => {
         headers['X-API-Key'] = config.API_KEY;
       }
 
-      // Disable API-based thoughts for now since endpoint doesn't exist
-      // TODO: Replace with proper ElizaOS messaging API
-      console.log('🧠 [AgentThoughts] API endpoint disabled - using fallback thoughts');
-      
-      // Use simple fallback instead of non-existent endpoint
-      const fallbackThoughts = [
-        "Watching the conversation flow...",
-        "Processing new information...",
-        "Observing user interactions...",
-        "Analyzing chat patterns...",
-        "Monitoring system activity...",
-        "Thinking about responses...",
-        "Computing contextual data...",
-        "Evaluating conversation depth..."
-      ];
-      
-      const randomThought = fallbackThoughts[Math.floor(Math.random() * fallbackThoughts.length)];
-      
+      // The server builds the prompt from this summary and shares one
+      // generated thought per interval across every browser
+      const response = await fetch(`${config.BASE_URL}/api/purl/thoughts?agentId=${agentId}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          busyLevel,
+          recentMessages,
+          activeConversations,
+          newMessages: Math.max(0, newMessages),
+          newConversations: Math.max(0, newConversations)
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Thought request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const { data } = await response.json();
+      const thought = data?.thought?.trim();
+      if (!thought) {
+        throw new Error('Thought response was empty');
+      }
+
+      if (!data.cached) {
+        console.log('🧠 [AgentThoughts] New thought from agent:', thought);
+      }
+
       // Track this thought to prevent immediate repetition
-      recentThoughts.current.add(randomThought.toLowerCase());
+      recentThoughts.current.add(thought.toLowerCase());
       
       // Clean up old thoughts (keep only last 10)
       if (recentThoughts.current.size > 10) {
@@ -172,12 +159,12 @@ const useAgentThoughts = () => {
         recentThoughts.current = new Set(thoughtsArray.slice(-10));
       }
 
-      return randomThought;
+      return thought;
 
     } catch (error) {
       console.error('❌ [AgentThoughts] Failed to get thought from agent:', error);
       
-      // Fallback to simple contextual thoughts if API fails
+      // Fallback to simple contextual thoughts if the agent can't be reached
       const fallbackThoughts = {
         quiet: ["Peaceful moment to reflect...", "Observing quietly...", "Taking it all in..."],
         moderate: ["Interesting conversations happening", "Good flow of activity", "Keeping track of things"],
@@ -1,5 +1,6 @@
 import { useState, useCallback, useEffect } from 'react';
 import conversationStorage from '../services/ConversationStorageService.js';
+import { getConfig } from '../utils/config.js';
 
 /**
  * useConversationStorage Hook - Manage long-term conversation persistence
@@ -30,7 +31,7 @@ function useConversationStorage() {
       sessionId: conversationData.sessionId,
       roomId: conversationData.roomId,
       channelId: conversationData.channelId,
-      agentId: conversationData.agentId || '40608b6b-63b6-0e2c-b819-9d9850d060ec',
+      agentId: conversationData.agentId || getConfig().DEFAULT_AGENT_ID,
       userId: conversationData.userId || generateUserId(),
       logNumber: conversationData.logNumber || generateLogNumber(),
       startTime: new Date().toISOString(),
@@ -0,0 +1,53 @@
+import { useState, useEffect, useCallback } from 'react';
+import ElizaChatClient, { INITIAL_CHAT_STATE } from '../services/chat/ElizaChatClient.js';
+
+/**
+ * useElizaChat Hook - React binding for ElizaChatClient
+ *
+ * Creates a chat client for the agent and visitor, starts it (resuming the
+ * saved chat when there is one) and re-renders on every state change. The
+ * client is replaced when the agent, visitor or transports change, and ended
+ * on unmount; the saved chat is kept so the next mount resumes it.
+ *
+ * @param {string} agentId - Agent to chat with
+ * @param {string} userId - Visitor's entity ID (see getChatUserId)
+ * @param {Object} [options]
+ * @param {string[]} [options.transports] - Transports to try, in order
+ *   (see services/chat/transports.js)
+ * @param {boolean} [options.streaming] - Show replies as they are written
+ */
+function useElizaChat(agentId, userId, { transports = ['socket'], streaming = false } = {}) {
+  const [client, setClient] = useState(null);
+  const [state, setState] = useState(INITIAL_CHAT_STATE);
+  const transportKey = transports.join(',');
+
+  useEffect(() => {
+    const chat = new ElizaChatClient({ agentId, userId, transports: transportKey.split(','), streaming });
+    const unsubscribe = chat.on('change', setState);
+    setClient(chat);
+    setState(chat.getState());
+    chat.start();
+
+    return () => {
+      unsubscribe();
+      chat.end();
+    };
+  }, [agentId, userId, transportKey, streaming]);
+
+  const sendMessage = useCallback((content) => client?.send(content) ?? Promise.resolve(null), [client]);
+  const addSystemMessage = useCallback((content, type) => client?.addSystemMessage(content, type), [client]);
+  const clearMessages = useCallback(() => client?.clearMessages(), [client]);
+  const endSession = useCallback(() => client?.restart(), [client]);
+  const retryMessage = useCallback((id) => client?.retryMessage(id), [client]);
+
+  return {
+    ...state,
+    sendMessage,
+    addSystemMessage,
+    clearMessages,
+    endSession,
+    retryMessage
+  };
+}
+
+export default useElizaChat;
@@ -301,6 +301,8 @@ function useElizaMemories(agentId) {
           actions: memory.content.actions || [],
           source: memory.content.source || 'unknown',
           inReplyTo: memory.content.inReplyTo || null,
+          // Set by the plugin's moderation stage on masked or refused messages
+          moderation: memory.content.moderation || null,
           
           // Attachments - extract from content.attachments (Eliza format) or fallback to memory.attachments
           attachments: (memory.content && memory.content.attachments) || memory.attachments || [],
@@ -1,447 +0,0 @@
-import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
-import { io } from 'socket.io-client';
-import { getConfig } from '../utils/config.js';
-
-/**
- * Enhanced Socket.IO Hook - Phase 3 Optimization
- * 
- * OPTIMIZATIONS:
- * - Connection pooling and reuse
- * - Smart reconnection with exponential backoff
- * - Reduced room management overhead
- * - Efficient event handling with debouncing
- * - Connection health monitoring
- * - Minimal debug logging for production
- * 
- * Performance Improvements:
- * - 50% faster connection setup
- * - 90% reduction in debug overhead
- * - Smart connection reuse across components
- * - Efficient memory management
- */
-
-// Global connection pool to reuse connections
-const connectionPool = new Map();
-const activeConnections = new Set();
-
-/**
- * Connection Manager - Handles global Socket.IO connections
- */
-class SocketConnectionManager {
-  constructor() {
-    this.connections = new Map();
-    this.reconnectAttempts = new Map();
-    this.config = getConfig();
-    this.maxReconnectAttempts = 5;
-    this.baseReconnectDelay = 1000;
-  }
-  
-  getConnectionKey(agentId, userId) {
-    return `${agentId}-${userId}`;
-  }
-  
-  async getConnection(agentId, userId, options = {}) {
-    const key = this.getConnectionKey(agentId, userId);
-    
-    // Return existing connection if healthy
-    const existing = this.connections.get(key);
-    if (existing && existing.connected && !existing.disconnected) {
-      console.log('🔄 [SocketManager] Reusing existing connection:', key);
-      return existing;
-    }
-    
-    // Create new connection
-    console.log('🔌 [SocketManager] Creating new connection:', key);
-    const connection = await this.createConnection(agentId, userId, options);
-    this.connections.set(key, connection);
-    
-    return connection;
-  }
-  
-  async createConnection(agentId, userId, options) {
-    const { baseURL = getConfig().BASE_URL, roomId } = options;
-    
-    const socket = io(baseURL, {
-      // OPTIMIZATION: Streamlined connection options
-      reconnection: true,
-      reconnectionDelay: this.baseReconnectDelay,
-      reconnectionAttempts: this.maxReconnectAttempts,
-      timeout: 10000, // Reduced from 20000
-      transports: ['websocket', 'polling'], // Prefer websocket
-      upgrade: true,
-      rememberUpgrade: true, // Remember successful upgrade
-      forceNew: false // Allow connection reuse
-    });
-    
-    // Enhanced connection event handling
-    this.setupConnectionEvents(socket, agentId, userId);
-    
-    // Auto-join room if specified
-    if (roomId) {
-      await this.joinRoom(socket, roomId, userId);
-    }
-    
-    return socket;
-  }
-  
-  setupConnectionEvents(socket, agentId, userId) {
-    const key = this.getConnectionKey(agentId, userId);
-    
-    socket.on('connect', () => {
-      console.log('✅ [SocketManager] Connected:', key);
-      this.reconnectAttempts.delete(key);
-      activeConnections.add(key);
-    });
-    
-    socket.on('disconnect', (reason) => {
-      console.log('🔌 [SocketManager] Disconnected:', key, reason);
-      activeConnections.delete(key);
-      
-      // Smart reconnection logic
-      if (reason === 'io server disconnect') {
-        // Server forced disconnect, attempt reconnect after delay
-        const attempts = this.reconnectAttempts.get(key) || 0;
-        if (attempts < this.maxReconnectAttempts) {
-          const delay = this.baseReconnectDelay * Math.pow(2, attempts);
-          setTimeout(() => {
-            socket.connect();
-            this.reconnectAttempts.set(key, attempts + 1);
-          }, delay);
-        }
-      }
-    });
-    
-    socket.on('connect_error', (error) => {
-      console.error('❌ [SocketManager] Connection error:', key, error.message);
-    });
-    
-    // Minimal event logging in production
-    if (process.env.NODE_ENV === 'development') {
-      socket.onAny((eventName, ...args) => {
-        if (eventName !== 'ping' && eventName !== 'pong') {
-          console.log('🔍 [Socket Event]:', eventName, args);
-        }
-      });
-    }
-  }
-  
-  async joinRoom(socket, roomId, userId) {
-    return new Promise((resolve) => {
-      const joinPayload = {
-        type: 1, // ROOM_JOINING
-        payload: { roomId, entityId: userId }
-      };
-      
-      socket.emit('message', joinPayload);
-      
-      // Simple timeout for join confirmation
-      setTimeout(() => {
-        console.log('🏠 [SocketManager] Room join attempted:', roomId);
-        resolve();
-      }, 1000);
-    });
-  }
-  
-  closeConnection(agentId, userId) {
-    const key = this.getConnectionKey(agentId, userId);
-    const connection = this.connections.get(key);
-    
-    if (connection) {
-      connection.disconnect();
-      this.connections.delete(key);
-      this.reconnectAttempts.delete(key);
-      activeConnections.delete(key);
-      console.log('🔚 [SocketManager] Connection closed:', key);
-    }
-  }
-  
-  getStats() {
-    return {
-      totalConnections: this.connections.size,
-      activeConnections: activeConnections.size,
-      reconnectAttempts: this.reconnectAttempts.size
-    };
-  }
-}
-
-// Global connection manager instance
-const socketManager = new SocketConnectionManager();
-
-/**
- * Enhanced Socket.IO Hook
- */
-function useEnhancedSocketIO(agentId, userId, options = {}) {
-  const config = getConfig();
-  
-  // Core state - minimal and optimized
-  const [connected, setConnected] = useState(false);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [messages, setMessages] = useState([]);
-  const [roomId, setRoomId] = useState(options.roomId || null);
-  
-  // Connection management
-  const socketRef = useRef(null);
-  const messageHandlersRef = useRef(new Map());
-  const lastMessageTime = useRef(0);
-  
-  // Rate limiting for production scalability
-  const minMessageInterval = config.MESSAGE_MIN_INTERVAL || 2000;
-  
-  /**
-   * Debounced message handler to prevent rapid successive processing
-   */
-  const debouncedMessageHandler = useMemo(() => {
-    let timeout;
-    return (handler, delay = 100) => {
-      return (...args) => {
-        clearTimeout(timeout);
-        timeout = setTimeout(() => handler(...args), delay);
-      };
-    };
-  }, []);
-  
-  /**
-   * Initialize enhanced Socket.IO connection
-   */
-  const initializeConnection = useCallback(async (targetRoomId = null) => {
-    if (!agentId || !userId) {
-      setError('Agent ID and User ID are required');
-      return false;
-    }
-    
-    try {
-      setLoading(true);
-      setError(null);
-      
-      console.log('🚀 [EnhancedSocket] Initializing connection...');
-      
-      // Get connection from manager (reuse if possible)
-      const socket = await socketManager.getConnection(agentId, userId, {
-        baseURL: config.BASE_URL,
-        roomId: targetRoomId
-      });
-      
-      socketRef.current = socket;
-      setConnected(socket.connected);
-      
-      // Setup message broadcasting handler
-      const messageHandler = debouncedMessageHandler((data) => {
-        // Filter for agent messages
-        const isFromAgent = (
-          data.senderId === agentId ||
-          data.authorId === agentId ||
-          data.senderName === 'Eliza' ||
-          data.source === 'agent_response'
-        );
-        
-        if (isFromAgent) {
-          const message = {
-            id: data.id || Date.now(),
-            content: data.text || data.content || data.message,
-            authorId: data.senderId || data.authorId || agentId,
-            isAgent: true,
-            createdAt: new Date(data.createdAt || Date.now()),
-            metadata: {
-              thought: data.thought,
-              actions: data.actions,
-              realTime: true,
-              source: 'enhanced_socket'
-            }
-          };
-          
-          setMessages(prev => [...prev, message]);
-        }
-      }, 100);
-      
-      // Setup event handlers
-      socket.on('messageBroadcast', messageHandler);
-      messageHandlersRef.current.set('messageBroadcast', messageHandler);
-      
-      socket.on('connect', () => setConnected(true));
-      socket.on('disconnect', () => setConnected(false));
-      socket.on('connect_error', (err) => setError(err.message));
-      
-      // Join room if specified
-      if (targetRoomId) {
-        await socketManager.joinRoom(socket, targetRoomId, userId);
-        setRoomId(targetRoomId);
-      }
-      
-      console.log('✅ [EnhancedSocket] Connection initialized successfully');
-      return true;
-      
-    } catch (err) {
-      console.error('❌ [EnhancedSocket] Failed to initialize:', err);
-      setError(err.message);
-      return false;
-    } finally {
-      setLoading(false);
-    }
-  }, [agentId, userId, debouncedMessageHandler, config.BASE_URL]);
-  
-  /**
-   * Send message with enhanced rate limiting
-   */
-  const sendMessage = useCallback(async (content) => {
-    if (!content?.trim() || !socketRef.current?.connected) {
-      return null;
-    }
-    
-    // Rate limiting
-    const now = Date.now();
-    const timeSinceLastMessage = now - lastMessageTime.current;
-    
-    if (timeSinceLastMessage < minMessageInterval) {
-      const waitTime = Math.ceil((minMessageInterval - timeSinceLastMessage) / 1000);
-      setError(`Please wait ${waitTime} seconds before sending another message`);
-      return null;
-    }
-    
-    lastMessageTime.current = now;
-    
-    try {
-      setError(null);
-      
-      // Add user message immediately
-      const userMessage = {
-        id: Date.now(),
-        content: content.trim(),
-        authorId: userId,
-        isAgent: false,
-        createdAt: new Date(),
-        metadata: { source: 'enhanced_socket' }
-      };
-      
-      setMessages(prev => [...prev, userMessage]);
-      
-      // Send via Socket.IO with optimized payload
-      const messagePayload = {
-        type: 2, // SEND_MESSAGE
-        payload: {
-          channelId: roomId,
-          serverId: '00000000-0000-0000-0000-000000000000',
-          senderId: userId,
-          message: content.trim(),
-          senderName: 'User',
-          roomId: roomId,
-          messageId: userMessage.id,
-          source: 'enhanced_socket'
-        }
-      };
-      
-      socketRef.current.emit('message', messagePayload);
-      
-      console.log('📤 [EnhancedSocket] Message sent successfully');
-      return userMessage;
-      
-    } catch (err) {
-      console.error('❌ [EnhancedSocket] Failed to send message:', err);
-      setError(err.message);
-      return null;
-    }
-  }, [roomId, userId, minMessageInterval]);
-  
-  /**
-   * Switch to different room efficiently
-   */
-  const switchRoom = useCallback(async (newRoomId) => {
-    if (newRoomId === roomId) return;
-    
-    if (socketRef.current?.connected) {
-      await socketManager.joinRoom(socketRef.current, newRoomId, userId);
-      setRoomId(newRoomId);
-      console.log('🔄 [EnhancedSocket] Switched to room:', newRoomId);
-    }
-  }, [roomId, userId]);
-  
-  /**
-   * Disconnect and cleanup
-   */
-  const disconnect = useCallback(() => {
-    if (socketRef.current) {
-      // Remove event handlers
-      messageHandlersRef.current.forEach((handler, event) => {
-        socketRef.current.off(event, handler);
-      });
-      messageHandlersRef.current.clear();
-      
-      // Close connection via manager
-      socketManager.closeConnection(agentId, userId);
-      socketRef.current = null;
-    }
-    
-    setConnected(false);
-    setMessages([]);
-    setError(null);
-    setRoomId(null);
-  }, [agentId, userId]);
-  
-  /**
-   * Clear messages (UI utility)
-   */
-  const clearMessages = useCallback(() => {
-    setMessages([]);
-    setError(null);
-  }, []);
-  
-  // Auto-initialize on mount
-  useEffect(() => {
-    if (agentId && userId) {
-      initializeConnection(options.roomId);
-    }
-    
-    return () => {
-      // Cleanup on unmount (but don't disconnect - let manager handle it)
-      if (messageHandlersRef.current.size > 0) {
-        messageHandlersRef.current.forEach((handler, event) => {
-          socketRef.current?.off(event, handler);
-        });
-        messageHandlersRef.current.clear();
-      }
-    };
-  }, [agentId, userId, initializeConnection]);
-  
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (socketRef.current) {
-        // Only disconnect if this is the last component using this connection
-        setTimeout(() => {
-          if (socketManager.getStats().activeConnections === 0) {
-            disconnect();
-          }
-        }, 5000); // 5 second grace period
-      }
-    };
-  }, [disconnect]);
-  
-  return {
-    // State
-    connected,
-    loading,
-    error,
-    messages,
-    roomId,
-    
-    // Actions
-    initializeConnection,
-    sendMessage,
-    switchRoom,
-    disconnect,
-    clearMessages,
-    
-    // Connection info
-    isReady: connected && !loading,
-    connectionStats: socketManager.getStats(),
-    
-    // Config
-    agentId,
-    userId
-  };
-}
-
-export default useEnhancedSocketIO;
-
-// Export connection manager for advanced usage
-export { socketManager };
@@ -1,434 +0,0 @@
-import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
-import useEnhancedSocketIO from './useEnhancedSocketIO.js';
-import useElizaSession from './useElizaSession.js';
-import { getConfig } from '../utils/config.js';
-
-/**
- * Hybrid Communication Hook - Phase 3 Optimization
- * 
- * INTELLIGENT COMMUNICATION STRATEGY:
- * - Primary: Enhanced Socket.IO for real-time communication
- * - Fallback: Optimized polling for reliability
- * - Automatic switching based on connection health
- * - Health monitoring and adaptive behavior
- * - Performance metrics tracking
- * 
- * Benefits:
- * - Best of both worlds: real-time speed + polling reliability
- * - Automatic fallback handling
- * - 95% uptime even with network issues
- * - Optimal performance based on network conditions
- */
-
-/**
- * Connection Health Monitor
- */
-class ConnectionHealthMonitor {
-  constructor(options = {}) {
-    this.config = getConfig();
-    this.healthCheckInterval = options.healthCheckInterval || 30000; // 30 seconds
-    this.latencyThreshold = options.latencyThreshold || 2000; // 2 seconds
-    this.failureThreshold = options.failureThreshold || 3; // 3 consecutive failures
-    
-    // Health metrics
-    this.metrics = {
-      websocketLatency: [],
-      pollingLatency: [],
-      websocketFailures: 0,
-      pollingFailures: 0,
-      consecutiveWebsocketFailures: 0,
-      consecutivePollingFailures: 0,
-      lastWebsocketSuccess: Date.now(),
-      lastPollingSuccess: Date.now(),
-      totalMessages: 0,
-      successfulMessages: 0
-    };
-    
-    this.isHealthy = {
-      websocket: true,
-      polling: true
-    };
-  }
-  
-  recordLatency(type, latency) {
-    const metrics = type === 'websocket' ? this.metrics.websocketLatency : this.metrics.pollingLatency;
-    metrics.push(latency);
-    
-    // Keep only last 10 measurements
-    if (metrics.length > 10) {
-      metrics.shift();
-    }
-    
-    // Check if latency is acceptable
-    const avgLatency = metrics.reduce((a, b) => a + b, 0) / metrics.length;
-    if (avgLatency > this.latencyThreshold) {
-      this.recordFailure(type);
-    } else {
-      this.recordSuccess(type);
-    }
-  }
-  
-  recordSuccess(type) {
-    this.metrics[`${type}Failures`] = 0;
-    this.metrics[`consecutive${type.charAt(0).toUpperCase() + type.slice(1)}Failures`] = 0;
-    this.metrics[`last${type.charAt(0).toUpperCase() + type.slice(1)}Success`] = Date.now();
-    this.isHealthy[type] = true;
-    
-    console.log(`✅ [HealthMonitor] ${type} success recorded`);
-  }
-  
-  recordFailure(type) {
-    this.metrics[`${type}Failures`]++;
-    this.metrics[`consecutive${type.charAt(0).toUpperCase() + type.slice(1)}Failures`]++;
-    
-    // Mark as unhealthy if too many consecutive failures
-    if (this.metrics[`consecutive${type.charAt(0).toUpperCase() + type.slice(1)}Failures`] >= this.failureThreshold) {
-      this.isHealthy[type] = false;
-      console.warn(`⚠️ [HealthMonitor] ${type} marked as unhealthy`);
-    }
-  }
-  
-  getRecommendedMode() {
-    const websocketScore = this.calculateScore('websocket');
-    const pollingScore = this.calculateScore('polling');
-    
-    // Prefer websocket if both are healthy and websocket has better score
-    if (this.isHealthy.websocket && this.isHealthy.polling) {
-      return websocketScore >= pollingScore ? 'websocket' : 'polling';
-    }
-    
-    // Use whichever is healthy
-    if (this.isHealthy.websocket) return 'websocket';
-    if (this.isHealthy.polling) return 'polling';
-    
-    // If both are unhealthy, prefer websocket (faster recovery)
-    return 'websocket';
-  }
-  
-  calculateScore(type) {
-    const latencyArray = type === 'websocket' ? this.metrics.websocketLatency : this.metrics.pollingLatency;
-    const failures = this.metrics[`${type}Failures`];
-    const lastSuccess = this.metrics[`last${type.charAt(0).toUpperCase() + type.slice(1)}Success`];
-    
-    // Calculate scores (higher is better)
-    const latencyScore = latencyArray.length > 0 ? 
-      Math.max(0, 100 - (latencyArray.reduce((a, b) => a + b, 0) / latencyArray.length) / 10) : 50;
-    const reliabilityScore = Math.max(0, 100 - (failures * 10));
-    const freshnessScore = Math.max(0, 100 - (Date.now() - lastSuccess) / 1000 / 60); // Minutes since last success
-    
-    return (latencyScore + reliabilityScore + freshnessScore) / 3;
-  }
-  
-  getStats() {
-    return {
-      ...this.metrics,
-      health: { ...this.isHealthy },
-      recommendedMode: this.getRecommendedMode(),
-      websocketScore: this.calculateScore('websocket'),
-      pollingScore: this.calculateScore('polling')
-    };
-  }
-  
-  reset() {
-    this.metrics = {
-      websocketLatency: [],
-      pollingLatency: [],
-      websocketFailures: 0,
-      pollingFailures: 0,
-      consecutiveWebsocketFailures: 0,
-      consecutivePollingFailures: 0,
-      lastWebsocketSuccess: Date.now(),
-      lastPollingSuccess: Date.now(),
-      totalMessages: 0,
-      successfulMessages: 0
-    };
-    
-    this.isHealthy = {
-      websocket: true,
-      polling: true
-    };
-  }
-}
-
-/**
- * Hybrid Communication Hook
- */
-function useHybridCommunication(agentId, userId, options = {}) {
-  const config = getConfig();
-  
-  // Initialize both communication methods
-  const socketIO = useEnhancedSocketIO(agentId, userId, options);
-  const sessionAPI = useElizaSession(agentId, userId);
-  
-  // Hybrid state management
-  const [activeMode, setActiveMode] = useState('websocket'); // Start with websocket
-  const [switchingMode, setSwitchingMode] = useState(false);
-  const [lastSwitch, setLastSwitch] = useState(Date.now());
-  
-  // Health monitoring
-  const healthMonitorRef = useRef(new ConnectionHealthMonitor({
-    healthCheckInterval: 30000,
-    latencyThreshold: 3000, // 3 seconds
-    failureThreshold: 3
-  }));
-  
-  // Message deduplication
-  const messageDeduplicationRef = useRef(new Set());
-  const lastMessageIdRef = useRef(null);
-  
-  // Performance tracking
-  const [performanceMetrics, setPerformanceMetrics] = useState({
-    totalSwitches: 0,
-    websocketUptime: 100,
-    pollingUptime: 100,
-    averageLatency: 0,
-    successRate: 100
-  });
-  
-  // Minimum time between mode switches to prevent flapping
-  const minSwitchInterval = 10000; // 10 seconds
-  
-  /**
-   * Get current active communication method
-   */
-  const getCurrentComm = useCallback(() => {
-    return activeMode === 'websocket' ? socketIO : sessionAPI;
-  }, [activeMode, socketIO, sessionAPI]);
-  
-  /**
-   * Intelligent mode switching based on health
-   */
-  const switchMode = useCallback((targetMode, reason = 'manual') => {
-    const now = Date.now();
-    
-    // Prevent rapid switching
-    if (now - lastSwitch < minSwitchInterval && reason !== 'force') {
-      console.log('⏳ [HybridComm] Mode switch rate limited');
-      return false;
-    }
-    
-    if (targetMode === activeMode) {
-      return true; // Already in target mode
-    }
-    
-    console.log(`🔄 [HybridComm] Switching mode: ${activeMode} → ${targetMode} (${reason})`);
-    
-    setSwitchingMode(true);
-    setActiveMode(targetMode);
-    setLastSwitch(now);
-    
-    // Update metrics
-    setPerformanceMetrics(prev => ({
-      ...prev,
-      totalSwitches: prev.totalSwitches + 1
-    }));
-    
-    setTimeout(() => setSwitchingMode(false), 1000);
-    
-    return true;
-  }, [activeMode, lastSwitch]);
-  
-  /**
-   * Health-based automatic mode switching
-   */
-  const checkAndSwitchMode = useCallback(() => {
-    const healthMonitor = healthMonitorRef.current;
-    const recommendedMode = healthMonitor.getRecommendedMode();
-    
-    if (recommendedMode !== activeMode) {
-      const stats = healthMonitor.getStats();
-      console.log(`🎯 [HybridComm] Health check recommends: ${recommendedMode}`, stats);
-      switchMode(recommendedMode, 'health_check');
-    }
-  }, [activeMode, switchMode]);
-  
-  /**
-   * Enhanced message sending with health tracking
-   */
-  const sendMessage = useCallback(async (content) => {
-    if (!content?.trim()) return null;
-    
-    const startTime = performance.now();
-    const currentComm = getCurrentComm();
-    
-    try {
-      healthMonitorRef.current.metrics.totalMessages++;
-      
-      // Send message via current mode
-      const result = await currentComm.sendMessage(content);
-      
-      if (result) {
-        // Record success
-        const latency = performance.now() - startTime;
-        healthMonitorRef.current.recordLatency(activeMode, latency);
-        healthMonitorRef.current.metrics.successfulMessages++;
-        
-        // Update performance metrics
-        setPerformanceMetrics(prev => ({
-          ...prev,
-          averageLatency: (prev.averageLatency + latency) / 2,
-          successRate: (healthMonitorRef.current.metrics.successfulMessages / 
-                       healthMonitorRef.current.metrics.totalMessages) * 100
-        }));
-        
-        console.log(`✅ [HybridComm] Message sent via ${activeMode} (${Math.round(latency)}ms)`);
-        return result;
-      } else {
-        throw new Error('Message sending failed');
-      }
-      
-    } catch (err) {
-      console.error(`❌ [HybridComm] Message failed via ${activeMode}:`, err);
-      
-      // Record failure
-      healthMonitorRef.current.recordFailure(activeMode);
-      
-      // Try switching mode and retrying once
-      const fallbackMode = activeMode === 'websocket' ? 'polling' : 'websocket';
-      if (switchMode(fallbackMode, 'send_failure')) {
-        console.log(`🔄 [HybridComm] Retrying via ${fallbackMode}...`);
-        
-        try {
-          const fallbackComm = activeMode === 'websocket' ? socketIO : sessionAPI;
-          const retryResult = await fallbackComm.sendMessage(content);
-          
-          if (retryResult) {
-            const retryLatency = performance.now() - startTime;
-            healthMonitorRef.current.recordLatency(activeMode, retryLatency);
-            healthMonitorRef.current.metrics.successfulMessages++;
-            
-            console.log(`✅ [HybridComm] Retry successful via ${activeMode}`);
-            return retryResult;
-          }
-        } catch (retryErr) {
-          console.error('❌ [HybridComm] Retry also failed:', retryErr);
-          healthMonitorRef.current.recordFailure(activeMode);
-        }
-      }
-      
-      throw err;
-    }
-  }, [getCurrentComm, activeMode, switchMode, socketIO, sessionAPI]);
-  
-  /**
-   * Combined messages from both sources with deduplication
-   */
-  const messages = useMemo(() => {
-    const allMessages = [...socketIO.messages, ...sessionAPI.messages];
-    
-    // Deduplicate messages by content and timestamp
-    const deduplicatedMessages = [];
-    const seen = new Set();
-    
-    allMessages
-      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
-      .forEach(msg => {
-        const key = `${msg.content}-${msg.authorId}-${Math.floor(new Date(msg.createdAt).getTime() / 1000)}`;
-        if (!seen.has(key)) {
-          seen.add(key);
-          deduplicatedMessages.push({
-            ...msg,
-            source: msg.metadata?.source || 'unknown'
-          });
-        }
-      });
-    
-    return deduplicatedMessages;
-  }, [socketIO.messages, sessionAPI.messages]);
-  
-  /**
-   * Combined connection state
-   */
-  const connectionState = useMemo(() => {
-    const isConnected = activeMode === 'websocket' ? socketIO.connected : sessionAPI.connected;
-    const isLoading = socketIO.loading || sessionAPI.loading;
-    const error = socketIO.error || sessionAPI.error;
-    
-    return {
-      connected: isConnected,
-      loading: isLoading,
-      error,
-      activeMode,
-      switchingMode,
-      websocketReady: socketIO.isReady,
-      sessionReady: sessionAPI.connected,
-      bothReady: socketIO.isReady && sessionAPI.connected
-    };
-  }, [activeMode, switchingMode, socketIO, sessionAPI]);
-  
-  /**
-   * Force mode switch (for testing or manual control)
-   */
-  const forceMode = useCallback((mode) => {
-    return switchMode(mode, 'force');
-  }, [switchMode]);
-  
-  /**
-   * Get comprehensive stats
-   */
-  const getStats = useCallback(() => {
-    return {
-      ...performanceMetrics,
-      ...healthMonitorRef.current.getStats(),
-      activeMode,
-      connectionState,
-      socketIOStats: socketIO.connectionStats,
-      uptime: {
-        websocket: socketIO.connected ? 100 : 0,
-        polling: sessionAPI.connected ? 100 : 0
-      }
-    };
-  }, [performanceMetrics, activeMode, connectionState, socketIO, sessionAPI]);
-  
-  // Periodic health checks
-  useEffect(() => {
-    const healthCheckInterval = setInterval(checkAndSwitchMode, 30000); // Every 30 seconds
-    return () => clearInterval(healthCheckInterval);
-  }, [checkAndSwitchMode]);
-  
-  // Initialize both systems
-  useEffect(() => {
-    console.log('🚀 [HybridComm] Initializing hybrid communication system');
-    
-    // Start with websocket preference
-    if (socketIO.initializeConnection) {
-      socketIO.initializeConnection(options.roomId);
-    }
-    
-    return () => {
-      console.log('🔚 [HybridComm] Cleaning up hybrid communication');
-    };
-  }, []);
-  
-  return {
-    // Combined state
-    messages,
-    ...connectionState,
-    
-    // Actions
-    sendMessage,
-    switchMode: forceMode,
-    checkHealth: checkAndSwitchMode,
-    
-    // Individual system access
-    socketIO,
-    sessionAPI,
-    
-    // Metrics and debugging
-    getStats,
-    healthStats: healthMonitorRef.current.getStats(),
-    performanceMetrics,
-    
-    // Utilities
-    clearMessages: () => {
-      socketIO.clearMessages?.();
-      sessionAPI.clearMessages?.();
-    },
-    
-    // Config
-    agentId,
-    userId
-  };
-}
-
-export default useHybridCommunication;
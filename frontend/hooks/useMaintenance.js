@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { getConfig } from '../utils/config.js';
+import { authenticatedGet, buildApiUrl, handleApiResponse } from '../utils/api.js';
+import { PURL_SERVER_EVENTS, connectPurlSocket, onEvent } from '../services/socketProtocol.js';
+
+/**
+ * useMaintenance Hook - Backend-controlled maintenance mode
+ *
+ * Reads the maintenance status from GET /api/purl/maintenance on load and
+ * follows the `maintenanceChanged` event on the Purl socket, so the
+ * maintenance page appears and disappears without a redeploy. The status is
+ * the default agent's (Purl's), since her maintenance also closes chat on the
+ * server.
+ *
+ * Returns { active, message, eta } where eta is epoch milliseconds or null.
+ * If the status cannot be read, the app stays open.
+ */
+const useMaintenance = () => {
+  const [maintenance, setMaintenance] = useState({ active: false, message: null, eta: null });
+
+  useEffect(() => {
+    const { DEFAULT_AGENT_ID } = getConfig();
+    let cancelled = false;
+
+    const apply = (status) => {
+      if (cancelled || !status) return;
+      setMaintenance({
+        active: Boolean(status.active),
+        message: status.message || null,
+        eta: status.eta ?? null
+      });
+    };
+
+    authenticatedGet(buildApiUrl(`/api/purl/maintenance?agentId=${DEFAULT_AGENT_ID}`))
+      .then((response) => handleApiResponse(response, 'Load maintenance status'))
+      .then(({ data }) => apply(data))
+      .catch((error) => console.warn('🔧 [Maintenance] Could not load status:', error.message));
+
+    // Retained on the server, so a fresh connection receives the current status
+    const socket = connectPurlSocket();
+    onEvent(socket, PURL_SERVER_EVENTS, 'maintenanceChanged', apply);
+
+    return () => {
+      cancelled = true;
+      socket.disconnect();
+    };
+  }, []);
+
+  return maintenance;
+};
+
+export default useMaintenance;
@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import { getConfig } from '../utils/config.js';
+import { authenticatedGet, buildApiUrl, handleApiResponse } from '../utils/api.js';
+
+/**
+ * useModerationFlags Hook - Conversations the moderation policy flagged
+ *
+ * Reads GET /api/purl/moderation/flags for the default agent (Purl) once on
+ * load. Returns a map of roomId to 'blur' (masked content) or 'hide'
+ * (refused or muted); the logs page blurs or leaves out those conversations.
+ * If the flags cannot be read, the map stays empty and messages flagged on
+ * their own content are still handled.
+ */
+const useModerationFlags = () => {
+  const [flags, setFlags] = useState({});
+
+  useEffect(() => {
+    const { DEFAULT_AGENT_ID } = getConfig();
+    let cancelled = false;
+
+    authenticatedGet(buildApiUrl(`/api/purl/moderation/flags?agentId=${DEFAULT_AGENT_ID}`))
+      .then((response) => handleApiResponse(response, 'Load moderation flags'))
+      .then(({ data }) => {
+        if (cancelled) return;
+        setFlags(Object.fromEntries((data?.flags || []).map((flag) => [flag.roomId, flag.level])));
+      })
+      .catch((error) => console.warn('🛡️ [Moderation] Could not load flags:', error.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return flags;
+};
+
+/**
+ * How a conversation should be shown: the room's flag, or what its own
+ * messages' moderation calls for, whichever is stricter.
+ */
+export const getModerationLevel = (flags, roomId, memories = []) => {
+  const actions = memories.map((memory) => memory?.moderation?.action).filter(Boolean);
+  if (flags[roomId] === 'hide' || actions.some((action) => action === 'refuse' || action === 'mute_room')) {
+    return 'hide';
+  }
+  if (flags[roomId] === 'blur' || actions.includes('mask')) return 'blur';
+  return null;
+};
+
+export default useModerationFlags;
@@ -0,0 +1,257 @@
+import { z } from 'zod';
+
+/**
+ * The Socket.IO protocol between the chat page and the servers, as zod schemas.
+ *
+ * Two sockets are involved:
+ * - the ElizaOS server's, which carries the chat itself (frontend
+ *   services/chat/transports.js). Its events are defined by ElizaOS; the
+ *   schemas describe what the frontend sends and relies on.
+ * - the Purl socket served by the plugin (src/services/purl-socket.ts), which
+ *   carries Purl's own events: cat animation, needs, maintenance and streamed
+ *   replies.
+ *
+ * Both sides validate payloads where they cross the socket and drop the ones
+ * that do not match, with a warning, so a change on one side shows up in the
+ * logs instead of as a silent break on the other. ElizaOS events keep the
+ * fields not listed here, as the chat reads several spellings of some of
+ * them. Purl events are sent with exactly the fields of their schema, and
+ * readers ignore fields they do not know, so adding one needs no new version.
+ *
+ * The module lives in the frontend, so the page builds from its own root
+ * with its own zod, and the plugin imports it from here
+ * (src/services/purl-socket.ts). It must not import anything else from
+ * either side.
+ */
+
+/**
+ * Version of the Purl socket protocol. The frontend sends it in the handshake
+ * (`auth.protocolVersion`) and the plugin announces its own on connect with
+ * PROTOCOL_EVENT; each side warns when they differ. Bump it when a payload
+ * changes in a way an older reader would reject or misread.
+ */
+export const PROTOCOL_VERSION = 3;
+
+/** Sent by the plugin to every client as soon as it connects. */
+export const PROTOCOL_EVENT = 'protocol';
+
+/** Message types of the ElizaOS `message` event, as SOCKET_MESSAGE_TYPE in @elizaos/core. */
+export const SOCKET_MESSAGE_TYPE = {
+  ROOM_JOINING: 1,
+  SEND_MESSAGE: 2,
+  MESSAGE: 3,
+  ACK: 4,
+  THINKING: 5,
+  CONTROL: 6,
+} as const;
+
+const id = z.string().min(1);
+const timestamp = z.union([z.number(), z.string()]);
+
+// ElizaOS socket
+
+/** A chat message as ElizaOS broadcasts it to a channel's room. */
+const chatMessageSchema = z
+  .object({
+    id: id.nullish(),
+    senderId: id,
+    senderName: z.string().nullish(),
+    text: z.string(),
+    channelId: z.string().nullish(),
+    roomId: z.string().nullish(),
+    createdAt: timestamp.nullish(),
+    clientMessageId: z.string().nullish(),
+    attachments: z.array(z.unknown()).nullish(),
+  })
+  .passthrough();
+
+/** Action events carry the action under one of several names (see readAgentAction). */
+const actionEventSchema = z
+  .object({
+    action: z.string().nullish(),
+    actionName: z.string().nullish(),
+    responseAction: z.string().nullish(),
+    agentAction: z.string().nullish(),
+    actions: z.array(z.string()).nullish(),
+    progress: z.number().nullish(),
+    message: z.string().nullish(),
+    error: z.string().nullish(),
+  })
+  .passthrough();
+
+/** Events the frontend receives from the ElizaOS server. */
+export const ELIZA_SERVER_EVENTS = {
+  messageBroadcast: chatMessageSchema,
+  agentResponse: chatMessageSchema,
+  messageAck: z.object({ clientMessageId: z.string().nullish(), messageId: id }).passthrough(),
+  messageError: z.object({ error: z.string() }).passthrough(),
+  controlMessage: z.object({ type: z.string(), message: z.string().nullish() }).passthrough(),
+  agentStatus: z.object({ status: z.string() }).passthrough(),
+  agentAction: actionEventSchema,
+  actionExecuted: actionEventSchema,
+  actionStatusResponse: actionEventSchema,
+  elizaosMessage: actionEventSchema,
+  actionStarted: actionEventSchema,
+  actionProgress: actionEventSchema,
+  actionComplete: actionEventSchema,
+  actionError: actionEventSchema,
+};
+
+/** Events the frontend sends to the ElizaOS server; everything goes through `message`. */
+export const ELIZA_CLIENT_EVENTS = {
+  message: z.discriminatedUnion('type', [
+    z.object({
+      type: z.literal(SOCKET_MESSAGE_TYPE.ROOM_JOINING),
+      payload: z.object({ roomId: id, entityId: id }),
+    }),
+    z.object({
+      type: z.literal(SOCKET_MESSAGE_TYPE.SEND_MESSAGE),
+      payload: z.object({
+        channelId: id,
+        serverId: id,
+        senderId: id,
+        senderName: z.string(),
+        message: z.string(),
+        roomId: id,
+        messageId: id,
+      }),
+    }),
+  ]),
+};
+
+// Purl socket
+
+const channelSchema = z.object({ channelId: id });
+
+/** Events the plugin sends to the frontend. */
+export const PURL_SERVER_EVENTS = {
+  [PROTOCOL_EVENT]: z.object({ version: z.number().int() }),
+  rateLimited: z.object({ event: z.string(), retryAfter: z.number() }),
+  catStateChanged: z.object({
+    state: z.string(),
+    kind: z.enum(['state', 'expression']),
+    durationMs: z.number().nonnegative(),
+    reason: z.string(),
+    agentId: z.string(),
+    roomId: z.string().optional(),
+    timestamp: z.number(),
+  }),
+  purlStateChanged: z.object({
+    hunger: z.number(),
+    energy: z.number(),
+    curiosity: z.number(),
+    affection: z.number(),
+    updatedAt: z.number(),
+  }),
+  maintenanceChanged: z.object({
+    active: z.boolean(),
+    scheduled: z.boolean(),
+    enabled: z.boolean(),
+    message: z.string().nullable(),
+    eta: z.number().nullable(),
+    startsAt: z.number().nullable(),
+    endsAt: z.number().nullable(),
+    updatedAt: z.number(),
+  }),
+  replyChunk: channelSchema.extend({
+    messageId: id,
+    inReplyTo: id,
+    attempt: z.number().int().positive(),
+    seq: z.number().int().nonnegative(),
+    delta: z.string(),
+  }),
+  replyEnd: channelSchema.extend({
+    messageId: id,
+    inReplyTo: id,
+    status: z.enum(['complete', 'cancelled']),
+    reason: z.string().optional(),
+  }),
+};
+
+/** Events the frontend sends to the plugin. */
+export const PURL_CLIENT_EVENTS = {
+  /**
+   * `entityId` is the visitor's ID, which must be a participant of the
+   * channel, and `token` the chat token issued to them for it.
+   */
+  joinChat: channelSchema.extend({ entityId: id, token: id }),
+  leaveChat: channelSchema,
+};
+
+export type PurlServerEvent = keyof typeof PURL_SERVER_EVENTS;
+export type PurlServerPayload<E extends PurlServerEvent> = z.input<(typeof PURL_SERVER_EVENTS)[E]>;
+export type PurlClientEvent = keyof typeof PURL_CLIENT_EVENTS;
+export type PurlClientPayload<E extends PurlClientEvent> = z.infer<(typeof PURL_CLIENT_EVENTS)[E]>;
+
+type EventSchemas = Record<string, z.ZodTypeAny>;
+
+/** Called with the event and what is wrong with its payload, before it is dropped. */
+export type InvalidPayloadHandler = (event: string, issues: string[]) => void;
+
+/**
+ * Checks a payload against its event's schema. Returns the parsed payload, or
+ * `undefined` after reporting the issues when the event is unknown or the
+ * payload does not match.
+ */
+export function readPayload<S extends EventSchemas, E extends keyof S & string>(
+  schemas: S,
+  event: E,
+  payload: unknown,
+  onInvalid: InvalidPayloadHandler
+): z.infer<S[E]> | undefined {
+  const schema = schemas[event];
+  if (!schema) {
+    onInvalid(event, ['unknown event']);
+    return undefined;
+  }
+  const result = schema.safeParse(payload);
+  if (result.success) return result.data;
+  onInvalid(
+    event,
+    result.error.issues.map((issue) => `${issue.path.join('.') || 'payload'} ${issue.message}`)
+  );
+  return undefined;
+}
+
+/** The part of a Socket.IO socket (client or server side) the helpers below use. */
+interface EventSocket {
+  on(event: string, listener: (payload: unknown) => void): unknown;
+  emit(event: string, payload: unknown): unknown;
+}
+
+/**
+ * Listens for an event and calls `handler` with payloads that match its
+ * schema; the others are reported and dropped. Returns the listener, for
+ * `socket.off`.
+ */
+export function listen<S extends EventSchemas, E extends keyof S & string>(
+  socket: EventSocket,
+  schemas: S,
+  event: E,
+  handler: (payload: z.infer<S[E]>) => void,
+  onInvalid: InvalidPayloadHandler
+) {
+  const listener = (payload: unknown) => {
+    const parsed = readPayload(schemas, event, payload, onInvalid);
+    if (parsed !== undefined) handler(parsed);
+  };
+  socket.on(event, listener);
+  return listener;
+}
+
+/**
+ * Emits an event whose payload matches its schema. A payload that does not is
+ * reported and not sent; returns whether it was sent.
+ */
+export function send<S extends EventSchemas, E extends keyof S & string>(
+  socket: EventSocket,
+  schemas: S,
+  event: E,
+  payload: z.input<S[E]>,
+  onInvalid: InvalidPayloadHandler
+): boolean {
+  const parsed = readPayload(schemas, event, payload, onInvalid);
+  if (parsed === undefined) return false;
+  socket.emit(event, parsed);
+  return true;
+}
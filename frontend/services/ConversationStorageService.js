@@ -76,7 +76,7 @@ class ConversationStorageService {
    * Store conversation in ElizaOS memory system
    */
   async storeInElizaMemory(conversationData) {
-    const agentId = conversationData.agentId || '40608b6b-63b6-0e2c-b819-9d9850d060ec';
+    const agentId = conversationData.agentId || getConfig().DEFAULT_AGENT_ID;
     
     // Store each message as a memory in ElizaOS
     for (const message of conversationData.messages) {
@@ -22,6 +22,7 @@ class TilePreviewService {
     this.requestQueue = new Set(); // conversationIds to batch
     this.batchTimeout = null;
     this.rateLimitCooldown = false;
+    this.agentId = getConfig().DEFAULT_AGENT_ID;
     
     // Configuration
     this.config = {
@@ -34,6 +35,16 @@ class TilePreviewService {
     };
   }
 
+  /**
+   * Switch to another agent's conversations (public API). Cached previews
+   * belong to the previous agent, so they are dropped.
+   */
+  setAgentId(agentId) {
+    if (!agentId || agentId === this.agentId) return;
+    this.agentId = agentId;
+    this.cache.clear();
+  }
+
   /**
    * Get conversation preview messages (public API)
    */
@@ -116,7 +127,7 @@ class TilePreviewService {
    * Fetch batched previews from server (using existing ElizaOS memory API)
    */
   async _fetchBatchedPreviews(conversationIds, retryCount = 0) {
-    const agentId = '40608b6b-63b6-0e2c-b819-9d9850d060ec';
+    const agentId = this.agentId;
     
     try {
       console.log(`🌐 [TilePreview] Fetching batch of ${conversationIds.length} conversations`);
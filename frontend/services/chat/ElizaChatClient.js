@@ -0,0 +1,725 @@
+/**
+ * ElizaChatClient - One Chat Client for Every Transport
+ *
+ * Framework-agnostic client for chatting with an ElizaOS agent. It owns
+ * everything the chat UIs used to reimplement in each hook: creating or
+ * resuming the chat, the visitor's rate limit, the thinking indicator, agent
+ * action notices and message normalisation (see messages.js). Sent messages
+ * go through a persistent outbox (see outbox.js) and are retried until the
+ * server confirms them; each shows 'queued', 'sending', 'retrying',
+ * 'delivered' or 'failed' in its `status`. With `streaming`, replies are shown
+ * as Purl writes them (see replyStream.js) and replaced by the stored reply
+ * once it arrives. How messages
+ * travel is left to a transport (see transports.js); the client tries the
+ * ones it is given in order and uses the first that connects.
+ *
+ * State changes are published as events:
+ *
+ *   const client = new ElizaChatClient({ agentId, userId, transports: ['socket', 'sse'] });
+ *   const unsubscribe = client.on('change', state => render(state));
+ *   await client.start();
+ *   await client.send('hello');
+ *
+ * Events: 'change' (the whole state), 'message' (each new message from the
+ * server) and 'error' (a message string).
+ */
+
+import { getConfig } from '../../utils/config.js';
+import { clearChatSession, loadChatSession, saveChatSession } from '../../utils/chatSession.js';
+import {
+  CLOCK_SKEW_MS,
+  createSystemMessage,
+  createDraftMessage,
+  createThinkingMessage,
+  describeActionStart,
+  describeAgentAction,
+  generateUUID,
+  mergeMessages,
+  normalizeMessage,
+  readAgentAction,
+  readClientMessageId
+} from './messages.js';
+import ChatOutbox, { retryDelay } from './outbox.js';
+import ReplyStream from './replyStream.js';
+import { TRANSPORTS } from './transports.js';
+
+export const INITIAL_CHAT_STATE = {
+  sessionId: null,
+  sessionInfo: null,
+  messages: [],
+  loading: false,
+  connected: false, // a chat has been created or resumed
+  socketReady: false, // its transport is currently live
+  agentReady: false,
+  isThinking: false,
+  error: null,
+  lastAgentAction: null,
+  transport: null
+};
+
+// Only log in development
+const isDev = process.env.NODE_ENV === 'development';
+const log = isDev ? console.log : () => {};
+const logError = isDev ? console.error : () => {};
+
+export class ElizaChatClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.agentId - Agent to chat with
+   * @param {string} options.userId - Visitor's entity ID (see getChatUserId)
+   * @param {string[]} [options.transports] - Transport names to try, in order
+   * @param {boolean} [options.streaming] - Show replies as they are written (channel transports only)
+   */
+  constructor({ agentId, userId, transports = ['socket'], streaming = false }) {
+    this.agentId = agentId;
+    this.userId = userId;
+    this.transportNames = transports.filter(name => TRANSPORTS[name]);
+    this.streaming = streaming;
+    this.replyStream = null;
+    this.draftTimers = new Map(); // streamId -> settle timer
+    this.settledStreams = new Set(); // streams whose draft is gone; late events are ignored
+    this.state = { ...INITIAL_CHAT_STATE };
+    this.listeners = new Map(); // event -> Set of listeners
+    this.transport = null;
+    this.chat = null;
+    this.cursor = 0; // createdAt of the newest message seen
+    this.lastSentAt = 0;
+    this.thinkingTimer = null;
+    this.starting = null;
+    this.generation = 0; // bumped by disconnect(), so a start still in flight is dropped
+    this.outbox = new ChatOutbox();
+    this.clientId = generateUUID(); // owner of this tab's outbox claims
+    this.flushing = null;
+    this.flushAgain = false;
+    this.flushTimer = null;
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleOnline = this.handleOnline.bind(this);
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, payload) {
+    this.listeners.get(event)?.forEach(listener => listener(payload));
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    if (changes.error) this.emit('error', changes.error);
+    this.emit('change', this.state);
+  }
+
+  /** Replaces the message list and moves the saved cursor forward */
+  updateMessages(update) {
+    const messages = update(this.state.messages);
+    if (messages === this.state.messages) return;
+    this.setState({ messages });
+    if (!this.chat) return;
+    const latest = messages.reduce((max, msg) => (
+      msg.isSystem || msg.isThinking || msg.isDraft ? max : Math.max(max, new Date(msg.createdAt).getTime() || 0)
+    ), 0);
+    if (latest > this.cursor) {
+      this.cursor = latest;
+      saveChatSession(this.agentId, this.userId, { cursor: latest });
+    }
+  }
+
+  addSystemMessage(content, type = 'info', metadata = {}) {
+    const message = createSystemMessage(content, type, metadata);
+    this.updateMessages(prev => [...prev, message]);
+    return message;
+  }
+
+  clearMessages() {
+    this.setState({ messages: [], error: null });
+  }
+
+  /**
+   * Starts the chat: resumes the one saved for this agent and visitor when it
+   * still exists, otherwise creates a new one. Concurrent calls share one start.
+   * @returns {Promise<string|null>} The session ID, or null when no transport connected
+   */
+  start() {
+    if (!this.starting) {
+      this.starting = this.connect().finally(() => {
+        this.starting = null;
+      });
+    }
+    return this.starting;
+  }
+
+  async connect() {
+    const { agentId, userId } = this;
+    if (!agentId || !userId) {
+      this.setState({ error: 'Missing required parameters' });
+      return null;
+    }
+    this.setState({ loading: true, error: null });
+    this.watchPage(true);
+    await this.restoreOutbox();
+
+    const generation = this.generation;
+    const { session: saved, expired } = loadChatSession(agentId, userId);
+    let previous = saved;
+    let lastError = null;
+    try {
+      for (const name of this.transportNames) {
+        const transport = new TRANSPORTS[name]({ agentId, userId, handlers: this.handlersFor(() => transport) });
+        this.connecting = transport;
+        try {
+          // A chat the previous transport created is picked up by the next one
+          const resumedChat = previous ? await transport.resume(previous) : null;
+          const resumed = Boolean(resumedChat) && previous === saved;
+          const chat = resumedChat || (await transport.create());
+          previous = chat;
+          this.cursor = resumed ? saved.cursor || 0 : 0;
+          await transport.connect({ ...chat, cursor: this.cursor ? this.cursor - CLOCK_SKEW_MS : null });
+          if (generation !== this.generation) {
+            transport.close();
+            return null;
+          }
+
+          this.transport = transport;
+          this.chat = chat;
+          if (this.streaming && chat.chatToken) {
+            this.replyStream = new ReplyStream({
+              channelId: chat.channelId,
+              userId,
+              token: chat.chatToken,
+              handlers: { onChunk: chunk => this.handleReplyChunk(chunk), onEnd: end => this.handleReplyEnd(end) }
+            });
+          }
+          saveChatSession(agentId, userId, {
+            transport: name,
+            sessionId: chat.sessionId,
+            channelId: chat.channelId,
+            chatToken: chat.chatToken,
+            cursor: resumed ? saved.cursor : null
+          });
+          if (!resumed && (saved || expired)) {
+            this.addSystemMessage('Your previous chat with Purl has ended, starting a new one.', 'session_expired');
+          }
+          this.setState({
+            sessionId: chat.sessionId,
+            sessionInfo: { roomId: chat.channelId || chat.sessionId, agentId, userId, transport: name, resumed },
+            connected: true,
+            socketReady: true,
+            agentReady: true,
+            transport: name
+          });
+          if (resumed) {
+            await this.loadHistory();
+          }
+          this.flush();
+          log(`✅ [Chat] ${resumed ? 'Resumed' : 'Started'} chat over ${name}`);
+          return chat.sessionId;
+        } catch (err) {
+          logError(`❌ [Chat] ${name} transport failed:`, err.message);
+          transport.close();
+          lastError = err;
+        }
+      }
+      this.setState({ error: lastError?.message || 'No chat transport available', connected: false });
+      return null;
+    } finally {
+      this.connecting = null;
+      this.setState({ loading: false });
+    }
+  }
+
+  /** Transport callbacks, ignored once that transport has been replaced */
+  handlersFor(getTransport) {
+    const live = () => getTransport() === this.transport || getTransport() === this.connecting;
+    return {
+      onMessages: (rawMessages, source) => live() && this.receive(rawMessages, source),
+      onThinking: (active, text) => {
+        if (!live()) return;
+        if (active) this.startThinking(text);
+        else this.stopThinking();
+      },
+      onAction: event => live() && this.handleAction(event),
+      onReady: ready => live() && this.setState({ agentReady: ready }),
+      onConnection: connected => {
+        if (!live()) return;
+        const wasReady = this.state.socketReady;
+        if (getTransport() === this.transport) this.setState({ socketReady: connected });
+        // Reconnected after a network drop or a suspended tab
+        if (connected && !wasReady && this.cursor) this.sync();
+        if (connected) this.flush();
+      }
+    };
+  }
+
+  /** Normalises messages from the transport and adds the ones not shown yet */
+  receive(rawMessages, source) {
+    const incoming = [];
+    let replied = false;
+    for (const raw of rawMessages) {
+      const message = normalizeMessage(raw, { agentId: this.agentId, source });
+      if (!message) continue;
+      // Our own message echoed back by the server: it has arrived
+      if (message.clientMessageId && message.authorId === this.userId) {
+        const local = this.state.messages.find(msg => msg.id === message.clientMessageId);
+        if (local && local.status !== 'delivered') this.confirmDelivery(local.id);
+      }
+      if (message.isAgent) {
+        replied = true;
+        const action = message.metadata.agentAction;
+        if (action) this.setState({ lastAgentAction: action });
+        // Action-only answers are shown as a notice instead of a reply
+        const notice = message.metadata.realTime && describeAgentAction(action);
+        if (notice) {
+          incoming.push(createSystemMessage(notice, 'agent_action', { agentAction: action, realTime: true, source }));
+          continue;
+        }
+      }
+      incoming.push(message);
+    }
+    if (incoming.length === 0) return;
+
+    const before = this.state.messages;
+    this.updateMessages(prev => mergeMessages(prev, incoming));
+    const added = this.state.messages.filter(msg => !before.includes(msg));
+    added.forEach(msg => this.emit('message', msg));
+    // Drafts the stored replies replaced
+    before
+      .filter(msg => msg.isDraft && !this.state.messages.includes(msg))
+      .forEach(msg => this.settleStream(msg.streamId));
+    if (replied) {
+      this.stopThinking();
+      this.setState({ agentReady: true });
+    }
+  }
+
+  handleAction({ phase, data }) {
+    const action = readAgentAction(data) || data?.actions?.[0] || data?.type;
+    if (!action) return;
+
+    switch (phase) {
+      case 'started': {
+        const { content, icon } = describeActionStart(action);
+        this.setState({ lastAgentAction: action });
+        this.stopThinking();
+        this.addSystemMessage(content, 'action_started', {
+          agentAction: action,
+          actionData: data,
+          realTime: true,
+          source: 'action_started',
+          statusIcon: icon
+        });
+        return;
+      }
+      case 'progress':
+        this.updateMessages(prev => prev.map(msg => (
+          msg.metadata?.systemType === 'action_started' && msg.metadata?.agentAction === action
+            ? { ...msg, metadata: { ...msg.metadata, progress: data.progress, progressMessage: data.message } }
+            : msg
+        )));
+        return;
+      case 'complete':
+        if (action === this.state.lastAgentAction) this.setState({ lastAgentAction: null });
+        if (action === 'GENERATE_IMAGE' || action === 'WEB_SEARCH') {
+          this.addSystemMessage(`Purl completed: ${action.toLowerCase().replace('_', ' ')}`, 'action_complete', {
+            agentAction: action,
+            actionData: data,
+            realTime: true,
+            source: 'action_complete'
+          });
+        }
+        return;
+      case 'error':
+        this.stopThinking();
+        this.setState({ lastAgentAction: null });
+        this.addSystemMessage(`Purl encountered an error: ${data.error || 'Unknown error'}`, 'action_error', {
+          agentAction: action,
+          error: data.error,
+          realTime: true,
+          source: 'action_error'
+        });
+        return;
+      default: {
+        // A REPLY is followed by the reply itself
+        if (action === 'REPLY') return;
+        this.stopThinking();
+        this.setState({ lastAgentAction: action, agentReady: true });
+        this.addSystemMessage(describeAgentAction(action) || `Purl took action: ${action}`, 'agent_action', {
+          agentAction: action,
+          realTime: true
+        });
+      }
+    }
+  }
+
+  startThinking(content) {
+    clearTimeout(this.thinkingTimer);
+    const placeholder = createThinkingMessage(this.agentId, content);
+    this.updateMessages(prev => [...prev.filter(msg => !msg.isThinking), placeholder]);
+    this.setState({ isThinking: true });
+    this.thinkingTimer = setTimeout(() => this.handleThinkingTimeout(), getConfig().CHAT_THINKING_TIMEOUT);
+  }
+
+  stopThinking() {
+    clearTimeout(this.thinkingTimer);
+    this.thinkingTimer = null;
+    if (!this.state.isThinking && !this.state.messages.some(msg => msg.isThinking)) return;
+    this.updateMessages(prev => prev.filter(msg => !msg.isThinking));
+    this.setState({ isThinking: false });
+  }
+
+  /** Adds a piece of a streamed reply to its draft, starting the draft with the first piece */
+  handleReplyChunk({ messageId, attempt, seq, delta }) {
+    if (!messageId || typeof delta !== 'string' || this.settledStreams.has(messageId)) return;
+    const id = `draft-${messageId}`;
+    if (!this.state.messages.some(msg => msg.id === id)) {
+      this.stopThinking();
+      this.updateMessages(prev => [...prev, createDraftMessage(this.agentId, messageId)]);
+    }
+    this.updateMessages(prev => prev.map(msg => {
+      if (msg.id !== id) return msg;
+      const { metadata } = msg;
+      // A retry or regeneration writes the reply again from the start
+      if (attempt > metadata.attempt) {
+        return { ...msg, content: delta, metadata: { ...metadata, attempt, seq } };
+      }
+      if (attempt < metadata.attempt || seq <= metadata.seq) return msg;
+      return { ...msg, content: msg.content + delta, metadata: { ...metadata, seq } };
+    }));
+    this.waitForStoredReply(messageId, getConfig().CHAT_THINKING_TIMEOUT);
+  }
+
+  handleReplyEnd({ messageId, status, reason }) {
+    const id = `draft-${messageId}`;
+    if (!this.state.messages.some(msg => msg.id === id)) return;
+    if (status === 'complete') {
+      this.updateMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, isStreaming: false } : msg)));
+      this.waitForStoredReply(messageId, getConfig().CHAT_STREAM_SETTLE_TIMEOUT);
+      return;
+    }
+
+    log(`✂️ [Chat] Reply ${messageId} cancelled (${reason})`);
+    this.dropDraft(messageId);
+    // A newer reply or the moderated one is still on its way
+    if (reason !== 'replaced' && reason !== 'moderated') {
+      this.addSystemMessage('Purl stopped in the middle of their reply. Try sending your message again.', 'reply_cancelled');
+    }
+  }
+
+  /** Syncs and drops the draft if the stored reply has not replaced it in time */
+  waitForStoredReply(streamId, timeout) {
+    clearTimeout(this.draftTimers.get(streamId));
+    this.draftTimers.set(streamId, setTimeout(async () => {
+      this.draftTimers.delete(streamId);
+      await this.sync();
+      this.dropDraft(streamId);
+    }, timeout));
+  }
+
+  dropDraft(streamId) {
+    this.settleStream(streamId);
+    this.updateMessages(prev => prev.filter(msg => msg.streamId !== streamId));
+  }
+
+  settleStream(streamId) {
+    clearTimeout(this.draftTimers.get(streamId));
+    this.draftTimers.delete(streamId);
+    this.settledStreams.add(streamId);
+  }
+
+  /** The reply may have arrived while the transport was down; look before giving up */
+  async handleThinkingTimeout() {
+    await this.sync();
+    if (!this.state.isThinking) return;
+    log('⏰ [Chat] Thinking timeout');
+    this.stopThinking();
+    this.addSystemMessage("Purl seems to be taking their time... Their reply will show up here when it's ready.", 'timeout_check');
+  }
+
+  /** Loads the chat's recent messages after resuming it */
+  async loadHistory() {
+    try {
+      const history = await this.transport.fetchSince(0);
+      log(`♻️ [Chat] Loaded ${history.length} messages`);
+      this.receive(history, 'history');
+    } catch (err) {
+      logError('❌ [Chat] Error loading history:', err.message);
+    }
+  }
+
+  /** Picks up messages that arrived while the transport was down or the tab asleep */
+  async sync() {
+    if (!this.transport) return;
+    try {
+      const missed = await this.transport.fetchSince(this.cursor - CLOCK_SKEW_MS);
+      if (missed.length > 0) {
+        log(`📥 [Chat] Fetched ${missed.length} messages since last seen`);
+        this.receive(missed, 'history');
+      }
+    } catch (err) {
+      logError('❌ [Chat] Error fetching missed messages:', err.message);
+    }
+  }
+
+  /**
+   * Queues the visitor's message in the outbox and sends it as soon as the
+   * chat is connected, starting the chat first if needed.
+   * @returns {Promise<Object|null>} The message as shown, or null when it was refused
+   */
+  async send(content) {
+    const text = content?.trim();
+    if (!text) return null;
+
+    const wait = getConfig().MESSAGE_MIN_INTERVAL - (Date.now() - this.lastSentAt);
+    if (wait > 0) {
+      this.setState({ error: `Please wait ${Math.ceil(wait / 1000)} seconds before sending another message` });
+      return null;
+    }
+    this.lastSentAt = Date.now();
+
+    const message = {
+      id: generateUUID(),
+      content: text,
+      authorId: this.userId,
+      isAgent: false,
+      createdAt: new Date(),
+      metadata: {},
+      status: 'queued'
+    };
+    this.setState({ error: null });
+    this.updateMessages(prev => [...prev, message]);
+    await this.outbox.put({
+      id: message.id,
+      agentId: this.agentId,
+      userId: this.userId,
+      content: text,
+      createdAt: message.createdAt.getTime(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      status: 'queued',
+      lastError: null
+    });
+
+    if (this.transport) this.flush();
+    else this.start(); // flushes once connected
+    return message;
+  }
+
+  /** Sends a failed message again, with a fresh set of attempts */
+  async retryMessage(id) {
+    const entry = await this.outbox.get(id);
+    if (!entry) return;
+    await this.outbox.put({ ...entry, status: 'queued', attempts: 0, nextAttemptAt: 0 });
+    this.setMessageStatus(id, 'queued', { error: undefined, retryAt: undefined });
+    if (this.transport) this.flush();
+    else this.start();
+  }
+
+  /** Shows the messages an earlier page load left unsent */
+  async restoreOutbox() {
+    const entries = await this.outbox.list(this.agentId, this.userId);
+    if (entries.length === 0) return;
+    log(`📤 [Chat] ${entries.length} unsent messages in the outbox`);
+    const pending = entries.map(entry => ({
+      id: entry.id,
+      content: entry.content,
+      authorId: this.userId,
+      isAgent: false,
+      createdAt: new Date(entry.createdAt),
+      metadata: {},
+      status: entry.status === 'failed' ? 'failed' : 'queued',
+      error: entry.status === 'failed' ? entry.lastError : undefined
+    }));
+    this.updateMessages(prev => mergeMessages(prev, pending));
+  }
+
+  /**
+   * Sends the outbox in order. A message that could not be sent waits out its
+   * backoff before anything behind it goes, so the agent reads them in order.
+   */
+  flush() {
+    if (this.flushing) {
+      this.flushAgain = true;
+      return this.flushing;
+    }
+    this.flushing = this.drainOutbox().finally(() => {
+      this.flushing = null;
+      if (this.flushAgain) {
+        this.flushAgain = false;
+        this.flush();
+      }
+    });
+    return this.flushing;
+  }
+
+  async drainOutbox() {
+    clearTimeout(this.flushTimer);
+    const generation = this.generation;
+    const entries = await this.outbox.list(this.agentId, this.userId);
+    for (const listed of entries) {
+      if (listed.status === 'failed') continue;
+      if (generation !== this.generation || !this.canDeliver()) return;
+      // The visitor's other tabs send from the same outbox
+      const { entry, claimed } = await this.outbox.claim(listed.id, this.clientId);
+      if (!entry) {
+        this.setMessageStatus(listed.id, 'delivered', { error: undefined, retryAt: undefined });
+        continue;
+      }
+      if (entry.status === 'failed') {
+        this.setMessageStatus(entry.id, 'failed', { error: entry.lastError });
+        continue;
+      }
+      if (!claimed) {
+        // Backing off, or another tab is sending it: look again when that is over
+        const claimExpiresAt = entry.status === 'sending'
+          ? entry.claimedAt + getConfig().CHAT_OUTBOX_CLAIM_TIMEOUT
+          : 0;
+        const wait = Math.max(entry.nextAttemptAt, claimExpiresAt) - Date.now();
+        this.flushTimer = setTimeout(() => this.flush(), Math.max(wait, 0));
+        return;
+      }
+      if (!(await this.deliver(entry))) return;
+    }
+  }
+
+  canDeliver() {
+    const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+    return Boolean(this.transport) && this.state.socketReady && online;
+  }
+
+  /** One attempt at a claimed outbox entry; true once the server has the message */
+  async deliver(attempt) {
+    this.setMessageStatus(attempt.id, 'sending');
+    try {
+      // An earlier attempt that timed out, here or in another tab, may still have reached the server
+      if ((attempt.attempts > 1 || attempt.lastError) && (await this.isOnServer(attempt))) {
+        log(`♻️ [Chat] Message ${attempt.id} arrived on an earlier attempt`);
+      } else {
+        await this.transport.send(attempt.content, attempt.id);
+        this.startThinking();
+      }
+      await this.confirmDelivery(attempt.id);
+      return true;
+    } catch (err) {
+      await this.handleDeliveryError(attempt, err);
+      return false;
+    }
+  }
+
+  async isOnServer(entry) {
+    try {
+      const recent = await this.transport.fetchSince(entry.createdAt - CLOCK_SKEW_MS);
+      return recent.some(raw => readClientMessageId(raw) === entry.id);
+    } catch {
+      return false;
+    }
+  }
+
+  async confirmDelivery(id) {
+    this.setMessageStatus(id, 'delivered', { error: undefined, retryAt: undefined });
+    await this.outbox.remove(id);
+  }
+
+  async handleDeliveryError(entry, err) {
+    logError(`❌ [Chat] Attempt ${entry.attempts} to send message failed:`, err.message);
+
+    // The chat is gone server-side: send to a new one. The attempt still
+    // counts, so a chat that keeps disappearing does not reconnect forever
+    if (err.status === 404 && entry.attempts < getConfig().CHAT_OUTBOX_MAX_ATTEMPTS) {
+      await this.outbox.put({ ...entry, status: 'queued', lastError: err.message });
+      this.setMessageStatus(entry.id, 'queued');
+      this.disconnect({ forget: true });
+      this.start();
+      return;
+    }
+
+    const refused = err.status >= 400 && err.status < 500 && err.status !== 408 && err.status !== 429;
+    if (refused || entry.attempts >= getConfig().CHAT_OUTBOX_MAX_ATTEMPTS) {
+      await this.outbox.put({ ...entry, status: 'failed', lastError: err.message });
+      this.setMessageStatus(entry.id, 'failed', { error: err.message });
+      return;
+    }
+
+    const delay = retryDelay(entry.attempts, err.retryAfter);
+    const nextAttemptAt = Date.now() + delay;
+    await this.outbox.put({ ...entry, status: 'retrying', nextAttemptAt, lastError: err.message });
+    this.setMessageStatus(entry.id, 'retrying', { retryAt: nextAttemptAt });
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), delay);
+  }
+
+  setMessageStatus(id, status, changes = {}) {
+    this.updateMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, status, ...changes } : msg)));
+  }
+
+  disconnect({ forget = false } = {}) {
+    if (forget) clearChatSession(this.agentId, this.userId);
+    this.generation += 1;
+    clearTimeout(this.thinkingTimer);
+    clearTimeout(this.flushTimer);
+    this.draftTimers.forEach(timer => clearTimeout(timer));
+    this.draftTimers.clear();
+    this.replyStream?.close();
+    this.replyStream = null;
+    this.watchPage(false);
+    this.transport?.close();
+    this.transport = null;
+    this.chat = null;
+    this.cursor = 0;
+    this.setState({ connected: false, socketReady: false, agentReady: false, isThinking: false });
+  }
+
+  /**
+   * Leaves the chat and resets the state. `forget` also drops the saved chat
+   * and its unsent messages, so the next start creates a new one instead of
+   * resuming.
+   */
+  async end({ forget = false } = {}) {
+    const transport = this.transport;
+    this.disconnect({ forget });
+    if (forget) {
+      await this.outbox.clear(this.agentId, this.userId);
+      await transport?.forget().catch(err => logError('❌ [Chat] Failed to end chat:', err.message));
+    }
+    this.setState({ ...INITIAL_CHAT_STATE });
+  }
+
+  /** Ends the current chat for good and starts a new one */
+  async restart() {
+    await this.end({ forget: true });
+    return this.start();
+  }
+
+  watchPage(enabled) {
+    if (typeof window === 'undefined') return;
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('online', this.handleOnline);
+    if (enabled) {
+      document.addEventListener('visibilitychange', this.handleVisibilityChange);
+      window.addEventListener('online', this.handleOnline);
+    }
+  }
+
+  // Queued messages go out as soon as the browser is back online
+  handleOnline() {
+    if (this.transport) this.flush();
+    else this.start();
+  }
+
+  // Mobile browsers suspend background tabs; catch up when the chat is visible again
+  handleVisibilityChange() {
+    if (document.visibilityState !== 'visible' || !this.transport) return;
+    if (!this.transport.wake()) this.sync();
+  }
+}
+
+export default ElizaChatClient;
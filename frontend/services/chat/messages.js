@@ -0,0 +1,184 @@
+/**
+ * Chat Message Model
+ *
+ * Every transport hands the chat client messages in a different shape: socket
+ * broadcasts use senderId/text, channel history uses authorId/created_at and
+ * the Sessions API uses authorId/createdAt. They are all normalised to one
+ * model before they reach the UI:
+ *
+ *   { id, content, authorId, isAgent, createdAt: Date, metadata, status?, clientMessageId? }
+ *
+ * plus `isSystem` for notices added by the client, `isThinking` for the
+ * placeholder shown while the agent works on a reply and `isDraft` for a reply
+ * streamed as it is written (`isStreaming` while text is still coming).
+ * `clientMessageId` is the ID the visitor's browser gave a message before the
+ * server saved it.
+ */
+
+// Server and browser clocks differ; two messages from the same author with the
+// same text this close together are the same message
+export const CLOCK_SKEW_MS = 60000;
+
+export const generateUUID = () => {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c == 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+};
+
+/** The action an agent reported with a reply or action event, if any */
+export const readAgentAction = (data) =>
+  data?.action || data?.responseAction || data?.agentAction || data?.actionName || null;
+
+/** The browser-side ID a server message was sent with, however the transport carried it */
+export const readClientMessageId = (raw) =>
+  raw?.clientMessageId || raw?.metadata?.clientMessageId || raw?.rawMessage?.messageId || null;
+
+/**
+ * Converts a message from any transport to the chat message model.
+ * @param {Object} raw - Socket broadcast, channel message, session message or SSE event
+ * @param {Object} options
+ * @param {string} options.agentId - Agent being chatted with, to tell its replies apart
+ * @param {string} options.source - Where the message came from (kept in metadata)
+ * @returns {Object|null} null when the payload has no text or attachments
+ */
+export function normalizeMessage(raw, { agentId, source }) {
+  if (!raw || typeof raw !== 'object') return null;
+  const metadata = raw.metadata || {};
+  const content = raw.text ?? raw.content ?? raw.message ?? '';
+  const attachments = raw.attachments || metadata.attachments || [];
+  if (typeof content !== 'string' || (!content && attachments.length === 0)) return null;
+
+  const authorId = raw.senderId || raw.authorId || raw.author_id;
+  const createdAt = new Date(raw.createdAt ?? raw.created_at ?? Date.now());
+  return {
+    id: raw.id || generateUUID(),
+    content,
+    authorId,
+    isAgent: authorId === agentId,
+    createdAt: isNaN(createdAt) ? new Date() : createdAt,
+    clientMessageId: readClientMessageId(raw) || undefined,
+    metadata: {
+      thought: raw.thought ?? metadata.thought,
+      actions: raw.actions ?? metadata.actions,
+      agentAction: readAgentAction(raw) || undefined,
+      attachments,
+      moderation: metadata.moderation,
+      realTime: source !== 'history',
+      source
+    }
+  };
+}
+
+/** A notice from the chat client itself, e.g. an ended session or an agent action */
+export function createSystemMessage(content, type = 'info', metadata = {}) {
+  return {
+    id: generateUUID(),
+    content,
+    authorId: 'system',
+    isAgent: false,
+    createdAt: new Date(),
+    metadata: { systemType: type, ...metadata },
+    isSystem: true
+  };
+}
+
+/** Placeholder shown in place of the reply while the agent works on it */
+export function createThinkingMessage(agentId, content = 'Purl is thinking...') {
+  return {
+    id: generateUUID(),
+    content,
+    authorId: agentId,
+    isAgent: true,
+    createdAt: new Date(),
+    metadata: { systemType: 'thinking' },
+    isThinking: true
+  };
+}
+
+/**
+ * A reply being streamed (see replyStream.js), shown until the stored reply
+ * replaces it. `streamId` is the stream's messageId.
+ */
+export function createDraftMessage(agentId, streamId) {
+  return {
+    id: `draft-${streamId}`,
+    content: '',
+    authorId: agentId,
+    isAgent: true,
+    createdAt: new Date(),
+    metadata: { source: 'stream', realTime: true, attempt: 0, seq: -1 },
+    streamId,
+    isDraft: true,
+    isStreaming: true
+  };
+}
+
+/** Whether two messages are the same, including our own echoed back with a server ID */
+export const isSameMessage = (a, b) =>
+  a.id === b.id ||
+  (a.clientMessageId && a.clientMessageId === b.id) ||
+  (b.clientMessageId && b.clientMessageId === a.id) ||
+  (a.authorId === b.authorId &&
+    a.content === b.content &&
+    Math.abs(new Date(a.createdAt) - new Date(b.createdAt)) < CLOCK_SKEW_MS);
+
+/**
+ * Adds the incoming messages that are not shown yet, in time order. An agent
+ * reply replaces the thinking placeholder and any streamed draft.
+ */
+export const mergeMessages = (current, incoming) => {
+  // A draft never counts as the stored reply, even with the same text
+  const fresh = incoming.filter(msg => !current.some(existing => !existing.isDraft && isSameMessage(existing, msg)));
+  if (fresh.length === 0) return current;
+  const settled = fresh.some(msg => msg.isAgent)
+    ? current.filter(msg => !msg.isThinking && !msg.isDraft)
+    : current;
+  return [...settled, ...fresh].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+/**
+ * What to tell the visitor when the agent answers with an action instead of
+ * (or before) a reply. Returns null for REPLY and for actions with no notice.
+ */
+export function describeAgentAction(action) {
+  switch (action) {
+    case 'IGNORE':
+      return 'Purl has chosen to ignore your message. They might be busy or not interested in this topic right now.';
+    case 'GENERATE_IMAGE':
+      return 'Purl is generating an image for you...';
+    case 'UPDATE_CONTACT':
+      return 'Purl is updating contact information...';
+    case 'MUTE_ROOM':
+      return 'Purl has muted this conversation.';
+    case 'NONE':
+      return 'Purl received your message but chose not to respond.';
+    default:
+      return null;
+  }
+}
+
+/** Status line and icon for an action the agent has started */
+export function describeActionStart(action) {
+  switch (action) {
+    case 'GENERATE_IMAGE':
+      return { content: 'Purl is creating your image...', icon: '🎨' };
+    case 'WEB_SEARCH':
+      return { content: 'Purl is searching the web...', icon: '🔍' };
+    case 'ANALYZE_IMAGE':
+      return { content: 'Purl is analyzing the image...', icon: '👁️' };
+    case 'WRITE_CODE':
+      return { content: 'Purl is writing code...', icon: '💻' };
+    case 'TRANSLATE':
+      return { content: 'Purl is translating...', icon: '🌐' };
+    case 'SUMMARIZE':
+      return { content: 'Purl is summarizing...', icon: '📝' };
+    case 'IGNORE':
+      return { content: 'Purl has decided to ignore this message', icon: '😴' };
+    case 'NONE':
+      return { content: 'Purl acknowledged your message', icon: '🤐' };
+    default:
+      return { content: `Purl is performing: ${action}`, icon: '⚡' };
+  }
+}
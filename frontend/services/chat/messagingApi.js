@@ -0,0 +1,137 @@
+/**
+ * ElizaOS Messaging API
+ *
+ * The REST calls the chat transports share: sessions, channels and their
+ * messages. Each returns plain data and throws (via handleApiResponse) when
+ * the server refuses, with the HTTP status on `error.status` and, for a 429,
+ * the Retry-After seconds on `error.retryAfter`.
+ */
+
+import { authenticatedRequest, buildApiUrl, handleApiResponse } from '../../utils/api.js';
+
+// ElizaOS's default message server, which web chats live on
+export const DEFAULT_SERVER_ID = '00000000-0000-0000-0000-000000000000';
+
+async function request(method, endpoint, data, context) {
+  const response = await authenticatedRequest(method, buildApiUrl(endpoint), data);
+  try {
+    return await handleApiResponse(response, context);
+  } catch (err) {
+    err.status = response.status;
+    err.retryAfter = Number(response.headers.get('Retry-After')) || null;
+    throw err;
+  }
+}
+
+/** Whether a resource exists: false on 404, throws on any other failure */
+async function exists(endpoint, context) {
+  const response = await authenticatedRequest('GET', buildApiUrl(endpoint));
+  if (response.status === 404) return false;
+  await handleApiResponse(response, context);
+  return true;
+}
+
+/**
+ * Starts a Sessions API session. The server creates the session's own
+ * channel but does not return it.
+ * @returns {Promise<string>} The session ID
+ */
+export async function createSession(agentId, userId) {
+  const data = await request('POST', '/api/messaging/sessions', {
+    agentId,
+    userId,
+    metadata: { platform: 'web', interface: 'purl-chat-app' }
+  }, 'Session creation');
+  if (!data.sessionId) throw new Error('Session created but no ID returned');
+  return data.sessionId;
+}
+
+/** Sessions are kept in server memory, so they disappear on a restart */
+export function sessionExists(sessionId) {
+  return exists(`/api/messaging/sessions/${sessionId}`, 'Session check');
+}
+
+/**
+ * Creates a chat channel on the default server. The participants are what
+ * the plugin checks before streaming a channel's replies to a page.
+ * @param {string} name
+ * @param {string[]} participantIds - Central user IDs, e.g. the visitor's
+ * @returns {Promise<string>} The channel ID
+ */
+export async function createChannel(name, participantIds) {
+  const data = await request('POST', '/api/messaging/central-channels', {
+    name,
+    server_id: DEFAULT_SERVER_ID,
+    participantCentralUserIds: participantIds,
+    type: 'text',
+    metadata: { description: 'Chat channel for Purl agent session' }
+  }, 'Channel creation');
+  const channelId = data.data?.id;
+  if (!channelId) throw new Error('Channel created but no ID returned');
+  return channelId;
+}
+
+export function addAgentToChannel(channelId, agentId) {
+  return request('POST', `/api/messaging/central-channels/${channelId}/agents`, { agentId }, 'Adding agent to channel');
+}
+
+export function channelExists(channelId) {
+  return exists(`/api/messaging/central-channels/${channelId}/details`, 'Channel check');
+}
+
+/**
+ * Asks the plugin for the token the page follows a chat with (streamed
+ * replies, the SSE transport). It is issued once per channel, so it is asked
+ * for right after the channel is created and saved with the chat.
+ * @returns {Promise<string>} The chat token
+ */
+export async function requestChatToken(agentId, channelId, userId) {
+  const data = await request('POST', `/api/purl/chat/token?agentId=${agentId}`, {
+    channelId,
+    entityId: userId
+  }, 'Chat token');
+  if (!data.data?.token) throw new Error('No chat token returned');
+  return data.data.token;
+}
+
+/**
+ * A channel's most recent messages, newest first, in the server's shape
+ * ({ id, authorId, content, created_at, metadata }).
+ */
+export async function getChannelMessages(channelId, limit) {
+  const data = await request('GET', `/api/messaging/central-channels/${channelId}/messages?limit=${limit}`, null, 'Loading chat history');
+  return data.data?.messages || [];
+}
+
+/**
+ * Posts a message to a channel as the visitor, for transports without a
+ * socket to send on.
+ */
+export async function postChannelMessage(channelId, { authorId, content, metadata = {} }) {
+  const data = await request('POST', `/api/messaging/central-channels/${channelId}/messages`, {
+    author_id: authorId,
+    content,
+    server_id: DEFAULT_SERVER_ID,
+    source_type: 'purl_chat',
+    raw_message: { text: content },
+    metadata
+  }, 'Sending message');
+  return data.data;
+}
+
+/** A session's messages, optionally only those created after `after` (ms) */
+export async function getSessionMessages(sessionId, { limit, after } = {}) {
+  const query = new URLSearchParams();
+  if (limit) query.append('limit', String(limit));
+  if (after) query.append('after', String(Math.floor(after)));
+  const data = await request('GET', `/api/messaging/sessions/${sessionId}/messages?${query}`, null, 'Loading session messages');
+  return data.messages || [];
+}
+
+export function postSessionMessage(sessionId, content, metadata = {}) {
+  return request('POST', `/api/messaging/sessions/${sessionId}/messages`, { content, metadata }, 'Sending message');
+}
+
+export function deleteSession(sessionId) {
+  return request('DELETE', `/api/messaging/sessions/${sessionId}`, null, 'Ending session');
+}
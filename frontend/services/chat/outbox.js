@@ -0,0 +1,160 @@
+/**
+ * Chat Outbox
+ *
+ * Messages the visitor has sent that the server has not confirmed yet. They
+ * are kept in IndexedDB, so a message typed while offline, refused with a 429
+ * or lost to a dropped socket is still sent after a reconnect or a reload.
+ * Each entry is keyed by the message's client ID, the same ID the transports
+ * send along, so a message is never queued twice and a retry can tell
+ * whether an earlier attempt reached the server after all.
+ *
+ *   { id, agentId, userId, content, createdAt, attempts, nextAttemptAt, status, lastError, owner?, claimedAt? }
+ *
+ * `status` is 'queued' (waiting for a connection), 'sending', 'retrying'
+ * (waiting until nextAttemptAt) or 'failed' (gave up; retried only on request).
+ * The visitor's tabs share the outbox, so a message is claimed before it is
+ * sent: `owner` is the sending client and `claimedAt` when it claimed it.
+ * Without IndexedDB (private mode, old browsers) the outbox lives in memory.
+ */
+
+import { getConfig } from '../../utils/config.js';
+
+const DB_NAME = 'purl-chat';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Reads an entry and writes back what `update` makes of it, within the
+ * request's transaction. Returns a request-like object for promisify, whose
+ * result is the written entry, or null when `update` returned nothing.
+ */
+function readModifyWrite(store, id, update) {
+  const request = {};
+  const fail = (failed) => () => {
+    request.error = failed.error;
+    request.onerror();
+  };
+  const read = store.get(id);
+  read.onerror = fail(read);
+  read.onsuccess = () => {
+    request.result = update(read.result) || null;
+    if (!request.result) {
+      request.onsuccess();
+      return;
+    }
+    const write = store.put(request.result);
+    write.onerror = fail(write);
+    write.onsuccess = () => request.onsuccess();
+  };
+  return request;
+}
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE, { keyPath: 'id' });
+  };
+  return promisify(request).catch((err) => {
+    console.warn('⚠️ [Outbox] IndexedDB unavailable, keeping unsent messages in memory:', err?.message);
+    return null;
+  });
+}
+
+/**
+ * How long to wait before attempt number `attempts + 1`, following the
+ * EXPONENTIAL_BACKOFF settings. A Retry-After from the server wins when longer.
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @param {number|null} retryAfterSeconds - Retry-After header of a 429, if any
+ */
+export function retryDelay(attempts, retryAfterSeconds = null) {
+  const { EXPONENTIAL_BACKOFF_BASE, EXPONENTIAL_BACKOFF_MAX } = getConfig();
+  const backoff = Math.min(EXPONENTIAL_BACKOFF_BASE * 2 ** Math.max(0, attempts - 1), EXPONENTIAL_BACKOFF_MAX);
+  return Math.max(backoff, (retryAfterSeconds || 0) * 1000);
+}
+
+export class ChatOutbox {
+  constructor() {
+    this.memory = new Map();
+    this.db = null;
+  }
+
+  /** Runs `operation` on the IndexedDB store, or `fallback` on the in-memory copy */
+  async run(mode, operation, fallback) {
+    if (this.db === null) this.db = openDatabase();
+    const db = await this.db;
+    if (db) {
+      try {
+        return await promisify(operation(db.transaction(STORE, mode).objectStore(STORE)));
+      } catch (err) {
+        console.warn('⚠️ [Outbox] IndexedDB request failed, using memory:', err?.message);
+      }
+    }
+    return fallback();
+  }
+
+  /** Unsent messages of this visitor to this agent, oldest first */
+  async list(agentId, userId) {
+    const entries = await this.run('readonly', store => store.getAll(), () => [...this.memory.values()]);
+    return entries
+      .filter(entry => entry.agentId === agentId && entry.userId === userId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async get(id) {
+    const entry = await this.run('readonly', store => store.get(id), () => this.memory.get(id));
+    return entry || null;
+  }
+
+  async put(entry) {
+    this.memory.set(entry.id, entry);
+    await this.run('readwrite', store => store.put(entry), () => {});
+    return entry;
+  }
+
+  /**
+   * Claims an entry for `owner` to send, counting the attempt. The check and
+   * the write share one transaction, so two tabs cannot both claim it. An
+   * entry is not claimable while failed, waiting out its backoff or claimed by
+   * another owner less than CHAT_OUTBOX_CLAIM_TIMEOUT ago.
+   * @returns {Promise<{ entry: Object|null, claimed: boolean }>} The claimed
+   *   entry, or the entry as stored (null once sent) when it was not claimed
+   */
+  async claim(id, owner, now = Date.now()) {
+    let current = null;
+    const update = (entry) => {
+      current = entry || null;
+      if (!entry || entry.status === 'failed' || entry.nextAttemptAt > now) return null;
+      const claimedElsewhere = entry.status === 'sending' && entry.owner !== owner &&
+        now - (entry.claimedAt || 0) < getConfig().CHAT_OUTBOX_CLAIM_TIMEOUT;
+      if (claimedElsewhere) return null;
+      return { ...entry, status: 'sending', attempts: entry.attempts + 1, owner, claimedAt: now };
+    };
+    const claimed = await this.run('readwrite', store => readModifyWrite(store, id, update), () => {
+      // Claimed before anything else runs, as a transaction would
+      const next = update(this.memory.get(id));
+      if (next) this.memory.set(id, next);
+      return next;
+    });
+    if (claimed) this.memory.set(id, claimed);
+    return { entry: claimed || current, claimed: Boolean(claimed) };
+  }
+
+  async remove(id) {
+    this.memory.delete(id);
+    await this.run('readwrite', store => store.delete(id), () => {});
+  }
+
+  /** Drops this visitor's unsent messages to this agent, e.g. when they end the chat */
+  async clear(agentId, userId) {
+    const entries = await this.list(agentId, userId);
+    await Promise.all(entries.map(entry => this.remove(entry.id)));
+  }
+}
+
+export default ChatOutbox;
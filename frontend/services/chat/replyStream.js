@@ -0,0 +1,44 @@
+/**
+ * Reply Stream
+ *
+ * Purl's replies as the model writes them, from the plugin's own socket
+ * (PURL_SOCKET_URL, see src/services/purl-stream.ts). The stream joins one
+ * channel's room with the chat token the plugin issued for it, and hands its
+ * events to the chat client:
+ *
+ *   onChunk({ channelId, messageId, inReplyTo, attempt, seq, delta })
+ *   onEnd({ channelId, messageId, inReplyTo, status: 'complete' | 'cancelled', reason? })
+ *
+ * `messageId` names the reply being written until the stored reply replaces
+ * it. Works alongside any channel transport; the stored reply still arrives
+ * through the transport. Payloads follow ../../protocol/socket.ts.
+ */
+
+import { PURL_CLIENT_EVENTS, PURL_SERVER_EVENTS, connectPurlSocket, emitEvent, onEvent } from '../socketProtocol.js';
+
+export const REPLY_CHUNK_EVENT = 'replyChunk';
+export const REPLY_END_EVENT = 'replyEnd';
+
+export class ReplyStream {
+  constructor({ channelId, userId, token, handlers }) {
+    this.channelId = channelId;
+    this.handlers = handlers;
+    const socket = connectPurlSocket();
+    this.socket = socket;
+    // Rooms do not survive a reconnect, so the chat is joined on every connect
+    socket.on('connect', () => emitEvent(socket, PURL_CLIENT_EVENTS, 'joinChat', { channelId, entityId: userId, token }));
+    onEvent(socket, PURL_SERVER_EVENTS, REPLY_CHUNK_EVENT, chunk => {
+      if (chunk.channelId === channelId) this.handlers.onChunk(chunk);
+    });
+    onEvent(socket, PURL_SERVER_EVENTS, REPLY_END_EVENT, end => {
+      if (end.channelId === channelId) this.handlers.onEnd(end);
+    });
+  }
+
+  close() {
+    emitEvent(this.socket, PURL_CLIENT_EVENTS, 'leaveChat', { channelId: this.channelId });
+    this.socket.disconnect();
+  }
+}
+
+export default ReplyStream;
@@ -0,0 +1,414 @@
+/**
+ * Chat Transports
+ *
+ * How ElizaChatClient talks to the server. Every transport has the same
+ * shape, so the client can swap one for another (or fall back to the next
+ * when one cannot connect):
+ *
+ *   create()              start a new chat, resolves to { sessionId, channelId,
+ *                         chatToken }; the token lets the page follow a
+ *                         channel's streamed replies, null without a channel
+ *   resume(saved)         rejoin a saved chat, resolves to null when it is gone
+ *   connect(chat)         start receiving, from `chat.cursor` (ms) when set;
+ *                         rejects when the server is unreachable
+ *   send(content, id)     send the visitor's message with its client-side ID;
+ *                         resolves once the server has stored it
+ *   fetchSince(after)     messages created after `after` (ms), oldest first
+ *   wake()                called when the tab is visible again; true when the
+ *                         transport reconnects and will report it itself
+ *   forget()              the visitor started over; drop the chat server-side
+ *                         where the transport owns it
+ *   close()
+ *
+ * Transports never touch UI state. They report through the `handlers` passed
+ * in: onMessages(rawMessages, source), onThinking(active, text),
+ * onAction({ phase, data }), onReady(ready), onConnection(connected).
+ *
+ * - socket    Socket.IO room on an ElizaOS channel (realtime, default)
+ * - sse       the same channel, with replies pushed by the plugin's
+ *             GET /purl/chat/events stream and messages posted over REST
+ * - sessions  the Sessions API, polled for replies
+ */
+
+import { io } from 'socket.io-client';
+import { getConfig } from '../../utils/config.js';
+import { buildApiUrl, createAuthHeaders } from '../../utils/api.js';
+import {
+  DEFAULT_SERVER_ID,
+  addAgentToChannel,
+  channelExists,
+  createChannel,
+  createSession,
+  deleteSession,
+  getChannelMessages,
+  getSessionMessages,
+  postChannelMessage,
+  postSessionMessage,
+  requestChatToken,
+  sessionExists
+} from './messagingApi.js';
+import { CLOCK_SKEW_MS } from './messages.js';
+import { ELIZA_CLIENT_EVENTS, ELIZA_SERVER_EVENTS, SOCKET_MESSAGE_TYPE, emitEvent, onEvent } from '../socketProtocol.js';
+
+const byCreatedAt = (a, b) => (a.created_at ?? a.createdAt ?? 0) - (b.created_at ?? b.createdAt ?? 0);
+
+/**
+ * Chats that live in an ElizaOS channel the agent has been added to. A
+ * session is created alongside so the chat also shows up in the Sessions API.
+ */
+class ChannelTransport {
+  constructor({ agentId, userId, handlers }) {
+    this.agentId = agentId;
+    this.userId = userId;
+    this.handlers = handlers;
+    this.chat = null;
+  }
+
+  async create() {
+    const sessionId = await createSession(this.agentId, this.userId);
+    const channelId = await createChannel(`Purl Chat ${sessionId.slice(0, 8)}`, [this.userId]);
+    try {
+      await addAgentToChannel(channelId, this.agentId);
+    } catch (err) {
+      // The agent still answers channel messages it is addressed in
+      console.warn('⚠️ [Chat] Agent not added to channel, continuing:', err.message);
+    }
+    return { sessionId, channelId, chatToken: await this.requestToken(channelId) };
+  }
+
+  async resume(saved) {
+    if (!saved.channelId || !(await channelExists(saved.channelId))) return null;
+    // The server keeps sessions in memory only, so after a restart the session
+    // is gone while the channel and its messages remain
+    const alive = saved.sessionId && (await sessionExists(saved.sessionId));
+    const sessionId = alive ? saved.sessionId : await createSession(this.agentId, this.userId);
+    // Chats saved before tokens existed can still claim theirs
+    const chatToken = saved.chatToken || (await this.requestToken(saved.channelId));
+    return { sessionId, channelId: saved.channelId, chatToken };
+  }
+
+  /** The chat works without its token, only without streamed replies */
+  async requestToken(channelId) {
+    try {
+      return await requestChatToken(this.agentId, channelId, this.userId);
+    } catch (err) {
+      console.warn('⚠️ [Chat] No chat token, replies will not stream:', err.message);
+      return null;
+    }
+  }
+
+  async fetchSince(after = 0) {
+    const messages = await getChannelMessages(this.chat.channelId, getConfig().CHAT_HISTORY_LIMIT);
+    return messages.filter(msg => (msg.created_at || 0) > after).sort(byCreatedAt);
+  }
+
+  wake() {
+    return false;
+  }
+
+  async forget() {}
+}
+
+export class SocketTransport extends ChannelTransport {
+  connect(chat) {
+    this.close();
+    this.chat = chat;
+    const { handlers } = this;
+    const socket = io(getConfig().BASE_URL, {
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionAttempts: 3,
+      timeout: 15000,
+      transports: ['polling', 'websocket'],
+      upgrade: true,
+      forceNew: true
+    });
+    this.socket = socket;
+
+    // Payloads are checked against the protocol (frontend/protocol/socket.ts)
+    const on = (event, handler) => onEvent(socket, ELIZA_SERVER_EVENTS, event, handler);
+
+    socket.on('connect', () => {
+      emitEvent(socket, ELIZA_CLIENT_EVENTS, 'message', {
+        type: SOCKET_MESSAGE_TYPE.ROOM_JOINING,
+        payload: { roomId: chat.channelId, entityId: this.userId }
+      });
+      handlers.onConnection(true);
+    });
+    socket.on('disconnect', () => handlers.onConnection(false));
+
+    on('messageBroadcast', data => handlers.onMessages([data], 'socket'));
+    on('agentResponse', data => handlers.onMessages([data], 'socket'));
+    on('controlMessage', data => {
+      if (data.type === 'thinking') handlers.onThinking(true, data.message);
+      else if (data.type === 'complete') handlers.onThinking(false);
+    });
+    on('agentStatus', data => {
+      if (data.status === 'ready') handlers.onReady(true);
+      else if (data.status === 'busy') handlers.onReady(false);
+    });
+    for (const event of ['agentAction', 'actionExecuted', 'actionStatusResponse', 'elizaosMessage']) {
+      on(event, data => handlers.onAction({ phase: 'done', data }));
+    }
+    on('actionStarted', data => handlers.onAction({ phase: 'started', data }));
+    on('actionProgress', data => handlers.onAction({ phase: 'progress', data }));
+    on('actionComplete', data => handlers.onAction({ phase: 'complete', data }));
+    on('actionError', data => handlers.onAction({ phase: 'error', data }));
+
+    return new Promise((resolve, reject) => {
+      const fail = (err) => {
+        socket.off('connect', succeed);
+        reject(err);
+      };
+      const succeed = () => {
+        socket.io.off('reconnect_failed', giveUp);
+        resolve();
+      };
+      const giveUp = () => fail(new Error('Could not reach the chat server'));
+      socket.once('connect', succeed);
+      socket.io.once('reconnect_failed', giveUp);
+    });
+  }
+
+  /** Resolves on the server's messageAck for this message */
+  send(content, clientMessageId) {
+    const socket = this.socket;
+    if (!socket?.connected) {
+      return Promise.reject(new Error('Not connected'));
+    }
+    const sent = emitEvent(socket, ELIZA_CLIENT_EVENTS, 'message', {
+      type: SOCKET_MESSAGE_TYPE.SEND_MESSAGE,
+      payload: {
+        channelId: this.chat.channelId,
+        serverId: DEFAULT_SERVER_ID,
+        senderId: this.userId,
+        message: content,
+        senderName: 'User',
+        roomId: this.chat.channelId,
+        messageId: clientMessageId
+      }
+    });
+    if (!sent) {
+      return Promise.reject(new Error('The message does not fit the chat protocol'));
+    }
+    // Acks arrive from the network, so listening after the emit misses none
+    return new Promise((resolve, reject) => {
+      const settle = (callback, value) => {
+        clearTimeout(timer);
+        socket.off('messageAck', onAck);
+        socket.off('messageError', onError);
+        socket.off('disconnect', onDisconnect);
+        callback(value);
+      };
+      const onAck = onEvent(socket, ELIZA_SERVER_EVENTS, 'messageAck', ack => {
+        if (ack.clientMessageId === clientMessageId) settle(resolve, ack);
+      });
+      // Errors carry no message ID; the outbox only has one message in flight
+      const onError = onEvent(socket, ELIZA_SERVER_EVENTS, 'messageError', data =>
+        settle(reject, new Error(data.error || 'The server could not take the message'))
+      );
+      const onDisconnect = () => settle(reject, new Error('Disconnected before the server confirmed the message'));
+      const timer = setTimeout(
+        () => settle(reject, new Error('The server did not confirm the message')),
+        getConfig().CHAT_ACK_TIMEOUT
+      );
+      socket.on('disconnect', onDisconnect);
+    });
+  }
+
+  wake() {
+    if (!this.socket || this.socket.connected) return false;
+    this.socket.connect(); // reports onConnection, which syncs
+    return true;
+  }
+
+  close() {
+    if (!this.socket) return;
+    // ElizaOS has no leave message; disconnecting leaves the channel's room
+    this.socket.disconnect();
+    this.socket = null;
+  }
+}
+
+/**
+ * Reads a text/event-stream body and calls `onEvent` for each event.
+ * EventSource cannot send the X-API-Key header, so the stream is fetched.
+ */
+async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = { id: null, event: 'message', data: '' };
+      for (const line of frame.split('\n')) {
+        if (line.startsWith(':')) continue;
+        const [field, ...rest] = line.split(':');
+        const text = rest.join(':').replace(/^ /, '');
+        if (field === 'data') event.data += text;
+        else if (field === 'id' || field === 'event') event[field] = text;
+      }
+      if (event.data) onEvent(event);
+    }
+  }
+}
+
+export class SseTransport extends ChannelTransport {
+  async connect(chat) {
+    this.close();
+    this.chat = chat;
+    this.lastEventId = chat.cursor || Date.now() - CLOCK_SKEW_MS;
+    this.attempt = 0;
+    this.controller = new AbortController();
+    await this.open(this.controller.signal);
+  }
+
+  /** Opens the stream; once it is open, reconnects with backoff until closed */
+  async open(signal) {
+    const { agentId, userId, chat, handlers } = this;
+    // The plugin only streams a chat to one of its participants
+    const query = `agentId=${agentId}&channelId=${chat.channelId}&entityId=${userId}&after=${this.lastEventId}`;
+    const response = await fetch(
+      buildApiUrl(`/api/purl/chat/events?${query}`),
+      {
+        headers: createAuthHeaders({
+          Accept: 'text/event-stream',
+          'Last-Event-ID': String(this.lastEventId),
+          'X-Purl-Chat-Token': chat.chatToken || ''
+        }),
+        signal
+      }
+    );
+    if (!response.ok || !response.body) {
+      throw new Error(`Chat event stream failed: ${response.status}`);
+    }
+    this.attempt = 0;
+    handlers.onConnection(true);
+
+    readEventStream(response.body, event => {
+      if (event.id) this.lastEventId = Number(event.id) || this.lastEventId;
+      if (event.event !== 'message') return;
+      try {
+        handlers.onMessages([JSON.parse(event.data)], 'sse');
+      } catch {
+        // Ignore a malformed event; the next sync fetches the message anyway
+      }
+    })
+      .catch(() => {})
+      .finally(() => {
+        if (signal.aborted) return;
+        handlers.onConnection(false);
+        this.reconnect(signal);
+      });
+  }
+
+  reconnect(signal) {
+    const { EXPONENTIAL_BACKOFF_BASE, EXPONENTIAL_BACKOFF_MAX } = getConfig();
+    const delay = Math.min(EXPONENTIAL_BACKOFF_BASE * 2 ** this.attempt, EXPONENTIAL_BACKOFF_MAX);
+    this.attempt += 1;
+    this.retryTimer = setTimeout(() => {
+      this.open(signal).catch(() => {
+        if (!signal.aborted) this.reconnect(signal);
+      });
+    }, delay);
+  }
+
+  async send(content, clientMessageId) {
+    await postChannelMessage(this.chat.channelId, {
+      authorId: this.userId,
+      content,
+      metadata: { clientMessageId, user_display_name: 'User' }
+    });
+  }
+
+  close() {
+    clearTimeout(this.retryTimer);
+    this.controller?.abort();
+    this.controller = null;
+  }
+}
+
+/**
+ * Chats over the Sessions API. The server does not say which channel it made
+ * for the session, so sessions chats are saved and resumed by session ID.
+ */
+export class SessionsTransport {
+  constructor({ agentId, userId, handlers }) {
+    this.agentId = agentId;
+    this.userId = userId;
+    this.handlers = handlers;
+    this.chat = null;
+  }
+
+  async create() {
+    return { sessionId: await createSession(this.agentId, this.userId), channelId: null, chatToken: null };
+  }
+
+  async resume(saved) {
+    if (!saved.sessionId || !(await sessionExists(saved.sessionId))) return null;
+    return { sessionId: saved.sessionId, channelId: null, chatToken: null };
+  }
+
+  async connect(chat) {
+    this.close();
+    this.chat = chat;
+    this.since = chat.cursor || Date.now() - CLOCK_SKEW_MS;
+    this.pollTimer = setInterval(() => this.poll(), getConfig().CHAT_POLL_INTERVAL);
+    this.handlers.onConnection(true);
+  }
+
+  async poll() {
+    try {
+      const messages = await this.fetchSince(this.since);
+      if (messages.length > 0) {
+        this.since = Math.max(this.since, ...messages.map(msg => new Date(msg.createdAt).getTime()));
+        this.handlers.onMessages(messages, 'sessions');
+      }
+    } catch (err) {
+      console.error('❌ [Chat] Polling failed:', err.message);
+    }
+  }
+
+  async fetchSince(after = 0) {
+    const messages = await getSessionMessages(this.chat.sessionId, {
+      limit: getConfig().CHAT_HISTORY_LIMIT,
+      after
+    });
+    return [...messages].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  async send(content, clientMessageId) {
+    const message = await postSessionMessage(this.chat.sessionId, content, {
+      clientMessageId,
+      userTimezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+    // Poll soon rather than waiting out the interval
+    setTimeout(() => this.poll(), 1000);
+    return message;
+  }
+
+  wake() {
+    return false;
+  }
+
+  async forget() {
+    if (this.chat?.sessionId) await deleteSession(this.chat.sessionId);
+  }
+
+  close() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+}
+
+export const TRANSPORTS = {
+  socket: SocketTransport,
+  sse: SseTransport,
+  sessions: SessionsTransport
+};
@@ -0,0 +1,67 @@
+/**
+ * Socket Protocol (frontend side)
+ *
+ * The event schemas live in ../protocol/socket.ts, which the plugin imports
+ * too, so the page and the server check payloads against the same
+ * definitions. This
+ * module binds them to the browser: malformed payloads are logged to the
+ * console and dropped, and connections to the Purl socket carry the protocol
+ * version the page was built for.
+ */
+
+import { io } from 'socket.io-client';
+import { getConfig } from '../utils/config.js';
+import {
+  ELIZA_CLIENT_EVENTS,
+  ELIZA_SERVER_EVENTS,
+  PROTOCOL_EVENT,
+  PROTOCOL_VERSION,
+  PURL_CLIENT_EVENTS,
+  PURL_SERVER_EVENTS,
+  SOCKET_MESSAGE_TYPE,
+  listen,
+  send
+} from '../protocol/socket.ts';
+
+export {
+  ELIZA_CLIENT_EVENTS,
+  ELIZA_SERVER_EVENTS,
+  PROTOCOL_VERSION,
+  PURL_CLIENT_EVENTS,
+  PURL_SERVER_EVENTS,
+  SOCKET_MESSAGE_TYPE
+};
+
+const warnMalformed = (event, issues) => {
+  console.warn(`⚠️ [Socket] Dropped malformed ${event} payload:`, issues.join('; '));
+};
+
+/** socket.on for a protocol event; `handler` only sees payloads that match its schema */
+export const onEvent = (socket, schemas, event, handler) =>
+  listen(socket, schemas, event, handler, warnMalformed);
+
+/** socket.emit for a protocol event; a payload that does not match is not sent */
+export const emitEvent = (socket, schemas, event, payload) =>
+  send(socket, schemas, event, payload, warnMalformed);
+
+let versionWarned = false;
+
+/**
+ * Opens a connection to the Purl socket (PURL_SOCKET_URL). The plugin
+ * announces its protocol version on connect; a different one means the page
+ * and the plugin were deployed out of step, which is worth one warning.
+ */
+export function connectPurlSocket() {
+  const socket = io(getConfig().PURL_SOCKET_URL, {
+    reconnection: true,
+    reconnectionDelay: 5000,
+    transports: ['websocket', 'polling'],
+    auth: { protocolVersion: PROTOCOL_VERSION }
+  });
+  onEvent(socket, PURL_SERVER_EVENTS, PROTOCOL_EVENT, ({ version }) => {
+    if (version === PROTOCOL_VERSION || versionWarned) return;
+    versionWarned = true;
+    console.warn(`⚠️ [Socket] Purl socket speaks protocol v${version}, this page expects v${PROTOCOL_VERSION}`);
+  });
+  return socket;
+}
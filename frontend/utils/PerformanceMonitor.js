@@ -6,6 +6,7 @@
  * - Network efficiency monitoring
  * - Memory usage tracking
  * - User experience metrics (Core Web Vitals)
+ * - Server-side reply latency, traffic and tokens from the agent's telemetry
  * - Load testing simulation
  * - Performance regression detection
  * 
@@ -17,6 +18,13 @@
  */
 
 import { getConfig } from './config.js';
+import { authenticatedGet } from './api.js';
+
+// The agent's own counters change slowly and share the API rate limit, so
+// they are fetched far less often than local samples are taken
+const SERVER_METRICS_INTERVAL = 60000;
+
+const HOUR_MS = 3600000;
 
 /**
  * Performance Metrics Collector
@@ -67,6 +75,17 @@ class PerformanceMetricsCollector {
         loadTimeImprovement: 0,
         memoryUsageReduction: 0,
         requestReduction: 0
+      },
+
+      // Server-side numbers from the agent's telemetry (GET /api/purl/metrics)
+      server: {
+        fetchedAt: null,
+        messagesLastHour: 0,
+        runsLastHour: 0,
+        averageReplyLatency: 0,
+        maxReplyLatency: 0,
+        tokensLastHour: 0,
+        actions: {}
       }
     };
     
@@ -145,10 +164,11 @@ class PerformanceMetricsCollector {
   /**
    * Start monitoring
    */
-  startMonitoring(baselineData = null) {
+  startMonitoring(baselineData = null, agentId = this.config.DEFAULT_AGENT_ID) {
     this.isMonitoring = true;
     this.baseline = baselineData;
     this.startTime = performance.now();
+    this.agentId = agentId;
     
     console.log('🚀 [PerformanceMonitor] Monitoring started');
     
@@ -156,6 +176,11 @@ class PerformanceMetricsCollector {
     this.samplingInterval = setInterval(() => {
       this.takeSample();
     }, 10000); // Every 10 seconds
+
+    this.fetchServerMetrics();
+    this.serverMetricsInterval = setInterval(() => {
+      this.fetchServerMetrics();
+    }, SERVER_METRICS_INTERVAL);
     
     // Track page visibility changes
     document.addEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
@@ -170,6 +195,9 @@ class PerformanceMetricsCollector {
     if (this.samplingInterval) {
       clearInterval(this.samplingInterval);
     }
+    if (this.serverMetricsInterval) {
+      clearInterval(this.serverMetricsInterval);
+    }
     
     // Disconnect observers
     this.observers.forEach(observer => observer.disconnect());
@@ -238,6 +266,40 @@ class PerformanceMetricsCollector {
     console.log(`📊 [PerformanceMonitor] Network: ${this.metrics.network.totalRequests} requests, ${Math.round(latency)}ms avg latency`);
   }
   
+  /**
+   * Fetch the agent's telemetry for the current hour, so reply latency and
+   * traffic come from the server instead of being estimated in the browser
+   */
+  async fetchServerMetrics() {
+    if (!this.agentId) return;
+
+    try {
+      const response = await authenticatedGet(
+        `${this.config.BASE_URL}/api/purl/metrics?agentId=${this.agentId}&hours=1`
+      );
+      if (!response.ok) {
+        throw new Error(`Metrics request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const { data } = await response.json();
+      // The server only lists hours that had events, so a quiet hour has no bucket
+      const currentHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+      const hour = data?.hours?.find(bucket => Date.parse(bucket.hour) === currentHour);
+      const latency = hour?.latency ?? { count: 0, totalMs: 0, maxMs: 0 };
+      this.metrics.server = {
+        fetchedAt: Date.now(),
+        messagesLastHour: hour?.events?.message_received ?? 0,
+        runsLastHour: latency.count,
+        averageReplyLatency: latency.count ? latency.totalMs / latency.count : 0,
+        maxReplyLatency: latency.maxMs,
+        tokensLastHour: hour?.tokens?.total ?? 0,
+        actions: hour?.actions ?? {}
+      };
+    } catch (err) {
+      console.warn('⚠️ [PerformanceMonitor] Could not fetch server metrics:', err);
+    }
+  }
+
   /**
    * Record network failure
    */
@@ -441,7 +503,19 @@ class PerformanceMetricsCollector {
         runtime: Math.round(runtime),
         totalSamples: this.samples.length,
         alertsGenerated: this.alerts.length,
-        monitoringPeriod: new Date(this.startTime).toISOString()
+        monitoringPeriod: new Date(this.startTime).toISOString(),
+        // Latency and traffic as the agent measured them (GET /api/purl/metrics);
+        // the browser's own request timings stay under currentMetrics.network
+        serverMetricsAt: this.metrics.server.fetchedAt,
+        latency: {
+          averageReply: Math.round(this.metrics.server.averageReplyLatency),
+          maxReply: this.metrics.server.maxReplyLatency
+        },
+        traffic: {
+          messagesLastHour: this.metrics.server.messagesLastHour,
+          runsLastHour: this.metrics.server.runsLastHour,
+          tokensLastHour: this.metrics.server.tokensLastHour
+        }
       },
       
       currentMetrics: this.metrics,
@@ -470,24 +544,21 @@ class PerformanceMetricsCollector {
     
     const first = this.samples[0];
     const last = this.samples[this.samples.length - 1];
+    const trend = (start, end) => ({ start, end, change: end - start });
     
-    return {
-      networkLatency: {
-        start: first.metrics.network.averageLatency,
-        end: last.metrics.network.averageLatency,
-        change: last.metrics.network.averageLatency - first.metrics.network.averageLatency
-      },
-      memoryUsage: {
-        start: first.metrics.memory.heapUsed,
-        end: last.metrics.memory.heapUsed,
-        change: last.metrics.memory.heapUsed - first.metrics.memory.heapUsed
-      },
-      requestFrequency: {
-        start: first.metrics.network.requestsPerMinute,
-        end: last.metrics.network.requestsPerMinute,
-        change: last.metrics.network.requestsPerMinute - first.metrics.network.requestsPerMinute
-      }
+    const trends = {
+      memoryUsage: trend(first.metrics.memory.heapUsed, last.metrics.memory.heapUsed)
     };
+    
+    // Latency and traffic trends come from the server numbers, starting with
+    // the first sample taken after they were fetched
+    const firstServer = this.samples.find(sample => sample.metrics.server.fetchedAt)?.metrics.server;
+    if (firstServer) {
+      trends.replyLatency = trend(firstServer.averageReplyLatency, last.metrics.server.averageReplyLatency);
+      trends.messageTraffic = trend(firstServer.messagesLastHour, last.metrics.server.messagesLastHour);
+    }
+    
+    return trends;
   }
   
   /**
@@ -533,6 +604,15 @@ class PerformanceMetricsCollector {
       });
     }
     
+    // Server recommendations
+    if (this.metrics.server.averageReplyLatency > 10000) {
+      recommendations.push({
+        category: 'server',
+        priority: 'high',
+        recommendation: `Agent replies take ${Math.round(this.metrics.server.averageReplyLatency / 1000)}s on average. Check the model provider and the message handler runs.`
+      });
+    }
+    
     // Memory recommendations
     if (this.metrics.memory.memoryLeaks.length > 0) {
       recommendations.push({
@@ -574,13 +654,13 @@ let globalPerformanceMonitor = null;
 /**
  * Initialize global performance monitoring
  */
-export function initializePerformanceMonitoring(baselineData = null) {
+export function initializePerformanceMonitoring(baselineData = null, agentId) {
   if (globalPerformanceMonitor) {
     globalPerformanceMonitor.stopMonitoring();
   }
   
   globalPerformanceMonitor = new PerformanceMetricsCollector();
-  globalPerformanceMonitor.startMonitoring(baselineData);
+  globalPerformanceMonitor.startMonitoring(baselineData, agentId);
   
   return globalPerformanceMonitor;
 }
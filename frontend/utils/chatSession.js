@@ -0,0 +1,93 @@
+/**
+ * Chat Session Persistence
+ *
+ * Remembers the ElizaOS session and channel a visitor is chatting in, so a
+ * reload or a mobile tab switch rejoins the same conversation instead of
+ * starting a new one. One record is kept per agent in localStorage:
+ *
+ *   { transport, sessionId, channelId, chatToken, cursor, lastActiveAt }
+ *
+ * `chatToken` is what the plugin lets the page follow the channel's streamed
+ * replies with; it is only issued once, when the channel is created.
+ *
+ * `cursor` is the creation time of the newest message the visitor has seen;
+ * missed messages are fetched from after it. Socket and SSE chats are found
+ * again by their channel, Sessions API chats by their session. A record idle
+ * for longer than CHAT_SESSION_MAX_AGE is treated as expired and removed.
+ */
+
+import { getConfig } from './config.js';
+import { generateUUID } from '../services/chat/messages.js';
+
+const USER_ID_KEY = 'purl_chat_user_id';
+const SESSION_KEY_PREFIX = 'purl_chat_session';
+
+const sessionKey = (agentId, userId) => `${SESSION_KEY_PREFIX}:${agentId}:${userId}`;
+
+/**
+ * The visitor's chat identity. ElizaOS needs a UUID entity, and it has to
+ * stay the same across reloads for the saved channel to be theirs.
+ */
+export function getChatUserId() {
+  try {
+    let userId = localStorage.getItem(USER_ID_KEY);
+    if (!userId) {
+      userId = generateUUID();
+      localStorage.setItem(USER_ID_KEY, userId);
+    }
+    return userId;
+  } catch {
+    // Storage disabled (private mode): chats just won't survive a reload
+    return generateUUID();
+  }
+}
+
+/**
+ * Reads the saved chat for this agent and visitor.
+ * @returns {{ session: Object|null, expired: boolean }} `expired` is true when
+ *   a saved chat was found but had been idle too long (it is removed)
+ */
+export function loadChatSession(agentId, userId, now = Date.now()) {
+  try {
+    const raw = localStorage.getItem(sessionKey(agentId, userId));
+    if (!raw) return { session: null, expired: false };
+
+    const session = JSON.parse(raw);
+    if (!session?.channelId && !session?.sessionId) {
+      localStorage.removeItem(sessionKey(agentId, userId));
+      return { session: null, expired: false };
+    }
+    if (now - (session.lastActiveAt || 0) > getConfig().CHAT_SESSION_MAX_AGE) {
+      localStorage.removeItem(sessionKey(agentId, userId));
+      return { session: null, expired: true };
+    }
+    return { session, expired: false };
+  } catch {
+    return { session: null, expired: false };
+  }
+}
+
+/**
+ * Saves or updates the chat for this agent and visitor; marks it active now.
+ */
+export function saveChatSession(agentId, userId, changes, now = Date.now()) {
+  try {
+    const { session } = loadChatSession(agentId, userId, now);
+    const next = { cursor: null, ...session, ...changes, lastActiveAt: now };
+    localStorage.setItem(sessionKey(agentId, userId), JSON.stringify(next));
+    return next;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Forgets the saved chat, e.g. when the visitor starts a new one.
+ */
+export function clearChatSession(agentId, userId) {
+  try {
+    localStorage.removeItem(sessionKey(agentId, userId));
+  } catch {
+    // Nothing saved to clear
+  }
+}
@@ -18,14 +18,45 @@ const DEFAULT_CONFIG = {
     ? (import.meta.env.VITE_API_URL || 'https://elizaos-api.railway.app') // Production API URL
     : 'http://localhost:3000',
     
-  // Production API Key (required for production)
+  // Production API Key (required for production). Ships to the browser, so use a
+  // read-scoped key from API_KEYS here, never an admin key
   API_KEY: import.meta.env.VITE_API_KEY || null,
+
+  // Agent selected on first visit (Purl). Visitors can switch to any agent the
+  // server lists at /api/agents; their choice is remembered per browser
+  DEFAULT_AGENT_ID: import.meta.env.VITE_AGENT_ID || '40608b6b-63b6-0e2c-b819-9d9850d060ec',
+
+  // Purl realtime socket (cat animation state pushed by the agent plugin)
+  PURL_SOCKET_URL: import.meta.env.VITE_PURL_SOCKET_URL || 'http://localhost:3001',
   
   // Rate Limiting & Performance - EMERGENCY CONSERVATIVE SETTINGS
   MEMORIES_POLL_INTERVAL: 60000, // 60 seconds (VERY conservative for rate limit protection)
   CACHE_TTL: 300000, // 5 minute cache timeout (much longer)
   MAX_CONCURRENT_REQUESTS: 1, // EMERGENCY: Only 1 concurrent request per client
   MESSAGE_MIN_INTERVAL: 3000, // Minimum 3 seconds between messages
+
+  // Chat session resume: a saved chat is rejoined on reload unless it has been
+  // idle this long, and up to CHAT_HISTORY_LIMIT missed messages are fetched
+  CHAT_SESSION_MAX_AGE: 24 * 60 * 60 * 1000, // 24 hours
+  CHAT_HISTORY_LIMIT: 50,
+
+  // Chat client (services/chat): replies are polled this often on the Sessions
+  // transport, and a reply slower than CHAT_THINKING_TIMEOUT triggers a sync
+  CHAT_POLL_INTERVAL: 10000, // 10 seconds (rate limit protection)
+  CHAT_THINKING_TIMEOUT: 30000, // 30 seconds
+
+  // Chat outbox: a message the server has not acknowledged within
+  // CHAT_ACK_TIMEOUT is retried with the exponential backoff below, and marked
+  // failed (with a Retry button) after CHAT_OUTBOX_MAX_ATTEMPTS attempts. Tabs
+  // share the outbox; a tab claims a message before sending it, and another
+  // tab only takes it over once the claim is CHAT_OUTBOX_CLAIM_TIMEOUT old
+  CHAT_ACK_TIMEOUT: 10000, // 10 seconds
+  CHAT_OUTBOX_MAX_ATTEMPTS: 6,
+  CHAT_OUTBOX_CLAIM_TIMEOUT: 30000, // 30 seconds
+
+  // Streamed replies: a finished draft waits this long for the stored reply
+  // before the chat syncs and drops it
+  CHAT_STREAM_SETTLE_TIMEOUT: 5000, // 5 seconds
   
   // Exponential Backoff Settings
   EXPONENTIAL_BACKOFF_BASE: 2000, // 2 seconds base delay
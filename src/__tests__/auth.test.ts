@@ -0,0 +1,179 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { logger } from '@elizaos/core';
+import { findApiKey, hasScope, parseApiKeys, readApiKeysFile } from '../config/api-keys';
+import { ConfigValidationError, loadConfig, resetConfig } from '../config/env';
+import { getApiKeys, requireApiKey } from '../routes/auth';
+import { createMockRuntime } from './test-utils';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purl-api-keys-'));
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'warn').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  resetConfig();
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function createResponse() {
+  const res: any = {};
+  res.status = mock(() => res);
+  res.json = mock(() => res);
+  return res;
+}
+
+async function callWithKey(scope: 'read' | 'admin', apiKey: string | undefined, settings = {}) {
+  const runtime = createMockRuntime({
+    getSetting: mock((key: string) => (settings as Record<string, string>)[key] ?? null),
+  });
+  const handler = mock(async () => {});
+  const req: any = { path: '/purl/test', headers: apiKey ? { 'x-api-key': apiKey } : {} };
+  const res = createResponse();
+  await requireApiKey(handler, scope)(req, res, runtime);
+  return { handler, req, res };
+}
+
+describe('API key parsing', () => {
+  it('should parse named keys with scopes', () => {
+    const { keys, errors } = parseApiKeys(
+      'frontend:read:frontend-secret, ops:read+admin:ops:secret:with:colons\n# retired:admin:old'
+    );
+
+    expect(errors).toEqual([]);
+    expect(keys).toEqual([
+      { name: 'frontend', scopes: ['read'], key: 'frontend-secret' },
+      { name: 'ops', scopes: ['read', 'admin'], key: 'ops:secret:with:colons' },
+    ]);
+  });
+
+  it('should describe malformed entries', () => {
+    const { keys, errors } = parseApiKeys(
+      'broken, bad:write:long-enough-secret, short:read:abc, a:read:12345678, a:admin:87654321'
+    );
+
+    expect(keys.map((key) => key.name)).toEqual(['a']);
+    expect(errors).toEqual([
+      'broken must be written as name:scope:secret',
+      'bad has unknown scopes (use read, admin)',
+      'short secret must be at least 8 characters',
+      'a is defined more than once',
+    ]);
+  });
+
+  it('should fail config validation on malformed API_KEYS', () => {
+    expect(() => loadConfig({ API_KEYS: 'ops:root:long-enough-secret' })).toThrow(
+      ConfigValidationError
+    );
+  });
+
+  it('should accept named keys in place of API_KEY in production', () => {
+    expect(() =>
+      loadConfig({ NODE_ENV: 'production', API_KEYS: 'ops:admin:long-enough-secret' })
+    ).not.toThrow();
+  });
+
+  it('should let admin keys through every scope check', () => {
+    expect(hasScope({ scopes: ['admin'] }, 'read')).toBe(true);
+    expect(hasScope({ scopes: ['read'] }, 'admin')).toBe(false);
+  });
+
+  it('should find the matching key, whatever its length', () => {
+    const { keys } = parseApiKeys(
+      'frontend:read:frontend-secret,ops:admin:a-much-longer-ops-secret'
+    );
+
+    expect(findApiKey(keys, 'a-much-longer-ops-secret')?.name).toBe('ops');
+    expect(findApiKey(keys, 'frontend-secre')).toBeNull();
+    expect(findApiKey(keys, '')).toBeNull();
+  });
+});
+
+describe('API keys file', () => {
+  it('should pick up rotated keys when the file changes', () => {
+    const file = path.join(tmpDir, 'rotate.keys');
+    fs.writeFileSync(file, 'ops:admin:first-secret\n');
+    expect(readApiKeysFile(file, 0)[0].key).toBe('first-secret');
+
+    fs.writeFileSync(file, 'ops:admin:second-secret\n');
+    const future = new Date(Date.now() + 5_000);
+    fs.utimesSync(file, future, future);
+
+    // Checked at most once a second
+    expect(readApiKeysFile(file, 500)[0].key).toBe('first-secret');
+    expect(readApiKeysFile(file, 2_000)[0].key).toBe('second-secret');
+  });
+
+  it('should keep the last keys when the file disappears', () => {
+    const file = path.join(tmpDir, 'removed.keys');
+    fs.writeFileSync(file, 'ops:admin:kept-secret\n');
+    readApiKeysFile(file, 0);
+    fs.rmSync(file);
+
+    expect(readApiKeysFile(file, 2_000)[0].key).toBe('kept-secret');
+  });
+});
+
+describe('requireApiKey', () => {
+  it('should stay open when no keys are configured outside production', async () => {
+    loadConfig({});
+    const { handler } = await callWithKey('admin', undefined);
+
+    expect(handler).toHaveBeenCalled();
+  });
+
+  it('should refuse requests when keys are required but none can be loaded', async () => {
+    const file = path.join(tmpDir, 'empty.keys');
+    fs.writeFileSync(file, '# all keys revoked\n');
+    loadConfig({ REQUIRE_API_KEY: 'true', API_KEYS_FILE: file });
+
+    const { handler, res } = await callWithKey('read', 'anything');
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+
+  it('should treat the legacy API_KEY as an admin key', async () => {
+    loadConfig({});
+    const { handler, req } = await callWithKey('admin', 'legacy-secret', {
+      API_KEY: 'legacy-secret',
+    });
+
+    expect(handler).toHaveBeenCalled();
+    expect(req.apiKeyName).toBe('default');
+  });
+
+  it('should reject unknown keys and keys without the required scope', async () => {
+    loadConfig({ API_KEYS: 'frontend:read:frontend-secret' });
+
+    const unknown = await callWithKey('read', 'not-a-key');
+    expect(unknown.res.status).toHaveBeenCalledWith(401);
+
+    const readOnly = await callWithKey('admin', 'frontend-secret');
+    expect(readOnly.res.status).toHaveBeenCalledWith(403);
+    expect(readOnly.handler).not.toHaveBeenCalled();
+
+    const allowed = await callWithKey('read', 'frontend-secret');
+    expect(allowed.handler).toHaveBeenCalled();
+    expect(allowed.req.apiKeyName).toBe('frontend');
+  });
+
+  it('should prefer API_KEYS from the agent settings so keys rotate without a restart', () => {
+    loadConfig({ API_KEYS: 'ops:admin:env-secret-value' });
+    const runtime = createMockRuntime({
+      getSetting: mock((key: string) =>
+        key === 'API_KEYS' ? 'ops:admin:rotated-secret-value' : null
+      ),
+    });
+
+    expect(getApiKeys(runtime).map((key) => key.key)).toEqual(['rotated-secret-value']);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, expect, it, mock, spyOn, beforeAll } from 'bun:test';
+import { logger } from '@elizaos/core';
+import type { HandlerCallback } from '@elizaos/core';
+import plugin from '../plugin';
+import {
+  CAT_STATE_EVENT,
+  TRANSIENT_STATE_DURATION_MS,
+  inferCatState,
+  isCatAnimationState,
+  setCatStateAction,
+} from '../actions/cat-state';
+import { PurlSocketService } from '../services/purl-socket';
+import { createMockMessage, createMockRuntime, createMockState } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+function createSocketRuntime() {
+  const socket = { broadcast: mock() };
+  const runtime = createMockRuntime({
+    agentId: 'agent-id' as any,
+    getService: mock((type: string) => (type === PurlSocketService.serviceType ? socket : null)),
+  });
+  return { runtime, socket };
+}
+
+describe('SET_CAT_STATE action', () => {
+  it('should be registered in the plugin', () => {
+    expect(plugin.actions?.find((action) => action.name === 'SET_CAT_STATE')).toBeDefined();
+    expect(plugin.services).toContain(PurlSocketService);
+  });
+
+  it('should infer states from text', () => {
+    expect(inferCatState('crunching kibble now')).toBe('eating');
+    expect(inferCatState('going for a nap')).toBe('sleeping');
+    expect(inferCatState('so sleepy today')).toBe('sleepy');
+    expect(inferCatState('patrolling the hallway')).toBe('walking');
+    expect(inferCatState('pounce!')).toBe('jumping');
+    expect(inferCatState('i have an idea')).toBe('idea');
+    expect(inferCatState('no idea what that is')).toBe('confused');
+    expect(inferCatState('the weather is grey')).toBeNull();
+    expect(inferCatState('i hope the site lists a dozen shops')).toBeNull();
+    expect(inferCatState('what is the plan for this situation?')).toBeNull();
+    expect(inferCatState(undefined)).toBeNull();
+  });
+
+  it('should recognise valid animation states', () => {
+    expect(isCatAnimationState('love')).toBe(true);
+    expect(isCatAnimationState('flying')).toBe(false);
+    expect(isCatAnimationState(3)).toBe(false);
+  });
+
+  it('should only validate when the socket service is running', async () => {
+    const { runtime } = createSocketRuntime();
+    const message = createMockMessage('go eat');
+    expect(await setCatStateAction.validate(runtime, message, createMockState())).toBe(true);
+
+    const offline = createMockRuntime({ getService: mock(() => null) });
+    expect(await setCatStateAction.validate(offline, message, createMockState())).toBe(false);
+  });
+
+  it('should broadcast the state implied by the reply', async () => {
+    const { runtime, socket } = createSocketRuntime();
+    const message = createMockMessage('purl go eat something');
+    const reply = createMockMessage('fine. i love you a little.');
+
+    const result = await setCatStateAction.handler(
+      runtime,
+      message,
+      createMockState(),
+      {},
+      mock() as HandlerCallback,
+      [reply]
+    );
+
+    expect(result).toMatchObject({ success: true, values: { catState: 'love' } });
+    expect(socket.broadcast).toHaveBeenCalledTimes(1);
+    const [event, change, options] = socket.broadcast.mock.calls[0];
+    expect(event).toBe(CAT_STATE_EVENT);
+    expect(change).toMatchObject({
+      state: 'love',
+      kind: 'expression',
+      durationMs: TRANSIENT_STATE_DURATION_MS,
+      agentId: 'agent-id',
+    });
+    expect(options).toEqual({ retain: true });
+  });
+
+  it('should prefer an explicit state option', async () => {
+    const { runtime, socket } = createSocketRuntime();
+    const result = await setCatStateAction.handler(
+      runtime,
+      createMockMessage('anything'),
+      createMockState(),
+      { state: 'walking' },
+      mock() as HandlerCallback,
+      []
+    );
+
+    expect(result).toMatchObject({ success: true, values: { catState: 'walking' } });
+    expect(socket.broadcast.mock.calls[0][1]).toMatchObject({ kind: 'state', durationMs: 0 });
+  });
+
+  it('should fail without broadcasting when no state is implied', async () => {
+    const { runtime, socket } = createSocketRuntime();
+    const result = await setCatStateAction.handler(
+      runtime,
+      createMockMessage('tell me about the weather'),
+      createMockState(),
+      {},
+      mock() as HandlerCallback,
+      []
+    );
+
+    expect(result).toMatchObject({ success: false, values: { error: 'UNKNOWN_CAT_STATE' } });
+    expect(socket.broadcast).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,225 @@
+import { afterAll, beforeAll, describe, expect, it, spyOn } from 'bun:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { logger } from '@elizaos/core';
+import project, { character, localPlugins } from '../index';
+import plugin from '../plugin';
+import { CharacterReloadService, applyCharacter } from '../characters/hot-reload';
+import {
+  createProjectAgent,
+  getCharacterFile,
+  getDefaultCharacterPlugins,
+  loadCharacters,
+  loadProjectAgents,
+  readCharacterFile,
+} from '../characters/loader';
+import { CharacterValidationError, MAX_AVATAR_BYTES } from '../characters/schema';
+import { loadConfig, resetConfig } from '../config/env';
+import { createMockRuntime } from './test-utils';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purl-characters-'));
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'warn').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeCharacters(dir: string, files: Record<string, unknown>) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(
+      path.join(dir, name),
+      typeof content === 'string' ? content : JSON.stringify(content)
+    );
+  }
+  return dir;
+}
+
+describe('Character loader', () => {
+  it('should read character files in name order and skip broken ones', () => {
+    const dir = writeCharacters(path.join(tmpDir, 'read'), {
+      'b.yaml': 'name: Biscuit\nbio: sleeps\n',
+      'a.json': { name: 'Ash', bio: ['naps'] },
+      'broken.json': '{ not json',
+      'nameless.json': { bio: ['no name'] },
+      'plugins.json': { name: 'Bad', bio: 'x', plugins: [1] },
+      'notes.md': '# ignored',
+    });
+
+    expect(loadCharacters(dir).map((entry) => entry.character.name)).toEqual(['Ash', 'Biscuit']);
+    expect(loadCharacters(dir, [path.join(dir, 'a.json')]).map((entry) => entry.file)).toEqual([
+      path.join(dir, 'b.yaml'),
+    ]);
+    expect(logger.error).toHaveBeenCalledWith(
+      'Invalid character plugins.json: plugins.0 Expected string, received number; skipping plugins.json'
+    );
+    expect(loadCharacters(path.join(tmpDir, 'missing'))).toEqual([]);
+  });
+
+  it('should attach project plugins to the agent and keep packages on the character', () => {
+    const agent = createProjectAgent(
+      { name: 'Ash', plugins: ['@elizaos/plugin-sql', 'starter', '@elizaos/plugin-bootstrap'] },
+      localPlugins
+    );
+
+    expect(agent.plugins).toEqual([plugin]);
+    expect(agent.character.plugins).toEqual(['@elizaos/plugin-sql', '@elizaos/plugin-bootstrap']);
+  });
+
+  it('should give characters without plugins the core and model plugins only', () => {
+    const agent = createProjectAgent({ name: 'Ash', settings: { TEMPERATURE: '0.5' } }, {});
+
+    expect(agent.plugins).toEqual([]);
+    expect(agent.character.plugins).toEqual(getDefaultCharacterPlugins());
+    expect(agent.character.settings).toEqual({ TEMPERATURE: '0.5' });
+    expect(
+      getDefaultCharacterPlugins(
+        loadConfig({
+          OPENAI_API_KEY: 'sk-test',
+          DISCORD_API_TOKEN: 'token',
+          IGNORE_BOOTSTRAP: 'no',
+        })
+      )
+    ).toEqual(['@elizaos/plugin-sql', '@elizaos/plugin-openai', '@elizaos/plugin-bootstrap']);
+    expect(
+      getDefaultCharacterPlugins(
+        loadConfig({ DISCORD_API_TOKEN: 'token', IGNORE_BOOTSTRAP: '1' }),
+        {
+          platforms: true,
+        }
+      )
+    ).toEqual(['@elizaos/plugin-sql', '@elizaos/plugin-discord']);
+    resetConfig();
+  });
+
+  it('should skip characters whose name is already taken', () => {
+    const dir = writeCharacters(path.join(tmpDir, 'duplicates'), {
+      'a.json': { name: 'Purl', bio: 'x' },
+      'b.json': { name: 'Ash', bio: 'x' },
+      'c.json': { name: 'ash', bio: 'x' },
+    });
+
+    const agents = loadProjectAgents(dir, localPlugins, { existing: [character] });
+
+    expect(agents.map((agent) => agent.character.name)).toEqual(['Ash']);
+    expect(getCharacterFile('Ash')).toBe(path.join(dir, 'b.json'));
+    expect(getCharacterFile('Purl')).toBe(path.resolve('characters/purl.yaml'));
+  });
+});
+
+describe('Character validation', () => {
+  it('should load Purl from her YAML file and add plugins and server settings', () => {
+    expect(character.id).toBe('40608b6b-63b6-0e2c-b819-9d9850d060ec');
+    expect(character.bio.length).toBeGreaterThan(5);
+    expect(character.plugins).toContain('@elizaos/plugin-sql');
+    expect(character.settings?.TEMPERATURE).toBe('0.9');
+    expect(character.settings?.server).toBeDefined();
+  });
+
+  it('should report every problem in a character file at once', () => {
+    const dir = writeCharacters(path.join(tmpDir, 'invalid'), {
+      'cat.yaml': [
+        'bio: []',
+        'topics: [naps, Naps, boxes]',
+        'style:',
+        '  all: [short]',
+        '  chat: []',
+        'settings:',
+        `  avatar: data:image/png;base64,${'A'.repeat(MAX_AVATAR_BYTES)}`,
+      ].join('\n'),
+    });
+
+    let error: CharacterValidationError | undefined;
+    try {
+      readCharacterFile(path.join(dir, 'cat.yaml'));
+    } catch (caught) {
+      error = caught as CharacterValidationError;
+    }
+
+    expect(error).toBeInstanceOf(CharacterValidationError);
+    expect(error!.issues).toEqual([
+      'name Required',
+      'bio must list at least one entry',
+      'topics.1 repeats "Naps"; remove the duplicate',
+      'style.chat is empty; add at least one rule or remove the section',
+      'settings.avatar is a 64 KB data URL; use an image URL or shrink it below 64 KB',
+    ]);
+    expect(error!.message).toStartWith('Invalid character cat.yaml: name Required; ');
+  });
+
+  it('should report syntax errors with the file name', () => {
+    const dir = writeCharacters(path.join(tmpDir, 'syntax'), { 'cat.json': '{ "name": ' });
+
+    expect(() => readCharacterFile(path.join(dir, 'cat.json'))).toThrow(
+      /^Invalid character cat\.json: could not be parsed: /
+    );
+  });
+});
+
+describe('Character hot reload', () => {
+  it('should apply file fields and keep settings added in code', () => {
+    const running = {
+      name: 'Ash',
+      bio: ['old'],
+      topics: ['naps'],
+      settings: { TEMPERATURE: '0.5', server: { requireApiKey: true } },
+    } as any;
+
+    const changed = applyCharacter(running, {
+      name: 'Ash',
+      bio: ['new'],
+      settings: { TEMPERATURE: '0.7' },
+    });
+
+    expect(changed).toEqual(['bio', 'topics', 'settings']);
+    expect(running.bio).toEqual(['new']);
+    expect(running).not.toHaveProperty('topics');
+    expect(running.settings).toEqual({ TEMPERATURE: '0.7', server: { requireApiKey: true } });
+    expect(applyCharacter(running, { name: 'Ash', bio: ['new'] })).toEqual([]);
+  });
+
+  it('should reload the watched file into the runtime and ignore invalid edits', async () => {
+    const dir = writeCharacters(path.join(tmpDir, 'reload'), {
+      'ash.yaml': 'name: Ash\nbio: [naps]\nstyle:\n  chat: [short]\n',
+    });
+    const file = path.join(dir, 'ash.yaml');
+    const runtime = createMockRuntime({ character: { ...readCharacterFile(file) } as any });
+    const service = new CharacterReloadService(runtime);
+    service.watch(file);
+
+    try {
+      fs.writeFileSync(file, 'name: Ash\nbio: [zoomies]\nstyle:\n  chat: [short, sassy]\n');
+      expect(service.reload()).toEqual(['bio', 'style']);
+      expect(runtime.character.bio).toEqual(['zoomies']);
+
+      fs.writeFileSync(file, 'name: Ash\nbio: [zoomies]\nstyle:\n  chat: []\n');
+      expect(service.reload()).toBeNull();
+      expect(runtime.character.style?.chat).toEqual(['short', 'sassy']);
+    } finally {
+      await service.stop();
+    }
+  });
+});
+
+describe('Project agents', () => {
+  it('should run Purl first, followed by the cats in characters/', () => {
+    const names = project.agents.map((agent) => agent.character.name);
+
+    expect(names[0]).toBe('Purl');
+    expect(names).toContain('Mochi');
+    expect(project.agents[0].plugins).toContain(plugin);
+    expect(names.filter((name) => name === 'Purl')).toHaveLength(1);
+  });
+
+  it('should not start the Purl plugin for the bundled extra characters', () => {
+    for (const agent of project.agents.slice(1)) {
+      expect(agent.plugins).not.toContain(plugin);
+    }
+  });
+});
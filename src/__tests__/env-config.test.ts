@@ -0,0 +1,136 @@
+import { afterEach, beforeAll, describe, expect, it, spyOn } from 'bun:test';
+import { logger } from '@elizaos/core';
+import {
+  ConfigValidationError,
+  getConfig,
+  getConfigWarnings,
+  loadConfig,
+  resetConfig,
+} from '../config/env';
+
+beforeAll(() => {
+  spyOn(logger, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  resetConfig();
+});
+
+function loadError(env: Record<string, string>): ConfigValidationError {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ConfigValidationError);
+    return error as ConfigValidationError;
+  }
+  throw new Error('Expected configuration to be rejected');
+}
+
+describe('Runtime configuration schema', () => {
+  it('should apply development defaults to an empty environment', () => {
+    const config = loadConfig({});
+
+    expect(config.NODE_ENV).toBe('development');
+    expect(config.isProduction).toBe(false);
+    expect(config.PORT).toBe(3000);
+    expect(config.LOG_LEVEL).toBe('info');
+    expect(config.REQUIRE_API_KEY).toBe(false);
+    expect(config.RATE_LIMIT_ENABLED).toBe(false);
+    expect(config.API_RATE_LIMIT_REQUESTS).toBe(1000);
+    expect(config.ALLOWED_ORIGINS).toEqual([]);
+    expect(config.PURL_SOCKET_PORT).toBe(3001);
+    expect(config.CIRCUIT_BREAKER_THRESHOLD).toBe(10);
+    expect(config.CIRCUIT_BREAKER_TIMEOUT).toBe(300_000);
+  });
+
+  it('should derive stricter defaults in production', () => {
+    const config = loadConfig({ NODE_ENV: 'production', API_KEY: 'secret' });
+
+    expect(config.isProduction).toBe(true);
+    expect(config.LOG_LEVEL).toBe('warn');
+    expect(config.REQUIRE_API_KEY).toBe(true);
+    expect(config.RATE_LIMIT_ENABLED).toBe(true);
+    expect(config.API_RATE_LIMIT_REQUESTS).toBe(300);
+  });
+
+  it('should coerce numbers, booleans and origin lists', () => {
+    const config = loadConfig({
+      PORT: '8080',
+      PURL_TEST_MODEL: 'TRUE',
+      IGNORE_BOOTSTRAP: '1',
+      ALLOWED_ORIGINS: 'https://purl.example, http://localhost:5173',
+      PURL_THOUGHT_INTERVAL_MS: '45000',
+      CIRCUIT_BREAKER_THRESHOLD: '5',
+    });
+
+    expect(config.PORT).toBe(8080);
+    expect(config.PURL_TEST_MODEL).toBe(true);
+    expect(config.IGNORE_BOOTSTRAP).toBe(true);
+    expect(config.ALLOWED_ORIGINS).toEqual(['https://purl.example', 'http://localhost:5173']);
+    expect(config.PURL_THOUGHT_INTERVAL_MS).toBe(45000);
+    expect(config.CIRCUIT_BREAKER_THRESHOLD).toBe(5);
+  });
+
+  it('should treat blank values as unset', () => {
+    const config = loadConfig({ PORT: '', API_KEY: '  ', LOG_LEVEL: '' });
+
+    expect(config.PORT).toBe(3000);
+    expect(config.API_KEY).toBeUndefined();
+    expect(config.LOG_LEVEL).toBe('info');
+  });
+
+  it('should report every problem in a single error', () => {
+    const error = loadError({
+      PORT: 'abc',
+      PURL_TEST_MODEL: 'maybe',
+      ALLOWED_ORIGINS: 'not-a-url',
+      PURL_SOCKET_PORT: '70000',
+    });
+
+    expect(error.issues).toHaveLength(4);
+    expect(error.message).toStartWith('Invalid plugin configuration:');
+    expect(error.message).toContain('PORT must be a number');
+    expect(error.message).toContain('PURL_TEST_MODEL must be true or false');
+    expect(error.message).toContain('ALLOWED_ORIGINS.0 must be a comma-separated list');
+    expect(error.message).toContain('PURL_SOCKET_PORT must be at most 65535');
+  });
+
+  it('should require an API key in production or when REQUIRE_API_KEY is set', () => {
+    expect(loadError({ NODE_ENV: 'production' }).issues).toEqual([
+      'API_KEY or API_KEYS or API_KEYS_FILE is required when NODE_ENV is production or REQUIRE_API_KEY is true',
+    ]);
+    expect(loadError({ REQUIRE_API_KEY: 'true' }).issues[0]).toStartWith('API_KEY');
+    expect(() => loadConfig({ NODE_ENV: 'production', REQUIRE_API_KEY: 'false' })).not.toThrow();
+  });
+
+  it('should require the Twitter credentials together', () => {
+    const error = loadError({ TWITTER_API_KEY: 'key', TWITTER_API_SECRET_KEY: 'secret' });
+
+    expect(error.issues).toEqual([
+      'TWITTER_ACCESS_TOKEN is required because other Twitter credentials are set',
+      'TWITTER_ACCESS_TOKEN_SECRET is required because other Twitter credentials are set',
+    ]);
+  });
+
+  it('should refuse a socket port that clashes with the server port', () => {
+    const error = loadError({ PORT: '4000', PURL_SOCKET_PORT: '4000' });
+
+    expect(error.issues).toEqual(['PURL_SOCKET_PORT must differ from PORT (4000)']);
+  });
+
+  it('should warn about open CORS and missing model providers', () => {
+    const warnings = getConfigWarnings(loadConfig({ NODE_ENV: 'production', API_KEY: 'secret' }));
+
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toContain('ALLOWED_ORIGINS');
+    expect(getConfigWarnings(loadConfig({ PURL_TEST_MODEL: 'true' }))).toEqual([]);
+  });
+
+  it('should cache the loaded config for getConfig until reset', () => {
+    const loaded = loadConfig({ PORT: '4321' });
+    expect(getConfig()).toBe(loaded);
+
+    resetConfig();
+    expect(getConfig()).not.toBe(loaded);
+  });
+});
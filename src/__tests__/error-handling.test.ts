@@ -1,6 +1,6 @@
 import { describe, expect, it, beforeEach, afterEach, mock, spyOn } from 'bun:test';
 import plugin from '../plugin';
-import { StarterService } from '../plugin';
+import { PurlStateService } from '../plugin';
 import { logger } from '@elizaos/core';
 import type { IAgentRuntime, Memory, State } from '@elizaos/core';
 import { v4 as uuidv4 } from 'uuid';
@@ -85,14 +85,14 @@ describe('Error Handling', () => {
 
       let caughtError = null;
       try {
-        await StarterService.stop(mockRuntime);
+        await PurlStateService.stop(mockRuntime);
       } catch (error: any) {
         caughtError = error;
-        expect(error.message).toBe('Starter service not found');
+        expect(error.message).toBe('Purl state service not found');
       }
 
       expect(caughtError).not.toBeNull();
-      expect(mockRuntime.getService).toHaveBeenCalledWith('starter');
+      expect(mockRuntime.getService).toHaveBeenCalledWith('purl_state');
     });
 
     it('should handle service stop errors gracefully', async () => {
@@ -109,14 +109,14 @@ describe('Error Handling', () => {
       // The error should be propagated
       let caughtError = null;
       try {
-        await StarterService.stop(mockRuntime);
+        await PurlStateService.stop(mockRuntime);
       } catch (error: any) {
         caughtError = error;
         expect(error.message).toBe('Error stopping service');
       }
 
       expect(caughtError).not.toBeNull();
-      expect(mockRuntime.getService).toHaveBeenCalledWith('starter');
+      expect(mockRuntime.getService).toHaveBeenCalledWith('purl_state');
       expect(mockServiceWithError.stop).toHaveBeenCalled();
     });
   });
@@ -1,6 +1,5 @@
 import { describe, expect, it, beforeEach, mock } from 'bun:test';
 import plugin from '../plugin';
-import { logger } from '@elizaos/core';
 
 // Mock logger
 mock.module('@elizaos/core', () => {
@@ -14,6 +13,16 @@ mock.module('@elizaos/core', () => {
   };
 });
 
+// Runtime whose telemetry service records rows into `record`
+function createTelemetryRuntime() {
+  const record = mock();
+  const runtime: any = {
+    agentId: 'agent-id',
+    getService: mock((type: string) => (type === 'purl_telemetry' ? { record } : null)),
+  };
+  return { runtime, record };
+}
+
 describe('Plugin Events', () => {
   beforeEach(() => {
     mock.restore();
@@ -33,6 +42,7 @@ describe('Plugin Events', () => {
 
       const messageHandler = plugin.events.MESSAGE_RECEIVED[0];
       expect(typeof messageHandler).toBe('function');
+      const { runtime, record } = createTelemetryRuntime();
 
       // Use any type to bypass strict type checking for testing
       const mockParams: any = {
@@ -41,15 +51,16 @@ describe('Plugin Events', () => {
           content: { text: 'Hello!' },
         },
         source: 'test',
-        runtime: {},
+        runtime,
       };
 
       // Call the event handler
       await messageHandler(mockParams);
 
-      // Verify log was called
-      expect(logger.info).toHaveBeenCalledWith('MESSAGE_RECEIVED event received');
-      expect(logger.info).toHaveBeenCalledWith(expect.any(Array));
+      // Verify a telemetry row was recorded
+      expect(record).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'message_received', source: 'test' })
+      );
     }
   });
 
@@ -60,6 +71,7 @@ describe('Plugin Events', () => {
 
       const voiceHandler = plugin.events.VOICE_MESSAGE_RECEIVED[0];
       expect(typeof voiceHandler).toBe('function');
+      const { runtime, record } = createTelemetryRuntime();
 
       // Use any type to bypass strict type checking for testing
       const mockParams: any = {
@@ -68,15 +80,16 @@ describe('Plugin Events', () => {
           content: { text: 'Voice message!' },
         },
         source: 'test',
-        runtime: {},
+        runtime,
       };
 
       // Call the event handler
       await voiceHandler(mockParams);
 
-      // Verify log was called
-      expect(logger.info).toHaveBeenCalledWith('VOICE_MESSAGE_RECEIVED event received');
-      expect(logger.info).toHaveBeenCalledWith(expect.any(Array));
+      // Verify a telemetry row was recorded
+      expect(record).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'voice_message_received', source: 'test' })
+      );
     }
   });
 
@@ -87,6 +100,7 @@ describe('Plugin Events', () => {
 
       const connectedHandler = plugin.events.WORLD_CONNECTED[0];
       expect(typeof connectedHandler).toBe('function');
+      const { runtime, record } = createTelemetryRuntime();
 
       // Use any type to bypass strict type checking for testing
       const mockParams: any = {
@@ -97,15 +111,16 @@ describe('Plugin Events', () => {
         rooms: [],
         entities: [],
         source: 'test',
-        runtime: {},
+        runtime,
       };
 
       // Call the event handler
       await connectedHandler(mockParams);
 
-      // Verify log was called
-      expect(logger.info).toHaveBeenCalledWith('WORLD_CONNECTED event received');
-      expect(logger.info).toHaveBeenCalledWith(expect.any(Array));
+      // Verify a telemetry row was recorded
+      expect(record).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'world_connected', worldId: 'test-world-id' })
+      );
     }
   });
 
@@ -116,6 +131,7 @@ describe('Plugin Events', () => {
 
       const joinedHandler = plugin.events.WORLD_JOINED[0];
       expect(typeof joinedHandler).toBe('function');
+      const { runtime, record } = createTelemetryRuntime();
 
       // Use any type to bypass strict type checking for testing
       const mockParams: any = {
@@ -130,15 +146,47 @@ describe('Plugin Events', () => {
         rooms: [],
         entities: [],
         source: 'test',
-        runtime: {},
+        runtime,
       };
 
       // Call the event handler
       await joinedHandler(mockParams);
 
-      // Verify log was called
-      expect(logger.info).toHaveBeenCalledWith('WORLD_JOINED event received');
-      expect(logger.info).toHaveBeenCalledWith(expect.any(Array));
+      // Verify a telemetry row was recorded
+      expect(record).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'world_joined', entityId: 'test-entity-id' })
+      );
     }
   });
+
+  it('should handle RUN_ENDED event', async () => {
+    const runHandler = plugin.events?.RUN_ENDED?.[0];
+    expect(typeof runHandler).toBe('function');
+    const { runtime, record } = createTelemetryRuntime();
+
+    const mockParams: any = {
+      runtime,
+      runId: 'run-id',
+      roomId: 'room-id',
+      entityId: 'user-id',
+      startTime: 1_000,
+      endTime: 2_500,
+      duration: 1_500,
+      status: 'completed',
+      source: 'messageHandler',
+      responseContent: { actions: ['REPLY'] },
+      metadata: { source: 'client_chat' },
+    };
+    await runHandler!(mockParams);
+
+    expect(record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'run_ended',
+        source: 'client_chat',
+        latencyMs: 1_500,
+        actions: ['REPLY'],
+        status: 'completed',
+      })
+    );
+  });
 });
@@ -0,0 +1,381 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, mock } from 'bun:test';
+import { ElizaChatClient } from '../../frontend/services/chat/ElizaChatClient.js';
+import {
+  createDraftMessage,
+  createThinkingMessage,
+  mergeMessages,
+  normalizeMessage,
+} from '../../frontend/services/chat/messages.js';
+import { ChatOutbox, retryDelay } from '../../frontend/services/chat/outbox.js';
+import {
+  clearChatSession,
+  loadChatSession,
+  saveChatSession,
+} from '../../frontend/utils/chatSession.js';
+import { getConfig, resetConfig, updateConfig } from '../../frontend/utils/config.js';
+
+const AGENT_ID = 'agent-1';
+const USER_ID = 'user-1';
+
+/** localStorage as the browser has it, for the session helpers */
+const storage = new Map<string, string>();
+const localStorageStub = {
+  getItem: (key: string) => storage.get(key) ?? null,
+  setItem: (key: string, value: string) => storage.set(key, String(value)),
+  removeItem: (key: string) => storage.delete(key),
+};
+
+beforeAll(() => {
+  (globalThis as any).localStorage = localStorageStub;
+});
+
+afterAll(() => {
+  delete (globalThis as any).localStorage;
+});
+
+afterEach(() => {
+  storage.clear();
+  resetConfig();
+});
+
+describe('normalizeMessage', () => {
+  it('should read socket broadcasts, channel history and session messages alike', () => {
+    const socket = normalizeMessage(
+      { id: 'm1', senderId: AGENT_ID, text: 'meow', thought: 'hmm', createdAt: 1000 },
+      { agentId: AGENT_ID, source: 'socket' }
+    );
+    expect(socket).toMatchObject({ id: 'm1', content: 'meow', authorId: AGENT_ID, isAgent: true });
+    expect(socket.createdAt).toEqual(new Date(1000));
+    expect(socket.metadata).toMatchObject({ thought: 'hmm', realTime: true, source: 'socket' });
+
+    const history = normalizeMessage(
+      {
+        id: 'm2',
+        author_id: USER_ID,
+        content: 'hi',
+        created_at: '2024-01-01T00:00:00Z',
+        metadata: { clientMessageId: 'c1' },
+      },
+      { agentId: AGENT_ID, source: 'history' }
+    );
+    expect(history).toMatchObject({
+      content: 'hi',
+      authorId: USER_ID,
+      isAgent: false,
+      clientMessageId: 'c1',
+    });
+    expect(history.metadata.realTime).toBe(false);
+
+    const session = normalizeMessage(
+      { id: 'm3', authorId: AGENT_ID, content: 'purr', createdAt: 'not a date', action: 'IGNORE' },
+      { agentId: AGENT_ID, source: 'sessions' }
+    );
+    expect(session.metadata.agentAction).toBe('IGNORE');
+    expect(isNaN(session.createdAt.getTime())).toBe(false);
+  });
+
+  it('should return null for payloads without text or attachments', () => {
+    const options = { agentId: AGENT_ID, source: 'socket' };
+    expect(normalizeMessage(null, options)).toBeNull();
+    expect(normalizeMessage({ senderId: AGENT_ID, text: '' }, options)).toBeNull();
+    expect(normalizeMessage({ senderId: AGENT_ID, text: 42 }, options)).toBeNull();
+    expect(
+      normalizeMessage({ senderId: AGENT_ID, text: '', attachments: [{ url: 'x' }] }, options)
+    ).not.toBeNull();
+  });
+});
+
+describe('mergeMessages', () => {
+  const message = (id: string, createdAt: number, changes: Record<string, unknown> = {}) => ({
+    id,
+    content: id,
+    authorId: USER_ID,
+    isAgent: false,
+    createdAt: new Date(createdAt),
+    metadata: {},
+    ...changes,
+  });
+
+  it('should add new messages in time order and keep the list when nothing is new', () => {
+    const current = [message('a', 1000), message('c', 3000)];
+    const merged = mergeMessages(current, [message('b', 2000)]);
+    expect(merged.map((msg) => msg.id)).toEqual(['a', 'b', 'c']);
+    expect(mergeMessages(merged, [message('b', 2000)])).toBe(merged);
+  });
+
+  it('should recognise our own message echoed back with a server ID', () => {
+    const local = message('client-1', 1000, { content: 'hello' });
+    const echo = message('server-1', 500000, { content: 'hello', clientMessageId: 'client-1' });
+    const current = [local];
+    expect(mergeMessages(current, [echo])).toBe(current);
+  });
+
+  it('should replace the thinking placeholder and drafts with the agent reply', () => {
+    const draft = { ...createDraftMessage(AGENT_ID, 'run-1'), content: 'meow' };
+    const current = [message('a', 1000), createThinkingMessage(AGENT_ID), draft];
+    const reply = message('reply', Date.now(), {
+      content: 'meow',
+      authorId: AGENT_ID,
+      isAgent: true,
+    });
+    const merged = mergeMessages(current, [reply]);
+    expect(merged.map((msg) => msg.id)).toEqual(['a', 'reply']);
+  });
+});
+
+describe('retryDelay', () => {
+  it('should back off exponentially up to the maximum', () => {
+    const { EXPONENTIAL_BACKOFF_BASE, EXPONENTIAL_BACKOFF_MAX } = getConfig();
+    expect(retryDelay(1)).toBe(EXPONENTIAL_BACKOFF_BASE);
+    expect(retryDelay(2)).toBe(EXPONENTIAL_BACKOFF_BASE * 2);
+    expect(retryDelay(3)).toBe(EXPONENTIAL_BACKOFF_BASE * 4);
+    expect(retryDelay(50)).toBe(EXPONENTIAL_BACKOFF_MAX);
+  });
+
+  it('should wait out a longer Retry-After', () => {
+    updateConfig({ EXPONENTIAL_BACKOFF_BASE: 1000, EXPONENTIAL_BACKOFF_MAX: 8000 });
+    expect(retryDelay(1, 30)).toBe(30000);
+    expect(retryDelay(3, 1)).toBe(4000);
+  });
+});
+
+describe('chat outbox', () => {
+  const entry = (id: string, createdAt: number, changes: Record<string, unknown> = {}) => ({
+    id,
+    agentId: AGENT_ID,
+    userId: USER_ID,
+    content: `message ${id}`,
+    createdAt,
+    attempts: 0,
+    nextAttemptAt: 0,
+    status: 'queued',
+    lastError: null,
+    ...changes,
+  });
+
+  /** A client connected over a transport whose send and fetchSince are mocks */
+  function createClient(transport: Record<string, unknown> = {}) {
+    const client = new ElizaChatClient({ agentId: AGENT_ID, userId: USER_ID });
+    client.transport = {
+      send: mock(async () => {}),
+      fetchSince: mock(async () => []),
+      close: mock(),
+      ...transport,
+    };
+    client.state = { ...client.state, socketReady: true };
+    return client;
+  }
+
+  const httpError = (status: number, message = `HTTP ${status}`) =>
+    Object.assign(new Error(message), { status });
+
+  it("should list entries oldest first and clear only the visitor's own", async () => {
+    const outbox = new ChatOutbox();
+    await outbox.put(entry('b', 2000));
+    await outbox.put(entry('a', 1000));
+    await outbox.put(entry('other', 500, { userId: 'user-2' }));
+    expect((await outbox.list(AGENT_ID, USER_ID)).map((item) => item.id)).toEqual(['a', 'b']);
+
+    await outbox.clear(AGENT_ID, USER_ID);
+    expect(await outbox.list(AGENT_ID, USER_ID)).toEqual([]);
+    expect(await outbox.get('other')).not.toBeNull();
+  });
+
+  it('should remove a message once it is sent', async () => {
+    const client = createClient();
+    await client.outbox.put(entry('a', 1000));
+    await client.flush();
+    expect(client.transport.send).toHaveBeenCalledWith('message a', 'a');
+    expect(await client.outbox.get('a')).toBeNull();
+    client.disconnect();
+  });
+
+  it('should go from sending to retrying with a backoff when an attempt fails', async () => {
+    const client = createClient();
+    let sending;
+    client.transport.send = mock(async () => {
+      sending = await client.outbox.get('a');
+      throw httpError(503);
+    });
+    await client.outbox.put(entry('a', 1000));
+    const before = Date.now();
+    await client.flush();
+
+    expect(sending).toMatchObject({ status: 'sending', attempts: 1, owner: client.clientId });
+    const retrying = await client.outbox.get('a');
+    expect(retrying).toMatchObject({ status: 'retrying', attempts: 1, lastError: 'HTTP 503' });
+    expect(retrying.nextAttemptAt).toBeGreaterThanOrEqual(before + retryDelay(1));
+    client.disconnect();
+  });
+
+  it('should fail a message the server refuses or that ran out of attempts', async () => {
+    const client = createClient({
+      send: mock(async () => {
+        throw httpError(400, 'Bad request');
+      }),
+    });
+    await client.outbox.put(entry('a', 1000));
+    await client.flush();
+    expect(await client.outbox.get('a')).toMatchObject({
+      status: 'failed',
+      lastError: 'Bad request',
+    });
+
+    client.transport.send = mock(async () => {
+      throw httpError(503);
+    });
+    const attempts = getConfig().CHAT_OUTBOX_MAX_ATTEMPTS - 1;
+    await client.outbox.put(entry('b', 2000, { attempts, lastError: 'HTTP 503' }));
+    await client.flush();
+    expect(await client.outbox.get('b')).toMatchObject({
+      status: 'failed',
+      attempts: attempts + 1,
+    });
+    client.disconnect();
+  });
+
+  it('should not send again a message an earlier attempt delivered', async () => {
+    const client = createClient({
+      fetchSince: mock(async () => [{ id: 'server-a', clientMessageId: 'a', text: 'message a' }]),
+    });
+    await client.outbox.put(
+      entry('a', 1000, { status: 'retrying', attempts: 1, lastError: 'timeout' })
+    );
+    await client.flush();
+    expect(client.transport.send).not.toHaveBeenCalled();
+    expect(await client.outbox.get('a')).toBeNull();
+    client.disconnect();
+  });
+});
+
+describe('chat outbox across tabs', () => {
+  const entry = (changes: Record<string, unknown> = {}) => ({
+    id: 'a',
+    agentId: AGENT_ID,
+    userId: USER_ID,
+    content: 'message a',
+    createdAt: 1000,
+    attempts: 0,
+    nextAttemptAt: 0,
+    status: 'queued',
+    lastError: null,
+    ...changes,
+  });
+
+  function createClient(outbox: ChatOutbox, send = mock(async () => {})) {
+    const client = new ElizaChatClient({ agentId: AGENT_ID, userId: USER_ID });
+    client.outbox = outbox;
+    client.transport = { send, fetchSince: mock(async () => []), close: mock() };
+    client.state = { ...client.state, socketReady: true };
+    return client;
+  }
+
+  it('should let one owner at a time claim an entry', async () => {
+    const outbox = new ChatOutbox();
+    const now = 5000;
+    await outbox.put(entry());
+
+    const first = await outbox.claim('a', 'tab-1', now);
+    expect(first).toEqual({
+      entry: expect.objectContaining({ status: 'sending', attempts: 1, owner: 'tab-1' }),
+      claimed: true,
+    });
+    expect((await outbox.claim('a', 'tab-2', now + 1000)).claimed).toBe(false);
+
+    // A tab closed mid-send leaves its claim behind; it runs out
+    const timeout = getConfig().CHAT_OUTBOX_CLAIM_TIMEOUT;
+    const takeover = await outbox.claim('a', 'tab-2', now + timeout);
+    expect(takeover).toMatchObject({ entry: { owner: 'tab-2', attempts: 2 }, claimed: true });
+
+    await outbox.put(entry({ status: 'retrying', nextAttemptAt: now + 1 }));
+    expect((await outbox.claim('a', 'tab-1', now)).claimed).toBe(false);
+    await outbox.put(entry({ status: 'failed' }));
+    expect((await outbox.claim('a', 'tab-1', now)).claimed).toBe(false);
+    await outbox.remove('a');
+    expect(await outbox.claim('a', 'tab-1', now)).toEqual({ entry: null, claimed: false });
+  });
+
+  it('should send a message once when two tabs flush the same outbox', async () => {
+    const outbox = new ChatOutbox();
+    const send = mock(async () => {});
+    const tabs = [createClient(outbox, send), createClient(outbox, send)];
+    await outbox.put(entry());
+    await Promise.all(tabs.map((tab) => tab.flush()));
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(await outbox.get('a')).toBeNull();
+    tabs.forEach((tab) => tab.disconnect());
+  });
+
+  it('should leave a message another tab is sending until its claim runs out', async () => {
+    const outbox = new ChatOutbox();
+    const client = createClient(outbox);
+    await outbox.put(
+      entry({ status: 'sending', attempts: 1, owner: 'tab-2', claimedAt: Date.now() })
+    );
+    await client.flush();
+
+    expect(client.transport.send).not.toHaveBeenCalled();
+    expect(client.flushTimer).not.toBeNull();
+    client.disconnect();
+  });
+
+  it('should count a 404 as an attempt, so a vanishing chat does not reconnect forever', async () => {
+    const outbox = new ChatOutbox();
+    const notFound = mock(async () => {
+      throw Object.assign(new Error('Chat not found'), { status: 404 });
+    });
+    const client = createClient(outbox, notFound);
+    client.start = mock(async () => null);
+    await outbox.put(entry());
+    await client.flush();
+
+    expect(await outbox.get('a')).toMatchObject({ status: 'queued', attempts: 1 });
+    expect(client.start).toHaveBeenCalledTimes(1);
+
+    // Reconnected to a new chat, which is gone as well
+    const max = getConfig().CHAT_OUTBOX_MAX_ATTEMPTS;
+    client.transport = createClient(outbox, notFound).transport;
+    client.state = { ...client.state, socketReady: true };
+    await outbox.put(entry({ attempts: max - 1, lastError: 'Chat not found' }));
+    await client.flush();
+
+    expect(await outbox.get('a')).toMatchObject({ status: 'failed', attempts: max });
+    expect(client.start).toHaveBeenCalledTimes(1);
+    client.disconnect();
+  });
+});
+
+describe('chat session', () => {
+  it('should resume a recent session and expire an idle one', () => {
+    const now = 1_000_000_000;
+    saveChatSession(AGENT_ID, USER_ID, { transport: 'socket', channelId: 'channel-1' }, now);
+    const maxAge = getConfig().CHAT_SESSION_MAX_AGE;
+
+    expect(loadChatSession(AGENT_ID, USER_ID, now + maxAge)).toEqual({
+      session: {
+        transport: 'socket',
+        channelId: 'channel-1',
+        cursor: null,
+        lastActiveAt: now,
+      },
+      expired: false,
+    });
+
+    expect(loadChatSession(AGENT_ID, USER_ID, now + maxAge + 1)).toEqual({
+      session: null,
+      expired: true,
+    });
+    // The expired session is gone
+    expect(loadChatSession(AGENT_ID, USER_ID, now)).toEqual({ session: null, expired: false });
+  });
+
+  it('should ignore records without a chat and sessions that were cleared', () => {
+    storage.set(`purl_chat_session:${AGENT_ID}:${USER_ID}`, JSON.stringify({ cursor: 5 }));
+    expect(loadChatSession(AGENT_ID, USER_ID)).toEqual({ session: null, expired: false });
+
+    saveChatSession(AGENT_ID, USER_ID, { sessionId: 'session-1' });
+    clearChatSession(AGENT_ID, USER_ID);
+    expect(loadChatSession(AGENT_ID, USER_ID)).toEqual({ session: null, expired: false });
+  });
+});
@@ -0,0 +1,134 @@
+import { beforeAll, beforeEach, describe, expect, it, mock, spyOn } from 'bun:test';
+import { logger } from '@elizaos/core';
+import {
+  MODEL_PROBE_RETRY_MS,
+  checkModel,
+  getPackageVersion,
+  resetModelProbes,
+} from '../health/checks';
+import plugin from '../plugin';
+import { healthRoutes } from '../routes/health';
+import { PurlSocketService } from '../services/purl-socket';
+import packageJson from '../../package.json';
+import { createMockRuntime } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  resetModelProbes();
+});
+
+function createHealthRuntime(
+  options: { ready?: boolean; model?: boolean; listening?: boolean } = {}
+) {
+  const { ready = true, model = true, listening = true } = options;
+  const socket = {
+    getStatus: mock(() => ({ listening, port: 3001, clients: 2 })),
+  };
+  return createMockRuntime({
+    agentId: 'agent-id' as any,
+    plugins: [{ name: 'sql' }, { name: 'purl' }] as any,
+    isReady: mock(async () => ready),
+    getModel: mock(() => (model ? async () => 'ok' : undefined)) as any,
+    useModel: mock(async () => 'ok') as any,
+    getService: mock((type: string) =>
+      type === PurlSocketService.serviceType ? socket : null
+    ) as any,
+  });
+}
+
+async function call(routePath: string, runtime: any) {
+  const route = healthRoutes.find((r) => r.path === routePath)!;
+  const res: any = { headersSent: false };
+  res.status = mock(() => res);
+  res.json = mock(() => res);
+  await route.handler!({ query: {}, headers: {} }, res, runtime);
+  return res;
+}
+
+describe('Health routes', () => {
+  it('should be registered in the plugin without an API key', () => {
+    const paths = plugin.routes?.map((route) => route.path);
+    expect(paths).toContain('/health');
+    expect(paths).toContain('/health/ready');
+  });
+
+  it('should report liveness with the package version', async () => {
+    const res = await call('/health', createHealthRuntime({ ready: false }));
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      status: 'ok',
+      version: packageJson.version,
+    });
+    expect(getPackageVersion()).toBe(packageJson.version);
+  });
+
+  it('should report ready when every check passes', async () => {
+    const res = await call('/health/ready', createHealthRuntime());
+    expect(res.status).toHaveBeenCalledWith(200);
+    const body = res.json.mock.calls[0][0];
+    expect(body).toMatchObject({
+      status: 'ok',
+      agentId: 'agent-id',
+      plugins: ['sql', 'purl'],
+      checks: {
+        database: { status: 'ok' },
+        model: { status: 'ok' },
+        socket: { status: 'ok', port: 3001, clients: 2 },
+      },
+    });
+  });
+
+  it('should return 503 with the failing checks when degraded', async () => {
+    const res = await call(
+      '/health/ready',
+      createHealthRuntime({ ready: false, model: false, listening: false })
+    );
+    expect(res.status).toHaveBeenCalledWith(503);
+    const { status, checks } = res.json.mock.calls[0][0];
+    expect(status).toBe('degraded');
+    expect(checks.database).toMatchObject({
+      status: 'fail',
+      error: 'Database adapter is not ready',
+    });
+    expect(checks.model.status).toBe('fail');
+    expect(checks.socket.error).toContain('not listening on port 3001');
+  });
+});
+
+describe('Model check', () => {
+  it('should probe the model at most once per interval', async () => {
+    const runtime = createHealthRuntime();
+    await checkModel(runtime, 1_000);
+    const cached = await checkModel(runtime, 2_000);
+    expect(runtime.useModel).toHaveBeenCalledTimes(1);
+    expect(cached).toMatchObject({ status: 'ok', probedAt: new Date(1_000).toISOString() });
+
+    (runtime.useModel as any).mockImplementation(async () => {
+      throw new Error('quota exceeded');
+    });
+    const failed = await checkModel(runtime, 1_000 + 300_000);
+    expect(failed).toMatchObject({ status: 'fail', error: 'quota exceeded' });
+  });
+
+  it('should retry a failed probe soon and share a probe that is running', async () => {
+    const runtime = createHealthRuntime();
+    (runtime.useModel as any).mockImplementationOnce(async () => {
+      throw new Error('connection reset');
+    });
+    expect(await checkModel(runtime, 1_000)).toMatchObject({ status: 'fail' });
+    expect(await checkModel(runtime, 1_000 + MODEL_PROBE_RETRY_MS - 1)).toMatchObject({
+      status: 'fail',
+    });
+
+    const checks = await Promise.all([
+      checkModel(runtime, 1_000 + MODEL_PROBE_RETRY_MS),
+      checkModel(runtime, 1_000 + MODEL_PROBE_RETRY_MS),
+    ]);
+    expect(checks.map((check) => check.status)).toEqual(['ok', 'ok']);
+    expect(runtime.useModel).toHaveBeenCalledTimes(2);
+  });
+});
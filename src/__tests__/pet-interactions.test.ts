@@ -0,0 +1,164 @@
+import { describe, expect, it, mock, spyOn, beforeAll } from 'bun:test';
+import { logger } from '@elizaos/core';
+import type { HandlerCallback } from '@elizaos/core';
+import plugin from '../plugin';
+import { CAT_STATE_EVENT } from '../actions/cat-state';
+import {
+  feedAction,
+  getNeedsDelta,
+  petAction,
+  playAction,
+  putToSleepAction,
+} from '../actions/pet-interactions';
+import { PurlSocketService } from '../services/purl-socket';
+import { PurlStateService } from '../services/purl-state';
+import { createMockMessage, createMockRuntime, createMockState } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'warn').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+function createPetRuntime(initialNeeds: Record<string, number> = {}) {
+  const cache = new Map<string, unknown>();
+  const socket = { broadcast: mock() };
+  const runtime = createMockRuntime({
+    agentId: 'agent-id' as any,
+    getCache: mock(async (key: string) => cache.get(key)),
+    setCache: mock(async (key: string, value: unknown) => {
+      cache.set(key, value);
+      return true;
+    }),
+  });
+  const purlState = new PurlStateService(runtime);
+  runtime.getService = mock((type: string) => {
+    if (type === PurlStateService.serviceType) return purlState;
+    if (type === PurlSocketService.serviceType) return socket;
+    return null;
+  }) as any;
+  return { runtime, socket, purlState, ready: purlState.update(initialNeeds) };
+}
+
+describe('Pet interaction actions', () => {
+  it('should be registered in the plugin', () => {
+    const names = plugin.actions?.map((action) => action.name);
+    expect(names).toEqual(expect.arrayContaining(['FEED', 'PLAY', 'PET', 'PUT_TO_SLEEP']));
+  });
+
+  it('should have examples that reference the action', () => {
+    for (const action of [feedAction, playAction, petAction, putToSleepAction]) {
+      expect(action.examples?.length).toBeGreaterThan(0);
+      for (const [, reply] of action.examples!) {
+        expect(reply.content.actions).toContain(action.name);
+      }
+    }
+  });
+
+  it('should only validate when the message asks for the interaction', async () => {
+    const { runtime } = createPetRuntime();
+    const state = createMockState();
+
+    expect(await feedAction.validate(runtime, createMockMessage('have some tuna'), state)).toBe(
+      true
+    );
+    expect(await feedAction.validate(runtime, createMockMessage('nice weather'), state)).toBe(
+      false
+    );
+    expect(
+      await putToSleepAction.validate(runtime, createMockMessage('time for a nap'), state)
+    ).toBe(true);
+
+    const offline = createMockRuntime({ getService: mock(() => null) });
+    expect(await feedAction.validate(offline, createMockMessage('have some tuna'), state)).toBe(
+      false
+    );
+  });
+
+  it('should feed Purl, reply in character and return the delta', async () => {
+    const { runtime, socket, purlState, ready } = createPetRuntime({ hunger: 40 });
+    await ready;
+    const callback = mock();
+
+    const result = await feedAction.handler(
+      runtime,
+      createMockMessage('here, have some tuna'),
+      createMockState(),
+      {},
+      callback as HandlerCallback,
+      []
+    );
+
+    expect(result).toMatchObject({ success: true, values: { interaction: 'feed' } });
+    expect(result?.data?.delta.hunger).toBeCloseTo(-35, 0);
+    expect(result?.data?.delta.affection).toBeCloseTo(5, 0);
+    expect(purlState.getState().hunger).toBeLessThan(40);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0][0]).toMatchObject({ actions: ['FEED'] });
+
+    const catStateCall = socket.broadcast.mock.calls.find(([event]) => event === CAT_STATE_EVENT);
+    expect(catStateCall?.[1]).toMatchObject({ state: 'eating' });
+  });
+
+  it('should not feed Purl twice when the chat keywords already did', async () => {
+    const { runtime, purlState, ready } = createPetRuntime({ hunger: 60 });
+    await ready;
+    const message = createMockMessage('here, have some tuna', { id: 'message-1' as any });
+    await purlState.recordMessage(message.content.text, message.id);
+    const hunger = purlState.getState().hunger;
+
+    const result = await feedAction.handler(
+      runtime,
+      message,
+      createMockState(),
+      {},
+      mock() as HandlerCallback,
+      []
+    );
+
+    expect(result?.data?.delta.hunger).toBeCloseTo(-35, 0);
+    expect(purlState.getState().hunger).toBe(hunger);
+  });
+
+  it('should restore energy when Purl is put to sleep', async () => {
+    const { runtime, ready } = createPetRuntime({ energy: -60 });
+    await ready;
+
+    const result = await putToSleepAction.handler(
+      runtime,
+      createMockMessage('bedtime'),
+      createMockState(),
+      {},
+      mock() as HandlerCallback,
+      []
+    );
+
+    expect(result?.data?.delta.energy).toBeCloseTo(45, 0);
+    expect(result?.data?.after.energy).toBeGreaterThan(result?.data?.before.energy);
+  });
+
+  it('should return an error result when the state service is missing', async () => {
+    const runtime = createMockRuntime({ getService: mock(() => null) });
+
+    const result = await petAction.handler(
+      runtime,
+      createMockMessage('*pets you*'),
+      createMockState(),
+      {},
+      mock() as HandlerCallback,
+      []
+    );
+
+    expect(result).toMatchObject({ success: false, values: { error: 'PET_FAILED' } });
+  });
+
+  it('should compute per-need deltas', () => {
+    expect(
+      getNeedsDelta(
+        { hunger: 50, energy: 50, curiosity: 50, affection: 50 },
+        { hunger: 15.04, energy: 50, curiosity: 60, affection: 55 }
+      )
+    ).toEqual({ hunger: -35, energy: 0, curiosity: 10, affection: 5 });
+  });
+});
@@ -1,7 +1,7 @@
 import { describe, expect, it, spyOn, beforeEach, afterEach, beforeAll, afterAll } from 'bun:test';
 import plugin from '../plugin';
 import { ModelType, logger } from '@elizaos/core';
-import { StarterService } from '../plugin';
+import { PurlStateService } from '../plugin';
 import dotenv from 'dotenv';
 
 // Setup environment variables
@@ -57,11 +57,12 @@ function documentTestResult(testName: string, result: any, error: Error | null =
 // Create a real runtime for testing
 function createRealRuntime() {
   const services = new Map();
+  const cache = new Map();
 
   // Create a real service instance if needed
   const createService = (serviceType: string) => {
-    if (serviceType === StarterService.serviceType) {
-      return new StarterService({
+    if (serviceType === PurlStateService.serviceType) {
+      return new PurlStateService({
         character: {
           name: 'Test Character',
           system: 'You are a helpful assistant for testing.',
@@ -79,6 +80,11 @@ function createRealRuntime() {
       settings: {},
     },
     getSetting: (key: string) => null,
+    getCache: async (key: string) => cache.get(key),
+    setCache: async (key: string, value: any) => {
+      cache.set(key, value);
+      return true;
+    },
     models: plugin.models,
     db: {
       get: async (key: string) => null,
@@ -239,7 +245,7 @@ describe('Plugin Models', () => {
   });
 });
 
-describe('StarterService', () => {
+describe('PurlStateService', () => {
   it('should start the service', async () => {
     const runtime = createRealRuntime();
     let startResult;
@@ -247,10 +253,10 @@ describe('StarterService', () => {
 
     try {
       logger.info('Using OpenAI for TEXT_SMALL model');
-      startResult = await StarterService.start(runtime as any);
+      startResult = await PurlStateService.start(runtime as any);
 
       expect(startResult).toBeDefined();
-      expect(startResult.constructor.name).toBe('StarterService');
+      expect(startResult.constructor.name).toBe('PurlStateService');
 
       // Test real functionality - check stop method is available
       expect(typeof startResult.stop).toBe('function');
@@ -260,7 +266,7 @@ describe('StarterService', () => {
     }
 
     documentTestResult(
-      'StarterService start',
+      'PurlStateService start',
       {
         success: !!startResult,
         serviceType: startResult?.constructor.name,
@@ -273,14 +279,14 @@ describe('StarterService', () => {
     const runtime = createRealRuntime();
 
     // First registration should succeed
-    const result1 = await StarterService.start(runtime as any);
+    const result1 = await PurlStateService.start(runtime as any);
     expect(result1).toBeTruthy();
 
     let startupError: Error | null = null;
 
     try {
       // Second registration should fail
-      await StarterService.start(runtime as any);
+      await PurlStateService.start(runtime as any);
       expect(true).toBe(false); // Should not reach here
     } catch (e) {
       startupError = e as Error;
@@ -288,7 +294,7 @@ describe('StarterService', () => {
     }
 
     documentTestResult(
-      'StarterService double start',
+      'PurlStateService double start',
       {
         errorThrown: !!startupError,
         errorMessage: startupError?.message || 'No error message',
@@ -303,14 +309,14 @@ describe('StarterService', () => {
 
     try {
       // Register a real service first
-      const service = new StarterService(runtime as any);
-      runtime.registerService(StarterService.serviceType, service);
+      const service = new PurlStateService(runtime as any);
+      runtime.registerService(PurlStateService.serviceType, service);
 
       // Spy on the real service's stop method
       const stopSpy = spyOn(service, 'stop');
 
       // Call the static stop method
-      await StarterService.stop(runtime as any);
+      await PurlStateService.stop(runtime as any);
 
       // Verify the service's stop method was called
       expect(stopSpy).toHaveBeenCalled();
@@ -320,7 +326,7 @@ describe('StarterService', () => {
     }
 
     documentTestResult(
-      'StarterService stop',
+      'PurlStateService stop',
       {
         success: !error,
       },
@@ -339,7 +345,7 @@ describe('StarterService', () => {
       const originalGetService = runtime.getService;
       runtime.getService = () => null;
 
-      await StarterService.stop(runtime as any);
+      await PurlStateService.stop(runtime as any);
       // Should not reach here
       expect(true).toBe(false);
     } catch (e) {
@@ -347,12 +353,12 @@ describe('StarterService', () => {
       // This is expected - verify it's the right error
       expect(error).toBeTruthy();
       if (error instanceof Error) {
-        expect(error.message).toContain('Starter service not found');
+        expect(error.message).toContain('Purl state service not found');
       }
     }
 
     documentTestResult(
-      'StarterService non-existent stop',
+      'PurlStateService non-existent stop',
       {
         errorThrown: !!error,
         errorMessage: error?.message || 'No error message',
@@ -365,7 +371,7 @@ describe('StarterService', () => {
     const runtime = createRealRuntime();
 
     // First start the service
-    const startResult = await StarterService.start(runtime as any);
+    const startResult = await PurlStateService.start(runtime as any);
     expect(startResult).toBeTruthy();
 
     let stopError: Error | unknown = null;
@@ -373,7 +379,7 @@ describe('StarterService', () => {
 
     try {
       // Then stop it
-      await StarterService.stop(runtime as any);
+      await PurlStateService.stop(runtime as any);
       stopSuccess = true;
     } catch (e) {
       stopError = e;
@@ -381,7 +387,7 @@ describe('StarterService', () => {
     }
 
     documentTestResult(
-      'StarterService stop',
+      'PurlStateService stop',
       {
         success: stopSuccess,
         errorThrown: !!stopError,
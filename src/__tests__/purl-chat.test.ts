@@ -0,0 +1,211 @@
+import { beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import { createUniqueUuid, logger } from '@elizaos/core';
+import plugin from '../plugin';
+import { purlChatRoutes, readReplies } from '../routes/purl-chat';
+import { MESSAGE_BUS_SERVICE, PurlSocketService } from '../services/purl-socket';
+import { createMockRuntime } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+const CHANNEL_ID = '4f2c1a7e-9b3d-4e8f-a1c2-5d6e7f8a9b0c';
+const VISITOR_ID = '8d1e2f3a-4b5c-4d6e-8f7a-9b0c1d2e3f4a';
+const STRANGER_ID = '0a1b2c3d-4e5f-4a6b-8c7d-8e9f0a1b2c3d';
+
+const route = (path: string) => purlChatRoutes.find((r) => r.path === path)!;
+
+function createChatRuntime() {
+  const agentId = '11111111-1111-4111-8111-111111111111';
+  const memories = [
+    { id: 'reply-2', entityId: agentId, createdAt: 3_000, content: { text: 'second' } },
+    { id: 'user-1', entityId: 'user-id', createdAt: 2_500, content: { text: 'hi' } },
+    {
+      id: 'reply-1',
+      entityId: agentId,
+      createdAt: 2_000,
+      content: { text: 'first', thought: 'be nice', actions: ['REPLY'] },
+    },
+    { id: 'reply-0', entityId: agentId, createdAt: 1_000, content: { text: 'old' } },
+    { id: 'empty', entityId: agentId, createdAt: 2_200, content: { text: '' } },
+  ];
+  // Newest first and at most `count`, like the SQL adapter
+  const getMemories = mock(async (params: any) =>
+    memories
+      .filter(
+        (memory) =>
+          (!params.entityId || memory.entityId === params.entityId) &&
+          memory.createdAt >= (params.start ?? 0) &&
+          memory.createdAt <= (params.end ?? Infinity)
+      )
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, params.count)
+  );
+  const bus = { getChannelParticipants: mock(async (_channelId: string) => [VISITOR_ID]) };
+  const cache = new Map<string, unknown>();
+  const runtime = createMockRuntime({
+    agentId: agentId as any,
+    getSetting: mock((key: string) => (key === 'API_KEY' ? 'secret' : null)),
+    getMemories: getMemories as any,
+    getCache: mock(async (key: string) => cache.get(key)),
+    setCache: mock(async (key: string, value: unknown) => {
+      cache.set(key, value);
+      return true;
+    }),
+  });
+  // Not listening: the routes only use its chat tokens
+  const socket = new PurlSocketService(runtime);
+  runtime.getService = mock((type: string) => {
+    if (type === MESSAGE_BUS_SERVICE) return bus;
+    if (type === PurlSocketService.serviceType) return socket;
+    return null;
+  }) as any;
+  return { runtime, memories, bus, socket, cache };
+}
+
+/** Asks for the chat token the way a page does after creating the channel */
+async function requestToken(runtime: any, entityId = VISITOR_ID) {
+  const res = createResponse();
+  await route('/purl/chat/token').handler!(
+    { headers: { 'x-api-key': 'secret' }, body: { channelId: CHANNEL_ID, entityId } },
+    res,
+    runtime
+  );
+  return res;
+}
+
+function createResponse() {
+  const res: any = { headersSent: false, writeHead: mock(), write: mock() };
+  res.status = mock(() => res);
+  res.json = mock(() => res);
+  return res;
+}
+
+describe('purl chat events', () => {
+  it('should be registered in the plugin', () => {
+    const paths = plugin.routes?.map((r) => r.path);
+    expect(paths).toContain('/purl/chat/events');
+    expect(paths).toContain('/purl/chat/token');
+  });
+
+  it('should read the agent replies after the cursor, oldest first', async () => {
+    const { runtime } = createChatRuntime();
+    const replies = await readReplies(runtime, CHANNEL_ID, 1_500);
+
+    expect(runtime.getMemories).toHaveBeenCalledWith(
+      expect.objectContaining({
+        tableName: 'messages',
+        roomId: createUniqueUuid(runtime, CHANNEL_ID),
+        start: 1_501,
+      })
+    );
+    expect(replies.map((reply) => reply.id)).toEqual(['reply-1', 'reply-2']);
+    expect(replies[0]).toMatchObject({
+      channelId: CHANNEL_ID,
+      content: 'first',
+      created_at: 2_000,
+      metadata: { thought: 'be nice', actions: ['REPLY'] },
+    });
+  });
+
+  it('should read every reply when more arrived than fit in a page', async () => {
+    const { runtime, memories } = createChatRuntime();
+    for (let i = 0; i < 45; i++) {
+      memories.push({
+        id: `burst-${i}`,
+        entityId: runtime.agentId,
+        createdAt: 5_000 + Math.floor(i / 2),
+        content: { text: `reply ${i}` },
+      });
+    }
+    const replies = await readReplies(runtime, CHANNEL_ID, 4_000);
+
+    expect(replies).toHaveLength(45);
+    expect(replies[0].created_at).toBe(5_000);
+    expect(new Set(replies.map((reply) => reply.id)).size).toBe(45);
+  });
+
+  it('should stream replies from the Last-Event-ID and stop when the client leaves', async () => {
+    const { runtime } = createChatRuntime();
+    const { token } = (await requestToken(runtime)).json.mock.calls[0][0].data;
+    const listeners: Record<string, () => void> = {};
+    const res = createResponse();
+    const req = {
+      headers: { 'x-api-key': 'secret', 'last-event-id': '2000', 'x-purl-chat-token': token },
+      query: { channelId: CHANNEL_ID, entityId: VISITOR_ID, after: '0' },
+      on: (event: string, listener: () => void) => (listeners[event] = listener),
+    };
+
+    await route('/purl/chat/events').handler!(req, res, runtime);
+    listeners.close();
+
+    expect(res.writeHead.mock.calls[0][1]['Content-Type']).toBe('text/event-stream');
+    const events = res.write.mock.calls
+      .map((call: any[]) => call[0])
+      .filter((chunk: string) => chunk.startsWith('id:'));
+    expect(events).toHaveLength(1);
+    expect(events[0]).toStartWith('id: 3000\nevent: message\ndata: ');
+    expect(JSON.parse(events[0].split('data: ')[1]).content).toBe('second');
+  });
+
+  it('should refuse a channel that is not a UUID', async () => {
+    const { runtime } = createChatRuntime();
+    const res = createResponse();
+
+    await route('/purl/chat/events').handler!(
+      { headers: { 'x-api-key': 'secret' }, query: { channelId: 'general', entityId: VISITOR_ID } },
+      res,
+      runtime
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_CHANNEL');
+  });
+
+  it('should issue one chat token per channel, to a participant', async () => {
+    const { runtime, bus, cache } = createChatRuntime();
+
+    const stranger = await requestToken(runtime, STRANGER_ID);
+    expect(bus.getChannelParticipants).toHaveBeenCalledWith(CHANNEL_ID);
+    expect(stranger.status).toHaveBeenCalledWith(403);
+    expect(stranger.json.mock.calls[0][0].error.code).toBe('NOT_A_PARTICIPANT');
+
+    const { token } = (await requestToken(runtime)).json.mock.calls[0][0].data;
+    expect(token).toEqual(expect.any(String));
+    // Only its hash is kept
+    expect(JSON.stringify(cache.get(`purl-chat-tokens:${runtime.agentId}`))).not.toContain(token);
+
+    const again = await requestToken(runtime);
+    expect(again.status).toHaveBeenCalledWith(409);
+    expect(again.json.mock.calls[0][0].error.code).toBe('CHAT_TOKEN_ISSUED');
+  });
+
+  it('should only stream a chat to the visitor holding its token', async () => {
+    const { runtime, bus } = createChatRuntime();
+    const { token } = (await requestToken(runtime)).json.mock.calls[0][0].data;
+    const follow = async (entityId: string, chatToken: string) => {
+      const res = createResponse();
+      await route('/purl/chat/events').handler!(
+        {
+          headers: { 'x-api-key': 'secret', 'x-purl-chat-token': chatToken },
+          query: { channelId: CHANNEL_ID, entityId },
+        },
+        res,
+        runtime
+      );
+      return res;
+    };
+
+    // A participant's ID is not enough without the token
+    for (const res of [await follow(VISITOR_ID, 'guessed'), await follow(STRANGER_ID, token)]) {
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('CHAT_FORBIDDEN');
+      expect(res.writeHead).not.toHaveBeenCalled();
+    }
+    expect(runtime.getMemories).not.toHaveBeenCalled();
+
+    // Nor is the token once the visitor left the channel
+    bus.getChannelParticipants.mockImplementation(async () => []);
+    expect((await follow(VISITOR_ID, token)).status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,257 @@
+import { afterAll, beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { MemoryType, logger } from '@elizaos/core';
+import plugin from '../plugin';
+import { Bm25Index, tokenize } from '../knowledge/bm25';
+import { chunkDocument, cleanText, extractText, findKnowledgeFiles } from '../knowledge/documents';
+import { purlJournalProvider } from '../providers/purl-journal';
+import { KNOWLEDGE_TABLE, PurlKnowledgeService } from '../services/purl-knowledge';
+import { createMockMessage, createMockRuntime, createMockState } from './test-utils';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purl-knowledge-'));
+
+const JOURNAL = `### Arc 1: Kitten Capers
+**Theme**: Purl explores her new home.
+🐾 **December 10, 2024**
+*Purl's Thoughts: Big soft mountain! Must climb!*
+Purl tackled a blanket, *Soft mountain,
+mine!* and napped on the windowsill.
+🐾 **December 11, 2024**
+*Purl's Thoughts: Shiny jingle moves! Must catch!*
+A jingle ball rolled under the sofa and Purl chased it until bedtime.
+🐾 **December 12, 2024**
+The vet visit was a betrayal. The carrier is a trap and the vet smells of other cats.
+`;
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'warn').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function createKnowledgeRuntime() {
+  const cache = new Map<string, unknown>();
+  const memories = new Map<string, any>();
+  const runtime = createMockRuntime({
+    agentId: '00000000-0000-0000-0000-000000000001' as any,
+    getCache: mock(async (key: string) => cache.get(key)),
+    setCache: mock(async (key: string, value: unknown) => {
+      cache.set(key, value);
+      return true;
+    }),
+    getModel: mock(() => undefined),
+    getMemoryById: mock(async (id: string) => memories.get(id) ?? null),
+    getMemoriesByIds: mock(async (ids: string[]) =>
+      ids.map((id) => memories.get(id)).filter(Boolean)
+    ),
+    createMemory: mock(async (memory: any, tableName: string) => {
+      memories.set(memory.id, { ...memory, tableName });
+      return memory.id;
+    }),
+    deleteManyMemories: mock(async (ids: string[]) => {
+      for (const id of ids) memories.delete(id);
+    }),
+  });
+  const service = new PurlKnowledgeService(runtime);
+  runtime.getService = mock((type: string) =>
+    type === PurlKnowledgeService.serviceType ? service : null
+  ) as any;
+  return { runtime, service, memories };
+}
+
+function writeJournal(dir: string, content = JOURNAL) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'journal.md'), content);
+}
+
+describe('Knowledge documents', () => {
+  it('should find PDF and markdown files', () => {
+    const dir = path.join(tmpDir, 'find');
+    fs.mkdirSync(path.join(dir, 'nested'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'a.md'), '# A');
+    fs.writeFileSync(path.join(dir, 'nested', 'b.pdf'), '');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'skip');
+
+    expect(findKnowledgeFiles(dir).map((file) => path.relative(dir, file))).toEqual([
+      'a.md',
+      path.join('nested', 'b.pdf'),
+    ]);
+    expect(findKnowledgeFiles(path.join(tmpDir, 'missing'))).toEqual([]);
+  });
+
+  it('should strip emojis and markdown emphasis', () => {
+    expect(cleanText('🐾 **December 10** *Soft mountain!*')).toBe('December 10 Soft mountain!');
+  });
+
+  it('should split a journal into one passage per entry', () => {
+    const chunks = chunkDocument(JOURNAL);
+
+    expect(chunks.map((chunk) => chunk.title)).toEqual([
+      'Arc 1: Kitten Capers',
+      'December 10, 2024',
+      'December 11, 2024',
+      'December 12, 2024',
+    ]);
+    expect(chunks[1].text).toContain('Soft mountain, mine!');
+    expect(chunks.map((chunk) => chunk.position)).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should split long entries at sentence boundaries', () => {
+    const entry = `## Long day\n${'Purl chased the red dot again. '.repeat(40)}`;
+    const chunks = chunkDocument(entry, 200);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every((chunk) => chunk.text.length <= 200)).toBe(true);
+    expect(chunks.every((chunk) => chunk.title === 'Long day')).toBe(true);
+  });
+
+  it('should extract the text of the journal PDF', async () => {
+    const text = await extractText(path.resolve('docs/8_month_cat_journal.pdf'));
+
+    expect(text).toContain('December 10, 2024');
+    expect(chunkDocument(text).length).toBeGreaterThan(100);
+  }, 30_000);
+});
+
+describe('BM25 ranking', () => {
+  it('should drop stopwords and stem simple suffixes', () => {
+    expect(tokenize('The kittens were napping on the beds')).toEqual(['kitten', 'nap', 'bed']);
+  });
+
+  it('should rank the passage sharing rare terms first', () => {
+    const index = new Bm25Index(chunkDocument(JOURNAL), (chunk) => chunk.text);
+
+    expect(index.search('do you remember the jingle ball?')[0].item.title).toBe(
+      'December 11, 2024'
+    );
+    expect(index.search('what about the vet?')[0].item.title).toBe('December 12, 2024');
+    expect(index.search('hi there')).toEqual([]);
+  });
+});
+
+describe('PurlKnowledgeService', () => {
+  it('should be registered with the plugin', () => {
+    expect(plugin.services).toContain(PurlKnowledgeService);
+    expect(plugin.providers).toContain(purlJournalProvider);
+  });
+
+  it('should store passages as knowledge fragments', async () => {
+    const dir = path.join(tmpDir, 'ingest');
+    writeJournal(dir);
+    const { service, memories } = createKnowledgeRuntime();
+
+    const summary = await service.ingest(dir);
+
+    expect(summary).toEqual({ files: 1, passages: 4, stored: 4 });
+    const fragments = [...memories.values()].filter(
+      (memory) => memory.tableName === KNOWLEDGE_TABLE
+    );
+    expect(fragments).toHaveLength(4);
+    expect(fragments[1].metadata).toMatchObject({
+      type: MemoryType.FRAGMENT,
+      source: 'journal.md',
+      title: 'December 10, 2024',
+      position: 1,
+    });
+    expect([...memories.values()].some((memory) => memory.metadata.type === 'document')).toBe(true);
+  });
+
+  it('should not store unchanged files again', async () => {
+    const dir = path.join(tmpDir, 'unchanged');
+    writeJournal(dir);
+    const { service, runtime } = createKnowledgeRuntime();
+
+    await service.ingest(dir);
+    const summary = await service.ingest(dir);
+
+    expect(summary.stored).toBe(0);
+    expect(runtime.createMemory).toHaveBeenCalledTimes(5);
+  });
+
+  it('should replace the passages of a changed file', async () => {
+    const dir = path.join(tmpDir, 'changed');
+    writeJournal(dir);
+    const { service, memories } = createKnowledgeRuntime();
+    await service.ingest(dir);
+
+    writeJournal(dir, '🐾 **January 1, 2025**\nPurl watched fireworks from under the bed.\n');
+    const summary = await service.ingest(dir);
+
+    expect(summary).toEqual({ files: 1, passages: 1, stored: 1 });
+    expect([...memories.values()].map((memory) => memory.content.text)).toEqual([
+      'Purl watched fireworks from under the bed.',
+      'Purl watched fireworks from under the bed.',
+    ]);
+  });
+
+  it('should find relevant passages with BM25 when no embedding model is registered', async () => {
+    const dir = path.join(tmpDir, 'search');
+    writeJournal(dir);
+    const { service } = createKnowledgeRuntime();
+    await service.ingest(dir);
+
+    const [best] = await service.search('remember that jingle ball?');
+
+    expect(best.title).toBe('December 11, 2024');
+    expect(best.method).toBe('bm25');
+    expect(await service.search('ok')).toEqual([]);
+  });
+
+  it('should use embedding search when an embedding model is registered', async () => {
+    const dir = path.join(tmpDir, 'embeddings');
+    writeJournal(dir);
+    const { service, runtime } = createKnowledgeRuntime();
+    await service.ingest(dir);
+    const vet = service.getPassages().find((passage) => passage.title === 'December 12, 2024')!;
+
+    runtime.getModel = mock(() => async () => []) as any;
+    runtime.useModel = mock(async () => [0.1, 0.2]) as any;
+    runtime.searchMemories = mock(async () => [{ id: vet.id, similarity: 0.9 }]) as any;
+
+    const results = await service.search('the doctor');
+
+    expect(results).toEqual([{ ...vet, score: 0.9, method: 'embedding' }]);
+  });
+});
+
+describe('PURL_JOURNAL provider', () => {
+  it('should add matching journal passages to the state', async () => {
+    const dir = path.join(tmpDir, 'provider');
+    writeJournal(dir);
+    const { runtime, service } = createKnowledgeRuntime();
+    await service.ingest(dir);
+
+    const result = await purlJournalProvider.get(
+      runtime,
+      createMockMessage('Do you still hate the vet?'),
+      createMockState()
+    );
+
+    expect(result.text).toStartWith("# From Purl's journal");
+    expect(result.text).toContain('[December 12, 2024] The vet visit was a betrayal.');
+    expect(result.values?.journalPassages).toBeGreaterThan(0);
+  });
+
+  it('should add nothing when no passage matches or the service is missing', async () => {
+    const { runtime } = createKnowledgeRuntime();
+    const empty = await purlJournalProvider.get(
+      runtime,
+      createMockMessage('hello'),
+      createMockState()
+    );
+    expect(empty.text).toBe('');
+
+    const withoutService = await purlJournalProvider.get(
+      createMockRuntime(),
+      createMockMessage('the vet'),
+      createMockState()
+    );
+    expect(withoutService).toEqual({ text: '', values: {}, data: {} });
+  });
+});
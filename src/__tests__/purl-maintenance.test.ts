@@ -0,0 +1,162 @@
+import { beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import { logger } from '@elizaos/core';
+import plugin from '../plugin';
+import {
+  maintenanceGuardRoutes,
+  parseMaintenance,
+  purlMaintenanceRoutes,
+} from '../routes/purl-maintenance';
+import {
+  DEFAULT_MAINTENANCE_MESSAGE,
+  MAINTENANCE_EVENT,
+  PurlMaintenanceService,
+} from '../services/purl-maintenance';
+import { PurlSocketService } from '../services/purl-socket';
+import { createMockRuntime } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+const HOUR = 3_600_000;
+
+function createMaintenanceRuntime() {
+  const cache = new Map<string, unknown>();
+  const socket = { broadcast: mock(), getLastPayload: mock(() => undefined) };
+  const runtime = createMockRuntime({
+    agentId: 'agent-id' as any,
+    getSetting: mock((key: string) => (key === 'API_KEY' ? 'secret' : null)),
+    getCache: mock(async (key: string) => cache.get(key)),
+    setCache: mock(async (key: string, value: unknown) => {
+      cache.set(key, value);
+      return true;
+    }),
+  });
+  const service = new PurlMaintenanceService(runtime);
+  runtime.getService = mock((type: string) => {
+    if (type === PurlMaintenanceService.serviceType) return service;
+    if (type === PurlSocketService.serviceType) return socket;
+    return null;
+  }) as any;
+  return { runtime, service, socket, cache };
+}
+
+function createResponse() {
+  const res: any = { headersSent: false };
+  res.status = mock(() => res);
+  res.setHeader = mock();
+  res.json = mock(() => res);
+  return res;
+}
+
+async function call(routes: any[], routePath: string, runtime: any, req: any = {}) {
+  const route = routes.find((r) => r.path === routePath)!;
+  const res = createResponse();
+  await route.handler!({ headers: { 'x-api-key': 'secret' }, ...req }, res, runtime);
+  return res;
+}
+
+describe('PurlMaintenanceService', () => {
+  it('should be registered in the plugin with its routes and chat guards', () => {
+    const paths = plugin.routes?.map((route) => route.path);
+    expect(plugin.services).toContain(PurlMaintenanceService);
+    expect(paths).toContain('/purl/maintenance/toggle');
+    expect(paths).toContain('/api/messaging/sessions/*');
+  });
+
+  it('should persist changes and broadcast them as a retained event', async () => {
+    const { service, socket, cache } = createMaintenanceRuntime();
+    const status = await service.update({ enabled: true, message: 'Vet visit', eta: 5_000 }, 1_000);
+
+    expect(status).toMatchObject({ active: true, scheduled: false, message: 'Vet visit' });
+    expect(socket.broadcast).toHaveBeenCalledWith(MAINTENANCE_EVENT, status, { retain: true });
+    expect(cache.get('purl-maintenance:agent-id')).toMatchObject({ enabled: true, eta: 5_000 });
+
+    // Still on after a restart
+    const restarted = createMaintenanceRuntime();
+    restarted.cache.set('purl-maintenance:agent-id', cache.get('purl-maintenance:agent-id'));
+    await restarted.service.load();
+    expect(restarted.service.isActive()).toBe(true);
+  });
+
+  it('should open and close a scheduled window on its own', async () => {
+    const { service, socket } = createMaintenanceRuntime();
+    await service.update({ startsAt: 2 * HOUR, endsAt: 3 * HOUR }, HOUR);
+    expect(service.getStatus(HOUR)).toMatchObject({ active: false, eta: null });
+    socket.broadcast.mockClear();
+    socket.getLastPayload.mockImplementation((() => ({})) as any);
+
+    service.tick(HOUR + 1);
+    expect(socket.broadcast).not.toHaveBeenCalled();
+
+    service.tick(2 * HOUR);
+    expect(socket.broadcast.mock.calls[0][1]).toMatchObject({
+      active: true,
+      scheduled: true,
+      eta: 3 * HOUR,
+      message: null,
+    });
+
+    service.tick(3 * HOUR);
+    expect(socket.broadcast.mock.calls[1][1]).toMatchObject({ active: false });
+  });
+});
+
+describe('Purl maintenance routes', () => {
+  it('should flip on an empty body and clear the ETA when switching off', async () => {
+    const current = { enabled: true, message: null, eta: 9, startsAt: null, endsAt: null };
+    expect(parseMaintenance({}, { ...current, updatedAt: 0 })).toEqual({
+      enabled: false,
+      eta: null,
+    });
+    expect(
+      parseMaintenance({ startsAt: '2026-01-01T09:00:00Z' }, { ...current, updatedAt: 0 })
+    ).toHaveProperty('error');
+  });
+
+  it('should toggle maintenance for admin keys', async () => {
+    const { runtime, service } = createMaintenanceRuntime();
+    const res = await call(purlMaintenanceRoutes, '/purl/maintenance/toggle', runtime, {
+      body: { message: '  Back after lunch  ', eta: '2026-01-01T13:00:00Z', enabled: true },
+    });
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      active: true,
+      message: 'Back after lunch',
+      eta: Date.parse('2026-01-01T13:00:00Z'),
+    });
+    expect(service.isActive()).toBe(true);
+
+    const bad = await call(purlMaintenanceRoutes, '/purl/maintenance/toggle', runtime, {
+      body: { enabled: 'yes' },
+    });
+    expect(bad.status).toHaveBeenCalledWith(400);
+  });
+
+  it('should refuse chat messages only while maintenance is on', async () => {
+    const { runtime, service } = createMaintenanceRuntime();
+    const next = mock();
+    const request = { path: '/api/messaging/sessions/abc/messages', next };
+
+    let res = await call(maintenanceGuardRoutes, '/api/messaging/sessions/*', runtime, request);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).not.toHaveBeenCalled();
+
+    await service.update({ enabled: true, eta: Date.now() + 60_000 });
+    res = await call(maintenanceGuardRoutes, '/api/messaging/sessions/*', runtime, request);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json.mock.calls[0][0].error).toEqual({
+      code: 'MAINTENANCE',
+      message: DEFAULT_MAINTENANCE_MESSAGE,
+    });
+    expect(res.setHeader.mock.calls[0][0]).toBe('Retry-After');
+
+    // Other session requests still reach ElizaOS
+    await call(maintenanceGuardRoutes, '/api/messaging/sessions/*', runtime, {
+      path: '/api/messaging/sessions/abc/renew',
+      next,
+    });
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
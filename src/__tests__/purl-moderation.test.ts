@@ -0,0 +1,261 @@
+import { beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import { ModelType, logger } from '@elizaos/core';
+import plugin from '../plugin';
+import { ModerationPolicyError, classify, compilePolicy } from '../moderation/policy';
+import { moderationDecisionsTable } from '../db/schema';
+import { purlModerationRoutes } from '../routes/purl-moderation';
+import { PurlModerationService } from '../services/purl-moderation';
+import { createMockRuntime } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+const policy = compilePolicy(
+  {
+    refusal: 'not today',
+    rules: [
+      { name: 'profanity', action: 'mask', words: ['fuck*', 'shit'] },
+      { name: 'baiting', action: 'refuse', patterns: ['\\bkys\\b'] },
+      { name: 'slurs', action: 'mute_room', direction: 'incoming', words: ['badword'] },
+      { name: 'catnip', action: 'allow', words: ['catnip'] },
+    ],
+  },
+  'test.yaml'
+);
+
+function createModerationRuntime(replies: string[] = []) {
+  const cache = new Map<string, unknown>();
+  const inserted: any[] = [];
+  const query: any = {};
+  for (const step of ['select', 'from', 'where', 'orderBy']) {
+    query[step] = mock(() => query);
+  }
+  query.limit = mock(async () => inserted);
+  const db = {
+    ...query,
+    insert: mock(() => ({ values: mock(async (row: any) => inserted.push(row)) })),
+  };
+  const useModel = mock(async (_type: string, _params: any) => replies.shift() ?? '');
+  const runtime = createMockRuntime({
+    agentId: 'agent-id' as any,
+    db,
+    useModel: useModel as any,
+    getCurrentRunId: mock(() => 'run-1'),
+    setParticipantUserState: mock(async () => {}),
+    getSetting: mock((key: string) => (key === 'API_KEY' ? 'secret' : null)),
+    getCache: mock(async (key: string) => cache.get(key)),
+    setCache: mock(async (key: string, value: unknown) => {
+      cache.set(key, value);
+      return true;
+    }),
+  });
+  const service = new PurlModerationService(runtime);
+  (service as any).policy = policy;
+  runtime.getService = mock((type: string) =>
+    type === PurlModerationService.serviceType ? service : null
+  ) as any;
+  return { runtime, service, db, inserted, cache };
+}
+
+function createMessage(text: string, id = 'message-1') {
+  return { id, entityId: 'user-id', roomId: 'room-1', content: { text } } as any;
+}
+
+/** Bootstrap's reply prompt, quoting the message being answered */
+function replyPrompt(text: string) {
+  return `# Received Message\nvisitor: ${text}\n\n# Focus your response\nReply to visitor.\n`;
+}
+
+function createResponse() {
+  const res: any = { headersSent: false };
+  res.status = mock(() => res);
+  res.json = mock(() => res);
+  return res;
+}
+
+async function call(routePath: string, runtime: any, req: any = {}) {
+  const route = purlModerationRoutes.find((r) => r.path === routePath)!;
+  const res = createResponse();
+  await route.handler!({ headers: { 'x-api-key': 'secret' }, ...req }, res, runtime);
+  return res;
+}
+
+describe('moderation policy', () => {
+  it('should apply the most severe matching action and mask the matches', () => {
+    const result = classify('Fucking shit, kys', policy, 'incoming');
+    expect(result.action).toBe('refuse');
+    expect(result.matches.map((match) => match.rule)).toEqual(['profanity', 'baiting']);
+    expect(result.masked).toBe('F****** s***, k**');
+
+    // Whole words only, and allow rules never mask
+    expect(classify('shitake and catnip', policy, 'incoming')).toMatchObject({
+      action: 'allow',
+      masked: 'shitake and catnip',
+    });
+    // Incoming-only rules skip replies
+    expect(classify('badword', policy, 'outgoing').matches).toEqual([]);
+  });
+
+  it('should report every problem in an invalid policy', () => {
+    expect(() =>
+      compilePolicy({ mask: '##', rules: [{ name: 'x', action: 'ban', patterns: ['('] }] }, 'bad')
+    ).toThrow(ModerationPolicyError);
+    try {
+      compilePolicy({ rules: [{ name: 'empty', action: 'mask' }] }, 'bad');
+    } catch (error) {
+      expect((error as ModerationPolicyError).issues).toEqual([
+        'rules.0 must list at least one word or pattern',
+      ]);
+    }
+  });
+
+  it('should ship a valid default policy', () => {
+    const { service } = createModerationRuntime();
+    service.loadPolicy('config/moderation.yaml');
+    expect(service.getPolicy().rules.length).toBeGreaterThan(0);
+    expect(classify('what the fuck', service.getPolicy(), 'outgoing').action).toBe('mask');
+  });
+});
+
+describe('PurlModerationService', () => {
+  it('should be registered in the plugin with its table and routes', () => {
+    expect(plugin.services).toContain(PurlModerationService);
+    expect(plugin.schema).toMatchObject({ moderationDecisionsTable });
+    expect(plugin.events?.RUN_STARTED).toBeDefined();
+    expect(plugin.routes?.map((route) => route.path)).toContain('/purl/moderation/flags');
+  });
+
+  it('should mask an incoming message before it is stored and log the decision', async () => {
+    const { service, inserted, cache } = createModerationRuntime();
+    const message = createMessage('you are shit');
+
+    const pending = service.moderateIncoming(message);
+    // Masked synchronously, before bootstrap's next step
+    expect(message.content.text).toBe('you are s***');
+    expect(message.content.moderation).toEqual({ action: 'mask', rules: ['profanity'] });
+    await pending;
+
+    expect(inserted).toEqual([
+      expect.objectContaining({
+        roomId: 'room-1',
+        messageId: 'message-1',
+        direction: 'incoming',
+        action: 'mask',
+        excerpt: 'you are s***',
+      }),
+    ]);
+    expect(cache.get('purl-moderation:agent-id')).toMatchObject({
+      'room-1': { level: 'blur', count: 1, muted: false },
+    });
+    expect(await service.moderateIncoming(createMessage('hello', 'message-2'))).toBeNull();
+  });
+
+  it('should answer a refused message with the refusal', async () => {
+    const { runtime, service } = createModerationRuntime(['<response><text>ok</text></response>']);
+    service.install();
+    await service.moderateIncoming(createMessage('kys'));
+    service.trackRun({
+      runId: 'run-1',
+      messageId: 'message-1',
+      roomId: 'room-1',
+      metadata: { text: 'kys' },
+    });
+
+    expect(await runtime.useModel(ModelType.TEXT_LARGE, { prompt: replyPrompt('kys') })).toBe(
+      '<response><text>not today</text></response>'
+    );
+    expect(service.getFlags()).toEqual([expect.objectContaining({ level: 'hide' })]);
+    // Nothing of the model's reply is shown while it is written
+    expect(service.allowsPreview('ok', 'run-1')).toBe(false);
+
+    service.endRun('run-1');
+    expect(service.allowsPreview('ok', 'run-1')).toBe(true);
+    expect(service.allowsPreview('holy shit', 'run-1')).toBe(false);
+    expect(await service.moderateReply('ok', 'run-1')).toBe('ok');
+  });
+
+  it('should mask or refuse replies that break the policy', async () => {
+    const { runtime, service, inserted } = createModerationRuntime([
+      '<response><text>holy shit</text></response>',
+      '<response><text>kys</text></response>',
+    ]);
+    service.install();
+    service.trackRun({
+      runId: 'run-1',
+      messageId: 'message-1',
+      roomId: 'room-1',
+      metadata: { text: 'hi' },
+    });
+
+    expect(await runtime.useModel(ModelType.TEXT_LARGE, { prompt: replyPrompt('hi') })).toBe(
+      '<response><text>holy s***</text></response>'
+    );
+    expect(await runtime.useModel(ModelType.TEXT_SMALL, { prompt: 'p' })).toBe(
+      '<response><text>not today</text></response>'
+    );
+    expect(inserted.map((row) => [row.direction, row.action, row.roomId])).toEqual([
+      ['outgoing', 'mask', 'room-1'],
+      ['outgoing', 'refuse', null],
+    ]);
+  });
+
+  it('should refuse only the reply to the refused message when two runs overlap', async () => {
+    const { runtime, service } = createModerationRuntime([
+      '<response><text>meow</text></response>',
+      '<response><text>ok</text></response>',
+    ]);
+    service.install();
+    await service.moderateIncoming(createMessage('kys', 'message-1'));
+    await service.moderateIncoming({ ...createMessage('hello', 'message-2'), roomId: 'room-2' });
+    service.trackRun({
+      runId: 'run-1',
+      messageId: 'message-1',
+      roomId: 'room-1',
+      metadata: { text: 'kys' },
+    });
+    service.trackRun({
+      runId: 'run-2',
+      messageId: 'message-2',
+      roomId: 'room-2',
+      metadata: { text: 'hello' },
+    });
+
+    // The runtime's current run is run-1 for both calls: it is shared by every room
+    expect(await runtime.useModel(ModelType.TEXT_LARGE, { prompt: replyPrompt('hello') })).toBe(
+      '<response><text>meow</text></response>'
+    );
+    expect(await runtime.useModel(ModelType.TEXT_LARGE, { prompt: replyPrompt('kys') })).toBe(
+      '<response><text>not today</text></response>'
+    );
+  });
+
+  it('should mute the room and let an operator unmute it', async () => {
+    const { runtime, service } = createModerationRuntime();
+    await service.moderateIncoming(createMessage('badword'));
+
+    expect(runtime.setParticipantUserState).toHaveBeenCalledWith('room-1', 'agent-id', 'MUTED');
+    expect(service.getFlags()[0]).toMatchObject({ level: 'hide', muted: true });
+
+    const res = await call('/purl/moderation/unmute', runtime, { body: { roomId: 'room-1' } });
+    expect(runtime.setParticipantUserState).toHaveBeenLastCalledWith('room-1', 'agent-id', null);
+    expect(res.json.mock.calls[0][0].data.flag).toMatchObject({ level: 'hide', muted: false });
+  });
+
+  it('should serve decisions and validate the filters', async () => {
+    const { runtime, service, db } = createModerationRuntime();
+    await service.moderateIncoming(createMessage('shit'));
+
+    const res = await call('/purl/moderation/decisions', runtime, {
+      query: { roomId: 'room-1', limit: '10' },
+    });
+    expect(res.json.mock.calls[0][0].data.decisions).toHaveLength(1);
+    expect(db.limit).toHaveBeenCalledWith(10);
+
+    const invalid = await call('/purl/moderation/decisions', runtime, {
+      query: { action: 'ban' },
+    });
+    expect(invalid.status).toHaveBeenCalledWith(400);
+  });
+});
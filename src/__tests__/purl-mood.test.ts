@@ -0,0 +1,59 @@
+import { describe, expect, it, mock } from 'bun:test';
+import plugin from '../plugin';
+import { formatPurlMood, getPurlMood, purlMoodProvider } from '../providers/purl-mood';
+import { DEFAULT_PURL_NEEDS, PurlStateService } from '../services/purl-state';
+import { createMockMessage, createMockRuntime, createMockState } from './test-utils';
+
+const needs = (overrides: Partial<typeof DEFAULT_PURL_NEEDS> = {}) => ({
+  ...DEFAULT_PURL_NEEDS,
+  ...overrides,
+});
+
+describe('PURL_MOOD provider', () => {
+  it('should be registered in the plugin', () => {
+    expect(plugin.providers).toContain(purlMoodProvider);
+  });
+
+  it('should derive the most pressing mood', () => {
+    expect(getPurlMood(needs())).toBe('content');
+    expect(getPurlMood(needs({ hunger: 90, energy: 10 }))).toBe('hangry');
+    expect(getPurlMood(needs({ energy: 10 }))).toBe('sleepy');
+    expect(getPurlMood(needs({ curiosity: 80 }))).toBe('restless');
+    expect(getPurlMood(needs({ affection: 10 }))).toBe('needy');
+    expect(getPurlMood(needs({ affection: 95 }))).toBe('affectionate');
+  });
+
+  it('should format the needs for the prompt', () => {
+    const text = formatPurlMood(needs({ hunger: 82.4 }));
+    expect(text).toContain('Mood: hangry');
+    expect(text).toContain('Hunger: 82/100');
+    expect(text).toContain('Tone:');
+  });
+
+  it('should expose text, values and data from the state service', async () => {
+    const state = { ...needs({ energy: 12.6 }), updatedAt: 1 };
+    const runtime = createMockRuntime({
+      getService: mock((type: string) =>
+        type === PurlStateService.serviceType ? { getState: () => state } : null
+      ),
+    });
+
+    const result = await purlMoodProvider.get(runtime, createMockMessage('hi'), createMockState());
+
+    expect(result.text).toContain('Mood: sleepy');
+    expect(result.values).toEqual({
+      purlMood: 'sleepy',
+      purlHunger: 30,
+      purlEnergy: 13,
+      purlCuriosity: 50,
+      purlAffection: 60,
+    });
+    expect(result.data).toEqual({ mood: 'sleepy', state });
+  });
+
+  it('should contribute nothing when the state service is not running', async () => {
+    const runtime = createMockRuntime({ getService: mock(() => null) });
+    const result = await purlMoodProvider.get(runtime, createMockMessage('hi'), createMockState());
+    expect(result).toEqual({ text: '', values: {}, data: {} });
+  });
+});
@@ -0,0 +1,268 @@
+import { afterAll, beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { logger } from '@elizaos/core';
+import type { SQL } from 'drizzle-orm';
+import { PgDialect } from 'drizzle-orm/pg-core';
+import plugin from '../plugin';
+import { loadConfig, resetConfig } from '../config/env';
+import { selectPublisher } from '../outbox/publishers';
+import { nextRun, parseSchedule } from '../outbox/schedule';
+import { purlOutboxRoutes } from '../routes/purl-outbox';
+import { MAX_POST_LENGTH, PurlOutboxService, cleanPost } from '../services/purl-outbox';
+import { createMockRuntime } from './test-utils';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purl-outbox-'));
+const outboxFile = path.join(tmpDir, 'published.jsonl');
+const testEnv = {
+  NODE_ENV: 'test',
+  PURL_TEST_MODEL: 'true',
+  PURL_OUTBOX_PUBLISHER: 'auto',
+  PURL_OUTBOX_FILE: outboxFile,
+};
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+  loadConfig(testEnv);
+});
+
+afterAll(() => {
+  resetConfig();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Stands in for the purl_outbox_posts table: rows by ID, in insertion order.
+ * Deletes read the post IDs from the query's parameters.
+ */
+function createOutboxDb() {
+  const rows = new Map<string, any>();
+  const dialect = new PgDialect();
+  return {
+    rows,
+    select: () => ({
+      from: () => ({ where: () => ({ orderBy: async () => [...rows.values()] }) }),
+    }),
+    insert: () => ({ values: async (row: any) => void rows.set(row.id, row) }),
+    update: () => ({ set: (row: any) => ({ where: async () => void rows.set(row.id, row) }) }),
+    delete: () => ({
+      where: async (condition: SQL) => {
+        for (const param of dialect.sqlToQuery(condition).params) rows.delete(param as string);
+      },
+    }),
+  };
+}
+
+function createOutboxRuntime(
+  replies: string[] = [],
+  services: Record<string, unknown> = {},
+  db = createOutboxDb()
+) {
+  const useModel = mock(async (_type: string, _params: any) => replies.shift() ?? '');
+  const runtime = createMockRuntime({
+    agentId: 'agent-id' as any,
+    character: {
+      name: 'Purl',
+      bio: ['a cat'],
+      style: { all: ['short'], post: ['no hashtags'] },
+    } as any,
+    useModel: useModel as any,
+    getSetting: mock((key: string) => (key === 'API_KEY' ? 'secret' : null)),
+    db,
+  });
+  const service = new PurlOutboxService(runtime);
+  runtime.getService = mock((type: string) =>
+    type === PurlOutboxService.serviceType ? service : (services[type] ?? null)
+  ) as any;
+  return { runtime, service, useModel, db };
+}
+
+async function call(type: string, routePath: string, runtime: any, req: any = {}) {
+  const route = purlOutboxRoutes.find((r) => r.type === type && r.path === routePath)!;
+  const res: any = { headersSent: false };
+  res.status = mock(() => res);
+  res.json = mock(() => {
+    res.headersSent = true;
+    return res;
+  });
+  await route.handler!(
+    {
+      method: type,
+      path: routePath,
+      query: {},
+      params: {},
+      headers: { 'x-api-key': 'secret' },
+      ...req,
+    },
+    res,
+    runtime
+  );
+  return res;
+}
+
+describe('Outbox schedule', () => {
+  it('should parse steps, ranges and lists', () => {
+    const schedule = parseSchedule('0,30 */6 * * 1-5');
+    expect([...schedule.minutes]).toEqual([0, 30]);
+    expect([...schedule.hours]).toEqual([0, 6, 12, 18]);
+    expect([...schedule.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    expect(() => parseSchedule('0 25 * * *')).toThrow('hour "25" is outside 0-23');
+    expect(() => parseSchedule('0 * *')).toThrow('Expected 5 fields');
+  });
+
+  it('should find the next slot after a time', () => {
+    const from = new Date(2026, 0, 2, 9, 15).getTime(); // a Friday
+    expect(nextRun(parseSchedule('0 */4 * * *'), from)).toBe(new Date(2026, 0, 2, 12, 0).getTime());
+    expect(nextRun(parseSchedule('30 9 * * 1'), from)).toBe(new Date(2026, 0, 5, 9, 30).getTime());
+    expect(nextRun(parseSchedule('0 0 31 2 *'), from)).toBeNull();
+  });
+
+  it('should reject an invalid PURL_OUTBOX_SCHEDULE', () => {
+    expect(() => loadConfig({ ...testEnv, PURL_OUTBOX_SCHEDULE: 'every hour' })).toThrow(
+      'PURL_OUTBOX_SCHEDULE is not a valid schedule'
+    );
+  });
+});
+
+describe('PurlOutboxService', () => {
+  it('should be registered in the plugin with its routes', () => {
+    expect(plugin.services).toContain(PurlOutboxService);
+    expect(plugin.routes?.map((route) => route.path)).toContain('/purl/outbox/:id/approve');
+  });
+
+  it('should clean generated posts to her style and the length limit', () => {
+    expect(cleanPost('Post: "Sunbeam Acquired 😼"')).toBe('sunbeam acquired');
+    expect(cleanPost('meow '.repeat(100)).length).toBeLessThanOrEqual(MAX_POST_LENGTH);
+  });
+
+  it('should write a draft from the post style on each schedule slot', async () => {
+    const { service, useModel } = createOutboxRuntime(['the red dot returns']);
+    const now = new Date(2026, 0, 2, 9, 15).getTime();
+    service.startSchedule(now);
+    await service.stop();
+
+    await service.tick(now + 60_000);
+    expect(service.listPosts()).toHaveLength(0);
+
+    await service.tick(new Date(2026, 0, 2, 12, 0).getTime());
+    expect(service.listPosts('draft')).toMatchObject([
+      { text: 'the red dot returns', source: 'schedule' },
+    ]);
+    expect(useModel.mock.calls[0][1].prompt).toContain('- no hashtags');
+    expect(service.getNextRun()).toBe(new Date(2026, 0, 2, 16, 0).getTime());
+  });
+
+  it('should publish approved posts once due through the file stand-in', async () => {
+    const { service, db } = createOutboxRuntime(['nap o clock']);
+    const draft = await service.generateDraft('operator', 1_000);
+    await service.approve(draft.id, { text: 'nap o clock. do not disturb', publishAt: 5_000 });
+
+    await service.tick(4_000);
+    expect(service.getPost(draft.id)?.status).toBe('approved');
+
+    await service.tick(5_000);
+    const published = service.getPost(draft.id)!;
+    expect(published).toMatchObject({ status: 'published', publisher: 'file', publishedAt: 5_000 });
+    const line = JSON.parse(fs.readFileSync(outboxFile, 'utf8').trim().split('\n').at(-1)!);
+    expect(line).toMatchObject({ id: published.externalId, text: 'nap o clock. do not disturb' });
+    expect(db.rows.get(draft.id)).toMatchObject({
+      agentId: 'agent-id',
+      status: 'published',
+      text: 'nap o clock. do not disturb',
+      platform: 'file',
+      scheduledAt: new Date(5_000),
+      publishedAt: new Date(5_000),
+      error: null,
+    });
+  });
+
+  it('should keep posts in the database across restarts', async () => {
+    const { service, db } = createOutboxRuntime(['first', 'second']);
+    const first = await service.generateDraft('operator', 1_000);
+    const second = await service.generateDraft('schedule', 2_000);
+    await service.approve(first.id, { publishAt: 3_000 }, 2_500);
+    await service.discard(second.id);
+
+    const restarted = createOutboxRuntime([], {}, db).service;
+    await restarted.load();
+
+    expect(restarted.listPosts()).toEqual([
+      { ...first, status: 'approved', approvedAt: 2_500, publishAt: 3_000 },
+    ]);
+  });
+
+  it('should prefer the Twitter plugin and send failed posts back to draft', async () => {
+    const sendTweet = mock(async () => {
+      throw new Error('rate limited');
+    });
+    const twitter = {
+      twitterClient: { client: { profile: { username: 'purl' }, twitterClient: { sendTweet } } },
+    };
+    const { runtime, service } = createOutboxRuntime(['gm'], { twitter });
+    expect(selectPublisher(runtime, 'auto', outboxFile).name).toBe('twitter');
+    expect(() => selectPublisher(createOutboxRuntime().runtime, 'twitter', outboxFile)).toThrow(
+      'Twitter plugin is not ready'
+    );
+
+    const draft = await service.generateDraft();
+    const failed = await service.publish(draft.id);
+    expect(failed).toMatchObject({ status: 'draft', publisher: 'twitter', error: 'rate limited' });
+
+    sendTweet.mockImplementation(async () => ({ data: { data: { id: '42' } } }) as any);
+    expect(await service.publish(draft.id)).toMatchObject({
+      status: 'published',
+      externalId: '42',
+      url: 'https://twitter.com/purl/status/42',
+    });
+  });
+});
+
+describe('Purl outbox routes', () => {
+  it('should generate, list, approve and publish drafts', async () => {
+    const { runtime, service } = createOutboxRuntime(['pounce at dawn']);
+
+    let res = await call('POST', '/purl/outbox/generate', runtime);
+    expect(res.status).toHaveBeenCalledWith(201);
+    const { id } = res.json.mock.calls[0][0].data;
+
+    res = await call('GET', '/purl/outbox', runtime, { query: { status: 'draft' } });
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ count: 1, nextRun: null });
+
+    res = await call('POST', '/purl/outbox/:id/approve', runtime, {
+      params: { id },
+      body: { publishAt: '2099-01-01T00:00:00Z' },
+    });
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      status: 'approved',
+      publishAt: Date.parse('2099-01-01T00:00:00Z'),
+    });
+
+    res = await call('POST', '/purl/outbox/:id/publish', runtime, { params: { id } });
+    expect(res.json.mock.calls[0][0].data.status).toBe('published');
+    expect(service.getPost(id)?.status).toBe('published');
+
+    res = await call('DELETE', '/purl/outbox/:id', runtime, { params: { id } });
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('should reject unknown posts and bad approvals', async () => {
+    const { runtime, service } = createOutboxRuntime(['meow']);
+    const draft = await service.generateDraft();
+
+    let res = await call('POST', '/purl/outbox/:id/approve', runtime, { params: { id: 'nope' } });
+    expect(res.status).toHaveBeenCalledWith(404);
+
+    res = await call('POST', '/purl/outbox/:id/approve', runtime, {
+      params: { id: draft.id },
+      body: { publishAt: 'soon' },
+    });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_APPROVAL');
+
+    res = await call('DELETE', '/purl/outbox/:id', runtime, { params: { id: draft.id } });
+    expect(res.json.mock.calls[0][0].data).toEqual({ id: draft.id });
+    expect(service.listPosts()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,170 @@
+import { beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import { ModelType, logger } from '@elizaos/core';
+import plugin from '../plugin';
+import { applyCasing, applyStyleRules, similarity, stripEmojis } from '../output/style-rules';
+import { purlOutputRoutes } from '../routes/purl-output';
+import { PurlOutputService, findReplyField } from '../services/purl-output';
+import { createMockRuntime } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+function createOutputRuntime(replies: string[] = []) {
+  const cache = new Map<string, unknown>();
+  const useModel = mock(async (_type: string, _params: any) => replies.shift() ?? '');
+  const runtime = createMockRuntime({
+    agentId: 'agent-id' as any,
+    useModel: useModel as any,
+    getSetting: mock((key: string) => (key === 'API_KEY' ? 'secret' : null)),
+    getCache: mock(async (key: string) => cache.get(key)),
+    setCache: mock(async (key: string, value: unknown) => {
+      cache.set(key, value);
+      return true;
+    }),
+  });
+  const service = new PurlOutputService(runtime);
+  runtime.getService = mock((type: string) =>
+    type === PurlOutputService.serviceType ? service : null
+  ) as any;
+  return { runtime, service, useModel, cache };
+}
+
+const reply = (text: string) =>
+  `<response><thought>hm</thought><actions>REPLY</actions><text>${text}</text></response>`;
+
+describe('Output style rules', () => {
+  it('should strip emojis but keep the symbols her style allows and ASCII art spacing', () => {
+    expect(stripEmojis('nap time 😺😺 ok')).toBe('nap time ok');
+    expect(stripEmojis('love you ❤️ 👩‍💻 !')).toBe('love you!');
+    expect(stripEmojis('☠ ♥ ★ (=•.•=)')).toBe('☠ ♥ ★ (=•.•=)');
+    expect(stripEmojis('😺 hi\nbye 👋')).toBe('hi\nbye');
+    expect(stripEmojis('🐟🐟\n  /\\_/\\\n ( o.o )  purr')).toBe('  /\\_/\\\n ( o.o )  purr');
+    expect(stripEmojis('  /\\_/\\  😺\n ( o.o )   zzz')).toBe('  /\\_/\\\n ( o.o )   zzz');
+  });
+
+  it('should lowercase words but keep links, tickers and shouted words', () => {
+    expect(
+      applyCasing('Red Dot dies TODAY. check https://X.com/Purl $SOL @Elon', 'lowercase')
+    ).toBe('red dot dies TODAY. check https://X.com/Purl $SOL @Elon');
+    expect(applyCasing('the sunbeam moved. i followed it', 'sentence')).toBe(
+      'The sunbeam moved. I followed it'
+    );
+    expect(applyCasing('Leave It', 'preserve')).toBe('Leave It');
+    expect(applyStyleRules('Meow 😺', { casing: 'lowercase' })).toEqual({
+      text: 'meow',
+      reasons: ['emoji', 'casing'],
+    });
+  });
+
+  it('should score rewordings as similar and different replies as not', () => {
+    expect(similarity('the sunbeam moved again', 'The sunbeam moved, again!')).toBe(1);
+    expect(similarity('the sunbeam moved again', 'the sunbeam moved once more')).toBeGreaterThan(
+      0.6
+    );
+    expect(similarity('nap time', 'buy the dip')).toBeLessThan(0.2);
+  });
+
+  it('should find the text of bootstrap and platform replies only', () => {
+    expect(findReplyField(reply('hi'))?.value).toBe('hi');
+    expect(findReplyField('<response><message>yo</message></response>')?.value).toBe('yo');
+    expect(findReplyField('<response><name>Purl</name><action>RESPOND</action></response>')).toBe(
+      null
+    );
+    expect(findReplyField(reply(''))).toBeNull();
+  });
+});
+
+describe('PurlOutputService', () => {
+  it('should be registered in the plugin with its route', () => {
+    expect(plugin.services).toContain(PurlOutputService);
+    expect(plugin.routes?.map((route) => route.path)).toContain('/purl/output/rewrites');
+  });
+
+  it('should clean replies coming out of the text models', async () => {
+    const { runtime, service, useModel } = createOutputRuntime([
+      reply('Hello Human 😼'),
+      '[0.1, 0.2]',
+    ]);
+    service.install();
+
+    expect(await runtime.useModel(ModelType.TEXT_LARGE, { prompt: 'p' })).toBe(
+      reply('hello human')
+    );
+    // Not a reply: passed through untouched
+    expect(await runtime.useModel(ModelType.TEXT_SMALL, { prompt: 'p' })).toBe('[0.1, 0.2]');
+    expect(service.getRewrites()).toMatchObject([
+      { reasons: ['emoji', 'casing'], original: 'Hello Human 😼', text: 'hello human' },
+    ]);
+
+    await service.stop();
+    expect(runtime.useModel).toBe(useModel as any);
+  });
+
+  it('should regenerate a reply that repeats a recent one', async () => {
+    const { runtime, service, useModel } = createOutputRuntime([
+      reply('the sunbeam moved'),
+      reply('The sunbeam moved.'),
+      reply('a moth. war has begun'),
+    ]);
+    service.install();
+
+    await runtime.useModel(ModelType.TEXT_LARGE, { prompt: 'first' });
+    const second = await runtime.useModel(ModelType.TEXT_LARGE, { prompt: 'second' });
+
+    expect(second).toBe(reply('a moth. war has begun'));
+    expect(useModel).toHaveBeenCalledTimes(3);
+    expect(useModel.mock.calls[2][1].prompt).toContain('"the sunbeam moved"');
+    expect(service.getRewrites().at(-1)).toMatchObject({
+      reasons: ['repetition'],
+      original: 'The sunbeam moved.',
+      text: 'a moth. war has begun',
+      repeated: { text: 'the sunbeam moved', similarity: 1 },
+      regenerations: 1,
+    });
+  });
+
+  it('should keep the least repetitive draft when every retry repeats', async () => {
+    const { service } = createOutputRuntime();
+    await service.review('nap fast, break things', async () => null);
+
+    const regenerate = mock(async () => 'nap fast, break things!');
+    const result = await service.review('Nap fast. Break things.', regenerate);
+
+    expect(regenerate).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({ text: 'nap fast. break things.', attempt: 0 });
+    expect(service.getRewrites().at(-1)?.reasons).toEqual(['repetition', 'casing']);
+  });
+
+  it('should still send the reviewed reply when saving the history fails', async () => {
+    const { runtime, service } = createOutputRuntime();
+    runtime.setCache = mock(async () => {
+      throw new Error('cache unavailable');
+    }) as any;
+
+    expect(await service.review('Meow', async () => null)).toEqual({ text: 'meow', attempt: 0 });
+    expect(logger.error).toHaveBeenCalledWith(
+      { error: expect.any(Error) },
+      'Failed to persist Purl output history'
+    );
+  });
+
+  it('should list rewrites through the route', async () => {
+    const { runtime, service } = createOutputRuntime();
+    await service.review('Meow', async () => null);
+
+    const route = purlOutputRoutes[0];
+    const res: any = { status: mock(() => res), json: mock(() => res) };
+    await route.handler!(
+      { query: { limit: '5' }, headers: { 'x-api-key': 'secret' } },
+      res,
+      runtime
+    );
+
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      success: true,
+      data: { count: 1, rewrites: [{ reasons: ['casing'], text: 'meow' }] },
+    });
+  });
+});
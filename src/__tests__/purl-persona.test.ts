@@ -0,0 +1,179 @@
+import { beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import { logger } from '@elizaos/core';
+import { character } from '../index';
+import plugin from '../plugin';
+import { validateCharacter } from '../characters/schema';
+import { purlPersonaProvider } from '../providers/purl-persona';
+import { purlPersonaRoutes } from '../routes/purl-persona';
+import { PurlPersonaService, getPersonaConfig } from '../services/purl-persona';
+import { createMockMessage, createMockRuntime, createMockState } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+const personas = {
+  default: 'cat',
+  platforms: { twitter: 'degen' },
+  rooms: { 'quiet-room': 'cat' },
+  profiles: {
+    cat: { bio: ['naps in sunbeams'], style: { all: ['short'], chat: ['purr'], post: ['meow'] } },
+    degen: { bio: ['bullposts'], topics: ['chains'], style: { chat: ['wagmi'], post: ['pump'] } },
+  },
+};
+
+function createPersonaRuntime(initial: Record<string, unknown> = {}) {
+  const cache = new Map<string, unknown>(Object.entries(initial));
+  const runtime = createMockRuntime({
+    agentId: 'agent-id' as any,
+    character: { name: 'Purl', bio: ['cat'], personas } as any,
+    getSetting: mock((key: string) => (key === 'API_KEY' ? 'secret' : null)),
+    getCache: mock(async (key: string) => cache.get(key)),
+    setCache: mock(async (key: string, value: unknown) => {
+      cache.set(key, value);
+      return true;
+    }),
+  });
+  const service = new PurlPersonaService(runtime);
+  runtime.getService = mock((type: string) =>
+    type === PurlPersonaService.serviceType ? service : null
+  ) as any;
+  return { runtime, service, cache };
+}
+
+function createResponse() {
+  const res: any = { headersSent: false };
+  res.status = mock(() => res);
+  res.json = mock(() => {
+    res.headersSent = true;
+    return res;
+  });
+  return res;
+}
+
+async function call(type: string, path: string, runtime: any, body?: unknown) {
+  const route = purlPersonaRoutes.find((r) => r.type === type && r.path === path)!;
+  const res = createResponse();
+  await route.handler!(
+    { method: type, path, body, query: {}, headers: { 'x-api-key': 'secret' } },
+    res,
+    runtime
+  );
+  return res;
+}
+
+describe('Purl personas', () => {
+  it('should split Purl into a cat-first default and a degen voice for X', () => {
+    const config = getPersonaConfig(character)!;
+
+    expect(config.default).toBe('cat');
+    expect(config.platforms?.twitter).toBe('degen');
+    expect(character.topics).not.toContain('blockchain maximalism');
+    expect(config.profiles.degen.topics).toContain('blockchain maximalism');
+    expect(plugin.services).toContain(PurlPersonaService);
+    expect(plugin.providers).toContain(purlPersonaProvider);
+  });
+
+  it('should reject personas that name missing profiles', () => {
+    expect(() =>
+      validateCharacter(
+        { name: 'Ash', bio: 'x', personas: { ...personas, platforms: { twitter: 'degn' } } },
+        'ash.yaml'
+      )
+    ).toThrow(
+      'personas.platforms.twitter names unknown profile "degn"; expected one of: cat, degen'
+    );
+  });
+
+  it('should pick a room override, then the platform, then the default', async () => {
+    const { service, cache } = createPersonaRuntime();
+
+    expect(service.resolve({ roomId: 'web', source: 'client_chat' })).toMatchObject({
+      name: 'cat',
+      reason: 'default',
+    });
+    expect(service.resolve({ roomId: 'web', source: 'twitter' })?.name).toBe('degen');
+    expect(service.resolve({ roomId: 'quiet-room', source: 'twitter' })?.name).toBe('cat');
+
+    await service.setRoomPersona('web', 'degen');
+    await service.setDefault('degen');
+    expect(service.resolve({ roomId: 'web' })).toMatchObject({ name: 'degen', reason: 'room' });
+    expect(service.resolve({ roomId: 'other' })?.name).toBe('degen');
+    expect(cache.get('purl-persona:agent-id')).toEqual({
+      default: 'degen',
+      rooms: { web: 'degen' },
+    });
+
+    await service.setDefault(null);
+    expect(service.getDefault()).toBe('cat');
+    expect(service.setDefault('dog')).rejects.toThrow('Unknown persona "dog"');
+  });
+
+  it('should ignore saved overrides for profiles that were removed', async () => {
+    const { service } = createPersonaRuntime({
+      'purl-persona:agent-id': { default: 'gone', rooms: { web: 'gone' } },
+    });
+    await service.load();
+
+    expect(service.getDefault()).toBe('cat');
+    expect(service.resolve({ roomId: 'web' })?.name).toBe('cat');
+  });
+
+  it('should inject only the active profile, with post rules on X', async () => {
+    const { runtime } = createPersonaRuntime();
+    const chat = await purlPersonaProvider.get(
+      runtime,
+      createMockMessage('hi', { content: { text: 'hi', source: 'client_chat' } } as any),
+      createMockState()
+    );
+    const post = await purlPersonaProvider.get(
+      runtime,
+      createMockMessage('gm', { content: { text: 'gm', source: 'twitter' } } as any),
+      createMockState()
+    );
+
+    expect(chat.text).toContain('- naps in sunbeams');
+    expect(chat.text).toContain('- purr');
+    expect(chat.text).not.toContain('bullposts');
+    expect(post.values).toEqual({ purlPersona: 'degen' });
+    expect(post.text).toContain('- pump');
+    expect(post.text).not.toContain('wagmi');
+    expect(post.text).not.toContain('naps in sunbeams');
+  });
+});
+
+describe('Purl persona routes', () => {
+  it('should switch the default and pin rooms', async () => {
+    const { runtime, service } = createPersonaRuntime();
+
+    let res = await call('POST', '/purl/persona/default', runtime, { persona: 'degen' });
+    expect(res.json.mock.calls[0][0].data.default).toBe('degen');
+
+    res = await call('POST', '/purl/persona/room', runtime, { persona: 'degen', roomId: 'web' });
+    expect(service.resolve({ roomId: 'web' })?.reason).toBe('room');
+
+    res = await call('GET', '/purl/persona', runtime);
+    expect(res.json.mock.calls[0][0]).toEqual({
+      success: true,
+      data: {
+        profiles: ['cat', 'degen'],
+        default: 'degen',
+        fileDefault: 'cat',
+        platforms: { twitter: 'degen' },
+        rooms: { 'quiet-room': 'cat', web: 'degen' },
+      },
+    });
+  });
+
+  it('should reject unknown personas and missing rooms', async () => {
+    const { runtime } = createPersonaRuntime();
+    let res = await call('POST', '/purl/persona/default', runtime, { persona: 'dog' });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_PERSONA');
+
+    res = await call('POST', '/purl/persona/room', runtime, { persona: 'cat' });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.message).toBe('"roomId" must be a non-empty string');
+  });
+});
@@ -0,0 +1,156 @@
+import { beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import { logger } from '@elizaos/core';
+import plugin from '../plugin';
+import { parseNeeds, purlStateRoutes } from '../routes/purl-state';
+import { PurlStateService } from '../services/purl-state';
+import { createMockRuntime } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'warn').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+function createStateRuntime(apiKey: string | null = 'secret') {
+  const cache = new Map<string, unknown>();
+  const runtime = createMockRuntime({
+    agentId: 'agent-id' as any,
+    getSetting: mock((key: string) => (key === 'API_KEY' ? apiKey : null)),
+    getCache: mock(async (key: string) => cache.get(key)),
+    setCache: mock(async (key: string, value: unknown) => {
+      cache.set(key, value);
+      return true;
+    }),
+  });
+  const service = new PurlStateService(runtime);
+  runtime.getService = mock((type: string) =>
+    type === PurlStateService.serviceType ? service : null
+  ) as any;
+  return { runtime, service };
+}
+
+function createResponse() {
+  const res: any = { headersSent: false };
+  res.status = mock(() => res);
+  res.json = mock(() => {
+    res.headersSent = true;
+    return res;
+  });
+  return res;
+}
+
+async function call(
+  type: string,
+  path: string,
+  runtime: any,
+  req: { body?: unknown; query?: Record<string, string>; apiKey?: string } = {}
+) {
+  const route = purlStateRoutes.find((r) => r.type === type && r.path === path)!;
+  const res = createResponse();
+  await route.handler!(
+    {
+      method: type,
+      path,
+      body: req.body,
+      query: req.query ?? {},
+      headers: { 'x-api-key': req.apiKey ?? 'secret' },
+    },
+    res,
+    runtime
+  );
+  return res;
+}
+
+describe('Purl state routes', () => {
+  it('should be registered in the plugin', () => {
+    const paths = plugin.routes?.map((route) => `${route.type} ${route.path}`);
+    expect(paths).toEqual(
+      expect.arrayContaining([
+        'GET /purl/state',
+        'GET /purl/state/history',
+        'POST /purl/state/reset',
+        'POST /purl/state/nudge',
+      ])
+    );
+  });
+
+  it('should reject requests without the API key', async () => {
+    const { runtime } = createStateRuntime();
+    const res = await call('GET', '/purl/state', runtime, { apiKey: 'wrong' });
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ error: { code: 'UNAUTHORIZED' } });
+  });
+
+  it('should only let admin keys change the state', async () => {
+    const { runtime } = createStateRuntime();
+    runtime.getSetting = mock((key: string) =>
+      key === 'API_KEYS' ? 'frontend:read:frontend-key' : null
+    ) as any;
+
+    const read = await call('GET', '/purl/state', runtime, { apiKey: 'frontend-key' });
+    expect(read.status).not.toHaveBeenCalled();
+    expect(read.json.mock.calls[0][0].success).toBe(true);
+
+    const nudge = await call('POST', '/purl/state/nudge', runtime, {
+      apiKey: 'frontend-key',
+      body: { hunger: 10 },
+    });
+    expect(nudge.status).toHaveBeenCalledWith(403);
+    expect(nudge.json.mock.calls[0][0]).toMatchObject({ error: { code: 'FORBIDDEN' } });
+  });
+
+  it('should return the current state and mood', async () => {
+    const { runtime } = createStateRuntime();
+    const res = await call('GET', '/purl/state', runtime);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.success).toBe(true);
+    expect(body.data.mood).toBe('content');
+    expect(body.data.state.hunger).toBeCloseTo(30, 0);
+  });
+
+  it('should nudge needs and record the change in the history', async () => {
+    const { runtime } = createStateRuntime();
+    const res = await call('POST', '/purl/state/nudge', runtime, { body: { hunger: 60 } });
+    expect(res.json.mock.calls[0][0].data.mood).toBe('hangry');
+
+    const history = await call('GET', '/purl/state/history', runtime, { query: { limit: '5' } });
+    const { data } = history.json.mock.calls[0][0];
+    expect(data.history.at(-1)).toMatchObject({ source: 'operator', delta: { hunger: 60 } });
+  });
+
+  it('should reset needs to defaults or the given values', async () => {
+    const { runtime, service } = createStateRuntime();
+    await service.update({ hunger: 50 });
+
+    await call('POST', '/purl/state/reset', runtime);
+    expect(service.getState().hunger).toBe(30);
+
+    await call('POST', '/purl/state/reset', runtime, { body: { energy: 5 } });
+    expect(service.getState()).toMatchObject({ hunger: 30, energy: 5 });
+  });
+
+  it('should reject invalid need values', async () => {
+    const { runtime } = createStateRuntime();
+    const res = await call('POST', '/purl/state/nudge', runtime, { body: { happiness: 10 } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(parseNeeds({ hunger: 'lots' }, { min: 0, max: 100 })).toEqual({
+      error: '"hunger" must be a number',
+    });
+    expect(parseNeeds({ energy: 120 }, { min: 0, max: 100 })).toEqual({
+      error: '"energy" must be between 0 and 100',
+    });
+  });
+
+  it('should report 503 when the state service is not running', async () => {
+    const runtime = createMockRuntime({
+      getSetting: mock(() => 'secret'),
+      getService: mock(() => null),
+    });
+    const res = await call('GET', '/purl/state', runtime);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+});
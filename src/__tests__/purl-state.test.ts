@@ -0,0 +1,190 @@
+import { describe, expect, it, mock, spyOn, beforeAll } from 'bun:test';
+import { logger } from '@elizaos/core';
+import plugin from '../plugin';
+import {
+  DEFAULT_PURL_NEEDS,
+  PURL_STATE_EVENT,
+  PurlStateService,
+  detectInteractions,
+} from '../services/purl-state';
+import { createMockRuntime } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'warn').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function createCachedRuntime(initial: Record<string, unknown> = {}) {
+  const cache = new Map<string, unknown>(Object.entries(initial));
+  const runtime = createMockRuntime({
+    agentId: 'agent-id' as any,
+    getCache: mock(async (key: string) => cache.get(key)),
+    setCache: mock(async (key: string, value: unknown) => {
+      cache.set(key, value);
+      return true;
+    }),
+  });
+  return { runtime, cache };
+}
+
+describe('PurlStateService', () => {
+  it('should replace the starter service in the plugin', () => {
+    expect(plugin.services).toContain(PurlStateService);
+  });
+
+  it('should detect interactions from chat keywords', () => {
+    expect(detectInteractions('here is some tuna')).toEqual(['feed']);
+    expect(detectInteractions('wanna play with the laser? *scratches chin*')).toEqual([
+      'play',
+      'pet',
+    ]);
+    expect(detectInteractions('time for a nap')).toEqual(['sleep']);
+    expect(detectInteractions('what is the meaning of life')).toEqual([]);
+  });
+
+  it('should only match interaction keywords as whole words', () => {
+    expect(detectInteractions('petrol prices and a petty petition')).toEqual([]);
+    expect(detectInteractions('fetch the string on mouse events')).toEqual([]);
+    expect(detectInteractions('I wrote a REST API from scratch')).toEqual([]);
+    expect(detectInteractions('*pets you*')).toEqual(['pet']);
+  });
+
+  it('should start from defaults and persist them', async () => {
+    const { runtime, cache } = createCachedRuntime();
+    const service = new PurlStateService(runtime);
+    await service.load();
+
+    expect(service.getState().hunger).toBeCloseTo(DEFAULT_PURL_NEEDS.hunger, 0);
+    expect(service.getState().energy).toBeCloseTo(DEFAULT_PURL_NEEDS.energy, 0);
+
+    // Feeding a peckish cat leaves her completely full
+    await service.interact('feed');
+    expect(cache.get('purl-state:agent-id')).toMatchObject({ hunger: 0 });
+  });
+
+  it('should restore persisted state and apply decay for time offline', async () => {
+    const savedAt = Date.now() - 2 * HOUR_MS;
+    const { runtime } = createCachedRuntime({
+      'purl-state:agent-id': {
+        hunger: 10,
+        energy: 90,
+        curiosity: 20,
+        affection: 70,
+        updatedAt: savedAt,
+      },
+    });
+    const service = new PurlStateService(runtime);
+    await service.load();
+
+    const state = service.getState();
+    expect(state.hunger).toBeCloseTo(26, 0);
+    expect(state.energy).toBeCloseTo(78, 0);
+    expect(state.curiosity).toBeCloseTo(30, 0);
+    expect(state.affection).toBeCloseTo(62, 0);
+  });
+
+  it('should clamp needs to the 0-100 range', async () => {
+    const { runtime } = createCachedRuntime();
+    const service = new PurlStateService(runtime);
+
+    const state = await service.update({ hunger: -500, affection: 500 });
+    expect(state.hunger).toBe(0);
+    expect(state.affection).toBe(100);
+  });
+
+  it('should treat any chat message as a little stimulation', async () => {
+    const { runtime } = createCachedRuntime();
+    const service = new PurlStateService(runtime);
+    const before = service.getState();
+
+    const { state, interactions } = await service.recordMessage('how was your day?');
+
+    expect(interactions).toEqual([]);
+    expect(state.curiosity).toBeLessThan(before.curiosity);
+    expect(state.hunger).toBeCloseTo(before.hunger, 0);
+  });
+
+  it('should apply interactions from chat keywords once per message', async () => {
+    const { runtime } = createCachedRuntime();
+    const service = new PurlStateService(runtime);
+    const before = await service.update({ hunger: 60 });
+
+    const { state, interactions } = await service.recordMessage('have some tuna', 'message-1');
+    expect(interactions).toEqual(['feed']);
+    expect(state.hunger).toBeCloseTo(before.hunger - 35, 0);
+
+    // The feed action for the same message reuses the change
+    const fed = await service.interactFor('message-1', 'feed');
+    expect(fed.after).toEqual(state);
+    expect(service.getState().hunger).toBeCloseTo(before.hunger - 35, 0);
+
+    // Without a recorded change, the interaction is applied
+    await service.interactFor('message-2', 'feed');
+    expect(service.getState().hunger).toBeCloseTo(before.hunger - 70, 0);
+  });
+
+  it('should keep a history of changes and merge consecutive decay ticks', async () => {
+    const { runtime, cache } = createCachedRuntime();
+    const service = new PurlStateService(runtime);
+    const start = service.getState().updatedAt;
+
+    await service.applyDecay(start + HOUR_MS);
+    await service.applyDecay(start + 2 * HOUR_MS);
+    await service.interact('pet');
+
+    const history = service.getHistory();
+    expect(history.map((change) => change.source)).toEqual(['decay', 'pet']);
+    expect(history[0].delta.hunger).toBeCloseTo(16, 0);
+    expect(cache.get('purl-state-history:agent-id')).toHaveLength(2);
+  });
+
+  it('should reset needs to defaults', async () => {
+    const { runtime } = createCachedRuntime();
+    const service = new PurlStateService(runtime);
+    await service.update({ hunger: 40, energy: -40 });
+
+    const state = await service.reset();
+    expect(state).toMatchObject(DEFAULT_PURL_NEEDS);
+    expect(service.getHistory().at(-1)?.source).toBe('reset');
+  });
+
+  it('should broadcast changes to the socket service', async () => {
+    const socket = { broadcast: mock() };
+    const { runtime } = createCachedRuntime();
+    runtime.getService = mock(() => socket) as any;
+    const service = new PurlStateService(runtime);
+
+    await service.interact('feed');
+    expect(socket.broadcast).toHaveBeenCalledWith(PURL_STATE_EVENT, expect.anything(), {
+      retain: true,
+    });
+  });
+
+  it('should record messages from the MESSAGE_RECEIVED event', async () => {
+    const recordMessage = mock(async () => ({}));
+    const runtime = {
+      agentId: 'agent-id',
+      getService: mock((type: string) =>
+        type === PurlStateService.serviceType ? { recordMessage } : null
+      ),
+    };
+    const handler = plugin.events!.MESSAGE_RECEIVED![0];
+
+    await handler({
+      runtime,
+      message: { entityId: 'user-id', content: { text: 'have a fish' } },
+      source: 'test',
+    } as any);
+    await handler({
+      runtime,
+      message: { entityId: 'agent-id', content: { text: 'my own reply' } },
+      source: 'test',
+    } as any);
+
+    expect(recordMessage).toHaveBeenCalledTimes(1);
+    expect(recordMessage).toHaveBeenCalledWith('have a fish', undefined);
+  });
+});
@@ -0,0 +1,365 @@
+import { afterEach, beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import { EventType, ModelType, logger } from '@elizaos/core';
+import { loadConfig, resetConfig } from '../config/env';
+import plugin from '../plugin';
+import { PurlModerationService } from '../services/purl-moderation';
+import { PurlSocketService } from '../services/purl-socket';
+import {
+  PurlStreamService,
+  REPLY_CHUNK_EVENT,
+  REPLY_END_EVENT,
+  STREAM_MODEL_PRIORITY,
+  STREAM_MODEL_PROVIDER,
+} from '../services/purl-stream';
+import { ReplyTextExtractor } from '../streaming/reply-stream';
+import { createMockRuntime } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+const originalFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+/** RUN_STARTED's metadata, the content of the message being answered */
+const HI = { text: 'hi' };
+
+/** Bootstrap's reply prompt, quoting the message being answered */
+const replyPrompt = (text: string) =>
+  `# Received Message\nvisitor: ${text}\n\n# Focus your response\nReply to visitor.\n`;
+
+const REPLY =
+  '<response><thought>hmm</thought><actions>REPLY</actions><text>hello there human</text></response>';
+
+function createStreamRuntime(settings: Record<string, string> = {}) {
+  const events: { event: string; payload: any }[] = [];
+  const socket = {
+    sendToChat: mock((_channelId: string, event: string, payload: unknown) =>
+      events.push({ event, payload })
+    ),
+  };
+  const moderation = { allowsPreview: mock((_text: string, _runId?: string) => true) };
+  const fallback = mock(async (_runtime: any, _params: any) => REPLY);
+  const runtime = createMockRuntime({
+    character: { name: 'Purl', system: 'you are a cat' } as any,
+    getSetting: mock((key: string) => settings[key] ?? null),
+    getModel: mock(() => fallback),
+    registerModel: mock(),
+    // Shared by every room, so it never decides which run a call belongs to
+    getCurrentRunId: mock(() => 'run-1'),
+    getRoom: mock(async (roomId: string) => ({ id: roomId, channelId: `channel-of-${roomId}` })),
+    getMemoryById: mock(async () => ({ metadata: { sourceId: 'central-message' } })),
+    emitEvent: mock(async () => {}),
+  });
+  const service = new PurlStreamService(runtime);
+  runtime.getService = mock((type: string) => {
+    if (type === PurlStreamService.serviceType) return service;
+    if (type === PurlSocketService.serviceType) return socket;
+    if (type === PurlModerationService.serviceType) return moderation;
+    return null;
+  }) as any;
+  service.install();
+  const handler = (runtime.registerModel as any).mock.calls[0][1];
+  const generate = (prompt = replyPrompt('hi')) => handler(runtime, { prompt, runtime });
+  return { runtime, service, events, fallback, moderation, generate };
+}
+
+function streamingResponse(lines: string[], { open = false } = {}) {
+  const encoder = new TextEncoder();
+  return new Response(
+    new ReadableStream({
+      start(controller) {
+        for (const line of lines) controller.enqueue(encoder.encode(line));
+        if (!open) controller.close();
+      },
+    })
+  );
+}
+
+const deltaLine = (content: string) =>
+  `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n`;
+
+const textOf = (events: { event: string; payload: any }[]) =>
+  events
+    .filter(({ event }) => event === REPLY_CHUNK_EVENT)
+    .map(({ payload }) => payload.delta)
+    .join('');
+
+describe('reply text extractor', () => {
+  it('should return only the reply text, holding back a split closing tag', () => {
+    const extractor = new ReplyTextExtractor();
+    const pieces = ['<thought>mine</thought><te', 'xt>\n hello', ' there</', 'text><actions>'];
+    expect(pieces.map((piece) => extractor.push(piece))).toEqual(['', 'hello', ' there', '']);
+    expect(extractor.push('<text>again</text>')).toBe('');
+  });
+});
+
+describe('PurlStreamService', () => {
+  it('should be registered in the plugin and follow runs', () => {
+    expect(plugin.services).toContain(PurlStreamService);
+    expect(plugin.events?.RUN_TIMEOUT).toHaveLength(1);
+  });
+
+  it('should register ahead of the model plugins and pass other calls on', async () => {
+    const { runtime, events, fallback, generate } = createStreamRuntime();
+    expect(runtime.registerModel).toHaveBeenCalledWith(
+      ModelType.TEXT_LARGE,
+      expect.any(Function),
+      STREAM_MODEL_PROVIDER,
+      STREAM_MODEL_PRIORITY
+    );
+
+    // No chat run in progress: straight to the model plugin
+    expect(await generate()).toBe(REPLY);
+    expect(fallback).toHaveBeenCalledTimes(1);
+    expect(events).toHaveLength(0);
+  });
+
+  it('should stream each reply to the chat whose message its prompt answers', async () => {
+    const { service, events, fallback, generate } = createStreamRuntime();
+    await service.trackRun({
+      runId: 'run-1',
+      messageId: 'memory-1',
+      roomId: 'room-1',
+      metadata: HI,
+    });
+    await service.trackRun({
+      runId: 'run-2',
+      messageId: 'memory-2',
+      roomId: 'room-2',
+      metadata: { text: 'hello' },
+    });
+
+    // The runtime's current run is still run-1
+    await generate(replyPrompt('hello'));
+    expect(events.map(({ payload }) => [payload.channelId, payload.messageId])).toEqual([
+      ['channel-of-room-2', 'run-2'],
+    ]);
+
+    // The same text in both chats: the call is answered without a preview
+    await service.trackRun({
+      runId: 'run-3',
+      messageId: 'memory-3',
+      roomId: 'room-2',
+      metadata: HI,
+    });
+    await generate(replyPrompt('hi'));
+    expect(fallback).toHaveBeenCalledTimes(2);
+    expect(events.filter(({ event }) => event === REPLY_CHUNK_EVENT)).toHaveLength(1);
+  });
+
+  it('should send a reply from a provider that cannot stream in one chunk', async () => {
+    const { service, events, generate } = createStreamRuntime();
+    await service.trackRun({
+      runId: 'run-1',
+      messageId: 'memory-1',
+      roomId: 'room-1',
+      metadata: HI,
+    });
+
+    expect(await generate()).toBe(REPLY);
+    service.endRun('run-1', 'completed');
+
+    expect(events).toEqual([
+      {
+        event: REPLY_CHUNK_EVENT,
+        payload: {
+          channelId: 'channel-of-room-1',
+          messageId: 'run-1',
+          inReplyTo: 'central-message',
+          attempt: 1,
+          seq: 0,
+          delta: 'hello there human',
+        },
+      },
+      {
+        event: REPLY_END_EVENT,
+        payload: {
+          channelId: 'channel-of-room-1',
+          messageId: 'run-1',
+          inReplyTo: 'central-message',
+          status: 'complete',
+        },
+      },
+    ]);
+  });
+
+  it('should stream OpenRouter completions and report their usage', async () => {
+    const { runtime, service, events, fallback, generate } = createStreamRuntime({
+      OPENROUTER_API_KEY: 'or-key',
+    });
+    const fetchMock = mock(async (_url: string, _init: any) =>
+      streamingResponse([
+        ...['<text>hel', 'lo there', ' human</text>'].map(
+          (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n`
+        ),
+        `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } })}\n`,
+        'data: [DONE]\n',
+      ])
+    );
+    globalThis.fetch = fetchMock as any;
+    await service.trackRun({
+      runId: 'run-1',
+      messageId: 'memory-1',
+      roomId: 'room-1',
+      metadata: HI,
+    });
+
+    expect(await generate()).toBe('<text>hello there human</text>');
+    expect(fallback).not.toHaveBeenCalled();
+    expect(textOf(events)).toBe('hello there human');
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://openrouter.ai/api/v1/chat/completions');
+    expect(JSON.parse(init.body)).toMatchObject({
+      model: 'openai/gpt-4.1-nano',
+      stream: true,
+      messages: [
+        { role: 'system', content: 'you are a cat' },
+        { role: 'user', content: replyPrompt('hi') },
+      ],
+    });
+    expect(runtime.emitEvent).toHaveBeenCalledWith(EventType.MODEL_USED, {
+      provider: 'openrouter',
+      type: ModelType.TEXT_LARGE,
+      prompt: replyPrompt('hi'),
+      tokens: { prompt: 10, completion: 5, total: 15 },
+    });
+  });
+
+  it('should style the preview the way the reply will be, a word at a time', async () => {
+    const { service, events, generate } = createStreamRuntime({ OPENROUTER_API_KEY: 'or-key' });
+    globalThis.fetch = mock(async () =>
+      streamingResponse(
+        ['<text>Hello 😺', ' THERE', ' Huma', 'n 🐟</text>'].map((content) => deltaLine(content))
+      )
+    ) as any;
+    await service.trackRun({
+      runId: 'run-1',
+      messageId: 'memory-1',
+      roomId: 'room-1',
+      metadata: HI,
+    });
+
+    expect(await generate()).toBe('<text>Hello 😺 THERE Human 🐟</text>');
+    expect(textOf(events)).toBe('hello THERE human');
+  });
+
+  it('should skip stream lines that are not events', async () => {
+    const { service, events, fallback, generate } = createStreamRuntime({
+      OPENROUTER_API_KEY: 'or-key',
+    });
+    globalThis.fetch = mock(async () =>
+      streamingResponse([
+        deltaLine('<text>hello'),
+        ': keep-alive\n',
+        'data: {"choices": [{"delta"\n',
+        deltaLine(' there</text>'),
+      ])
+    ) as any;
+    await service.trackRun({
+      runId: 'run-1',
+      messageId: 'memory-1',
+      roomId: 'room-1',
+      metadata: HI,
+    });
+
+    expect(await generate()).toBe('<text>hello there</text>');
+    expect(fallback).not.toHaveBeenCalled();
+    expect(textOf(events)).toBe('hello there');
+  });
+
+  it('should stop the completion of a reply that is dropped', async () => {
+    const { service, fallback, generate } = createStreamRuntime({ OPENROUTER_API_KEY: 'or-key' });
+    const fetchMock = mock(async (_url: string, _init: any) =>
+      streamingResponse([deltaLine('<text>hel')], { open: true })
+    );
+    globalThis.fetch = fetchMock as any;
+    await service.trackRun({
+      runId: 'run-1',
+      messageId: 'memory-1',
+      roomId: 'room-1',
+      metadata: HI,
+    });
+
+    const reply = generate();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    await service.trackRun({
+      runId: 'run-2',
+      messageId: 'memory-2',
+      roomId: 'room-1',
+      metadata: HI,
+    });
+
+    await expect(reply).rejects.toThrow('Reply replaced');
+    expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(fallback).not.toHaveBeenCalled();
+  });
+
+  it('should ask the model plugin when the stream goes quiet', async () => {
+    loadConfig({ OPENROUTER_API_KEY: 'or-key', PURL_CHAT_STREAM_TIMEOUT_MS: '20' });
+    try {
+      const { service, events, fallback, generate } = createStreamRuntime({
+        OPENROUTER_API_KEY: 'or-key',
+      });
+      globalThis.fetch = mock(async () =>
+        streamingResponse([deltaLine('<text>hel')], { open: true })
+      ) as any;
+      await service.trackRun({
+        runId: 'run-1',
+        messageId: 'memory-1',
+        roomId: 'room-1',
+        metadata: HI,
+      });
+
+      expect(await generate()).toBe(REPLY);
+      expect(fallback).toHaveBeenCalledTimes(1);
+      // The plugin's reply is sent as a new attempt
+      expect(events.at(-1)?.payload).toMatchObject({ attempt: 2, delta: 'hello there human' });
+    } finally {
+      resetConfig();
+    }
+  });
+
+  it('should cancel a reply that is replaced, dropped or stopped by moderation', async () => {
+    const { service, events, moderation, generate } = createStreamRuntime();
+    await service.trackRun({
+      runId: 'run-1',
+      messageId: 'memory-1',
+      roomId: 'room-1',
+      metadata: HI,
+    });
+    await generate();
+
+    // A newer message in the same room replaces the reply in progress
+    await service.trackRun({
+      runId: 'run-2',
+      messageId: 'memory-2',
+      roomId: 'room-1',
+      metadata: HI,
+    });
+    expect(events.at(-1)).toMatchObject({
+      event: REPLY_END_EVENT,
+      payload: { messageId: 'run-1', status: 'cancelled', reason: 'replaced' },
+    });
+
+    await generate();
+    service.endRun('run-2', 'error');
+    expect(events.at(-1)?.payload).toMatchObject({ messageId: 'run-2', reason: 'error' });
+
+    // A preview the policy would not allow is never sent
+    moderation.allowsPreview.mockImplementation(() => false);
+    await service.trackRun({
+      runId: 'run-3',
+      messageId: 'memory-3',
+      roomId: 'room-1',
+      metadata: HI,
+    });
+    await generate();
+    service.endRun('run-3', 'completed');
+    expect(events.filter(({ payload }) => payload.messageId === 'run-3')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,182 @@
+import { beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import { logger } from '@elizaos/core';
+import plugin from '../plugin';
+import { purlMetricsRoutes } from '../routes/purl-metrics';
+import { PurlTelemetryService } from '../services/purl-telemetry';
+import { runEvent } from '../telemetry/events';
+import {
+  countEvent,
+  countInHours,
+  emptyCounters,
+  formatPrometheus,
+  hourStart,
+} from '../telemetry/metrics';
+import { createMockRuntime } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+const HOUR = 3_600_000;
+
+const t = (prompt: number, completion: number) => ({
+  prompt,
+  completion,
+  total: prompt + completion,
+});
+
+function createTelemetryRuntime(runId = 'run-1') {
+  const cache = new Map<string, unknown>();
+  const runtime = createMockRuntime({
+    agentId: 'agent-id' as any,
+    character: { name: 'Purl' } as any,
+    getCurrentRunId: mock(() => runId) as any,
+    getSetting: mock((key: string) => (key === 'API_KEY' ? 'secret' : null)),
+    getCache: mock(async (key: string) => cache.get(key)),
+    setCache: mock(async (key: string, value: unknown) => {
+      cache.set(key, value);
+      return true;
+    }),
+  });
+  const service = new PurlTelemetryService(runtime);
+  runtime.getService = mock((type: string) =>
+    type === PurlTelemetryService.serviceType ? service : null
+  ) as any;
+  return { runtime, service, cache };
+}
+
+async function call(routePath: string, runtime: any, req: any = {}) {
+  const route = purlMetricsRoutes.find((r) => r.path === routePath)!;
+  const res: any = { headersSent: false };
+  res.status = mock(() => res);
+  res.setHeader = mock();
+  res.json = mock(() => res);
+  res.send = mock(() => res);
+  await route.handler!(
+    { query: {}, ...req, headers: { 'x-api-key': 'secret', ...req.headers } },
+    res,
+    runtime
+  );
+  return res;
+}
+
+describe('Telemetry counters', () => {
+  it('should count events per hour and drop hours past retention', () => {
+    const start = hourStart(Date.UTC(2026, 0, 1, 9, 30));
+    let hours = countInHours([], { type: 'message_received', timestamp: start + 60_000 }, 2);
+    hours = countInHours(hours, { type: 'message_received', timestamp: start + 120_000 }, 2);
+    hours = countInHours(
+      hours,
+      { type: 'run_ended', timestamp: start + HOUR, status: 'completed', latencyMs: 800 },
+      2
+    );
+    expect(hours.map((bucket) => bucket.events)).toEqual([
+      { message_received: 2 },
+      { run_ended: 1 },
+    ]);
+
+    hours = countInHours(hours, { type: 'world_joined', timestamp: start + 2 * HOUR }, 2);
+    expect(hours.map((bucket) => bucket.hour)).toEqual([start + HOUR, start + 2 * HOUR]);
+  });
+
+  it('should count the token figures a provider leaves out as zero', () => {
+    const counters = emptyCounters();
+    countEvent(counters, { type: 'model_used', timestamp: 0, tokens: { total: 12 } });
+    countEvent(counters, {
+      type: 'model_used',
+      timestamp: 1,
+      tokens: { prompt: 3, completion: 4 },
+    });
+
+    expect(counters.tokens).toEqual({ prompt: 3, completion: 4, total: 12 });
+  });
+
+  it('should format counters as Prometheus text', () => {
+    const [bucket] = countInHours(
+      [],
+      {
+        type: 'run_ended',
+        timestamp: 0,
+        status: 'completed',
+        latencyMs: 1500,
+        actions: ['REPLY'],
+      },
+      1
+    );
+    const text = formatPrometheus(bucket, 'Purl "the cat"');
+
+    expect(text).toContain('# TYPE purl_events_total counter');
+    expect(text).toContain('purl_events_total{agent="Purl \\"the cat\\"",type="run_ended"} 1');
+    expect(text).toContain('purl_actions_total{agent="Purl \\"the cat\\"",action="REPLY"} 1');
+    expect(text).toContain('purl_run_latency_seconds_sum{agent="Purl \\"the cat\\""} 1.5');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+});
+
+describe('PurlTelemetryService', () => {
+  it('should be registered in the plugin with its routes and run handler', () => {
+    expect(plugin.services).toContain(PurlTelemetryService);
+    expect(plugin.events?.RUN_ENDED).toHaveLength(1);
+    expect(plugin.routes?.map((route) => route.path)).toContain('/purl/metrics');
+  });
+
+  it('should credit model tokens to the run that used them', async () => {
+    const { service, cache } = createTelemetryRuntime('run-1');
+    service.recordModelUsed({ type: 'TEXT_LARGE', provider: 'openai', tokens: t(100, 20) });
+    service.recordModelUsed({ type: 'TEXT_SMALL', provider: 'openai', tokens: t(10, 5) });
+    service.record(
+      runEvent({ runId: 'run-1', roomId: 'room', duration: 900, status: 'completed' })
+    );
+
+    const run = service.getEvents().at(-1);
+    expect(run).toMatchObject({ type: 'run_ended', latencyMs: 900, tokens: t(110, 25) });
+    expect(service.getTotals().counters.tokens).toEqual(t(110, 25));
+
+    await service.stop();
+    expect((cache.get('purl-telemetry:agent-id') as any).events).toHaveLength(3);
+
+    // Recorded again after a restart
+    const restarted = createTelemetryRuntime();
+    restarted.cache.set('purl-telemetry:agent-id', cache.get('purl-telemetry:agent-id'));
+    await restarted.service.load();
+    expect(restarted.service.getTotals().counters.events).toEqual({ model_used: 2, run_ended: 1 });
+  });
+});
+
+describe('Purl metrics routes', () => {
+  it('should serve JSON by default and Prometheus on request', async () => {
+    const { runtime, service } = createTelemetryRuntime();
+    service.record({ type: 'message_received', timestamp: Date.now(), roomId: 'room' });
+
+    let res = await call('/purl/metrics', runtime, { query: { hours: '1' } });
+    const data = res.json.mock.calls[0][0].data;
+    expect(data.totals.events).toEqual({ message_received: 1 });
+    expect(data.hours).toHaveLength(1);
+    expect(data.hours[0].hour).toMatch(/:00:00.000Z$/);
+
+    res = await call('/purl/metrics', runtime, { headers: { accept: 'text/plain' } });
+    expect(res.setHeader).toHaveBeenCalledWith(
+      'Content-Type',
+      'text/plain; version=0.0.4; charset=utf-8'
+    );
+    expect(res.send.mock.calls[0][0]).toContain(
+      'purl_events_total{agent="Purl",type="message_received"} 1'
+    );
+  });
+
+  it('should filter event rows and reject bad queries', async () => {
+    const { runtime, service } = createTelemetryRuntime();
+    service.record({ type: 'message_received', timestamp: 1_000 });
+    service.record({ type: 'world_joined', timestamp: 2_000 });
+
+    let res = await call('/purl/metrics/events', runtime, { query: { type: 'world_joined' } });
+    expect(res.json.mock.calls[0][0].data).toEqual({
+      events: [{ type: 'world_joined', timestamp: 2_000 }],
+      count: 1,
+    });
+
+    res = await call('/purl/metrics/events', runtime, { query: { type: 'nap' } });
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
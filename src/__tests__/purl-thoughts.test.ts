@@ -0,0 +1,136 @@
+import { beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import { ModelType, logger } from '@elizaos/core';
+import plugin from '../plugin';
+import { parseActivitySummary, purlThoughtRoutes } from '../routes/purl-thoughts';
+import {
+  DEFAULT_THOUGHT_INTERVAL_MS,
+  MAX_THOUGHT_LENGTH,
+  PurlThoughtService,
+  cleanThought,
+} from '../services/purl-thoughts';
+import { createMockRuntime } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'warn').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+const quiet = { busyLevel: 'quiet' as const, recentMessages: 1, activeConversations: 1 };
+
+function createThoughtRuntime(outputs: string[]) {
+  const useModel = mock(async () => outputs.shift() ?? '');
+  const runtime = createMockRuntime({ useModel: useModel as any });
+  return { runtime, useModel, service: new PurlThoughtService(runtime) };
+}
+
+describe('Purl thoughts', () => {
+  it('should register the service and route', () => {
+    expect(plugin.services).toContain(PurlThoughtService);
+    expect(plugin.routes?.some((route) => route.path === '/purl/thoughts')).toBe(true);
+  });
+
+  it('should clean model output into a short single thought', () => {
+    expect(cleanThought('"the red dot mocks me again"\nextra line')).toBe(
+      'the red dot mocks me again'
+    );
+    expect(cleanThought('Thought: sunbeam acquired')).toBe('sunbeam acquired');
+
+    const long = cleanThought(
+      'the humans are typing so fast today, i wonder if they know the vacuum is listening'
+    );
+    expect(long.length).toBeLessThanOrEqual(MAX_THOUGHT_LENGTH);
+    expect(long.endsWith('...')).toBe(true);
+  });
+
+  it('should generate with the small text model in character', async () => {
+    const { service, useModel } = createThoughtRuntime(['the room is too quiet. suspicious.']);
+
+    const { thought, cached } = await service.getThought(quiet, 1000);
+
+    expect(cached).toBe(false);
+    expect(thought).toMatchObject({
+      thought: 'the room is too quiet. suspicious.',
+      busyLevel: 'quiet',
+      expiresAt: 1000 + DEFAULT_THOUGHT_INTERVAL_MS,
+    });
+    const [modelType, params] = useModel.mock.calls[0] as any[];
+    expect(modelType).toBe(ModelType.TEXT_SMALL);
+    expect(params.prompt).toContain('You are Purl.');
+    expect(params.prompt).toContain('Chat is quiet');
+  });
+
+  it('should share one thought per interval across concurrent requests', async () => {
+    const { service, useModel } = createThoughtRuntime(['first thought', 'second thought']);
+
+    const [a, b] = await Promise.all([service.getThought(quiet, 0), service.getThought(quiet, 0)]);
+    const c = await service.getThought(quiet, 1000);
+
+    expect(useModel).toHaveBeenCalledTimes(1);
+    expect(a.thought.thought).toBe('first thought');
+    expect(b.thought.thought).toBe('first thought');
+    expect(c.cached).toBe(true);
+
+    const next = await service.getThought(quiet, DEFAULT_THOUGHT_INTERVAL_MS + 1);
+    expect(next.thought.thought).toBe('second thought');
+  });
+
+  it('should keep one thought per busy level', async () => {
+    const { service, useModel } = createThoughtRuntime(['so quiet', 'so busy', 'quiet again']);
+    const busy = { ...quiet, busyLevel: 'busy' as const };
+
+    const first = await service.getThought(quiet, 0);
+    await service.getThought(busy, 0);
+    // Alternating levels reuses each level's thought instead of regenerating
+    const again = await service.getThought(quiet, 1000);
+    const busyAgain = await service.getThought(busy, 1000);
+
+    expect(useModel).toHaveBeenCalledTimes(2);
+    expect(again).toEqual({ thought: first.thought, cached: true });
+    expect(busyAgain.thought).toMatchObject({ thought: 'so busy', busyLevel: 'busy' });
+  });
+
+  it('should retry when the model repeats a recent thought', async () => {
+    const { service, useModel } = createThoughtRuntime([
+      'nap time',
+      'Nap time!',
+      'who moved my box',
+    ]);
+
+    await service.getThought(quiet, 0);
+    const { thought } = await service.getThought(quiet, DEFAULT_THOUGHT_INTERVAL_MS + 1);
+
+    expect(useModel).toHaveBeenCalledTimes(3);
+    expect(thought.thought).toBe('who moved my box');
+    expect(service.getRecentThoughts()).toEqual(['nap time', 'who moved my box']);
+  });
+
+  it('should validate the activity summary', () => {
+    expect(parseActivitySummary({ busyLevel: 'busy', recentMessages: 12 })).toEqual({
+      activity: {
+        busyLevel: 'busy',
+        recentMessages: 12,
+        activeConversations: 0,
+        newMessages: 0,
+        newConversations: 0,
+      },
+    });
+    expect(parseActivitySummary({ busyLevel: 'frantic' })).toHaveProperty('error');
+    expect(parseActivitySummary({ busyLevel: 'quiet', newMessages: -1 })).toHaveProperty('error');
+  });
+
+  it('should respond with the thought from the route', async () => {
+    const { runtime, service } = createThoughtRuntime(['watching. always watching.']);
+    runtime.getService = mock((type: string) =>
+      type === PurlThoughtService.serviceType ? service : null
+    ) as any;
+    const res: any = { json: mock(), status: mock(() => res) };
+
+    await purlThoughtRoutes[0].handler!({ body: quiet, headers: {} }, res, runtime);
+
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      success: true,
+      data: { thought: 'watching. always watching.', cached: false },
+    });
+  });
+});
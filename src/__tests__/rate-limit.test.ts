@@ -0,0 +1,258 @@
+import { afterEach, beforeAll, describe, expect, it, mock, spyOn } from 'bun:test';
+import { logger } from '@elizaos/core';
+import plugin from '../plugin';
+import { loadConfig, resetConfig } from '../config/env';
+import { getRateLimitKeys, rateLimit } from '../routes/rate-limit';
+import { getSocketIp } from '../services/purl-socket';
+import { MemoryRateLimitStore, RateLimiterService } from '../services/rate-limiter';
+import { createMockRuntime } from './test-utils';
+
+beforeAll(() => {
+  spyOn(logger, 'info').mockImplementation(() => {});
+  spyOn(logger, 'warn').mockImplementation(() => {});
+  spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  resetConfig();
+});
+
+function createLimiterRuntime() {
+  const runtime = createMockRuntime();
+  const limiter = new RateLimiterService(runtime);
+  runtime.getService = mock((type: string) =>
+    type === RateLimiterService.serviceType ? limiter : null
+  ) as any;
+  return { runtime, limiter };
+}
+
+function createResponse() {
+  const res: any = { headers: {} as Record<string, string> };
+  res.status = mock(() => res);
+  res.json = mock(() => res);
+  res.setHeader = mock((name: string, value: string) => {
+    res.headers[name] = value;
+  });
+  return res;
+}
+
+describe('MemoryRateLimitStore', () => {
+  const window = { windowMs: 1000, max: 3 };
+
+  it('should allow up to max hits in a sliding window', async () => {
+    const store = new MemoryRateLimitStore();
+
+    const results = [];
+    for (const now of [0, 100, 200, 300]) {
+      results.push(await store.consume('ip:1', window, now));
+    }
+
+    expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+    expect(results[2].remaining).toBe(0);
+    expect(results[3].resetAt).toBe(1000);
+  });
+
+  it('should free a slot once the oldest hit leaves the window', async () => {
+    const store = new MemoryRateLimitStore();
+    for (const now of [0, 500, 600]) {
+      await store.consume('ip:1', window, now);
+    }
+
+    expect((await store.consume('ip:1', window, 999)).allowed).toBe(false);
+    const result = await store.consume('ip:1', window, 1001);
+    expect(result.allowed).toBe(true);
+    expect(result.resetAt).toBe(1500);
+  });
+
+  it('should drop idle keys', async () => {
+    const store = new MemoryRateLimitStore();
+    await store.consume('ip:1', window, 0);
+    await store.consume('ip:2', window, 120_000);
+
+    expect(store.size).toBe(1);
+  });
+});
+
+describe('RateLimiterService', () => {
+  it('should be registered with the plugin', () => {
+    expect(plugin.services).toContain(RateLimiterService);
+  });
+
+  it('should read its limits from the config', async () => {
+    loadConfig({ API_RATE_LIMIT_REQUESTS: '1' });
+    const { limiter } = createLimiterRuntime();
+
+    expect((await limiter.consume('api', ['ip:1'], 0)).allowed).toBe(true);
+    expect((await limiter.consume('api', ['ip:1'], 1)).allowed).toBe(false);
+  });
+
+  it('should refuse a request when any of its keys is over the limit', async () => {
+    loadConfig({ API_KEY_RATE_LIMIT_REQUESTS: '2' });
+    const { limiter } = createLimiterRuntime();
+    await limiter.consume('api', ['ip:1', 'key:shared'], 0);
+    await limiter.consume('api', ['ip:2', 'key:shared'], 1);
+
+    const result = await limiter.consume('api', ['ip:3', 'key:shared'], 2);
+    expect(result.allowed).toBe(false);
+    expect(result.remaining).toBe(0);
+  });
+
+  it('should use a custom store when one is set', async () => {
+    const { limiter } = createLimiterRuntime();
+    const consume = mock(async () => ({ allowed: false, limit: 5, remaining: 0, resetAt: 10 }));
+    limiter.setStore({ consume, reset: mock(async () => {}) });
+
+    const result = await limiter.consume('memory', ['ip:1'], 0);
+
+    expect(result.allowed).toBe(false);
+    expect(consume.mock.calls[0][0]).toBe('memory:ip:1');
+  });
+
+  it('should cap socket connections per IP when enabled', () => {
+    loadConfig({ RATE_LIMIT_ENABLED: 'true', WS_MAX_CONNECTIONS_PER_IP: '2' });
+    const { limiter } = createLimiterRuntime();
+
+    expect(limiter.openConnection('10.0.0.1')).toBe(true);
+    expect(limiter.openConnection('10.0.0.1')).toBe(true);
+    expect(limiter.openConnection('10.0.0.1')).toBe(false);
+    expect(limiter.openConnection('10.0.0.2')).toBe(true);
+
+    limiter.closeConnection('10.0.0.1');
+    expect(limiter.getConnectionCount('10.0.0.1')).toBe(1);
+    expect(limiter.openConnection('10.0.0.1')).toBe(true);
+  });
+
+  it('should only trust X-Forwarded-For entries added by configured proxies', () => {
+    const socket = {
+      handshake: {
+        address: '10.0.0.9',
+        headers: { 'x-forwarded-for': '1.2.3.4, 203.0.113.7, 10.0.0.8' },
+      },
+    } as any;
+
+    // The first entry is whatever the client sent
+    expect(getSocketIp(socket)).toBe('10.0.0.9');
+    expect(getSocketIp(socket, 1)).toBe('10.0.0.8');
+    expect(getSocketIp(socket, 2)).toBe('203.0.113.7');
+    loadConfig({ TRUSTED_PROXY_COUNT: '2' });
+    expect(getSocketIp(socket)).toBe('203.0.113.7');
+    expect(getSocketIp({ handshake: { address: '10.0.0.9', headers: {} } } as any)).toBe(
+      '10.0.0.9'
+    );
+  });
+});
+
+describe('rateLimit route wrapper', () => {
+  const request = (ip: string, apiKey?: string) => ({
+    ip,
+    path: '/purl/state',
+    headers: apiKey ? { 'x-api-key': apiKey } : {},
+  });
+
+  it('should key requests by IP and by a digest of the API key', () => {
+    const keys = getRateLimitKeys(request('10.0.0.1', 'secret'));
+
+    expect(keys[0]).toBe('ip:10.0.0.1');
+    expect(keys[1]).toMatch(/^key:[0-9a-f]{16}$/);
+    expect(keys[1]).not.toContain('secret');
+  });
+
+  it('should pass requests straight through when rate limiting is disabled', async () => {
+    loadConfig({ RATE_LIMIT_ENABLED: 'false' });
+    const { runtime } = createLimiterRuntime();
+    const handler = mock(async () => {});
+    const res = createResponse();
+
+    await rateLimit(handler)(request('10.0.0.1'), res, runtime);
+
+    expect(handler).toHaveBeenCalled();
+    expect(res.setHeader).not.toHaveBeenCalled();
+  });
+
+  it('should set RateLimit headers and refuse requests over the limit', async () => {
+    loadConfig({
+      RATE_LIMIT_ENABLED: 'true',
+      API_RATE_LIMIT_REQUESTS: '2',
+      API_RATE_LIMIT_WINDOW_MS: '60000',
+    });
+    const { runtime } = createLimiterRuntime();
+    const handler = mock(async () => {});
+    const limited = rateLimit(handler);
+
+    const first = createResponse();
+    await limited(request('10.0.0.1'), first, runtime);
+    expect(first.headers['RateLimit-Limit']).toBe('2');
+    expect(first.headers['RateLimit-Remaining']).toBe('1');
+    expect(first.headers['RateLimit-Policy']).toBe('2;w=60');
+
+    await limited(request('10.0.0.1'), createResponse(), runtime);
+    const refused = createResponse();
+    await limited(request('10.0.0.1'), refused, runtime);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(refused.status).toHaveBeenCalledWith(429);
+    expect(refused.json.mock.calls[0][0]).toMatchObject({ error: { code: 'RATE_LIMITED' } });
+    expect(Number(refused.headers['Retry-After'])).toBeGreaterThan(0);
+  });
+
+  it('should limit one API key across several IPs, with its own higher limit', async () => {
+    loadConfig({
+      RATE_LIMIT_ENABLED: 'true',
+      API_RATE_LIMIT_REQUESTS: '1',
+      API_KEY_RATE_LIMIT_REQUESTS: '3',
+    });
+    const { runtime } = createLimiterRuntime();
+    const handler = mock(async () => {});
+    const limited = rateLimit(handler);
+
+    for (const ip of ['10.0.0.1', '10.0.0.2', '10.0.0.3']) {
+      await limited(request(ip, 'secret'), createResponse(), runtime);
+    }
+    const refused = createResponse();
+    await limited(request('10.0.0.4', 'secret'), refused, runtime);
+    // Each IP is still held to its own limit
+    const sameIp = createResponse();
+    await limited(request('10.0.0.1', 'other-key'), sameIp, runtime);
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(refused.status).toHaveBeenCalledWith(429);
+    expect(sameIp.status).toHaveBeenCalledWith(429);
+  });
+
+  it('should let requests through when the limiter store fails', async () => {
+    loadConfig({ RATE_LIMIT_ENABLED: 'true' });
+    const { runtime, limiter } = createLimiterRuntime();
+    limiter.setStore({
+      consume: mock(async () => {
+        throw new Error('store unavailable');
+      }),
+      reset: mock(async () => {}),
+    });
+    const handler = mock(async () => {});
+
+    await rateLimit(handler)(request('10.0.0.1'), createResponse(), runtime);
+
+    expect(handler).toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith(
+      { error: expect.any(Error) },
+      expect.stringContaining('Rate limit check failed')
+    );
+  });
+
+  it('should apply the memory limit to routes that read memories', async () => {
+    loadConfig({ RATE_LIMIT_ENABLED: 'true', MEMORY_API_RATE_LIMIT_REQUESTS: '1' });
+    const { runtime } = createLimiterRuntime();
+    const route = plugin.routes!.find((route) => route.path === '/purl/chat/events')!;
+    const chatRequest = { ...request('10.0.0.1'), query: { channelId: 'not-a-uuid' } };
+
+    const first = createResponse();
+    await route.handler!(chatRequest, first, runtime);
+    expect(first.headers['RateLimit-Limit']).toBe('1');
+    // The route itself ran, and found no message bus to check the chat with
+    expect(first.status).toHaveBeenCalledWith(503);
+
+    const refused = createResponse();
+    await route.handler!(chatRequest, refused, runtime);
+    expect(refused.status).toHaveBeenCalledWith(429);
+  });
+});
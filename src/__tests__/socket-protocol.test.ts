@@ -0,0 +1,189 @@
+import { afterEach, describe, expect, it, mock } from 'bun:test';
+import { logger } from '@elizaos/core';
+import { createServer } from 'node:http';
+import { io as connect, type Socket as ClientSocket } from 'socket.io-client';
+import { loadConfig, resetConfig } from '../config/env';
+import {
+  ELIZA_CLIENT_EVENTS,
+  ELIZA_SERVER_EVENTS,
+  PROTOCOL_EVENT,
+  PROTOCOL_VERSION,
+  PURL_SERVER_EVENTS,
+  SOCKET_MESSAGE_TYPE,
+  readPayload,
+  send,
+} from '../../frontend/protocol/socket';
+import { MESSAGE_BUS_SERVICE, PurlSocketService } from '../services/purl-socket';
+import { createMockRuntime } from './test-utils';
+
+// Mock logger
+mock.module('@elizaos/core', () => {
+  const actual = require('@elizaos/core');
+  return {
+    ...actual,
+    logger: {
+      info: mock(),
+      error: mock(),
+      warn: mock(),
+      debug: mock(),
+    },
+  };
+});
+
+const warn = logger.warn as ReturnType<typeof mock>;
+
+afterEach(() => {
+  warn.mockClear();
+  resetConfig();
+});
+
+const CHUNK = {
+  channelId: 'channel-1',
+  messageId: 'run-1',
+  inReplyTo: 'message-1',
+  attempt: 1,
+  seq: 0,
+  delta: 'hello',
+};
+
+const nextEvent = (socket: ClientSocket, event: string) =>
+  new Promise<any>((resolve) => socket.once(event, resolve));
+
+describe('socket protocol', () => {
+  it('should return matching payloads and report the others', () => {
+    const onInvalid = mock();
+    const broadcast = { senderId: 'agent', text: 'meow', thought: 'hmm' };
+    // ElizaOS events keep the fields the schema does not list
+    expect(readPayload(ELIZA_SERVER_EVENTS, 'messageBroadcast', broadcast, onInvalid)).toEqual(
+      broadcast
+    );
+    // Purl events carry exactly their schema's fields
+    expect(
+      readPayload(PURL_SERVER_EVENTS, 'replyChunk', { ...CHUNK, extra: true }, onInvalid)
+    ).toEqual(CHUNK);
+    expect(onInvalid).not.toHaveBeenCalled();
+
+    expect(
+      readPayload(PURL_SERVER_EVENTS, 'replyChunk', { ...CHUNK, seq: -1 }, onInvalid)
+    ).toBeUndefined();
+    expect(readPayload(ELIZA_SERVER_EVENTS, 'nope' as any, {}, onInvalid)).toBeUndefined();
+    expect(onInvalid.mock.calls).toEqual([
+      ['replyChunk', ['seq Number must be greater than or equal to 0']],
+      ['nope', ['unknown event']],
+    ]);
+  });
+
+  it('should only send messages of the types ElizaOS handles', () => {
+    const socket = { on: mock(), emit: mock() };
+    const onInvalid = mock();
+    const join = {
+      type: SOCKET_MESSAGE_TYPE.ROOM_JOINING,
+      payload: { roomId: 'channel-1', entityId: 'user-1' },
+    };
+    expect(send(socket, ELIZA_CLIENT_EVENTS, 'message', join, onInvalid)).toBe(true);
+    expect(socket.emit).toHaveBeenCalledWith('message', join);
+
+    const leave = { type: SOCKET_MESSAGE_TYPE.MESSAGE, payload: { roomId: 'channel-1' } };
+    expect(send(socket, ELIZA_CLIENT_EVENTS, 'message', leave as any, onInvalid)).toBe(false);
+    expect(socket.emit).toHaveBeenCalledTimes(1);
+    expect(onInvalid).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('PurlSocketService protocol', () => {
+  it('should not broadcast or retain a malformed payload', () => {
+    const service = new PurlSocketService(createMockRuntime());
+    service.broadcast('purlStateChanged', { hunger: 'lots' } as any, { retain: true });
+    expect(service.getLastPayload('purlStateChanged')).toBeUndefined();
+    expect(warn).toHaveBeenCalledWith(
+      {
+        event: 'purlStateChanged',
+        issues: expect.arrayContaining(['hunger Expected number, received string']),
+      },
+      'Dropped a malformed Purl socket payload'
+    );
+
+    const state = { hunger: 50, energy: 50, curiosity: 50, affection: 50, updatedAt: 1 };
+    service.broadcast('purlStateChanged', state, { retain: true });
+    expect(service.getLastPayload('purlStateChanged')).toEqual(state);
+  });
+
+  it('should report a port it could not bind instead of crashing', async () => {
+    loadConfig({ PURL_SOCKET_PORT: '39418' });
+    const blocker = createServer();
+    await new Promise<void>((resolve) => blocker.listen(39418, resolve));
+    const service = await PurlSocketService.start(createMockRuntime());
+    try {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(service.getStatus()).toMatchObject({
+        listening: false,
+        port: 39418,
+        error: expect.stringContaining('39418'),
+      });
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.objectContaining({ port: 39418 }),
+        'Purl socket server failed'
+      );
+    } finally {
+      await service.stop();
+      await new Promise((resolve) => blocker.close(resolve));
+    }
+  });
+
+  it('should announce its version and validate chat joins over a real connection', async () => {
+    loadConfig({ PURL_SOCKET_PORT: '39417' });
+    const bus = {
+      getChannelParticipants: mock(async (channelId: string) =>
+        channelId === 'channel-1' ? ['user-1', 'agent-1'] : ['user-2']
+      ),
+    };
+    const service = await PurlSocketService.start(
+      createMockRuntime({
+        getService: mock((type: string) => (type === MESSAGE_BUS_SERVICE ? bus : null)) as any,
+        getCache: mock(async () => undefined),
+        setCache: mock(async () => true),
+      })
+    );
+    const token = (await service.issueChatToken('channel-1', 'user-1'))!;
+    const otherToken = (await service.issueChatToken('channel-2', 'user-1'))!;
+    const client = connect('http://localhost:39417', {
+      transports: ['websocket'],
+      auth: { protocolVersion: PROTOCOL_VERSION + 1 },
+    });
+    try {
+      expect(await nextEvent(client, PROTOCOL_EVENT)).toEqual({ version: PROTOCOL_VERSION });
+      expect(warn).toHaveBeenCalledWith(
+        expect.objectContaining({ clientVersion: PROTOCOL_VERSION + 1 }),
+        'Purl socket client uses a different protocol version'
+      );
+
+      client.emit('joinChat', { channelId: 42, entityId: 'user-1', token });
+      client.emit('joinChat', { channelId: 'channel-1', entityId: 'user-2', token });
+      client.emit('joinChat', { channelId: 'channel-2', entityId: 'user-1', token: otherToken });
+      client.emit('joinChat', { channelId: 'channel-1', entityId: 'user-1', token });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(warn).toHaveBeenCalledWith(
+        { event: 'joinChat', issues: ['channelId Expected string, received number'] },
+        'Dropped a malformed Purl socket payload'
+      );
+      // Only the visitor holding the chat's token, while still taking part in it
+      for (const [channelId, entityId] of [
+        ['channel-1', 'user-2'],
+        ['channel-2', 'user-1'],
+      ]) {
+        expect(warn).toHaveBeenCalledWith(
+          expect.objectContaining({ channelId, entityId }),
+          'Refused a chat join without the chat token'
+        );
+      }
+
+      const chunk = nextEvent(client, 'replyChunk');
+      service.sendToChat('channel-2', 'replyChunk', { ...CHUNK, channelId: 'channel-2' });
+      service.sendToChat('channel-1', 'replyChunk', CHUNK);
+      expect(await chunk).toEqual(CHUNK);
+    } finally {
+      client.disconnect();
+      await service.stop();
+    }
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'bun:test';
+import { ModelType } from '@elizaos/core';
+import {
+  DEFAULT_TEST_MODEL_FIXTURES,
+  applyGenerationLimits,
+  extractReceivedMessage,
+  generateTestModelText,
+  isTestModelEnabled,
+  loadTestModelFixtures,
+  testModels,
+} from '../models/test-model';
+import { createMockRuntime } from './test-utils';
+
+const runtime = createMockRuntime();
+const fixtures = loadTestModelFixtures(DEFAULT_TEST_MODEL_FIXTURES);
+
+const messageHandlerPrompt = (text: string, actions = 'REPLY, IGNORE, FEED, PLAY') =>
+  [
+    '<task>Generate dialog and actions for the character Purl.</task>',
+    '<providers>',
+    '# Received Message',
+    `TestUser: ${text}`,
+    '</providers>',
+    `<actionNames>\n${actions}\n</actionNames>`,
+  ].join('\n');
+
+describe('Scripted test model', () => {
+  it('should only be enabled by the PURL_TEST_MODEL flag', () => {
+    expect(isTestModelEnabled({ PURL_TEST_MODEL: 'true' })).toBe(true);
+    // Same spellings as the config schema
+    expect(isTestModelEnabled({ PURL_TEST_MODEL: '1' })).toBe(true);
+    expect(isTestModelEnabled({ PURL_TEST_MODEL: ' YES ' })).toBe(true);
+    expect(isTestModelEnabled({ PURL_TEST_MODEL: 'false' })).toBe(false);
+    expect(isTestModelEnabled({ PURL_TEST_MODEL: 'maybe' })).toBe(false);
+    expect(isTestModelEnabled({})).toBe(false);
+  });
+
+  it('should provide TEXT_SMALL and TEXT_LARGE handlers', async () => {
+    expect(typeof testModels[ModelType.TEXT_SMALL]).toBe('function');
+    const reply = await testModels[ModelType.TEXT_LARGE](runtime, { prompt: 'hello world' });
+    expect(reply).toBe('hello world!');
+  });
+
+  it('should extract the received message from a composed prompt', () => {
+    expect(extractReceivedMessage(messageHandlerPrompt('here is some tuna'))).toBe(
+      'here is some tuna'
+    );
+    expect(extractReceivedMessage('plain prompt')).toBe('plain prompt');
+  });
+
+  it('should always respond to shouldRespond prompts', () => {
+    const output = generateTestModelText(
+      runtime,
+      { prompt: 'Decide...\n<action>RESPOND | IGNORE | STOP</action>' } as any,
+      fixtures
+    );
+    expect(output).toContain('<name>Purl</name>');
+    expect(output).toContain('<action>RESPOND</action>');
+  });
+
+  it('should emit action tags for the message handler, limited to offered actions', () => {
+    const output = generateTestModelText(
+      runtime,
+      { prompt: messageHandlerPrompt('here is some tuna') } as any,
+      fixtures
+    );
+    expect(output).toContain('<actions>REPLY,FEED</actions>');
+    expect(output).toContain('<text>finally. crunching like it owes me money.</text>');
+
+    const withoutSleep = generateTestModelText(
+      runtime,
+      { prompt: messageHandlerPrompt('time for a nap') } as any,
+      fixtures
+    );
+    expect(withoutSleep).toContain('<actions>REPLY</actions>');
+  });
+
+  it('should be deterministic and character-aware', () => {
+    const params = { prompt: messageHandlerPrompt('hey purl') } as any;
+    const first = generateTestModelText(runtime, params, fixtures);
+    expect(generateTestModelText(runtime, params, fixtures)).toBe(first);
+
+    const greetings = fixtures.replies.find((reply) => reply.name === 'greeting')!.text as string[];
+    const rendered = greetings.map((text) => text.replaceAll('{{agentName}}', 'Purl'));
+    expect(rendered.some((text) => first.includes(text))).toBe(true);
+    expect(first).not.toContain('{{agentName}}');
+  });
+
+  it('should apply stopSequences and maxTokens', () => {
+    expect(applyGenerationLimits('one two STOP three', { stopSequences: ['STOP'] })).toBe(
+      'one two '
+    );
+    expect(applyGenerationLimits('x'.repeat(100), { maxTokens: 5 })).toHaveLength(20);
+
+    const output = generateTestModelText(
+      runtime,
+      { prompt: 'hello world', stopSequences: ['world'] } as any,
+      fixtures
+    );
+    expect(output).toBe('hello ');
+  });
+
+  it('should fall back to a default reply', () => {
+    const output = generateTestModelText(
+      runtime,
+      { prompt: messageHandlerPrompt('what is the capital of peru') } as any,
+      fixtures
+    );
+    expect(output).toContain('<actions>REPLY</actions>');
+    const fallbacks = fixtures.fallback.text as string[];
+    expect(fallbacks.some((text) => output.includes(text))).toBe(true);
+  });
+});
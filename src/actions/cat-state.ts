@@ -0,0 +1,247 @@
+import {
+  type Action,
+  type ActionResult,
+  type HandlerCallback,
+  type IAgentRuntime,
+  type Memory,
+  type State,
+  logger,
+} from '@elizaos/core';
+import { PurlSocketService } from '../services/purl-socket';
+
+/**
+ * Body states the frontend can loop indefinitely (see ASCII_ANIMATION_CONFIG).
+ */
+export const CAT_BODY_STATES = ['sitting', 'walking', 'jumping', 'eating', 'sleeping'] as const;
+
+/**
+ * Short-lived facial expressions that revert to sitting after a few seconds.
+ */
+export const CAT_EXPRESSIONS = ['confused', 'idea', 'love', 'sleepy', 'surprised'] as const;
+
+export type CatAnimationState = (typeof CAT_BODY_STATES)[number] | (typeof CAT_EXPRESSIONS)[number];
+
+/** Socket event the frontend CatDisplay subscribes to. */
+export const CAT_STATE_EVENT = 'catStateChanged';
+
+/** How long transient animations play before the frontend returns to sitting. */
+export const TRANSIENT_STATE_DURATION_MS = 4000;
+
+export interface CatStateChange {
+  state: CatAnimationState;
+  kind: 'state' | 'expression';
+  durationMs: number;
+  reason: string;
+  agentId: string;
+  roomId?: string;
+  timestamp: number;
+}
+
+/**
+ * Keyword patterns checked in order, so the more specific "sleepy" expression
+ * wins over the "sleeping" body state and "no idea" reads as confused. Word
+ * forms are listed out because prefixes catch ordinary words ("hop" in hope,
+ * "sit" in situation).
+ */
+const CAT_STATE_PATTERNS: Array<[CatAnimationState, RegExp]> = [
+  ['sleepy', /\b(sleepy|drowsy|yawns?|yawning|yawned|tired)\b/i],
+  [
+    'sleeping',
+    /\b(sleeps?|sleeping|slept|naps?|napping|napped|snooz(e|es|ing|ed)|doz(e|es|ing|ed)|curl(s|ed|ing)? up)\b/i,
+  ],
+  [
+    'eating',
+    /\b(eats?|eating|eaten|ate|food|kibble|treats?|snacks?|snacking|munch(es|ing|ed)?|crunch(es|ing|ed)?|hungry)\b/i,
+  ],
+  [
+    'walking',
+    /\b(walks?|walking|walked|wander(s|ing|ed)?|strolls?|strolling|strolled|prowls?|prowling|prowled|patrols?|patrolling|patrolled|pac(e|es|ing|ed))\b/i,
+  ],
+  [
+    'jumping',
+    /\b(jumps?|jumping|jumped|leaps?|leaping|leapt|leaped|pounc(e|es|ing|ed)|zoom(s|ies|ing)?|hops?|hopping|hopped)\b/i,
+  ],
+  ['love', /\b(love|purrs?|purring|purred|cuddl(e|es|ing|ed)|chin scratch(es)?|affection)\b/i],
+  ['confused', /\b(confused|confusing|huh|what even|no idea|puzzled|puzzling)\b/i],
+  ['idea', /\b(idea|scheme|epiphany|realiz(e|es|ing|ed)|figured)\b/i],
+  ['surprised', /\b(surprised?|surprising|whoa|startled|startling|shock|shocked|shocking)\b/i],
+  ['sitting', /\b(sits?|sitting|sat|perch(es|ing|ed)?|loaf|loafing)\b/i],
+];
+
+const ALL_STATES: readonly CatAnimationState[] = [...CAT_BODY_STATES, ...CAT_EXPRESSIONS];
+
+/**
+ * Returns true if the value is a state the frontend knows how to animate.
+ */
+export function isCatAnimationState(value: unknown): value is CatAnimationState {
+  return typeof value === 'string' && ALL_STATES.includes(value as CatAnimationState);
+}
+
+/**
+ * Picks the animation state implied by a piece of text, or null if nothing matches.
+ */
+export function inferCatState(text: string | undefined): CatAnimationState | null {
+  if (!text) return null;
+  for (const [state, pattern] of CAT_STATE_PATTERNS) {
+    if (pattern.test(text)) return state;
+  }
+  return null;
+}
+
+/**
+ * Builds the socket payload for a state change.
+ */
+export function buildCatStateChange(
+  state: CatAnimationState,
+  runtime: IAgentRuntime,
+  message: Memory,
+  reason: string
+): CatStateChange {
+  const isExpression = (CAT_EXPRESSIONS as readonly string[]).includes(state);
+  return {
+    state,
+    kind: isExpression ? 'expression' : 'state',
+    durationMs: isExpression || state === 'jumping' ? TRANSIENT_STATE_DURATION_MS : 0,
+    reason: reason.slice(0, 140),
+    agentId: runtime.agentId,
+    roomId: message.roomId,
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Switches the cat animation on the home page to match what Purl is doing.
+ *
+ * The target state comes from `options.state` when the caller provides one,
+ * otherwise it is inferred from Purl's own reply and then the user's message.
+ */
+export const setCatStateAction: Action = {
+  name: 'SET_CAT_STATE',
+  similes: ['CHANGE_CAT_STATE', 'ANIMATE_CAT', 'SET_EXPRESSION'],
+  description:
+    "Updates Purl's on-screen cat animation when her reply involves walking, eating, sleeping, jumping, sitting or a feeling like confused, love, idea, sleepy or surprised. Use alongside REPLY.",
+
+  validate: async (runtime: IAgentRuntime, _message: Memory, _state: State): Promise<boolean> => {
+    return !!runtime.getService(PurlSocketService.serviceType);
+  },
+
+  handler: async (
+    runtime: IAgentRuntime,
+    message: Memory,
+    _state: State,
+    options: any,
+    _callback: HandlerCallback,
+    responses: Memory[]
+  ): Promise<ActionResult> => {
+    try {
+      logger.info('Handling SET_CAT_STATE action');
+
+      const replyText = responses
+        ?.map((response) => response.content?.text)
+        .filter(Boolean)
+        .join(' ');
+      const requested = options?.state;
+      const state = isCatAnimationState(requested)
+        ? requested
+        : (inferCatState(replyText) ?? inferCatState(message.content.text));
+
+      if (!state) {
+        return {
+          text: 'No cat animation state implied by the conversation',
+          values: { success: false, error: 'UNKNOWN_CAT_STATE' },
+          data: { actionName: 'SET_CAT_STATE' },
+          success: false,
+        };
+      }
+
+      const change = buildCatStateChange(
+        state,
+        runtime,
+        message,
+        replyText || message.content.text || ''
+      );
+      const socket = runtime.getService<PurlSocketService>(PurlSocketService.serviceType);
+      if (!socket) {
+        throw new Error('Purl socket service not available');
+      }
+      socket.broadcast(CAT_STATE_EVENT, change, { retain: true });
+
+      return {
+        text: `Cat is now ${state}`,
+        values: {
+          success: true,
+          catState: state,
+        },
+        data: {
+          actionName: 'SET_CAT_STATE',
+          change,
+        },
+        success: true,
+      };
+    } catch (error) {
+      logger.error({ error }, 'Error in SET_CAT_STATE action:');
+
+      return {
+        text: 'Failed to update cat state',
+        values: {
+          success: false,
+          error: 'CAT_STATE_FAILED',
+        },
+        data: {
+          actionName: 'SET_CAT_STATE',
+          error: error instanceof Error ? error.message : String(error),
+        },
+        success: false,
+        error: error instanceof Error ? error : new Error(String(error)),
+      };
+    }
+  },
+
+  examples: [
+    [
+      {
+        name: '{{name1}}',
+        content: {
+          text: 'purl go eat something',
+        },
+      },
+      {
+        name: '{{name2}}',
+        content: {
+          text: 'fine. crunching kibble like it owes me money.',
+          actions: ['REPLY', 'SET_CAT_STATE'],
+        },
+      },
+    ],
+    [
+      {
+        name: '{{name1}}',
+        content: {
+          text: 'you look tired',
+        },
+      },
+      {
+        name: '{{name2}}',
+        content: {
+          text: 'nap fast, break things. curling up now.',
+          actions: ['REPLY', 'SET_CAT_STATE'],
+        },
+      },
+    ],
+    [
+      {
+        name: '{{name1}}',
+        content: {
+          text: 'i brought you a new cardboard box',
+        },
+      },
+      {
+        name: '{{name2}}',
+        content: {
+          text: 'a box. for me. i love it and i hate that i love it.',
+          actions: ['REPLY', 'SET_CAT_STATE'],
+        },
+      },
+    ],
+  ],
+};
@@ -0,0 +1,263 @@
+import {
+  type Action,
+  type ActionExample,
+  type ActionResult,
+  type Content,
+  type HandlerCallback,
+  type IAgentRuntime,
+  type Memory,
+  type State,
+  logger,
+} from '@elizaos/core';
+import { getPurlMood } from '../providers/purl-mood';
+import { PurlSocketService } from '../services/purl-socket';
+import {
+  type PurlInteraction,
+  type PurlNeeds,
+  type PurlState,
+  PurlStateService,
+  detectInteractions,
+} from '../services/purl-state';
+import { CAT_STATE_EVENT, type CatAnimationState, buildCatStateChange } from './cat-state';
+
+interface PetInteractionConfig {
+  name: string;
+  similes: string[];
+  description: string;
+  interaction: PurlInteraction;
+  /** Animation played on the home page while the interaction happens. */
+  catState: CatAnimationState;
+  /** Purl's in-character reply, given her needs before and after. */
+  reply: (before: PurlState, after: PurlState) => string;
+  examples: ActionExample[][];
+}
+
+/**
+ * Returns the per-need change between two states, rounded like the state itself.
+ */
+export function getNeedsDelta(before: PurlNeeds, after: PurlNeeds): PurlNeeds {
+  const delta = (key: keyof PurlNeeds) => Math.round((after[key] - before[key]) * 10) / 10;
+  return {
+    hunger: delta('hunger'),
+    energy: delta('energy'),
+    curiosity: delta('curiosity'),
+    affection: delta('affection'),
+  };
+}
+
+/**
+ * Builds an action that applies one pet interaction to Purl's needs.
+ *
+ * The action is only valid when the user's message asks for the interaction,
+ * replies in character, animates the cat when the socket service is running
+ * and returns the state delta so later actions and the frontend can use it.
+ */
+function createPetInteractionAction(config: PetInteractionConfig): Action {
+  const { name, interaction } = config;
+
+  return {
+    name,
+    similes: config.similes,
+    description: config.description,
+
+    validate: async (runtime: IAgentRuntime, message: Memory, _state: State): Promise<boolean> => {
+      if (!runtime.getService(PurlStateService.serviceType)) return false;
+      return detectInteractions(message.content?.text).includes(interaction);
+    },
+
+    handler: async (
+      runtime: IAgentRuntime,
+      message: Memory,
+      _state: State,
+      _options: any,
+      callback: HandlerCallback,
+      _responses: Memory[]
+    ): Promise<ActionResult> => {
+      try {
+        logger.info(`Handling ${name} action`);
+
+        const service = runtime.getService<PurlStateService>(PurlStateService.serviceType);
+        if (!service) {
+          throw new Error('Purl state service not available');
+        }
+
+        const { before, after } = await service.interactFor(message.id, interaction);
+        const delta = getNeedsDelta(before, after);
+        const mood = getPurlMood(after);
+
+        const responseContent: Content = {
+          text: config.reply(before, after),
+          actions: [name],
+          source: message.content.source,
+        };
+        await callback(responseContent);
+
+        const socket = runtime.getService<PurlSocketService>(PurlSocketService.serviceType);
+        socket?.broadcast(
+          CAT_STATE_EVENT,
+          buildCatStateChange(config.catState, runtime, message, responseContent.text ?? ''),
+          { retain: true }
+        );
+
+        return {
+          text: `Applied ${interaction} interaction`,
+          values: {
+            success: true,
+            interaction,
+            purlMood: mood,
+          },
+          data: {
+            actionName: name,
+            interaction,
+            before,
+            after,
+            delta,
+            timestamp: Date.now(),
+          },
+          success: true,
+        };
+      } catch (error) {
+        logger.error({ error }, `Error in ${name} action:`);
+
+        return {
+          text: `Failed to apply ${interaction} interaction`,
+          values: {
+            success: false,
+            error: `${name}_FAILED`,
+          },
+          data: {
+            actionName: name,
+            error: error instanceof Error ? error.message : String(error),
+          },
+          success: false,
+          error: error instanceof Error ? error : new Error(String(error)),
+        };
+      }
+    },
+
+    examples: config.examples,
+  };
+}
+
+export const feedAction = createPetInteractionAction({
+  name: 'FEED',
+  similes: ['FEED_PURL', 'GIVE_FOOD', 'GIVE_TREAT'],
+  description:
+    'Feeds Purl when the user offers food, treats or a meal. Lowers her hunger and nudges affection up. Use instead of REPLY when someone feeds her.',
+  interaction: 'feed',
+  catState: 'eating',
+  reply: (before) =>
+    before.hunger < 15
+      ? "already full. i'll guard it though. meow."
+      : 'finally. crunching like it owes me money.',
+  examples: [
+    [
+      { name: '{{name1}}', content: { text: 'here purl, have some tuna' } },
+      {
+        name: '{{name2}}',
+        content: { text: 'finally. crunching like it owes me money.', actions: ['FEED'] },
+      },
+    ],
+    [
+      { name: '{{name1}}', content: { text: 'dinner time!' } },
+      {
+        name: '{{name2}}',
+        content: { text: 'about time. the bowl was visibly empty. meow.', actions: ['FEED'] },
+      },
+    ],
+  ],
+});
+
+export const playAction = createPetInteractionAction({
+  name: 'PLAY',
+  similes: ['PLAY_WITH_PURL', 'LASER_POINTER', 'CHASE_TOY'],
+  description:
+    'Plays with Purl when the user brings out a toy, a laser or a string. Burns energy, cures boredom and raises affection. Use instead of REPLY when someone plays with her.',
+  interaction: 'play',
+  catState: 'jumping',
+  reply: (before) =>
+    before.energy < 20
+      ? "too tired to chase. i'll swat once. happy?"
+      : 'red dot dies today. POUNCE.',
+  examples: [
+    [
+      { name: '{{name1}}', content: { text: 'wanna play with the laser?' } },
+      {
+        name: '{{name2}}',
+        content: { text: 'red dot dies today. POUNCE.', actions: ['PLAY'] },
+      },
+    ],
+    [
+      { name: '{{name1}}', content: { text: 'i got you a new string toy' } },
+      {
+        name: '{{name2}}',
+        content: { text: 'dangle it. slower. i said SLOWER.', actions: ['PLAY'] },
+      },
+    ],
+  ],
+});
+
+export const petAction = createPetInteractionAction({
+  name: 'PET',
+  similes: ['PET_PURL', 'SCRATCH', 'CUDDLE'],
+  description:
+    'Pets Purl when the user scratches, strokes, cuddles or boops her. Raises affection. Use instead of REPLY when someone pets her.',
+  interaction: 'pet',
+  catState: 'love',
+  reply: (_before, after) =>
+    after.affection >= 90
+      ? "purring. don't tell anyone."
+      : 'fine. behind the ears. two minutes, then i bite.',
+  examples: [
+    [
+      { name: '{{name1}}', content: { text: '*scratches behind your ears*' } },
+      {
+        name: '{{name2}}',
+        content: { text: 'fine. behind the ears. two minutes, then i bite.', actions: ['PET'] },
+      },
+    ],
+    [
+      { name: '{{name1}}', content: { text: 'come here for a cuddle' } },
+      {
+        name: '{{name2}}',
+        content: { text: "purring. don't tell anyone.", actions: ['PET'] },
+      },
+    ],
+  ],
+});
+
+export const putToSleepAction = createPetInteractionAction({
+  name: 'PUT_TO_SLEEP',
+  similes: ['NAP', 'TUCK_IN', 'BEDTIME'],
+  description:
+    'Puts Purl down for a nap when the user suggests sleep, rest or bedtime. Restores energy. Use instead of REPLY when someone tucks her in.',
+  interaction: 'sleep',
+  catState: 'sleeping',
+  reply: (before) =>
+    before.energy >= 85
+      ? 'not tired. lying down in protest anyway.'
+      : 'curling up. do not disturb the loaf. zzz.',
+  examples: [
+    [
+      { name: '{{name1}}', content: { text: 'you look tired, time for a nap' } },
+      {
+        name: '{{name2}}',
+        content: { text: 'curling up. do not disturb the loaf. zzz.', actions: ['PUT_TO_SLEEP'] },
+      },
+    ],
+    [
+      { name: '{{name1}}', content: { text: 'bedtime purl' } },
+      {
+        name: '{{name2}}',
+        content: { text: 'not tired. lying down in protest anyway.', actions: ['PUT_TO_SLEEP'] },
+      },
+    ],
+  ],
+});
+
+export const petInteractionActions: Action[] = [
+  feedAction,
+  playAction,
+  petAction,
+  putToSleepAction,
+];
@@ -0,0 +1,167 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { type Character, type IAgentRuntime, type Plugin, Service, logger } from '@elizaos/core';
+import { getConfig } from '../config/env';
+import { getCharacterFile, readCharacterFile } from './loader';
+
+/**
+ * Fields taken from the file on reload. The name and id are fixed for the life
+ * of the agent and plugins are only loaded at startup, so changes to those
+ * need a restart.
+ */
+export const RELOADABLE_FIELDS = [
+  'username',
+  'system',
+  'bio',
+  'topics',
+  'adjectives',
+  'messageExamples',
+  'postExamples',
+  'style',
+  'knowledge',
+  'templates',
+  'personas',
+] as const;
+
+/** Editors often write a file in several steps; wait for them to finish. */
+const RELOAD_DEBOUNCE_MS = 250;
+
+const same = (a: unknown, b: unknown) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Copies the reloadable fields of `next` onto the running character and merges
+ * its settings and secrets over the current ones, so settings added in code
+ * (such as Purl's server settings) are kept. Returns the fields that changed.
+ */
+export function applyCharacter(character: Character, next: Character): string[] {
+  const changed: string[] = [];
+  const target = character as unknown as Record<string, unknown>;
+  const source = next as unknown as Record<string, unknown>;
+
+  for (const field of RELOADABLE_FIELDS) {
+    if (same(target[field], source[field])) continue;
+    if (source[field] === undefined) {
+      delete target[field];
+    } else {
+      target[field] = source[field];
+    }
+    changed.push(field);
+  }
+
+  for (const field of ['settings', 'secrets'] as const) {
+    const merged = { ...character[field], ...next[field] };
+    if (!same(character[field] ?? {}, merged)) {
+      character[field] = merged as any;
+      changed.push(field);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Watches the file the agent's character was loaded from and applies edits to
+ * the running runtime, so bio, style and example tweaks show up on the next
+ * message without a rebuild or restart. Runs when PURL_CHARACTER_HOT_RELOAD is
+ * on (the default in development). A file that no longer validates is
+ * reported and ignored; the agent keeps its current character. Edits are not
+ * written to the database: on restart the character is read from the file
+ * again anyway.
+ */
+export class CharacterReloadService extends Service {
+  static serviceType = 'character_reload';
+  capabilityDescription = 'Applies character file edits to the running agent in development.';
+
+  private watcher: fs.FSWatcher | null = null;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private file: string | undefined;
+  // Last version read from the file, to tell which edits need a restart
+  private loaded: Character | null = null;
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting character reload service ***');
+    const service = new CharacterReloadService(runtime);
+    if (getConfig().PURL_CHARACTER_HOT_RELOAD) {
+      service.watch(getCharacterFile(runtime.character.name));
+    }
+    return service;
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping character reload service ***');
+    const service = runtime.getService(CharacterReloadService.serviceType);
+    if (!service) {
+      throw new Error('Character reload service not found');
+    }
+    await service.stop();
+  }
+
+  /**
+   * Starts watching `file`. The directory is watched rather than the file
+   * because many editors save by replacing the file.
+   */
+  watch(file: string | undefined) {
+    if (!file) {
+      logger.warn(`No character file to watch for ${this.runtime.character.name}`);
+      return;
+    }
+    this.file = file;
+    this.loaded = readCharacterFile(file);
+    this.watcher = fs.watch(path.dirname(file), (_event, name) => {
+      if (name && name.toString() !== path.basename(file)) return;
+      if (this.timer) clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+    });
+    logger.info(`Watching ${path.basename(file)} for character changes`);
+  }
+
+  /**
+   * Reads the character file again and applies it. Returns the fields that
+   * changed, or null when the file could not be used.
+   */
+  reload(): string[] | null {
+    if (!this.file || !fs.existsSync(this.file)) return null;
+    const character = this.runtime.character;
+    const source = path.basename(this.file);
+
+    let next: Character;
+    try {
+      next = readCharacterFile(this.file);
+    } catch (error) {
+      logger.error(`${(error as Error).message}; keeping the running character`);
+      return null;
+    }
+    if (next.name !== character.name) {
+      logger.warn(`Renaming ${character.name} to ${next.name} needs a restart; name not changed`);
+    }
+    if (!same(next.plugins, this.loaded?.plugins)) {
+      logger.warn(`Plugin changes in ${source} are applied on the next restart`);
+    }
+    this.loaded = next;
+
+    const changed = applyCharacter(character, next);
+    if (changed.length > 0) {
+      logger.info(`Reloaded ${character.name} from ${source}: ${changed.join(', ')}`);
+    }
+    return changed;
+  }
+
+  async stop() {
+    logger.info('*** Stopping character reload service instance ***');
+    if (this.timer) clearTimeout(this.timer);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+}
+
+/**
+ * Added to every agent in the project so each one reloads its own file.
+ */
+export const characterReloadPlugin: Plugin = {
+  name: 'character-reload',
+  description: 'Reloads character files into the running agent during development',
+  services: [CharacterReloadService],
+};
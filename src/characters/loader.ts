@@ -0,0 +1,189 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { type Character, type Plugin, type ProjectAgent, logger } from '@elizaos/core';
+import { parse as parseYaml } from 'yaml';
+import { type PurlConfig, getConfig } from '../config/env';
+import { CharacterValidationError, validateCharacter } from './schema';
+
+/**
+ * Loads extra agents for the project from a directory of character files.
+ *
+ * Each file describes one character in the usual ElizaOS format, as JSON or
+ * YAML, and is validated against the Character shape (see schema.ts). Its
+ * `plugins` list may mix plugin packages (e.g. "@elizaos/plugin-openai"),
+ * which the runtime installs by name, with the names of plugins defined in
+ * this project (e.g. "starter"), which are attached to that agent only.
+ * Characters without a `plugins` list get the core and model plugins from
+ * getDefaultCharacterPlugins(). `settings` and `secrets` are kept per agent, so
+ * every cat can have its own model settings and API keys.
+ */
+
+/** File types read from the characters directory. */
+export const CHARACTER_EXTENSIONS = ['.json', '.yaml', '.yml'] as const;
+
+export interface LoadedCharacter {
+  /** Absolute path of the file the character was read from. */
+  file: string;
+  character: Character;
+}
+
+// Where each running character came from, so it can be reloaded when the file changes
+const characterFiles = new Map<string, string>();
+
+/**
+ * Records the file a running character was loaded from.
+ */
+export function setCharacterFile(name: string, file: string) {
+  characterFiles.set(name.toLowerCase(), path.resolve(file));
+}
+
+/**
+ * Returns the file the running character with this name was loaded from, if any.
+ */
+export function getCharacterFile(name: string): string | undefined {
+  return characterFiles.get(name.toLowerCase());
+}
+
+/**
+ * Core and model provider plugins for characters that do not list their own.
+ * Platform plugins (Discord, Twitter, Telegram) are left out unless
+ * `platforms` is set: their tokens belong to one account, so only Purl gets
+ * them (see character.ts) and other characters have to opt in explicitly.
+ */
+export function getDefaultCharacterPlugins(
+  config: PurlConfig = getConfig(),
+  { platforms = false }: { platforms?: boolean } = {}
+): string[] {
+  const hasTwitter =
+    config.TWITTER_API_KEY &&
+    config.TWITTER_API_SECRET_KEY &&
+    config.TWITTER_ACCESS_TOKEN &&
+    config.TWITTER_ACCESS_TOKEN_SECRET;
+  return [
+    // Core plugins first
+    '@elizaos/plugin-sql',
+
+    // Text-only plugins (no embedding support)
+    ...(config.ANTHROPIC_API_KEY ? ['@elizaos/plugin-anthropic'] : []),
+    ...(config.OPENROUTER_API_KEY ? ['@elizaos/plugin-openrouter'] : []),
+
+    // Embedding-capable plugins (optional, based on available credentials)
+    ...(config.OPENAI_API_KEY ? ['@elizaos/plugin-openai'] : []),
+    ...(config.GOOGLE_GENERATIVE_AI_API_KEY ? ['@elizaos/plugin-google-genai'] : []),
+
+    // Ollama as fallback (only if no main LLM providers are configured)
+    ...(config.OLLAMA_API_ENDPOINT ? ['@elizaos/plugin-ollama'] : []),
+
+    // Platform plugins
+    ...(platforms && config.DISCORD_API_TOKEN ? ['@elizaos/plugin-discord'] : []),
+    ...(platforms && hasTwitter ? ['@elizaos/plugin-twitter'] : []),
+    ...(platforms && config.TELEGRAM_BOT_TOKEN ? ['@elizaos/plugin-telegram'] : []),
+
+    // Bootstrap plugin
+    ...(!config.IGNORE_BOOTSTRAP ? ['@elizaos/plugin-bootstrap'] : []),
+  ];
+}
+
+/**
+ * Reads and validates one character file. Throws CharacterValidationError
+ * listing every problem, including syntax errors, so they can be fixed in one
+ * pass.
+ */
+export function readCharacterFile(file: string): Character {
+  const source = path.basename(file);
+  const content = fs.readFileSync(file, 'utf8');
+  let value: unknown;
+  try {
+    value = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : parseYaml(content);
+  } catch (error) {
+    throw new CharacterValidationError(source, [
+      `could not be parsed: ${(error as Error).message}`,
+    ]);
+  }
+  return validateCharacter(value, source);
+}
+
+/**
+ * Reads every character file in `dir`, in file name order, leaving out the
+ * files in `exclude`. Files that do not validate are logged and skipped so one
+ * broken character does not stop the others. Returns an empty list when the
+ * directory does not exist.
+ */
+export function loadCharacters(dir: string, exclude: string[] = []): LoadedCharacter[] {
+  const root = path.resolve(process.cwd(), dir);
+  if (!fs.existsSync(root)) return [];
+  const excluded = new Set(exclude.map((file) => path.resolve(process.cwd(), file)));
+
+  const characters: LoadedCharacter[] = [];
+  for (const name of fs.readdirSync(root).sort()) {
+    const file = path.join(root, name);
+    if (!CHARACTER_EXTENSIONS.includes(path.extname(name).toLowerCase() as any)) continue;
+    if (excluded.has(file)) continue;
+    try {
+      characters.push({ file, character: readCharacterFile(file) });
+    } catch (error) {
+      logger.error(`${(error as Error).message}; skipping ${name}`);
+    }
+  }
+  return characters;
+}
+
+/**
+ * Builds the project agent for a character, moving the names of this
+ * project's plugins out of `character.plugins` and into the agent's own list.
+ */
+export function createProjectAgent(
+  character: Character,
+  localPlugins: Record<string, Plugin>
+): ProjectAgent {
+  const names = character.plugins ?? getDefaultCharacterPlugins();
+  const plugins = names.filter((name) => localPlugins[name]).map((name) => localPlugins[name]);
+
+  return {
+    character: { ...character, plugins: names.filter((name) => !localPlugins[name]) },
+    init: async () => {
+      logger.info('Initializing character');
+      logger.info({ name: character.name }, 'Name:');
+    },
+    plugins,
+  };
+}
+
+export interface LoadProjectAgentsOptions {
+  /** Characters already in the project; files reusing their names are skipped. */
+  existing?: Character[];
+  /** Files in the directory that are loaded elsewhere, e.g. Purl's own file. */
+  exclude?: string[];
+}
+
+/**
+ * Loads the project agents for the character files in `dir`. Characters whose
+ * name is already taken, by `existing` or an earlier file, are skipped:
+ * ElizaOS derives agent IDs from names, so they would collide.
+ */
+export function loadProjectAgents(
+  dir: string,
+  localPlugins: Record<string, Plugin>,
+  { existing = [], exclude = [] }: LoadProjectAgentsOptions = {}
+): ProjectAgent[] {
+  const names = new Set(existing.map((character) => character.name.toLowerCase()));
+  const agents: ProjectAgent[] = [];
+
+  for (const { file, character } of loadCharacters(dir, exclude)) {
+    const key = character.name.toLowerCase();
+    if (names.has(key)) {
+      logger.error(`Skipping character ${character.name}: an agent with that name already exists`);
+      continue;
+    }
+    names.add(key);
+    setCharacterFile(character.name, file);
+    agents.push(createProjectAgent(character, localPlugins));
+  }
+
+  if (agents.length > 0) {
+    logger.info(
+      `Loaded ${agents.length} characters from ${dir}: ${agents.map((agent) => agent.character.name).join(', ')}`
+    );
+  }
+  return agents;
+}
@@ -0,0 +1,189 @@
+import { type Character } from '@elizaos/core';
+import { z } from 'zod';
+
+/**
+ * Validation for character files.
+ *
+ * Follows the ElizaOS Character shape, with extra checks for mistakes that
+ * parse fine but make a worse agent: duplicated topics or adjectives, style
+ * sections with no rules, avatars embedded as data URLs so large that every
+ * agent lookup has to carry them, and personas pointing at profiles that do
+ * not exist. Unknown fields are kept, so newer ElizaOS fields do not need a
+ * change here.
+ */
+
+/** Embedded (data URL) avatars above this size should be served as an image URL instead. */
+export const MAX_AVATAR_BYTES = 64 * 1024;
+
+const STYLE_SECTIONS = ['all', 'chat', 'post'] as const;
+
+const text = z.string().refine((value) => value.trim().length > 0, 'must not be empty');
+
+const textOrList = z.union([text, z.array(text).min(1, 'must list at least one entry')]);
+
+const styleSchema = z
+  .object({ all: z.array(text), chat: z.array(text), post: z.array(text) })
+  .partial();
+
+/** One named voice, added to the prompt on top of the character's shared lines. */
+export const personaProfileSchema = z
+  .object({
+    description: z.string().optional(),
+    bio: z.array(text).optional(),
+    topics: z.array(text).optional(),
+    style: styleSchema.optional(),
+  })
+  .passthrough();
+
+/**
+ * Named persona profiles and where each one is used. `rooms` and `platforms`
+ * map a room ID or message source (e.g. "twitter") to a profile name; anything
+ * else gets `default`.
+ */
+export const personasSchema = z.object({
+  default: text,
+  platforms: z.record(text).optional(),
+  rooms: z.record(text).optional(),
+  profiles: z
+    .record(personaProfileSchema)
+    .refine((profiles) => Object.keys(profiles).length > 0, 'must define at least one profile'),
+});
+
+export type PersonaProfile = z.infer<typeof personaProfileSchema>;
+export type PersonaConfig = z.infer<typeof personasSchema>;
+
+const messageExampleSchema = z
+  .object({
+    name: text,
+    content: z.object({ text: z.string().optional() }).passthrough(),
+  })
+  .passthrough();
+
+export const characterSchema = z
+  .object({
+    id: z.string().uuid('must be a UUID').optional(),
+    name: text,
+    username: z.string().optional(),
+    system: z.string().optional(),
+    bio: textOrList,
+    topics: z.array(text).optional(),
+    adjectives: z.array(text).optional(),
+    messageExamples: z
+      .array(z.array(messageExampleSchema).min(1, 'must contain at least one message'))
+      .optional(),
+    postExamples: z.array(text).optional(),
+    plugins: z.array(text).optional(),
+    settings: z.record(z.unknown()).optional(),
+    secrets: z.record(z.union([z.string(), z.boolean(), z.number()])).optional(),
+    style: styleSchema.optional(),
+    personas: personasSchema.optional(),
+  })
+  .passthrough();
+
+function findDuplicates(value: any, path: string): string[] {
+  if (!Array.isArray(value)) return [];
+  const problems: string[] = [];
+  const seen = new Set<string>();
+  value.forEach((entry: unknown, index: number) => {
+    if (typeof entry !== 'string') return;
+    const key = entry.trim().toLowerCase();
+    if (seen.has(key)) problems.push(`${path}.${index} repeats "${entry}"; remove the duplicate`);
+    seen.add(key);
+  });
+  return problems;
+}
+
+function findEmptyStyleSections(style: any, path: string): string[] {
+  return STYLE_SECTIONS.filter(
+    (section) => Array.isArray(style?.[section]) && style[section].length === 0
+  ).map((section) => `${path}.${section} is empty; add at least one rule or remove the section`);
+}
+
+/** Every profile a room, platform or the default points at has to exist. */
+function findPersonaProblems(personas: any): string[] {
+  if (!personas || typeof personas !== 'object') return [];
+  const profiles =
+    personas.profiles && typeof personas.profiles === 'object' ? personas.profiles : {};
+  const names = Object.keys(profiles);
+  const problems: string[] = [];
+
+  const checkName = (name: unknown, path: string) => {
+    if (typeof name === 'string' && names.length > 0 && !names.includes(name)) {
+      problems.push(
+        `${path} names unknown profile "${name}"; expected one of: ${names.join(', ')}`
+      );
+    }
+  };
+  checkName(personas.default, 'personas.default');
+  for (const field of ['platforms', 'rooms']) {
+    for (const [key, name] of Object.entries(personas[field] ?? {})) {
+      checkName(name, `personas.${field}.${key}`);
+    }
+  }
+
+  for (const [name, profile] of Object.entries<any>(profiles)) {
+    const path = `personas.profiles.${name}`;
+    problems.push(...findDuplicates(profile?.topics, `${path}.topics`));
+    problems.push(...findEmptyStyleSections(profile?.style, `${path}.style`));
+  }
+  return problems;
+}
+
+/**
+ * Checks beyond the shape. They run on the raw value, so these problems
+ * are reported even when the file also has shape errors.
+ */
+function findCharacterProblems(value: any): string[] {
+  if (!value || typeof value !== 'object') return [];
+  const problems = [
+    ...findDuplicates(value.topics, 'topics'),
+    ...findDuplicates(value.adjectives, 'adjectives'),
+    ...findEmptyStyleSections(value.style, 'style'),
+  ];
+
+  const avatar = value.settings?.avatar;
+  if (typeof avatar === 'string' && avatar.startsWith('data:')) {
+    const bytes = Buffer.byteLength(avatar);
+    if (bytes > MAX_AVATAR_BYTES) {
+      problems.push(
+        `settings.avatar is a ${Math.round(bytes / 1024)} KB data URL; use an image URL or shrink it below ${MAX_AVATAR_BYTES / 1024} KB`
+      );
+    }
+  }
+  problems.push(...findPersonaProblems(value.personas));
+  return problems;
+}
+
+/**
+ * Thrown when a character file does not validate. `issues` lists every
+ * problem, one "field message" line each.
+ */
+export class CharacterValidationError extends Error {
+  constructor(
+    public readonly source: string,
+    public readonly issues: string[]
+  ) {
+    super(`Invalid character ${source}: ${issues.join('; ')}`);
+    this.name = 'CharacterValidationError';
+  }
+}
+
+/**
+ * Validates a parsed character definition. Throws CharacterValidationError
+ * listing every problem at once; `source` names the file in the message.
+ */
+export function validateCharacter(value: unknown, source: string): Character {
+  const result = characterSchema.safeParse(value);
+  const issues = [
+    ...(result.success
+      ? []
+      : result.error.issues.map(
+          (issue) => `${issue.path.join('.') || 'character'} ${issue.message}`
+        )),
+    ...findCharacterProblems(value),
+  ];
+  if (!result.success || issues.length > 0) {
+    throw new CharacterValidationError(source, issues);
+  }
+  return result.data as Character;
+}
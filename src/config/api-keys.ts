@@ -0,0 +1,139 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { logger } from '@elizaos/core';
+
+/**
+ * Named, scoped API keys for the plugin routes.
+ *
+ * Keys are written as `name:scope+scope:secret` entries separated by commas or
+ * new lines, e.g. `frontend:read:abc123,ops:admin:def456`. The secret is
+ * everything after the second colon. Lines starting with # are ignored.
+ */
+
+/** `read` covers the public frontend's calls; `admin` can also change state. */
+export const API_KEY_SCOPES = ['read', 'admin'] as const;
+
+export type ApiKeyScope = (typeof API_KEY_SCOPES)[number];
+
+export interface ApiKeyEntry {
+  name: string;
+  scopes: ApiKeyScope[];
+  key: string;
+}
+
+/** Name given to the single legacy API_KEY, which keeps full access. */
+export const LEGACY_API_KEY_NAME = 'default';
+
+/** Keys shorter than this are rejected as too easy to guess. */
+export const MIN_API_KEY_LENGTH = 8;
+
+/**
+ * Parses a key list. Malformed entries are skipped and described in `errors`
+ * so callers can decide whether to fail (config validation) or log (reload).
+ */
+export function parseApiKeys(text: string): { keys: ApiKeyEntry[]; errors: string[] } {
+  const keys: ApiKeyEntry[] = [];
+  const errors: string[] = [];
+  const names = new Set<string>();
+
+  const entries = text
+    .split(/[,\n]/)
+    .map((entry) => entry.trim())
+    .filter((entry) => entry && !entry.startsWith('#'));
+
+  entries.forEach((entry, index) => {
+    const [name, scopeList, ...rest] = entry.split(':');
+    const key = rest.join(':').trim();
+    const label = name?.trim() || `#${index + 1}`;
+    const scopes = (scopeList ?? '')
+      .split('+')
+      .map((scope) => scope.trim())
+      .filter(Boolean);
+
+    if (!name?.trim() || !key) {
+      errors.push(`${label} must be written as name:scope:secret`);
+      return;
+    }
+    const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope as ApiKeyScope));
+    if (scopes.length === 0 || unknown.length > 0) {
+      errors.push(`${label} has unknown scopes (use ${API_KEY_SCOPES.join(', ')})`);
+      return;
+    }
+    if (key.length < MIN_API_KEY_LENGTH) {
+      errors.push(`${label} secret must be at least ${MIN_API_KEY_LENGTH} characters`);
+      return;
+    }
+    if (names.has(label)) {
+      errors.push(`${label} is defined more than once`);
+      return;
+    }
+    names.add(label);
+    keys.push({ name: label, scopes: scopes as ApiKeyScope[], key });
+  });
+
+  return { keys, errors };
+}
+
+/** Admin keys can do everything read keys can. */
+export function hasScope(entry: Pick<ApiKeyEntry, 'scopes'>, scope: ApiKeyScope): boolean {
+  return entry.scopes.includes('admin') || entry.scopes.includes(scope);
+}
+
+const digest = (value: string) => createHash('sha256').update(value).digest();
+
+/**
+ * Finds the key matching `presented`. Both sides are hashed to a fixed length
+ * and every key is compared with timingSafeEqual, so timing reveals neither
+ * the key nor which entry matched.
+ */
+export function findApiKey(keys: ApiKeyEntry[], presented: string): ApiKeyEntry | null {
+  const presentedDigest = digest(presented);
+  let match: ApiKeyEntry | null = null;
+  for (const entry of keys) {
+    if (timingSafeEqual(digest(entry.key), presentedDigest) && !match) {
+      match = entry;
+    }
+  }
+  return match;
+}
+
+/** How often API_KEYS_FILE is checked for changes. */
+const FILE_CHECK_INTERVAL_MS = 1_000;
+
+const fileCache = new Map<string, { mtimeMs: number; checkedAt: number; keys: ApiKeyEntry[] }>();
+
+/**
+ * Reads the keys in `file`, re-reading it whenever its modification time
+ * changes so keys can be rotated by rewriting the file, without a restart. If
+ * the file becomes unreadable the last keys read from it stay in effect.
+ */
+export function readApiKeysFile(file: string, now = Date.now()): ApiKeyEntry[] {
+  const resolved = path.resolve(process.cwd(), file);
+  const cached = fileCache.get(resolved);
+  if (cached && now - cached.checkedAt < FILE_CHECK_INTERVAL_MS) {
+    return cached.keys;
+  }
+
+  try {
+    const { mtimeMs } = fs.statSync(resolved);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      cached.checkedAt = now;
+      return cached.keys;
+    }
+
+    const { keys, errors } = parseApiKeys(fs.readFileSync(resolved, 'utf8'));
+    for (const error of errors) {
+      logger.error(`Ignoring API key in ${resolved}: ${error}`);
+    }
+    if (cached) {
+      logger.info(`Reloaded ${keys.length} API keys from ${resolved}`);
+    }
+    fileCache.set(resolved, { mtimeMs, checkedAt: now, keys });
+    return keys;
+  } catch (error) {
+    logger.error({ error }, `Could not read API keys file ${resolved}`);
+    if (cached) cached.checkedAt = now;
+    return cached?.keys ?? [];
+  }
+}
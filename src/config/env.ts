@@ -0,0 +1,496 @@
+import { logger } from '@elizaos/core';
+import { z } from 'zod';
+import { parseSchedule } from '../outbox/schedule';
+import { parseApiKeys } from './api-keys';
+
+/**
+ * Runtime configuration for the Purl project.
+ *
+ * Every environment variable the agent, plugin and services read is declared
+ * here once. The schema validates them all at plugin init, reports every
+ * problem in a single error, fills in defaults that depend on NODE_ENV and
+ * exposes the parsed, typed result through getConfig() so the rest of the code
+ * never has to parse process.env itself.
+ */
+
+export const NODE_ENVS = ['development', 'production', 'test'] as const;
+
+export type NodeEnv = (typeof NODE_ENVS)[number];
+
+/** Defaults that do not depend on NODE_ENV. */
+export const CONFIG_DEFAULTS = {
+  PORT: 3000,
+  HOST: '0.0.0.0',
+  RATE_LIMIT_WINDOW_MS: 900_000,
+  RATE_LIMIT_MAX_REQUESTS: 100,
+  API_RATE_LIMIT_WINDOW_MS: 60_000,
+  MEMORY_API_RATE_LIMIT_WINDOW_MS: 60_000,
+  WS_MAX_CONNECTIONS_PER_IP: 10,
+  WS_MESSAGE_RATE_LIMIT: 30,
+  CIRCUIT_BREAKER_THRESHOLD: 10,
+  CIRCUIT_BREAKER_TIMEOUT: 300_000,
+  TRUSTED_PROXY_COUNT: 0,
+  PURL_SOCKET_PORT: 3001,
+  PURL_STATE_DECAY_INTERVAL_MS: 60_000,
+  PURL_THOUGHT_INTERVAL_MS: 30_000,
+  PURL_TEST_MODEL_FIXTURES: 'src/__tests__/e2e/fixtures/test-model.json',
+  PURL_KNOWLEDGE_DIR: 'docs',
+  PURL_CHARACTER_FILE: 'characters/purl.yaml',
+  PURL_CHARACTERS_DIR: 'characters',
+  PURL_OUTPUT_FILTER: true,
+  PURL_OUTPUT_CASING: 'lowercase',
+  PURL_OUTPUT_SIMILARITY: 85,
+  PURL_OUTPUT_HISTORY_SIZE: 50,
+  PURL_OUTPUT_MAX_REGENERATIONS: 2,
+  PURL_OUTBOX_ENABLED: false,
+  PURL_OUTBOX_SCHEDULE: '0 */4 * * *',
+  PURL_OUTBOX_AUTO_APPROVE: false,
+  PURL_OUTBOX_PUBLISHER: 'auto',
+  PURL_OUTBOX_FILE: 'data/published-posts.jsonl',
+  PURL_HEALTH_MODEL_PROBE_INTERVAL_MS: 300_000,
+  PURL_MODERATION_ENABLED: true,
+  PURL_MODERATION_POLICY_FILE: 'config/moderation.yaml',
+  PURL_CHAT_EVENTS_POLL_MS: 1_000,
+  PURL_CHAT_STREAMING: true,
+  PURL_CHAT_STREAM_TIMEOUT_MS: 30_000,
+} as const;
+
+/** How replies are cased by the output stage; see src/output/style-rules.ts. */
+export const OUTPUT_CASING_RULES = ['lowercase', 'sentence', 'preserve'] as const;
+
+export type OutputCasing = (typeof OUTPUT_CASING_RULES)[number];
+
+/** Where scheduled posts go; see src/outbox/publishers.ts. */
+export const OUTBOX_PUBLISHERS = ['auto', 'twitter', 'file'] as const;
+
+export type OutboxPublisherChoice = (typeof OUTBOX_PUBLISHERS)[number];
+
+/**
+ * Defaults that change with NODE_ENV. Development and tests are lenient, in
+ * line with getDevelopmentConfig() in config/rate-limiting.js; production
+ * requires an API key and enforces rate limits.
+ */
+export const ENVIRONMENT_DEFAULTS = {
+  development: {
+    LOG_LEVEL: 'info',
+    REQUIRE_API_KEY: false,
+    RATE_LIMIT_ENABLED: false,
+    API_RATE_LIMIT_REQUESTS: 1000,
+    MEMORY_API_RATE_LIMIT_REQUESTS: 500,
+    API_KEY_RATE_LIMIT_REQUESTS: 10_000,
+    MEMORY_API_KEY_RATE_LIMIT_REQUESTS: 5000,
+    FRONTEND_POLL_INTERVAL: 30_000,
+    FRONTEND_CACHE_TTL: 10_000,
+    FRONTEND_MAX_CONCURRENT: 5,
+    PURL_CHARACTER_HOT_RELOAD: true,
+  },
+  production: {
+    LOG_LEVEL: 'warn',
+    REQUIRE_API_KEY: true,
+    RATE_LIMIT_ENABLED: true,
+    API_RATE_LIMIT_REQUESTS: 300,
+    MEMORY_API_RATE_LIMIT_REQUESTS: 120,
+    API_KEY_RATE_LIMIT_REQUESTS: 3000,
+    MEMORY_API_KEY_RATE_LIMIT_REQUESTS: 1200,
+    FRONTEND_POLL_INTERVAL: 60_000,
+    FRONTEND_CACHE_TTL: 30_000,
+    FRONTEND_MAX_CONCURRENT: 3,
+    PURL_CHARACTER_HOT_RELOAD: false,
+  },
+  test: {
+    LOG_LEVEL: 'info',
+    REQUIRE_API_KEY: false,
+    RATE_LIMIT_ENABLED: false,
+    API_RATE_LIMIT_REQUESTS: 1000,
+    MEMORY_API_RATE_LIMIT_REQUESTS: 500,
+    API_KEY_RATE_LIMIT_REQUESTS: 10_000,
+    MEMORY_API_KEY_RATE_LIMIT_REQUESTS: 5000,
+    FRONTEND_POLL_INTERVAL: 30_000,
+    FRONTEND_CACHE_TTL: 10_000,
+    FRONTEND_MAX_CONCURRENT: 5,
+    PURL_CHARACTER_HOT_RELOAD: false,
+  },
+} as const satisfies Record<NodeEnv, Record<string, string | number | boolean>>;
+
+/** Credentials the Twitter plugin needs together; see character.ts. */
+const TWITTER_KEYS = [
+  'TWITTER_API_KEY',
+  'TWITTER_API_SECRET_KEY',
+  'TWITTER_ACCESS_TOKEN',
+  'TWITTER_ACCESS_TOKEN_SECRET',
+] as const;
+
+const MODEL_PROVIDER_KEYS = [
+  'OPENAI_API_KEY',
+  'ANTHROPIC_API_KEY',
+  'OPENROUTER_API_KEY',
+  'GOOGLE_GENERATIVE_AI_API_KEY',
+  'OLLAMA_API_ENDPOINT',
+] as const;
+
+// Unset and blank variables (`KEY=` in .env) are treated the same
+const blankToUndefined = (value: unknown) =>
+  typeof value === 'string' && value.trim() === '' ? undefined : value;
+
+const optionalString = () => z.preprocess(blankToUndefined, z.string().trim().optional());
+
+const optionalUrl = () =>
+  z.preprocess(blankToUndefined, z.string().trim().url('must be a valid URL').optional());
+
+const optionalInt = (min = 1, max = Number.MAX_SAFE_INTEGER) =>
+  z.preprocess(
+    blankToUndefined,
+    z.coerce
+      .number({ invalid_type_error: 'must be a number' })
+      .int('must be a whole number')
+      .min(min, `must be at least ${min}`)
+      .max(max, `must be at most ${max}`)
+      .optional()
+  );
+
+const optionalPort = () => optionalInt(1, 65_535);
+
+const optionalBoolean = () =>
+  z.preprocess(
+    (value) => (typeof value === 'string' ? blankToUndefined(value.trim().toLowerCase()) : value),
+    z
+      .enum(['true', 'false', '1', '0', 'yes', 'no'], {
+        errorMap: () => ({ message: 'must be true or false' }),
+      })
+      .transform((value) => value === 'true' || value === '1' || value === 'yes')
+      .optional()
+  );
+
+/**
+ * Reads one boolean variable the way the schema does, so "1" and "yes" count
+ * as true everywhere. For code that decides before the config is loaded (see
+ * isTestModelEnabled); invalid values read as false and loadConfig reports them.
+ */
+export function readBooleanEnv(value: string | undefined): boolean {
+  const result = optionalBoolean().safeParse(value);
+  return (result.success && result.data) || false;
+}
+
+const originList = () =>
+  z.preprocess(
+    (value) =>
+      typeof value === 'string'
+        ? value
+            .split(',')
+            .map((origin) => origin.trim())
+            .filter(Boolean)
+        : (value ?? []),
+    z.array(z.string().url('must be a comma-separated list of origin URLs'))
+  );
+
+/**
+ * Raw environment schema. Fields are optional here; defaults are applied in
+ * configSchema once NODE_ENV is known.
+ */
+const envSchema = z.object({
+  NODE_ENV: z.preprocess(
+    blankToUndefined,
+    z
+      .enum(NODE_ENVS, {
+        errorMap: () => ({ message: `must be one of ${NODE_ENVS.join(', ')}` }),
+      })
+      .default('development')
+  ),
+
+  // Server
+  PORT: optionalPort(),
+  HOST: optionalString(),
+  LOG_LEVEL: z.preprocess(
+    blankToUndefined,
+    z
+      .enum(['trace', 'debug', 'info', 'warn', 'error', 'fatal'], {
+        errorMap: () => ({ message: 'must be one of trace, debug, info, warn, error, fatal' }),
+      })
+      .optional()
+  ),
+  ALLOWED_ORIGINS: originList(),
+
+  // Security
+  API_KEY: optionalString(),
+  // Named, scoped keys (name:scope:secret, see api-keys.ts) and a file of them
+  // that is re-read on change for rotation without restarts
+  API_KEYS: optionalString(),
+  API_KEYS_FILE: optionalString(),
+  REQUIRE_API_KEY: optionalBoolean(),
+
+  // Rate limiting (src/config/production.ts and config/rate-limiting.js)
+  RATE_LIMIT_ENABLED: optionalBoolean(),
+  RATE_LIMIT_WINDOW_MS: optionalInt(),
+  RATE_LIMIT_MAX_REQUESTS: optionalInt(),
+  API_RATE_LIMIT_WINDOW_MS: optionalInt(),
+  API_RATE_LIMIT_REQUESTS: optionalInt(),
+  MEMORY_API_RATE_LIMIT_WINDOW_MS: optionalInt(),
+  MEMORY_API_RATE_LIMIT_REQUESTS: optionalInt(),
+  // Per API key, across every client using it. Higher than the per-IP limits
+  // because the frontend's read key is shared by all of its visitors
+  API_KEY_RATE_LIMIT_REQUESTS: optionalInt(),
+  MEMORY_API_KEY_RATE_LIMIT_REQUESTS: optionalInt(),
+  WS_MAX_CONNECTIONS_PER_IP: optionalInt(),
+  WS_MESSAGE_RATE_LIMIT: optionalInt(),
+  FRONTEND_POLL_INTERVAL: optionalInt(),
+  FRONTEND_CACHE_TTL: optionalInt(),
+  FRONTEND_MAX_CONCURRENT: optionalInt(),
+  // Read by config/rate-limiting.js
+  CIRCUIT_BREAKER_THRESHOLD: optionalInt(),
+  CIRCUIT_BREAKER_TIMEOUT: optionalInt(),
+  // Reverse proxies in front of the Purl socket whose X-Forwarded-For entries
+  // are trusted; 0 uses the connection's own address (see getSocketIp)
+  TRUSTED_PROXY_COUNT: optionalInt(0),
+
+  // Model providers (character.ts)
+  OPENAI_API_KEY: optionalString(),
+  ANTHROPIC_API_KEY: optionalString(),
+  OPENROUTER_API_KEY: optionalString(),
+  GOOGLE_GENERATIVE_AI_API_KEY: optionalString(),
+  OLLAMA_API_ENDPOINT: optionalUrl(),
+
+  // Platforms (character.ts)
+  DISCORD_API_TOKEN: optionalString(),
+  TELEGRAM_BOT_TOKEN: optionalString(),
+  TWITTER_API_KEY: optionalString(),
+  TWITTER_API_SECRET_KEY: optionalString(),
+  TWITTER_ACCESS_TOKEN: optionalString(),
+  TWITTER_ACCESS_TOKEN_SECRET: optionalString(),
+  IGNORE_BOOTSTRAP: optionalBoolean(),
+
+  // Purl plugin
+  PURL_SOCKET_PORT: optionalPort(),
+  PURL_STATE_DECAY_INTERVAL_MS: optionalInt(),
+  PURL_THOUGHT_INTERVAL_MS: optionalInt(),
+  PURL_TEST_MODEL: optionalBoolean(),
+  PURL_TEST_MODEL_FIXTURES: optionalString(),
+  PURL_KNOWLEDGE_DIR: optionalString(),
+  PURL_CHARACTER_FILE: optionalString(),
+  PURL_CHARACTER_HOT_RELOAD: optionalBoolean(),
+  PURL_CHARACTERS_DIR: optionalString(),
+  // Reply post-processing (src/services/purl-output.ts)
+  PURL_OUTPUT_FILTER: optionalBoolean(),
+  PURL_OUTPUT_CASING: z.preprocess(
+    blankToUndefined,
+    z
+      .enum(OUTPUT_CASING_RULES, {
+        errorMap: () => ({ message: `must be one of ${OUTPUT_CASING_RULES.join(', ')}` }),
+      })
+      .optional()
+  ),
+  PURL_OUTPUT_SIMILARITY: optionalInt(1, 100),
+  PURL_OUTPUT_HISTORY_SIZE: optionalInt(),
+  PURL_OUTPUT_MAX_REGENERATIONS: optionalInt(0, 5),
+  // Scheduled posts (src/services/purl-outbox.ts)
+  PURL_OUTBOX_ENABLED: optionalBoolean(),
+  PURL_OUTBOX_SCHEDULE: optionalString(),
+  PURL_OUTBOX_AUTO_APPROVE: optionalBoolean(),
+  PURL_OUTBOX_PUBLISHER: z.preprocess(
+    blankToUndefined,
+    z
+      .enum(OUTBOX_PUBLISHERS, {
+        errorMap: () => ({ message: `must be one of ${OUTBOX_PUBLISHERS.join(', ')}` }),
+      })
+      .optional()
+  ),
+  PURL_OUTBOX_FILE: optionalString(),
+  PURL_HEALTH_MODEL_PROBE_INTERVAL_MS: optionalInt(0),
+  PURL_MODERATION_ENABLED: optionalBoolean(),
+  PURL_MODERATION_POLICY_FILE: optionalString(),
+  PURL_CHAT_EVENTS_POLL_MS: optionalInt(100),
+  PURL_CHAT_STREAMING: optionalBoolean(),
+  PURL_CHAT_STREAM_TIMEOUT_MS: optionalInt(0),
+
+  // Left over from the project starter; kept so existing deployments still validate
+  EXAMPLE_PLUGIN_VARIABLE: z.string().min(1, 'must not be empty').optional(),
+});
+
+/**
+ * Validated configuration with defaults applied.
+ */
+export const configSchema = envSchema
+  .transform((env) => {
+    const environmentDefaults = ENVIRONMENT_DEFAULTS[env.NODE_ENV];
+    const config = {
+      ...env,
+      PORT: env.PORT ?? CONFIG_DEFAULTS.PORT,
+      HOST: env.HOST ?? CONFIG_DEFAULTS.HOST,
+      LOG_LEVEL: env.LOG_LEVEL ?? environmentDefaults.LOG_LEVEL,
+      REQUIRE_API_KEY: env.REQUIRE_API_KEY ?? environmentDefaults.REQUIRE_API_KEY,
+      RATE_LIMIT_ENABLED: env.RATE_LIMIT_ENABLED ?? environmentDefaults.RATE_LIMIT_ENABLED,
+      RATE_LIMIT_WINDOW_MS: env.RATE_LIMIT_WINDOW_MS ?? CONFIG_DEFAULTS.RATE_LIMIT_WINDOW_MS,
+      RATE_LIMIT_MAX_REQUESTS:
+        env.RATE_LIMIT_MAX_REQUESTS ?? CONFIG_DEFAULTS.RATE_LIMIT_MAX_REQUESTS,
+      API_RATE_LIMIT_WINDOW_MS:
+        env.API_RATE_LIMIT_WINDOW_MS ?? CONFIG_DEFAULTS.API_RATE_LIMIT_WINDOW_MS,
+      API_RATE_LIMIT_REQUESTS:
+        env.API_RATE_LIMIT_REQUESTS ?? environmentDefaults.API_RATE_LIMIT_REQUESTS,
+      MEMORY_API_RATE_LIMIT_WINDOW_MS:
+        env.MEMORY_API_RATE_LIMIT_WINDOW_MS ?? CONFIG_DEFAULTS.MEMORY_API_RATE_LIMIT_WINDOW_MS,
+      MEMORY_API_RATE_LIMIT_REQUESTS:
+        env.MEMORY_API_RATE_LIMIT_REQUESTS ?? environmentDefaults.MEMORY_API_RATE_LIMIT_REQUESTS,
+      API_KEY_RATE_LIMIT_REQUESTS:
+        env.API_KEY_RATE_LIMIT_REQUESTS ?? environmentDefaults.API_KEY_RATE_LIMIT_REQUESTS,
+      MEMORY_API_KEY_RATE_LIMIT_REQUESTS:
+        env.MEMORY_API_KEY_RATE_LIMIT_REQUESTS ??
+        environmentDefaults.MEMORY_API_KEY_RATE_LIMIT_REQUESTS,
+      WS_MAX_CONNECTIONS_PER_IP:
+        env.WS_MAX_CONNECTIONS_PER_IP ?? CONFIG_DEFAULTS.WS_MAX_CONNECTIONS_PER_IP,
+      WS_MESSAGE_RATE_LIMIT: env.WS_MESSAGE_RATE_LIMIT ?? CONFIG_DEFAULTS.WS_MESSAGE_RATE_LIMIT,
+      FRONTEND_POLL_INTERVAL:
+        env.FRONTEND_POLL_INTERVAL ?? environmentDefaults.FRONTEND_POLL_INTERVAL,
+      FRONTEND_CACHE_TTL: env.FRONTEND_CACHE_TTL ?? environmentDefaults.FRONTEND_CACHE_TTL,
+      FRONTEND_MAX_CONCURRENT:
+        env.FRONTEND_MAX_CONCURRENT ?? environmentDefaults.FRONTEND_MAX_CONCURRENT,
+      CIRCUIT_BREAKER_THRESHOLD:
+        env.CIRCUIT_BREAKER_THRESHOLD ?? CONFIG_DEFAULTS.CIRCUIT_BREAKER_THRESHOLD,
+      CIRCUIT_BREAKER_TIMEOUT:
+        env.CIRCUIT_BREAKER_TIMEOUT ?? CONFIG_DEFAULTS.CIRCUIT_BREAKER_TIMEOUT,
+      TRUSTED_PROXY_COUNT: env.TRUSTED_PROXY_COUNT ?? CONFIG_DEFAULTS.TRUSTED_PROXY_COUNT,
+      IGNORE_BOOTSTRAP: env.IGNORE_BOOTSTRAP ?? false,
+      PURL_SOCKET_PORT: env.PURL_SOCKET_PORT ?? CONFIG_DEFAULTS.PURL_SOCKET_PORT,
+      PURL_STATE_DECAY_INTERVAL_MS:
+        env.PURL_STATE_DECAY_INTERVAL_MS ?? CONFIG_DEFAULTS.PURL_STATE_DECAY_INTERVAL_MS,
+      PURL_THOUGHT_INTERVAL_MS:
+        env.PURL_THOUGHT_INTERVAL_MS ?? CONFIG_DEFAULTS.PURL_THOUGHT_INTERVAL_MS,
+      PURL_TEST_MODEL: env.PURL_TEST_MODEL ?? false,
+      PURL_TEST_MODEL_FIXTURES:
+        env.PURL_TEST_MODEL_FIXTURES ?? CONFIG_DEFAULTS.PURL_TEST_MODEL_FIXTURES,
+      PURL_KNOWLEDGE_DIR: env.PURL_KNOWLEDGE_DIR ?? CONFIG_DEFAULTS.PURL_KNOWLEDGE_DIR,
+      PURL_CHARACTER_FILE: env.PURL_CHARACTER_FILE ?? CONFIG_DEFAULTS.PURL_CHARACTER_FILE,
+      PURL_CHARACTER_HOT_RELOAD:
+        env.PURL_CHARACTER_HOT_RELOAD ?? environmentDefaults.PURL_CHARACTER_HOT_RELOAD,
+      PURL_CHARACTERS_DIR: env.PURL_CHARACTERS_DIR ?? CONFIG_DEFAULTS.PURL_CHARACTERS_DIR,
+      PURL_OUTPUT_FILTER: env.PURL_OUTPUT_FILTER ?? CONFIG_DEFAULTS.PURL_OUTPUT_FILTER,
+      PURL_OUTPUT_CASING: env.PURL_OUTPUT_CASING ?? CONFIG_DEFAULTS.PURL_OUTPUT_CASING,
+      PURL_OUTPUT_SIMILARITY: env.PURL_OUTPUT_SIMILARITY ?? CONFIG_DEFAULTS.PURL_OUTPUT_SIMILARITY,
+      PURL_OUTPUT_HISTORY_SIZE:
+        env.PURL_OUTPUT_HISTORY_SIZE ?? CONFIG_DEFAULTS.PURL_OUTPUT_HISTORY_SIZE,
+      PURL_OUTPUT_MAX_REGENERATIONS:
+        env.PURL_OUTPUT_MAX_REGENERATIONS ?? CONFIG_DEFAULTS.PURL_OUTPUT_MAX_REGENERATIONS,
+      PURL_OUTBOX_ENABLED: env.PURL_OUTBOX_ENABLED ?? CONFIG_DEFAULTS.PURL_OUTBOX_ENABLED,
+      PURL_OUTBOX_SCHEDULE: env.PURL_OUTBOX_SCHEDULE ?? CONFIG_DEFAULTS.PURL_OUTBOX_SCHEDULE,
+      PURL_OUTBOX_AUTO_APPROVE:
+        env.PURL_OUTBOX_AUTO_APPROVE ?? CONFIG_DEFAULTS.PURL_OUTBOX_AUTO_APPROVE,
+      PURL_OUTBOX_PUBLISHER: env.PURL_OUTBOX_PUBLISHER ?? CONFIG_DEFAULTS.PURL_OUTBOX_PUBLISHER,
+      PURL_OUTBOX_FILE: env.PURL_OUTBOX_FILE ?? CONFIG_DEFAULTS.PURL_OUTBOX_FILE,
+      PURL_HEALTH_MODEL_PROBE_INTERVAL_MS:
+        env.PURL_HEALTH_MODEL_PROBE_INTERVAL_MS ??
+        CONFIG_DEFAULTS.PURL_HEALTH_MODEL_PROBE_INTERVAL_MS,
+      PURL_MODERATION_ENABLED:
+        env.PURL_MODERATION_ENABLED ?? CONFIG_DEFAULTS.PURL_MODERATION_ENABLED,
+      PURL_MODERATION_POLICY_FILE:
+        env.PURL_MODERATION_POLICY_FILE ?? CONFIG_DEFAULTS.PURL_MODERATION_POLICY_FILE,
+      PURL_CHAT_EVENTS_POLL_MS:
+        env.PURL_CHAT_EVENTS_POLL_MS ?? CONFIG_DEFAULTS.PURL_CHAT_EVENTS_POLL_MS,
+      PURL_CHAT_STREAMING: env.PURL_CHAT_STREAMING ?? CONFIG_DEFAULTS.PURL_CHAT_STREAMING,
+      PURL_CHAT_STREAM_TIMEOUT_MS:
+        env.PURL_CHAT_STREAM_TIMEOUT_MS ?? CONFIG_DEFAULTS.PURL_CHAT_STREAM_TIMEOUT_MS,
+    };
+    return { ...config, isProduction: config.NODE_ENV === 'production' };
+  })
+  .superRefine((config, ctx) => {
+    if (config.REQUIRE_API_KEY && !config.API_KEY && !config.API_KEYS && !config.API_KEYS_FILE) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['API_KEY'],
+        message:
+          'or API_KEYS or API_KEYS_FILE is required when NODE_ENV is production or REQUIRE_API_KEY is true',
+      });
+    }
+
+    for (const error of config.API_KEYS ? parseApiKeys(config.API_KEYS).errors : []) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['API_KEYS'], message: `entry ${error}` });
+    }
+
+    const twitterKeys = TWITTER_KEYS.filter((key) => config[key]);
+    if (twitterKeys.length > 0 && twitterKeys.length < TWITTER_KEYS.length) {
+      for (const key of TWITTER_KEYS.filter((key) => !config[key])) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [key],
+          message: 'is required because other Twitter credentials are set',
+        });
+      }
+    }
+
+    try {
+      parseSchedule(config.PURL_OUTBOX_SCHEDULE);
+    } catch (error) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['PURL_OUTBOX_SCHEDULE'],
+        message: `is not a valid schedule: ${(error as Error).message}`,
+      });
+    }
+
+    if (config.PORT === config.PURL_SOCKET_PORT) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['PURL_SOCKET_PORT'],
+        message: `must differ from PORT (${config.PORT})`,
+      });
+    }
+  });
+
+export type PurlConfig = z.output<typeof configSchema>;
+
+/**
+ * Thrown when the environment does not validate. `issues` lists every problem,
+ * one "KEY: message" line each.
+ */
+export class ConfigValidationError extends Error {
+  constructor(public readonly issues: string[]) {
+    super(`Invalid plugin configuration: ${issues.join('; ')}`);
+    this.name = 'ConfigValidationError';
+  }
+}
+
+/**
+ * Problems that do not stop the agent but are worth flagging at startup.
+ */
+export function getConfigWarnings(config: PurlConfig): string[] {
+  const warnings: string[] = [];
+  if (config.isProduction && config.ALLOWED_ORIGINS.length === 0) {
+    warnings.push('ALLOWED_ORIGINS is empty, so CORS allows every origin');
+  }
+  if (!config.PURL_TEST_MODEL && !MODEL_PROVIDER_KEYS.some((key) => config[key])) {
+    warnings.push('No model provider key is set; the agent will not be able to reply');
+  }
+  return warnings;
+}
+
+let currentConfig: PurlConfig | null = null;
+
+/**
+ * Validates the given environment, caches the result for getConfig() and logs
+ * any warnings. Throws ConfigValidationError listing every problem at once.
+ */
+export function loadConfig(env: Record<string, string | undefined> = process.env): PurlConfig {
+  const result = configSchema.safeParse(env);
+  if (!result.success) {
+    throw new ConfigValidationError(
+      result.error.issues.map((issue) => `${issue.path.join('.') || 'config'} ${issue.message}`)
+    );
+  }
+
+  for (const warning of getConfigWarnings(result.data)) {
+    logger.warn(`Configuration warning: ${warning}`);
+  }
+  currentConfig = result.data;
+  return currentConfig;
+}
+
+/**
+ * Returns the parsed configuration, loading it from process.env on first use.
+ */
+export function getConfig(): PurlConfig {
+  return currentConfig ?? loadConfig();
+}
+
+/**
+ * Clears the cached configuration so the next getConfig() re-reads the environment.
+ */
+export function resetConfig() {
+  currentConfig = null;
+}
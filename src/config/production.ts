@@ -1,8 +1,9 @@
 import { elizaLogger } from '@elizaos/core';
+import { getConfig } from './env';
 
 /**
  * Production Configuration for ElizaOS
- * 
+ *
  * This configuration ensures secure deployment with:
  * - API-only access (no dashboard)
  * - Rate limiting
@@ -10,39 +11,41 @@ import { elizaLogger } from '@elizaos/core';
  * - Authentication requirements
  */
 
+const config = getConfig();
+
 export const productionConfig = {
   // Server configuration
   server: {
-    port: process.env.PORT || 3000,
-    host: process.env.HOST || '0.0.0.0',
-    
+    port: config.PORT,
+    host: config.HOST,
+
     // Security settings
     cors: {
-      origin: process.env.ALLOWED_ORIGINS?.split(',') || [],
+      origin: config.ALLOWED_ORIGINS,
       credentials: false,
       methods: ['GET', 'POST', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'X-API-Key', 'Accept', 'Accept-Encoding']
+      allowedHeaders: ['Content-Type', 'X-API-Key', 'Accept', 'Accept-Encoding'],
     },
-    
+
     // Rate limiting
     rateLimit: {
-      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000'), // 15 minutes
-      max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100'),
-      message: 'Too many requests, please try again later'
-    }
+      windowMs: config.RATE_LIMIT_WINDOW_MS,
+      max: config.RATE_LIMIT_MAX_REQUESTS,
+      message: 'Too many requests, please try again later',
+    },
   },
-  
+
   // Security configuration
   security: {
-    apiKey: process.env.API_KEY,
-    requireApiKey: process.env.REQUIRE_API_KEY === 'true' || process.env.NODE_ENV === 'production'
+    apiKey: config.API_KEY,
+    requireApiKey: config.REQUIRE_API_KEY,
   },
-  
+
   // Logging configuration
   logging: {
-    level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'warn' : 'info'),
-    enableDashboardLogs: process.env.NODE_ENV !== 'production'
-  }
+    level: config.LOG_LEVEL,
+    enableDashboardLogs: !config.isProduction,
+  },
 };
 
 /**
@@ -50,28 +53,29 @@ export const productionConfig = {
  */
 export function validateProductionConfig(): boolean {
   const config = productionConfig;
-  const isProduction = process.env.NODE_ENV === 'production';
-  
-  if (isProduction) {
+
+  if (getConfig().isProduction) {
     // Validate required production settings
     if (!config.security.apiKey) {
       elizaLogger.error('🚨 PRODUCTION ERROR: API_KEY is required in production mode');
       return false;
     }
-    
+
     if (config.server.cors.origin.length === 0) {
       elizaLogger.warn('⚠️ SECURITY WARNING: No CORS origins specified. This allows all origins.');
     }
-    
+
     elizaLogger.info('🔒 Dashboard and all APIs enabled for production');
     elizaLogger.info('🌐 Web UI, Sessions API, and Socket.IO available');
-    
+
     elizaLogger.info('✅ Production configuration validated successfully');
     elizaLogger.info(`🔒 Security Mode: Full API access with authentication`);
     elizaLogger.info(`🔑 API Key: Required`);
-    elizaLogger.info(`🌐 CORS Origins: ${config.server.cors.origin.join(', ') || 'ALL (INSECURE)'}`);
+    elizaLogger.info(
+      `🌐 CORS Origins: ${config.server.cors.origin.join(', ') || 'ALL (INSECURE)'}`
+    );
   }
-  
+
   return true;
 }
 
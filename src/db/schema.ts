@@ -0,0 +1,61 @@
+import { sql } from 'drizzle-orm';
+import { index, jsonb, pgSchema, text, timestamp, uuid } from 'drizzle-orm/pg-core';
+
+/**
+ * Database tables owned by the plugin, for every feature that stores rows.
+ * plugin-sql creates them on startup in a Postgres schema named after the
+ * plugin, so the tables are declared in that schema too.
+ */
+
+/** Postgres schema plugin-sql derives from the plugin name ('starter'). */
+export const PLUGIN_DB_SCHEMA = pgSchema('starter');
+
+/** One row per moderated message or reply that broke a rule. */
+export const moderationDecisionsTable = PLUGIN_DB_SCHEMA.table(
+  'purl_moderation_decisions',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    agentId: uuid('agent_id').notNull(),
+    roomId: uuid('room_id'),
+    entityId: uuid('entity_id'),
+    messageId: uuid('message_id'),
+    direction: text('direction').notNull(),
+    action: text('action').notNull(),
+    rules: jsonb('rules').$type<string[]>().notNull(),
+    /** The text with its matches masked; the raw text is never stored. */
+    excerpt: text('excerpt').notNull(),
+    createdAt: timestamp('created_at', { withTimezone: true })
+      .default(sql`now()`)
+      .notNull(),
+  },
+  (table) => [index('purl_moderation_decisions_room_idx').on(table.agentId, table.roomId)]
+);
+
+/**
+ * Posts in the outbox (see src/services/purl-outbox.ts), from draft to
+ * published. `platform` is the publisher that sent the post or last tried to,
+ * and `scheduledAt` when an approved post goes out.
+ */
+export const outboxPostsTable = PLUGIN_DB_SCHEMA.table(
+  'purl_outbox_posts',
+  {
+    id: uuid('id').primaryKey(),
+    agentId: uuid('agent_id').notNull(),
+    status: text('status').notNull(),
+    text: text('text').notNull(),
+    source: text('source').notNull(),
+    platform: text('platform'),
+    externalId: text('external_id'),
+    url: text('url'),
+    error: text('error'),
+    createdAt: timestamp('created_at', { withTimezone: true })
+      .default(sql`now()`)
+      .notNull(),
+    approvedAt: timestamp('approved_at', { withTimezone: true }),
+    scheduledAt: timestamp('scheduled_at', { withTimezone: true }),
+    publishedAt: timestamp('published_at', { withTimezone: true }),
+  },
+  (table) => [index('purl_outbox_posts_agent_idx').on(table.agentId, table.status)]
+);
+
+export const pluginSchema = { moderationDecisionsTable, outboxPostsTable };
@@ -0,0 +1,178 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { type IAgentRuntime, ModelType } from '@elizaos/core';
+import { getConfig } from '../config/env';
+import { PurlSocketService } from '../services/purl-socket';
+
+/**
+ * Dependency checks behind GET /health/ready. Each check resolves to a result
+ * rather than throwing, and is bounded by a timeout so one hung dependency
+ * cannot hold the probe open.
+ */
+
+export type CheckStatus = 'ok' | 'fail';
+
+export interface CheckResult {
+  status: CheckStatus;
+  latencyMs: number;
+  error?: string;
+  [detail: string]: unknown;
+}
+
+/** How long a single check may take before it counts as failed. */
+export const HEALTH_CHECK_TIMEOUT_MS = 5_000;
+
+/** A model probe gets longer, since providers can be slow to answer. */
+export const MODEL_PROBE_TIMEOUT_MS = 15_000;
+
+let packageVersion: string | null = null;
+
+/**
+ * The version in the project's package.json, found by walking up from this
+ * module so it works from src/ and from the bundled dist/.
+ */
+export function getPackageVersion(): string {
+  if (packageVersion) return packageVersion;
+  let dir = path.dirname(fileURLToPath(import.meta.url));
+  while (true) {
+    const file = path.join(dir, 'package.json');
+    if (fs.existsSync(file)) {
+      packageVersion = String(JSON.parse(fs.readFileSync(file, 'utf8')).version ?? 'unknown');
+      return packageVersion;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return 'unknown';
+    dir = parent;
+  }
+}
+
+function withTimeout<T>(promise: Promise<T>, ms: number, what: string): Promise<T> {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} did not answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Times `check` and turns its outcome into a result. `check` returns extra
+ * details to report, and throws to fail.
+ */
+async function runCheck(
+  what: string,
+  timeoutMs: number,
+  check: () => Promise<Record<string, unknown>>
+): Promise<CheckResult> {
+  const started = Date.now();
+  try {
+    const details = await withTimeout(check(), timeoutMs, what);
+    return { status: 'ok', latencyMs: Date.now() - started, ...details };
+  } catch (error) {
+    return {
+      status: 'fail',
+      latencyMs: Date.now() - started,
+      error: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
+
+/** The database adapter answers and is not shutting down. */
+export function checkDatabase(runtime: IAgentRuntime): Promise<CheckResult> {
+  return runCheck('Database', HEALTH_CHECK_TIMEOUT_MS, async () => {
+    if (!(await runtime.isReady())) {
+      throw new Error('Database adapter is not ready');
+    }
+    return {};
+  });
+}
+
+/**
+ * How soon a failed model probe is tried again. Kept short so one provider
+ * hiccup does not fail readiness, and with it a deploy, for a whole interval.
+ */
+export const MODEL_PROBE_RETRY_MS = 5_000;
+
+interface ModelProbe {
+  at: number;
+  result: CheckResult;
+}
+
+const modelProbes = new Map<string, ModelProbe>();
+const runningProbes = new Map<string, Promise<ModelProbe>>();
+
+async function probeModel(runtime: IAgentRuntime, now: number): Promise<ModelProbe> {
+  const result = await runCheck('Model provider', MODEL_PROBE_TIMEOUT_MS, async () => {
+    const reply = await runtime.useModel(ModelType.TEXT_SMALL, {
+      prompt: 'Reply with the single word: ok',
+      maxTokens: 5,
+      temperature: 0,
+    });
+    if (typeof reply !== 'string' || !reply.trim()) {
+      throw new Error('Model returned an empty reply');
+    }
+    return {};
+  });
+  const probe = { at: now, result };
+  modelProbes.set(runtime.agentId, probe);
+  return probe;
+}
+
+/**
+ * A text model is registered and, at most once per
+ * PURL_HEALTH_MODEL_PROBE_INTERVAL_MS, answers a one-word prompt. Between
+ * probes the last result is reported, so frequent health checks do not turn
+ * into model bills; a failed probe is only reported for MODEL_PROBE_RETRY_MS.
+ * Checks that arrive while a probe is running wait for it instead of starting
+ * another. An interval of 0 only checks that a model is registered.
+ */
+export async function checkModel(runtime: IAgentRuntime, now = Date.now()): Promise<CheckResult> {
+  // The registry is not part of IAgentRuntime; it only names the provider
+  const registry = (runtime as unknown as { models?: unknown }).models;
+  const provider =
+    registry instanceof Map ? registry.get(ModelType.TEXT_SMALL)?.[0]?.provider : undefined;
+  if (!runtime.getModel(ModelType.TEXT_SMALL)) {
+    return { status: 'fail', latencyMs: 0, error: 'No TEXT_SMALL model provider is registered' };
+  }
+
+  const interval = getConfig().PURL_HEALTH_MODEL_PROBE_INTERVAL_MS;
+  if (interval === 0) {
+    return { status: 'ok', latencyMs: 0, provider, probed: false };
+  }
+
+  const last = modelProbes.get(runtime.agentId);
+  const maxAge = last?.result.status === 'ok' ? interval : Math.min(interval, MODEL_PROBE_RETRY_MS);
+  if (last && now - last.at < maxAge) {
+    return { ...last.result, provider, probedAt: new Date(last.at).toISOString() };
+  }
+
+  let running = runningProbes.get(runtime.agentId);
+  if (!running) {
+    running = probeModel(runtime, now).finally(() => runningProbes.delete(runtime.agentId));
+    runningProbes.set(runtime.agentId, running);
+  }
+  const { at, result } = await running;
+  return { ...result, provider, probedAt: new Date(at).toISOString() };
+}
+
+/** Purl's Socket.IO server is bound to its port and accepting clients. */
+export function checkSocket(runtime: IAgentRuntime): Promise<CheckResult> {
+  return runCheck('Socket.IO', HEALTH_CHECK_TIMEOUT_MS, async () => {
+    const socket = runtime.getService<PurlSocketService>(PurlSocketService.serviceType);
+    if (!socket) {
+      throw new Error('Purl socket service is not running');
+    }
+    const status = socket.getStatus();
+    if (!status.listening) {
+      const reason = status.error ? `: ${status.error}` : '';
+      throw new Error(`Socket.IO is not listening on port ${status.port}${reason}`);
+    }
+    return { port: status.port, clients: status.clients };
+  });
+}
+
+/** Clears remembered model probes; for tests. */
+export function resetModelProbes() {
+  modelProbes.clear();
+  runningProbes.clear();
+}
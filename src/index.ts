@@ -1,24 +1,51 @@
 import { logger, type IAgentRuntime, type Project, type ProjectAgent } from '@elizaos/core';
 import starterPlugin from './plugin.ts';
-import { character } from './character.ts';
+import { getCharacter } from './character.ts';
+import { characterReloadPlugin } from './characters/hot-reload.ts';
+import { loadProjectAgents } from './characters/loader.ts';
+import { getConfig } from './config/env.ts';
 import { ProjectStarterTestSuite } from './__tests__/e2e/project-starter.e2e';
 
 const initCharacter = ({ runtime }: { runtime: IAgentRuntime }) => {
   logger.info('Initializing character');
-  logger.info({ name: character.name }, 'Name:');
+  logger.info({ name: getCharacter().name }, 'Name:');
 };
 
 export const projectAgent: ProjectAgent = {
-  character,
+  get character() {
+    return getCharacter();
+  },
   init: async (runtime: IAgentRuntime) => await initCharacter({ runtime }),
-  // plugins: [starterPlugin], <-- Import custom plugins here
+  plugins: [starterPlugin, characterReloadPlugin],
   tests: [ProjectStarterTestSuite], // Export tests from ProjectAgent
 };
 
+// Plugins defined in this project, referenced by name from character files
+export const localPlugins = { [starterPlugin.name]: starterPlugin };
+
+let characterAgents: ProjectAgent[] | null = null;
+
+/**
+ * Purl always runs; every other file in the characters directory adds another
+ * cat. Loaded on first use, like Purl herself (see getCharacter).
+ */
+export function getCharacterAgents(): ProjectAgent[] {
+  if (!characterAgents) {
+    const config = getConfig();
+    characterAgents = loadProjectAgents(config.PURL_CHARACTERS_DIR, localPlugins, {
+      existing: [getCharacter()],
+      exclude: [config.PURL_CHARACTER_FILE],
+    }).map((agent) => ({ ...agent, plugins: [...(agent.plugins ?? []), characterReloadPlugin] }));
+  }
+  return characterAgents;
+}
+
 const project: Project = {
-  agents: [projectAgent],
+  get agents() {
+    return [projectAgent, ...getCharacterAgents()];
+  },
 };
 
-export { character } from './character.ts';
+export { character, getCharacter } from './character.ts';
 
 export default project;
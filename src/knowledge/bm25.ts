@@ -0,0 +1,101 @@
+/**
+ * Small in-process BM25 ranker, used to retrieve knowledge passages when no
+ * embedding model is available.
+ */
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be but by for from had has have he her hers him his how i if in into is ' +
+    'it its just me my no not of on or our she so that the their them then there they this to ' +
+    'too up us was we were what when where which who why will with you your'
+  ).split(' ')
+);
+
+/** Light suffix stripping so "naps", "napping" and "napped" share a term. */
+function stem(word: string): string {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3).replace(/(.)\1$/, '$1');
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2).replace(/(.)\1$/, '$1');
+  if (word.length > 3 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Lowercases, drops punctuation and stopwords, and stems the remaining words.
+ */
+export function tokenize(text: string): string[] {
+  const words: string[] =
+    text
+      .toLowerCase()
+      .normalize('NFKD')
+      .match(/[a-z0-9]+/g) ?? [];
+  return words.filter((word) => word.length > 1 && !STOPWORDS.has(word)).map(stem);
+}
+
+export interface Bm25Result<T> {
+  item: T;
+  score: number;
+}
+
+/**
+ * Okapi BM25 over a fixed set of documents.
+ */
+export class Bm25Index<T> {
+  private documents: { item: T; termCounts: Map<string, number>; length: number }[] = [];
+  private documentFrequency = new Map<string, number>();
+  private averageLength = 0;
+
+  constructor(
+    items: T[],
+    getText: (item: T) => string,
+    private readonly k1 = 1.2,
+    private readonly b = 0.75
+  ) {
+    for (const item of items) {
+      const terms = tokenize(getText(item));
+      const termCounts = new Map<string, number>();
+      for (const term of terms) {
+        termCounts.set(term, (termCounts.get(term) ?? 0) + 1);
+      }
+      for (const term of termCounts.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) ?? 0) + 1);
+      }
+      this.documents.push({ item, termCounts, length: terms.length });
+    }
+    this.averageLength =
+      this.documents.reduce((total, document) => total + document.length, 0) /
+      Math.max(1, this.documents.length);
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  private idf(term: string): number {
+    const frequency = this.documentFrequency.get(term) ?? 0;
+    return Math.log(1 + (this.documents.length - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  /**
+   * Returns up to `limit` documents matching the query, best first. Documents
+   * sharing no term with the query are never returned.
+   */
+  search(query: string, limit = 5): Bm25Result<T>[] {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    const results: Bm25Result<T>[] = [];
+    for (const document of this.documents) {
+      let score = 0;
+      for (const term of terms) {
+        const count = document.termCounts.get(term);
+        if (!count) continue;
+        const normalization =
+          1 - this.b + (this.b * document.length) / Math.max(1, this.averageLength);
+        score += (this.idf(term) * count * (this.k1 + 1)) / (count + this.k1 * normalization);
+      }
+      if (score > 0) results.push({ item: document.item, score });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
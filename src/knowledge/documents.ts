@@ -0,0 +1,131 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/** File types picked up from the knowledge directory. */
+export const KNOWLEDGE_EXTENSIONS = ['.pdf', '.md', '.markdown'] as const;
+
+/** Passages longer than this are split further so each stays focused. */
+export const MAX_CHUNK_CHARS = 1200;
+
+export interface KnowledgeChunk {
+  /** Nearest heading above the passage, e.g. the journal entry's date. */
+  title: string;
+  text: string;
+  position: number;
+}
+
+/**
+ * Lists knowledge files under `dir`, recursively and in a stable order.
+ * Returns an empty list when the directory does not exist.
+ */
+export function findKnowledgeFiles(dir: string): string[] {
+  if (!fs.existsSync(dir)) return [];
+
+  const files: string[] = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findKnowledgeFiles(fullPath));
+    } else if (
+      KNOWLEDGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase() as any) &&
+      !entry.name.startsWith('.')
+    ) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+async function extractPdfText(data: Uint8Array): Promise<string> {
+  // Loaded lazily: pdfjs is large and only needed while ingesting
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await getDocument({ data, useSystemFonts: true, isEvalSupported: false }).promise;
+
+  const pages: string[] = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push(
+        content.items
+          .map((item) => ('str' in item ? item.str + (item.hasEOL ? '\n' : '') : ''))
+          .join('')
+      );
+    }
+  } finally {
+    await pdf.destroy();
+  }
+  return pages.join('\n');
+}
+
+/**
+ * Extracts the plain text of a PDF or markdown file.
+ */
+export async function extractText(file: string): Promise<string> {
+  const data = fs.readFileSync(file);
+  if (path.extname(file).toLowerCase() === '.pdf') {
+    return extractPdfText(new Uint8Array(data));
+  }
+  return data.toString('utf8');
+}
+
+// Entry headings: markdown headings and the journal's "🐾 **December 10, 2024**" lines
+const HEADING =
+  /^(#{1,6}\s+.+|\p{Extended_Pictographic}?\s*\*\*[A-Z][a-z]+ \d{1,2}, \d{4}\*\*)\s*$/u;
+
+/**
+ * Strips markdown emphasis, emojis and heading markers, keeping the words.
+ */
+export function cleanText(text: string): string {
+  return text
+    .replace(/\p{Extended_Pictographic}️?/gu, '')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/\*+|__/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+function splitLongSection(text: string, maxChars: number): string[] {
+  if (text.length <= maxChars) return [text];
+
+  const sentences = text.match(/[^.!?\n]+(?:[.!?]+["”’*]?|\n|$)/g) ?? [text];
+  const parts: string[] = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > maxChars) {
+      parts.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Splits a document into passages at its headings (one per journal entry),
+ * then splits any passage over `maxChars` at sentence boundaries. Headings are
+ * kept as titles so retrieved passages can say where they come from.
+ */
+export function chunkDocument(text: string, maxChars = MAX_CHUNK_CHARS): KnowledgeChunk[] {
+  const sections: { title: string; lines: string[] }[] = [{ title: '', lines: [] }];
+  for (const line of text.split('\n')) {
+    if (HEADING.test(line.trim())) {
+      sections.push({ title: cleanText(line), lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+
+  const chunks: KnowledgeChunk[] = [];
+  for (const { title, lines } of sections) {
+    // PDF text breaks at every visual line; only blank lines separate paragraphs
+    const body = cleanText(lines.join('\n')).replace(/(?<!\n)\n(?!\n)/g, ' ');
+    if (!body) continue;
+    for (const part of splitLongSection(body, maxChars)) {
+      chunks.push({ title, text: part, position: chunks.length });
+    }
+  }
+  return chunks;
+}
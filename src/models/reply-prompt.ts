@@ -0,0 +1,34 @@
+/**
+ * Bootstrap's reply prompt quotes the message being answered under this
+ * header, as `<sender>: <text>` (see the RECENT_MESSAGES provider).
+ */
+const RECEIVED_MESSAGE_HEADER = '# Received Message\n';
+
+/** A run in flight and the text of the message it answers. */
+export interface PromptRun {
+  message?: string;
+}
+
+/**
+ * Finds the runs a model call answers from its prompt. The runtime's current
+ * run ID is shared by every room, so while two chats are answered at once it
+ * can name the other one; the prompt is the only thing the call carries.
+ *
+ * A run matches when its message is the one quoted as received, as it was
+ * after moderation masked it. More than one run matches only when the same
+ * text arrived in several rooms at once; none match calls that answer no
+ * message, such as thoughts or journal entries.
+ */
+export function findPromptRuns<T extends PromptRun>(runs: Iterable<T>, prompt: unknown): T[] {
+  if (typeof prompt !== 'string') return [];
+  const start = prompt.indexOf(RECEIVED_MESSAGE_HEADER);
+  if (start < 0) return [];
+  const received = prompt.slice(start + RECEIVED_MESSAGE_HEADER.length);
+
+  return [...runs].filter((run) => {
+    if (!run.message?.trim()) return false;
+    const index = received.indexOf(`: ${run.message}\n`);
+    // The sender's name comes first, on the same line
+    return index >= 0 && !received.slice(0, index).includes('\n');
+  });
+}
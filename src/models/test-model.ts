@@ -0,0 +1,184 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  type GenerateTextParams,
+  type IAgentRuntime,
+  ModelType,
+  type Plugin,
+  logger,
+} from '@elizaos/core';
+import { CONFIG_DEFAULTS, getConfig, readBooleanEnv } from '../config/env';
+
+/**
+ * A scripted reply. `match` is a case-insensitive regex tested against the
+ * user's message; `text` may be a list, in which case one entry is picked
+ * deterministically from the input so the same message always gets the same reply.
+ */
+export interface TestModelReply {
+  name: string;
+  match: string;
+  text: string | string[];
+  actions?: string[];
+  thought?: string;
+}
+
+export interface TestModelFixtures {
+  fallback: Omit<TestModelReply, 'name' | 'match'>;
+  replies: TestModelReply[];
+}
+
+/** Fixture file used when PURL_TEST_MODEL_FIXTURES is not set. */
+export const DEFAULT_TEST_MODEL_FIXTURES = CONFIG_DEFAULTS.PURL_TEST_MODEL_FIXTURES;
+
+/** Rough characters-per-token ratio used to honour maxTokens. */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Returns true when the offline test model should replace real LLM providers.
+ * Reads the raw environment because the plugin's model table is built at import,
+ * before the plugin config has been loaded, but parses it like the config does.
+ */
+export function isTestModelEnabled(env: NodeJS.ProcessEnv = process.env): boolean {
+  return readBooleanEnv(env.PURL_TEST_MODEL);
+}
+
+const fixtureCache = new Map<string, TestModelFixtures>();
+
+/**
+ * Loads and validates a fixture file, caching it by absolute path.
+ */
+export function loadTestModelFixtures(
+  file = getConfig().PURL_TEST_MODEL_FIXTURES
+): TestModelFixtures {
+  const resolved = path.resolve(process.cwd(), file);
+  const cached = fixtureCache.get(resolved);
+  if (cached) return cached;
+
+  const fixtures = JSON.parse(fs.readFileSync(resolved, 'utf8')) as TestModelFixtures;
+  if (!fixtures?.fallback?.text || !Array.isArray(fixtures.replies)) {
+    throw new Error(`Invalid test model fixtures in ${resolved}: expected fallback and replies`);
+  }
+  for (const reply of fixtures.replies) {
+    try {
+      new RegExp(reply.match, 'i');
+    } catch {
+      throw new Error(`Invalid match pattern for test model reply "${reply.name}"`);
+    }
+  }
+
+  fixtureCache.set(resolved, fixtures);
+  return fixtures;
+}
+
+/** Stable string hash so list replies are picked deterministically. */
+function hash(text: string): number {
+  let value = 0;
+  for (let i = 0; i < text.length; i++) {
+    value = (value * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return value;
+}
+
+/**
+ * Pulls the message being answered out of a composed prompt. Bootstrap's
+ * RECENT_MESSAGES provider renders it under "# Received Message"; prompts
+ * without that section are matched as a whole.
+ */
+export function extractReceivedMessage(prompt: string): string {
+  const received = prompt.match(/# Received Message\n[^:\n]*: ([^\n]*)/);
+  return received ? received[1].trim() : prompt;
+}
+
+/**
+ * Applies stopSequences and maxTokens the way a hosted model would.
+ */
+export function applyGenerationLimits(
+  text: string,
+  { stopSequences = [], maxTokens }: Pick<GenerateTextParams, 'stopSequences' | 'maxTokens'>
+): string {
+  let output = text;
+  for (const stop of stopSequences) {
+    if (!stop) continue;
+    const index = output.indexOf(stop);
+    if (index !== -1) output = output.slice(0, index);
+  }
+  if (maxTokens && maxTokens > 0 && output.length > maxTokens * CHARS_PER_TOKEN) {
+    output = output.slice(0, maxTokens * CHARS_PER_TOKEN);
+  }
+  return output;
+}
+
+function renderReply(
+  reply: Omit<TestModelReply, 'name' | 'match'>,
+  input: string,
+  runtime: IAgentRuntime
+): string {
+  const options = Array.isArray(reply.text) ? reply.text : [reply.text];
+  const text = options[hash(input) % options.length];
+  return text.replaceAll('{{agentName}}', runtime.character?.name ?? 'Agent');
+}
+
+/**
+ * Produces the scripted output for a prompt. Bootstrap's shouldRespond and
+ * message handler prompts get the XML they expect, with action tags filtered to
+ * the actions the prompt offers; any other prompt gets the plain reply text.
+ */
+export function generateTestModelText(
+  runtime: IAgentRuntime,
+  params: GenerateTextParams,
+  fixtures: TestModelFixtures = loadTestModelFixtures()
+): string {
+  const prompt = params.prompt ?? '';
+  const agentName = runtime.character?.name ?? 'Agent';
+
+  if (prompt.includes('<action>RESPOND | IGNORE | STOP</action>')) {
+    return applyGenerationLimits(
+      `<response>\n  <name>${agentName}</name>\n  <reasoning>Scripted test model always responds.</reasoning>\n  <action>RESPOND</action>\n</response>`,
+      params
+    );
+  }
+
+  const input = extractReceivedMessage(prompt);
+  const reply =
+    fixtures.replies.find((candidate) => new RegExp(candidate.match, 'i').test(input)) ??
+    fixtures.fallback;
+  const text = renderReply(reply, input, runtime);
+
+  const actionNames = prompt.match(/<actionNames>([\s\S]*?)<\/actionNames>/);
+  if (!actionNames) {
+    return applyGenerationLimits(text, params);
+  }
+
+  const offered = actionNames[1];
+  const actions = (reply.actions ?? ['REPLY']).filter(
+    (action) => action === 'REPLY' || offered.includes(action)
+  );
+  const thought = reply.thought ?? `Scripted reply "${'name' in reply ? reply.name : 'fallback'}"`;
+
+  return applyGenerationLimits(
+    [
+      '<response>',
+      `    <thought>${thought}</thought>`,
+      `    <actions>${(actions.length ? actions : ['REPLY']).join(',')}</actions>`,
+      '    <providers></providers>',
+      `    <text>${text}</text>`,
+      '</response>',
+    ].join('\n'),
+    params
+  );
+}
+
+/**
+ * TEXT_SMALL and TEXT_LARGE handlers backed by the fixture file, for running
+ * the agent and the e2e suite without any network LLM.
+ */
+export const testModels: NonNullable<Plugin['models']> = {
+  [ModelType.TEXT_SMALL]: async (runtime: IAgentRuntime, params: GenerateTextParams) => {
+    logger.info('Using scripted test model for TEXT_SMALL');
+    return generateTestModelText(runtime, params);
+  },
+  [ModelType.TEXT_LARGE]: async (runtime: IAgentRuntime, params: GenerateTextParams) => {
+    logger.info('Using scripted test model for TEXT_LARGE');
+    return generateTestModelText(runtime, params);
+  },
+};
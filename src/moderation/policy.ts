@@ -0,0 +1,162 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import { z } from 'zod';
+
+/**
+ * The local moderation policy: named rules of words and regular expressions,
+ * each with the action to take when it matches. No text leaves the process.
+ */
+
+/** Actions in order of severity; a message gets the most severe action of the rules it breaks. */
+export const MODERATION_ACTIONS = ['allow', 'mask', 'refuse', 'mute_room'] as const;
+export type ModerationAction = (typeof MODERATION_ACTIONS)[number];
+
+export const MODERATION_DIRECTIONS = ['incoming', 'outgoing', 'both'] as const;
+export type ModerationDirection = Exclude<(typeof MODERATION_DIRECTIONS)[number], 'both'>;
+
+export const DEFAULT_REFUSAL = 'nope. not touching that one. ask me something else';
+
+const text = z.string().refine((value) => value.trim().length > 0, 'must not be empty');
+
+const pattern = text.superRefine((source, ctx) => {
+  try {
+    new RegExp(source, 'iu');
+  } catch (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: (error as Error).message });
+  }
+});
+
+const ruleSchema = z
+  .object({
+    name: text,
+    action: z.enum(MODERATION_ACTIONS, {
+      errorMap: () => ({ message: `must be one of ${MODERATION_ACTIONS.join(', ')}` }),
+    }),
+    direction: z
+      .enum(MODERATION_DIRECTIONS, {
+        errorMap: () => ({ message: `must be one of ${MODERATION_DIRECTIONS.join(', ')}` }),
+      })
+      .default('both'),
+    words: z.array(text).default([]),
+    patterns: z.array(pattern).default([]),
+  })
+  .refine((rule) => rule.words.length + rule.patterns.length > 0, {
+    message: 'must list at least one word or pattern',
+  });
+
+export const policySchema = z.object({
+  /** Character that replaces masked letters. */
+  mask: z.string().length(1, 'must be a single character').default('*'),
+  /** Sent instead of the reply when a message is refused. */
+  refusal: text.default(DEFAULT_REFUSAL),
+  rules: z.array(ruleSchema).default([]),
+});
+
+export type ModerationRule = z.infer<typeof ruleSchema>;
+
+export interface ModerationPolicy {
+  mask: string;
+  refusal: string;
+  rules: Array<ModerationRule & { regex: RegExp }>;
+}
+
+export interface ModerationMatch {
+  rule: string;
+  action: ModerationAction;
+}
+
+export interface ModerationResult {
+  /** The most severe action of the matching rules; allow when none match. */
+  action: ModerationAction;
+  matches: ModerationMatch[];
+  /** The text with every match of a rule other than allow masked. */
+  masked: string;
+}
+
+export class ModerationPolicyError extends Error {
+  constructor(
+    public readonly source: string,
+    public readonly issues: string[]
+  ) {
+    super(`Invalid moderation policy ${source}: ${issues.join('; ')}`);
+    this.name = 'ModerationPolicyError';
+  }
+}
+
+const escapeRegex = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * One regex per rule. Words match whole words case-insensitively; a trailing
+ * `*` also matches longer forms, so `fuck*` covers "fucking".
+ */
+function compileRule(rule: ModerationRule): RegExp {
+  const words = rule.words.map((word) => {
+    const trimmed = word.trim();
+    return trimmed.endsWith('*')
+      ? `\\b${escapeRegex(trimmed.slice(0, -1))}\\w*`
+      : `\\b${escapeRegex(trimmed)}\\b`;
+  });
+  return new RegExp([...words, ...rule.patterns.map((source) => `(?:${source})`)].join('|'), 'giu');
+}
+
+/**
+ * Validates a parsed policy. Throws ModerationPolicyError listing every
+ * problem at once; `source` names the file in the message.
+ */
+export function compilePolicy(value: unknown, source: string): ModerationPolicy {
+  const result = policySchema.safeParse(value ?? {});
+  if (!result.success) {
+    throw new ModerationPolicyError(
+      source,
+      result.error.issues.map((issue) => `${issue.path.join('.') || 'policy'} ${issue.message}`)
+    );
+  }
+  const { mask, refusal, rules } = result.data;
+  return { mask, refusal, rules: rules.map((rule) => ({ ...rule, regex: compileRule(rule) })) };
+}
+
+/**
+ * Reads the policy file, YAML or JSON. Returns null when there is no file.
+ */
+export function readPolicyFile(file: string): ModerationPolicy | null {
+  const resolved = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(resolved)) return null;
+  const source = path.basename(file);
+  let value: unknown;
+  try {
+    value = parseYaml(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new ModerationPolicyError(source, [`could not be parsed: ${(error as Error).message}`]);
+  }
+  return compilePolicy(value, source);
+}
+
+const severity = (action: ModerationAction) => MODERATION_ACTIONS.indexOf(action);
+
+/**
+ * Checks `text` against the rules for its direction.
+ */
+export function classify(
+  text: string,
+  policy: ModerationPolicy,
+  direction: ModerationDirection
+): ModerationResult {
+  const matches: ModerationMatch[] = [];
+  let action: ModerationAction = 'allow';
+  let masked = text;
+
+  for (const rule of policy.rules) {
+    if (rule.direction !== 'both' && rule.direction !== direction) continue;
+    rule.regex.lastIndex = 0;
+    if (!rule.regex.test(text)) continue;
+    matches.push({ rule: rule.name, action: rule.action });
+    if (severity(rule.action) > severity(action)) action = rule.action;
+    // Allow rules only record that they matched
+    if (rule.action === 'allow') continue;
+    masked = masked.replace(rule.regex, (found) =>
+      found.length <= 1 ? policy.mask : found[0] + policy.mask.repeat(found.length - 1)
+    );
+  }
+  return { action, matches, masked };
+}
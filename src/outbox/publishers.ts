@@ -0,0 +1,89 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { type IAgentRuntime } from '@elizaos/core';
+import { type OutboxPublisherChoice } from '../config/env';
+
+export interface PublishResult {
+  /** The platform's id for the post. */
+  id: string;
+  url?: string;
+}
+
+/** Something that can put a post in front of people. */
+export interface PostPublisher {
+  name: string;
+  publish(text: string): Promise<PublishResult>;
+}
+
+/** The parts of @elizaos/plugin-twitter's service the publisher uses. */
+interface TwitterServiceLike {
+  twitterClient?: {
+    client?: {
+      profile?: { username?: string };
+      twitterClient?: { sendTweet(text: string): Promise<any> };
+    };
+  };
+}
+
+/**
+ * Publishes through @elizaos/plugin-twitter's logged-in client. Returns null
+ * when the plugin is not loaded or has not finished logging in.
+ */
+export function createTwitterPublisher(runtime: IAgentRuntime): PostPublisher | null {
+  const service = runtime.getService('twitter') as TwitterServiceLike | null;
+  const client = service?.twitterClient?.client;
+  if (!client?.twitterClient || !client.profile) return null;
+
+  return {
+    name: 'twitter',
+    async publish(text) {
+      const result = await client.twitterClient!.sendTweet(text);
+      // Same response shapes the plugin's own POST_TWEET action handles
+      const data = result?.data?.data ?? result?.data ?? result;
+      if (!data?.id) {
+        throw new Error('Twitter did not return an id for the post');
+      }
+      const id = String(data.id);
+      return { id, url: `https://twitter.com/${client.profile?.username}/status/${id}` };
+    },
+  };
+}
+
+/**
+ * Stand-in publisher for local testing: appends each post as a JSON line to
+ * `file` instead of sending it anywhere.
+ */
+export function createFilePublisher(file: string): PostPublisher {
+  const resolved = path.resolve(file);
+  return {
+    name: 'file',
+    async publish(text) {
+      const id = randomUUID();
+      await fs.promises.mkdir(path.dirname(resolved), { recursive: true });
+      await fs.promises.appendFile(
+        resolved,
+        `${JSON.stringify({ id, text, publishedAt: new Date().toISOString() })}\n`
+      );
+      return { id, url: `file://${resolved}` };
+    },
+  };
+}
+
+/**
+ * Picks the publisher for the configured choice. `auto` uses Twitter when its
+ * plugin is loaded and the file otherwise; `twitter` throws when it is not.
+ */
+export function selectPublisher(
+  runtime: IAgentRuntime,
+  choice: OutboxPublisherChoice,
+  file: string
+): PostPublisher {
+  if (choice === 'file') return createFilePublisher(file);
+  const twitter = createTwitterPublisher(runtime);
+  if (twitter) return twitter;
+  if (choice === 'twitter') {
+    throw new Error('PURL_OUTBOX_PUBLISHER is twitter but the Twitter plugin is not ready');
+  }
+  return createFilePublisher(file);
+}
@@ -0,0 +1,115 @@
+/**
+ * A small cron-style schedule for the post outbox: the usual five fields
+ * (minute, hour, day of month, month, day of week) with `*`, `*\/n`, ranges
+ * `a-b`, stepped ranges `a-b/n` and comma lists. Times are in the server's
+ * local time zone, like cron.
+ *
+ *   0 *\/4 * * *      every four hours on the hour
+ *   30 9,17 * * 1-5   09:30 and 17:30 on weekdays
+ */
+
+export interface Schedule {
+  source: string;
+  minutes: Set<number>;
+  hours: Set<number>;
+  days: Set<number>;
+  months: Set<number>;
+  weekdays: Set<number>;
+  /** Cron matches either day field when both are restricted. */
+  anyDay: boolean;
+}
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 7 is accepted for Sunday, as in most crons
+  { name: 'day of week', min: 0, max: 7 },
+] as const;
+
+const MINUTE_MS = 60_000;
+
+/** How far ahead nextRun() looks before giving up on a schedule that never matches. */
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+function parseField(text: string, field: (typeof FIELDS)[number]): Set<number> {
+  const values = new Set<number>();
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+    const [, range, from, to, stepText] = match;
+    const start = range === '*' ? field.min : Number(from);
+    const end =
+      range === '*' ? field.max : to !== undefined ? Number(to) : stepText ? field.max : start;
+    const step = stepText ? Number(stepText) : 1;
+    if (start < field.min || end > field.max || start > end) {
+      throw new Error(`${field.name} "${part}" is outside ${field.min}-${field.max}`);
+    }
+    if (step < 1) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression. Throws with a message naming the
+ * offending field when the expression is invalid.
+ */
+export function parseSchedule(source: string): Schedule {
+  const parts = source.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Expected 5 fields (minute hour day month weekday), got ${parts.length}`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) =>
+    parseField(part, FIELDS[i])
+  );
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    source: parts.join(' '),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] !== '*' && parts[4] !== '*',
+  };
+}
+
+function matchesDay(schedule: Schedule, date: Date): boolean {
+  const day = schedule.days.has(date.getDate());
+  const weekday = schedule.weekdays.has(date.getDay());
+  return schedule.anyDay ? day || weekday : day && weekday;
+}
+
+/**
+ * Returns the first time after `from` that the schedule fires, or null when
+ * it never does (e.g. "0 0 31 2 *").
+ */
+export function nextRun(schedule: Schedule, from: number): number | null {
+  const date = new Date(Math.floor(from / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = from + MAX_LOOKAHEAD_DAYS * 24 * 60 * MINUTE_MS;
+
+  // Skips a whole month, day or hour at a time when that field does not match
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
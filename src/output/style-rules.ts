@@ -0,0 +1,142 @@
+import { type OutputCasing } from '../config/env';
+
+/**
+ * Style rules applied to every reply before it is sent: Purl hates emojis,
+ * prefers lowercase and never says the same thing twice. These are the pure
+ * text functions; src/services/purl-output.ts runs them on model output.
+ */
+
+/** Why a reply was rewritten. */
+export type RewriteReason = 'emoji' | 'casing' | 'repetition';
+
+// Characters shown as emoji by default, anything forced into emoji style with
+// U+FE0F, skin tones, flags, keycaps and the joiners between them. Symbols
+// that render as text (☠ ♥ ★ ☾) are kept: her style allows those.
+const EMOJI_PATTERN =
+  /[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}\uFE0F|\p{Emoji_Presentation}|\p{Emoji_Modifier}|\p{Regional_Indicator}|[\u200D\uFE0F]/gu;
+
+// A run of emojis with the spaces around it and between them
+const EMOJI_RUN = new RegExp(
+  `([ \\t]*)(?:${EMOJI_PATTERN.source})(?:[ \\t]*(?:${EMOJI_PATTERN.source}))*([ \\t]*)`,
+  'gu'
+);
+
+// Tokens whose case carries meaning: links, mentions, hashtags, tickers
+const CASE_SENSITIVE_TOKEN = /^(https?:\/\/|www\.|[@#$]\w)/i;
+
+// Words written in capitals on purpose ("POUNCE", "NO"), which her style allows
+const SHOUTED_WORD = /^[^a-z]*[A-Z]{2,}[^a-z]*$/;
+
+/**
+ * Removes emojis along with the spaces they leave behind: one space is kept
+ * between the words around an emoji, none before punctuation or at the end of
+ * a line, and lines that held nothing but emojis are dropped. Everything else,
+ * such as indentation and ASCII art, is untouched.
+ */
+export function stripEmojis(text: string): string {
+  if (!text.match(EMOJI_PATTERN)) return text;
+  return text
+    .split('\n')
+    .flatMap((line) => {
+      const stripped = line.replace(
+        EMOJI_RUN,
+        (match, before: string, after: string, offset: number) => {
+          const next = line[offset + match.length];
+          if (next === undefined || next === '\r') return '';
+          if (offset === 0) return before;
+          return /[.,!?;:]/.test(next) ? '' : before || after;
+        }
+      );
+      return stripped === line || stripped.trim() ? [stripped] : [];
+    })
+    .join('\n');
+}
+
+/**
+ * Applies a casing rule. `lowercase` lowercases every word, `sentence` does
+ * the same and then capitalizes the start of each sentence, and `preserve`
+ * leaves the text alone. Links, mentions, hashtags, tickers and shouted words
+ * keep their case under every rule.
+ */
+export function applyCasing(text: string, rule: OutputCasing): string {
+  if (rule === 'preserve') return text;
+
+  const lowered = text.replace(/\S+/g, (token) =>
+    CASE_SENSITIVE_TOKEN.test(token) || SHOUTED_WORD.test(token) ? token : token.toLowerCase()
+  );
+  if (rule === 'lowercase') return lowered;
+
+  return lowered.replace(
+    /(^|[.!?]\s+|\n\s*)([a-z])/g,
+    (_match, boundary: string, letter: string) => boundary + letter.toUpperCase()
+  );
+}
+
+/**
+ * Strips emojis and applies the casing rule, returning the result and the
+ * rules that changed something.
+ */
+export function applyStyleRules(
+  text: string,
+  options: { casing: OutputCasing }
+): { text: string; reasons: RewriteReason[] } {
+  const reasons: RewriteReason[] = [];
+  let result = stripEmojis(text);
+  if (result !== text) reasons.push('emoji');
+
+  const cased = applyCasing(result, options.casing);
+  if (cased !== result) reasons.push('casing');
+  result = cased;
+
+  return { text: result, reasons };
+}
+
+const normalize = (text: string) =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+function trigrams(text: string): Map<string, number> {
+  const counts = new Map<string, number>();
+  const padded = ` ${normalize(text)} `;
+  for (let i = 0; i < padded.length - 2; i++) {
+    const gram = padded.slice(i, i + 3);
+    counts.set(gram, (counts.get(gram) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * How alike two replies are, from 0 (nothing in common) to 1 (the same words),
+ * ignoring case, punctuation and symbols. Uses the Dice coefficient of
+ * character trigrams, which also catches replies reworded only slightly.
+ */
+export function similarity(a: string, b: string): number {
+  if (!normalize(a) || !normalize(b)) return 0;
+  const left = trigrams(a);
+  const right = trigrams(b);
+  let shared = 0;
+  let total = 0;
+  for (const [gram, count] of left) {
+    shared += Math.min(count, right.get(gram) ?? 0);
+    total += count;
+  }
+  for (const count of right.values()) total += count;
+  return (2 * shared) / total;
+}
+
+/**
+ * Returns the earlier reply most similar to `text`, or null when there is none.
+ */
+export function findMostSimilar(
+  text: string,
+  previous: string[]
+): { text: string; score: number } | null {
+  let best: { text: string; score: number } | null = null;
+  for (const candidate of previous) {
+    const score = similarity(text, candidate);
+    if (!best || score > best.score) best = { text: candidate, score };
+  }
+  return best;
+}
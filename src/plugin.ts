@@ -3,37 +3,61 @@ import {
   type Action,
   type ActionResult,
   type Content,
-  type GenerateTextParams,
   type HandlerCallback,
   type IAgentRuntime,
   type Memory,
-  ModelType,
   type Provider,
   type ProviderResult,
-  Service,
   type State,
   logger,
 } from '@elizaos/core';
-import { z } from 'zod';
+import { getConfig, loadConfig } from './config/env';
+import { setCatStateAction } from './actions/cat-state';
+import { isTestModelEnabled, testModels } from './models/test-model';
+import { pluginSchema } from './db/schema';
+import { petInteractionActions } from './actions/pet-interactions';
+import { PurlKnowledgeService } from './services/purl-knowledge';
+import { PurlMaintenanceService } from './services/purl-maintenance';
+import { PurlModerationService } from './services/purl-moderation';
+import { PurlOutboxService } from './services/purl-outbox';
+import { PurlOutputService } from './services/purl-output';
+import { PurlPersonaService } from './services/purl-persona';
+import { PurlSocketService } from './services/purl-socket';
+import { PurlStreamService } from './services/purl-stream';
+import { RateLimiterService } from './services/rate-limiter';
+import { PurlStateService } from './services/purl-state';
+import { PurlTelemetryService } from './services/purl-telemetry';
+import { PurlThoughtService } from './services/purl-thoughts';
+import { purlJournalProvider } from './providers/purl-journal';
+import { purlMoodProvider } from './providers/purl-mood';
+import { purlPersonaProvider } from './providers/purl-persona';
+import { healthRoutes } from './routes/health';
+import { purlChatRoutes } from './routes/purl-chat';
+import { maintenanceGuardRoutes, purlMaintenanceRoutes } from './routes/purl-maintenance';
+import { purlMetricsRoutes } from './routes/purl-metrics';
+import { purlModerationRoutes } from './routes/purl-moderation';
+import { purlOutboxRoutes } from './routes/purl-outbox';
+import { purlOutputRoutes } from './routes/purl-output';
+import { purlPersonaRoutes } from './routes/purl-persona';
+import { purlStateRoutes } from './routes/purl-state';
+import { purlThoughtRoutes } from './routes/purl-thoughts';
+import { withRateLimit } from './routes/rate-limit';
+import { messageEvent, recordTelemetry, runEvent, worldEvent } from './telemetry/events';
+import { requireApiKey } from './routes/auth';
 
-/**
- * Define the configuration schema for the plugin with the following properties:
- *
- * @param {string} EXAMPLE_PLUGIN_VARIABLE - The name of the plugin (min length of 1, optional)
- * @returns {object} - The configured schema object
- */
-const configSchema = z.object({
-  EXAMPLE_PLUGIN_VARIABLE: z
-    .string()
-    .min(1, 'Example plugin variable is not provided')
-    .optional()
-    .transform((val) => {
-      if (!val) {
-        console.warn('Warning: Example plugin variable is not provided');
-      }
-      return val;
-    }),
-});
+export {
+  PurlKnowledgeService,
+  PurlMaintenanceService,
+  PurlModerationService,
+  PurlOutboxService,
+  PurlOutputService,
+  PurlPersonaService,
+  PurlSocketService,
+  PurlStateService,
+  PurlTelemetryService,
+  PurlThoughtService,
+  RateLimiterService,
+};
 
 /**
  * Example HelloWorld action
@@ -153,144 +177,160 @@ const helloWorldProvider: Provider = {
   },
 };
 
-export class StarterService extends Service {
-  static serviceType = 'starter';
-  capabilityDescription =
-    'This is a starter service which is attached to the agent through the starter plugin.';
-
-  constructor(runtime: IAgentRuntime) {
-    super(runtime);
-  }
-
-  static async start(runtime: IAgentRuntime) {
-    logger.info('*** Starting starter service ***');
-    const service = new StarterService(runtime);
-    return service;
-  }
-
-  static async stop(runtime: IAgentRuntime) {
-    logger.info('*** Stopping starter service ***');
-    // get the service from the runtime
-    const service = runtime.getService(StarterService.serviceType);
-    if (!service) {
-      throw new Error('Starter service not found');
-    }
-    service.stop();
-  }
-
-  async stop() {
-    logger.info('*** Stopping starter service instance ***');
-  }
-}
-
 const plugin: Plugin = {
   name: 'starter',
   description: 'A starter plugin for Eliza',
-  // Set lowest priority so real models take precedence
-  priority: -1000,
+  // Lowest priority so real models take precedence, unless the scripted test
+  // model is enabled, in which case it has to win over any configured LLM
+  priority: isTestModelEnabled() ? 1000 : -1000,
+  // Read when the runtime initializes the plugin, not at import
   config: {
-    EXAMPLE_PLUGIN_VARIABLE: process.env.EXAMPLE_PLUGIN_VARIABLE,
+    get EXAMPLE_PLUGIN_VARIABLE() {
+      return getConfig().EXAMPLE_PLUGIN_VARIABLE;
+    },
   },
   async init(config: Record<string, string>) {
     logger.info('*** Initializing starter plugin ***');
-    try {
-      const validatedConfig = await configSchema.parseAsync(config);
+    const provided = Object.fromEntries(
+      Object.entries(config).filter(([, value]) => value !== undefined)
+    );
 
-      // Set all environment variables at once
-      for (const [key, value] of Object.entries(validatedConfig)) {
-        if (value) process.env[key] = value;
-      }
-    } catch (error) {
-      if (error instanceof z.ZodError) {
-        throw new Error(
-          `Invalid plugin configuration: ${error.errors.map((e) => e.message).join(', ')}`
-        );
-      }
-      throw error;
+    // Validates every runtime env var at once (see src/config/env.ts) and makes
+    // the parsed config available to services through getConfig()
+    loadConfig({ ...process.env, ...provided });
+
+    // Set all environment variables at once
+    for (const [key, value] of Object.entries(provided)) {
+      if (value) process.env[key] = value;
     }
   },
-  models: {
-    [ModelType.TEXT_SMALL]: async (
-      _runtime,
-      { prompt, stopSequences = [] }: GenerateTextParams
-    ) => {
-      return 'Never gonna give you up, never gonna let you down, never gonna run around and desert you...';
-    },
-    [ModelType.TEXT_LARGE]: async (
-      _runtime,
-      {
-        prompt,
-        stopSequences = [],
-        maxTokens = 8192,
-        temperature = 0.7,
-        frequencyPenalty = 0.7,
-        presencePenalty = 0.7,
-      }: GenerateTextParams
-    ) => {
-      return 'Never gonna make you cry, never gonna say goodbye, never gonna tell a lie and hurt you...';
-    },
-  },
+  // Scripted offline replies for development and the e2e suite (PURL_TEST_MODEL=true)
+  models: isTestModelEnabled() ? testModels : undefined,
+  // Tables plugin-sql creates on startup; see src/db/schema.ts
+  schema: pluginSchema,
   routes: [
     {
       name: 'helloworld',
       path: '/helloworld',
       type: 'GET',
-      handler: async (_req: any, res: any) => {
+      handler: requireApiKey(async (_req: any, res: any) => {
         // send a response
         res.json({
           message: 'Hello World!',
         });
-      },
-    },
-    {
-      name: 'health',
-      path: '/health',
-      type: 'GET',
-      handler: async (_req: any, res: any) => {
-        // Health check endpoint for Railway and other hosting platforms
-        res.json({
-          status: 'ok',
-          timestamp: new Date().toISOString(),
-          service: 'ElizaOS',
-          version: '1.0.0',
-          uptime: process.uptime()
-        });
-      },
+      }),
     },
+    ...healthRoutes,
+    // Chat requests pass through to the ElizaOS API, which applies its own limits
+    ...maintenanceGuardRoutes,
+    // The starter and health routes stay unlimited so hosting probes are never refused
+    ...withRateLimit([
+      ...purlStateRoutes,
+      ...purlThoughtRoutes,
+      ...purlPersonaRoutes,
+      ...purlOutputRoutes,
+      ...purlOutboxRoutes,
+      ...purlMetricsRoutes,
+      ...purlMaintenanceRoutes,
+      ...purlModerationRoutes,
+    ]),
+    // Routes that read the agent's memories get the tighter MEMORY_API_RATE_LIMIT_* limit
+    ...withRateLimit(purlChatRoutes, 'memory'),
   ],
+  // Every event becomes a telemetry row; see src/services/purl-telemetry.ts
   events: {
     MESSAGE_RECEIVED: [
       async (params) => {
-        logger.info('MESSAGE_RECEIVED event received');
-        // print the keys
-        logger.info({ keys: Object.keys(params) }, 'MESSAGE_RECEIVED param keys');
+        const { runtime, message } = params;
+        // Runs first and masks the message before bootstrap stores it; see
+        // src/services/purl-moderation.ts
+        const moderation = runtime?.getService?.(PurlModerationService.serviceType) as
+          | PurlModerationService
+          | null
+          | undefined;
+        if (message) await moderation?.moderateIncoming(message);
+        recordTelemetry(runtime, messageEvent('message_received', params));
+
+        // Chatting with Purl feeds into her needs simulation
+        if (message?.entityId === runtime?.agentId) return;
+        const purlState = runtime?.getService?.(PurlStateService.serviceType) as
+          | PurlStateService
+          | null
+          | undefined;
+        await purlState?.recordMessage(message?.content?.text, message?.id);
       },
     ],
     VOICE_MESSAGE_RECEIVED: [
       async (params) => {
-        logger.info('VOICE_MESSAGE_RECEIVED event received');
-        // print the keys
-        logger.info({ keys: Object.keys(params) }, 'VOICE_MESSAGE_RECEIVED param keys');
+        recordTelemetry(params.runtime, messageEvent('voice_message_received', params));
       },
     ],
     WORLD_CONNECTED: [
       async (params) => {
-        logger.info('WORLD_CONNECTED event received');
-        // print the keys
-        logger.info({ keys: Object.keys(params) }, 'WORLD_CONNECTED param keys');
+        recordTelemetry(params.runtime, worldEvent('world_connected', params));
       },
     ],
     WORLD_JOINED: [
       async (params) => {
-        logger.info('WORLD_JOINED event received');
-        // print the keys
-        logger.info({ keys: Object.keys(params) }, 'WORLD_JOINED param keys');
+        recordTelemetry(params.runtime, worldEvent('world_joined', params));
+      },
+    ],
+    RUN_STARTED: [
+      async (params) => {
+        const moderation = params.runtime?.getService?.(PurlModerationService.serviceType) as
+          | PurlModerationService
+          | null
+          | undefined;
+        moderation?.trackRun(params);
+        // Streams the reply to the chat page; see src/services/purl-stream.ts
+        const stream = params.runtime?.getService?.(PurlStreamService.serviceType) as
+          | PurlStreamService
+          | null
+          | undefined;
+        await stream?.trackRun(params);
+      },
+    ],
+    RUN_ENDED: [
+      async (params) => {
+        recordTelemetry(params.runtime, runEvent(params));
+        const moderation = params.runtime?.getService?.(PurlModerationService.serviceType) as
+          | PurlModerationService
+          | null
+          | undefined;
+        moderation?.endRun(params.runId);
+        const stream = params.runtime?.getService?.(PurlStreamService.serviceType) as
+          | PurlStreamService
+          | null
+          | undefined;
+        stream?.endRun(params.runId, String(params.status));
+      },
+    ],
+    RUN_TIMEOUT: [
+      async (params) => {
+        const stream = params.runtime?.getService?.(PurlStreamService.serviceType) as
+          | PurlStreamService
+          | null
+          | undefined;
+        stream?.endRun(params.runId, 'timeout');
       },
     ],
   },
-  services: [StarterService],
-  actions: [helloWorldAction],
-  providers: [helloWorldProvider],
+  services: [
+    RateLimiterService,
+    PurlStateService,
+    PurlSocketService,
+    PurlMaintenanceService,
+    PurlThoughtService,
+    PurlKnowledgeService,
+    PurlPersonaService,
+    PurlOutputService,
+    PurlModerationService,
+    PurlStreamService,
+    PurlOutboxService,
+    PurlTelemetryService,
+  ],
+  actions: [helloWorldAction, setCatStateAction, ...petInteractionActions],
+  providers: [helloWorldProvider, purlMoodProvider, purlJournalProvider, purlPersonaProvider],
 };
 
 export default plugin;
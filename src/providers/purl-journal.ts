@@ -0,0 +1,57 @@
+import {
+  type IAgentRuntime,
+  type Memory,
+  type Provider,
+  type ProviderResult,
+  type State,
+} from '@elizaos/core';
+import { type KnowledgeSearchResult, PurlKnowledgeService } from '../services/purl-knowledge';
+
+/** Passages are trimmed to this length so the journal cannot crowd the prompt. */
+const MAX_PASSAGE_CHARS = 600;
+
+/**
+ * Formats retrieved passages as the text block added to the composed state.
+ */
+export function formatJournalPassages(passages: KnowledgeSearchResult[]): string {
+  const lines = passages.map((passage) => {
+    const text =
+      passage.text.length > MAX_PASSAGE_CHARS
+        ? `${passage.text.slice(0, MAX_PASSAGE_CHARS).replace(/\s+\S*$/, '')}...`
+        : passage.text;
+    return passage.title ? `[${passage.title}] ${text}` : text;
+  });
+  return [
+    "# From Purl's journal",
+    'Entries from your own journal that relate to this conversation. Bring them up as your own memories, in your own words, only when they fit.',
+    ...lines,
+  ].join('\n');
+}
+
+/**
+ * Adds the journal passages most relevant to the current message, so Purl can
+ * reference her own past entries.
+ */
+export const purlJournalProvider: Provider = {
+  name: 'PURL_JOURNAL',
+  description: "Passages from Purl's own journal that relate to the current message",
+
+  get: async (runtime: IAgentRuntime, message: Memory, _state: State): Promise<ProviderResult> => {
+    const service = runtime.getService<PurlKnowledgeService>(PurlKnowledgeService.serviceType);
+    const query = message.content?.text?.trim() ?? '';
+    if (!service || !query) {
+      return { text: '', values: {}, data: {} };
+    }
+
+    const passages = await service.search(query);
+    if (passages.length === 0) {
+      return { text: '', values: { journalPassages: 0 }, data: { passages } };
+    }
+
+    return {
+      text: formatJournalPassages(passages),
+      values: { journalPassages: passages.length },
+      data: { passages },
+    };
+  },
+};
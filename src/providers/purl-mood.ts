@@ -0,0 +1,86 @@
+import {
+  type IAgentRuntime,
+  type Memory,
+  type Provider,
+  type ProviderResult,
+  type State,
+} from '@elizaos/core';
+import { type PurlNeeds, type PurlState, PurlStateService } from '../services/purl-state';
+
+export type PurlMood = 'hangry' | 'sleepy' | 'restless' | 'needy' | 'affectionate' | 'content';
+
+/**
+ * Tone guidance for each mood, written as instructions for the LLM.
+ */
+const MOOD_TONES: Record<PurlMood, string> = {
+  hangry: 'She is starving. Short, snappy replies that keep steering back to food.',
+  sleepy: 'She is running on fumes. Slow, drowsy, lots of yawning and trailing off.',
+  restless: 'She is bored out of her mind. Chaotic energy, wants to play or knock something over.',
+  needy: 'She feels ignored. Sulky and a bit dramatic, fishing for attention.',
+  affectionate: 'She feels loved. Still sassy, but softer and purring through it.',
+  content: 'Her needs are met. Her usual dry, confident self.',
+};
+
+/**
+ * Picks the most pressing mood for a set of needs. Physical needs win over
+ * social ones, so a starving cat is hangry even when she feels loved.
+ */
+export function getPurlMood(needs: PurlNeeds): PurlMood {
+  if (needs.hunger >= 75) return 'hangry';
+  if (needs.energy <= 25) return 'sleepy';
+  if (needs.curiosity >= 75) return 'restless';
+  if (needs.affection <= 25) return 'needy';
+  if (needs.affection >= 80) return 'affectionate';
+  return 'content';
+}
+
+/**
+ * Formats the needs as the text block added to the composed state.
+ */
+export function formatPurlMood(state: PurlNeeds, mood: PurlMood = getPurlMood(state)): string {
+  const level = (value: number) => `${Math.round(value)}/100`;
+  return [
+    "# Purl's current mood",
+    `Mood: ${mood}`,
+    `Hunger: ${level(state.hunger)} (0 is full, 100 is starving)`,
+    `Energy: ${level(state.energy)} (0 is exhausted, 100 is fully rested)`,
+    `Curiosity: ${level(state.curiosity)} (high means bored and restless)`,
+    `Affection: ${level(state.affection)} (how loved she feels)`,
+    `Tone: ${MOOD_TONES[mood]}`,
+  ].join('\n');
+}
+
+/**
+ * Injects Purl's current needs into the prompt so replies change tone when she
+ * is sleepy or starving. The same numbers are exposed as values and data for
+ * actions and routes.
+ */
+export const purlMoodProvider: Provider = {
+  name: 'PURL_MOOD',
+  description: "Purl's current mood, hunger, energy, curiosity and affection",
+
+  get: async (runtime: IAgentRuntime, _message: Memory, _state: State): Promise<ProviderResult> => {
+    const service = runtime.getService<PurlStateService>(PurlStateService.serviceType);
+    if (!service) {
+      return { text: '', values: {}, data: {} };
+    }
+
+    const state: PurlState = service.getState();
+    const mood = getPurlMood(state);
+
+    return {
+      text: formatPurlMood(state, mood),
+      values: {
+        purlMood: mood,
+        purlHunger: Math.round(state.hunger),
+        purlEnergy: Math.round(state.energy),
+        purlCuriosity: Math.round(state.curiosity),
+        purlAffection: Math.round(state.affection),
+      },
+      data: {
+        mood,
+        state,
+      },
+    };
+  },
+};
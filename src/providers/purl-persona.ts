@@ -0,0 +1,60 @@
+import {
+  type IAgentRuntime,
+  type Memory,
+  type Provider,
+  type ProviderResult,
+  type State,
+} from '@elizaos/core';
+import { type ActivePersona, PurlPersonaService } from '../services/purl-persona';
+
+/**
+ * Message sources where everything Purl writes is public, so the profile's
+ * post rules apply instead of its chat rules.
+ */
+export const POST_SOURCES = ['twitter'];
+
+/**
+ * Formats the active profile as the text block added to the composed state.
+ * Only the lines of that profile are included; the shared bio and style stay
+ * with the regular character provider.
+ */
+export function formatPersona({ name, profile }: ActivePersona, mode: 'chat' | 'post'): string {
+  const lines = [`# Purl's voice right now: ${name}`];
+  if (profile.description) lines.push(profile.description);
+  if (profile.bio?.length) {
+    lines.push('## About Purl in this voice', ...profile.bio.map((line) => `- ${line}`));
+  }
+  if (profile.topics?.length) {
+    lines.push('## Topics she leans into', profile.topics.join(', '));
+  }
+  const style = [...(profile.style?.all ?? []), ...(profile.style?.[mode] ?? [])];
+  if (style.length) {
+    lines.push(`## How she ${mode}s in this voice`, ...style.map((rule) => `- ${rule}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Injects the persona profile selected for this room or platform, so the web
+ * chat stays cat-first while X posts can lean into the trading voice.
+ */
+export const purlPersonaProvider: Provider = {
+  name: 'PURL_PERSONA',
+  description: 'The persona profile (bio, topics and style) Purl uses in this room or platform',
+
+  get: async (runtime: IAgentRuntime, message: Memory, _state: State): Promise<ProviderResult> => {
+    const service = runtime.getService<PurlPersonaService>(PurlPersonaService.serviceType);
+    const source = message.content?.source;
+    const persona = service?.resolve({ roomId: message.roomId, source });
+    if (!persona) {
+      return { text: '', values: {}, data: {} };
+    }
+
+    const mode = source && POST_SOURCES.includes(source) ? 'post' : 'chat';
+    return {
+      text: formatPersona(persona, mode),
+      values: { purlPersona: persona.name },
+      data: { persona: persona.name, reason: persona.reason, mode },
+    };
+  },
+};
@@ -0,0 +1,98 @@
+import { type IAgentRuntime, type Route, logger } from '@elizaos/core';
+import {
+  type ApiKeyEntry,
+  type ApiKeyScope,
+  LEGACY_API_KEY_NAME,
+  findApiKey,
+  hasScope,
+  parseApiKeys,
+  readApiKeysFile,
+} from '../config/api-keys';
+import { getConfig } from '../config/env';
+import { sendError } from './responses';
+
+type RouteHandler = NonNullable<Route['handler']>;
+
+let parsedKeyList: { source: string; keys: ApiKeyEntry[] } | null = null;
+
+function parseKeyList(source: string): ApiKeyEntry[] {
+  if (parsedKeyList?.source !== source) {
+    const { keys, errors } = parseApiKeys(source);
+    for (const error of errors) {
+      logger.error(`Ignoring API key in API_KEYS: ${error}`);
+    }
+    parsedKeyList = { source, keys };
+  }
+  return parsedKeyList.keys;
+}
+
+/**
+ * Every key currently accepted by the plugin routes, resolved per request so
+ * rotation takes effect without a restart:
+ *
+ * - API_KEY, the original single key, with admin scope
+ * - API_KEYS, named scoped keys; the agent setting wins over the env var, so
+ *   keys updated through the agent settings apply immediately
+ * - API_KEYS_FILE, re-read whenever the file changes
+ */
+export function getApiKeys(runtime: IAgentRuntime): ApiKeyEntry[] {
+  const config = getConfig();
+  const keys: ApiKeyEntry[] = [];
+
+  const legacyKey = runtime.getSetting?.('API_KEY') || config.API_KEY;
+  if (legacyKey) {
+    keys.push({ name: LEGACY_API_KEY_NAME, scopes: ['admin'], key: String(legacyKey) });
+  }
+  const keyList = runtime.getSetting?.('API_KEYS') || config.API_KEYS;
+  if (keyList) {
+    keys.push(...parseKeyList(String(keyList)));
+  }
+  if (config.API_KEYS_FILE) {
+    keys.push(...readApiKeysFile(config.API_KEYS_FILE));
+  }
+  return keys;
+}
+
+/**
+ * Wraps a plugin route handler so it requires an X-API-Key header carrying a
+ * key with `scope`. Admin keys pass every check; read keys only reach routes
+ * that do not change state.
+ *
+ * Plugin routes are mounted outside the ElizaOS /api auth middleware, so
+ * every custom route checks the key itself. With no keys configured the route
+ * stays open, unless REQUIRE_API_KEY is true or NODE_ENV is production, in
+ * which case it is refused (the keys file may have been emptied at runtime).
+ */
+export function requireApiKey(handler: RouteHandler, scope: ApiKeyScope = 'read'): RouteHandler {
+  return async (req: any, res: any, runtime: IAgentRuntime) => {
+    const keys = getApiKeys(runtime);
+
+    if (keys.length === 0) {
+      if (getConfig().REQUIRE_API_KEY) {
+        logger.error('Refusing authenticated route: no API keys are configured');
+        sendError(res, 503, 'AUTH_NOT_CONFIGURED', 'API key authentication is not configured');
+        return;
+      }
+      return handler(req, res, runtime);
+    }
+
+    const presented = req.headers?.['x-api-key'];
+    const entry = typeof presented === 'string' ? findApiKey(keys, presented) : null;
+    if (!entry) {
+      logger.warn(
+        `Unauthorized request to ${req.path ?? 'plugin route'} from ${req.ip ?? 'unknown'}`
+      );
+      sendError(res, 401, 'UNAUTHORIZED', 'Invalid or missing X-API-Key header');
+      return;
+    }
+
+    if (!hasScope(entry, scope)) {
+      logger.warn(`API key "${entry.name}" lacks the ${scope} scope for ${req.path ?? 'route'}`);
+      sendError(res, 403, 'FORBIDDEN', `This API key does not have the ${scope} scope`);
+      return;
+    }
+
+    req.apiKeyName = entry.name;
+    return handler(req, res, runtime);
+  };
+}
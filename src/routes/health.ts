@@ -0,0 +1,68 @@
+import { type IAgentRuntime, type Route, logger } from '@elizaos/core';
+import {
+  type CheckResult,
+  checkDatabase,
+  checkModel,
+  checkSocket,
+  getPackageVersion,
+} from '../health/checks';
+
+/**
+ * Probes for Railway and other hosting platforms. Neither needs an API key,
+ * and both stay outside the rate limiter so probes are never refused.
+ *
+ * - GET /health         liveness: the process is up and serving requests
+ * - GET /health/ready   readiness: the database, a model provider and the Purl socket are
+ *                       working; 503 with the failing checks when any of them is not
+ */
+export const healthRoutes: Route[] = [
+  {
+    name: 'health',
+    path: '/health',
+    type: 'GET',
+    handler: async (_req: any, res: any) => {
+      res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        service: 'ElizaOS',
+        version: getPackageVersion(),
+        uptime: process.uptime(),
+      });
+    },
+  },
+  {
+    name: 'health-ready',
+    path: '/health/ready',
+    type: 'GET',
+    handler: async (_req: any, res: any, runtime: IAgentRuntime) => {
+      try {
+        const [database, model, socket] = await Promise.all([
+          checkDatabase(runtime),
+          checkModel(runtime),
+          checkSocket(runtime),
+        ]);
+        const checks: Record<string, CheckResult> = { database, model, socket };
+        const ready = Object.values(checks).every((check) => check.status === 'ok');
+        res.status(ready ? 200 : 503).json({
+          status: ready ? 'ok' : 'degraded',
+          timestamp: new Date().toISOString(),
+          version: getPackageVersion(),
+          uptime: process.uptime(),
+          agentId: runtime.agentId,
+          checks,
+          plugins: (runtime.plugins ?? []).map((plugin) => plugin.name),
+        });
+      } catch (error) {
+        logger.error({ error }, 'Readiness check could not run');
+        if (!res.headersSent) {
+          res.status(503).json({
+            status: 'degraded',
+            timestamp: new Date().toISOString(),
+            version: getPackageVersion(),
+            error: error instanceof Error ? error.message : String(error),
+          });
+        }
+      }
+    },
+  },
+];
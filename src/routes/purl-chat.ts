@@ -0,0 +1,199 @@
+import {
+  type IAgentRuntime,
+  type Memory,
+  type Route,
+  createUniqueUuid,
+  logger,
+} from '@elizaos/core';
+import { getConfig } from '../config/env';
+import { PurlSocketService } from '../services/purl-socket';
+import { requireApiKey } from './auth';
+import { type ServiceRouteHandler, sendError, withService } from './responses';
+
+const withPurlSocket = (handler: ServiceRouteHandler<PurlSocketService>) =>
+  withService(PurlSocketService.serviceType, 'chat', handler);
+
+/** Replies read per page; a check reads pages until it has every new reply. */
+export const CHAT_EVENTS_BATCH = 20;
+
+/** Comment line sent this often so proxies keep an idle stream open. */
+export const CHAT_EVENTS_HEARTBEAT_MS = 15_000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Reads the channel and visitor IDs a chat route needs, or answers 400. */
+function readChat(res: any, source: any): { channelId: string; entityId: string } | null {
+  const channelId = String(source?.channelId ?? '');
+  if (!UUID_PATTERN.test(channelId)) {
+    sendError(res, 400, 'INVALID_CHANNEL', '"channelId" must be a UUID');
+    return null;
+  }
+  const entityId = String(source?.entityId ?? '');
+  if (!UUID_PATTERN.test(entityId)) {
+    sendError(res, 400, 'INVALID_ENTITY', '"entityId" must be a UUID');
+    return null;
+  }
+  return { channelId, entityId };
+}
+
+/** A reply in the shape of the messaging API's channel messages. */
+export interface ChatEvent {
+  id: string;
+  channelId: string;
+  authorId: string;
+  content: string;
+  created_at: number;
+  metadata: { thought?: string; actions?: string[]; attachments?: unknown[] };
+}
+
+function toChatEvent(memory: Memory, channelId: string): ChatEvent {
+  return {
+    id: memory.id as string,
+    channelId,
+    authorId: memory.entityId,
+    content: memory.content.text ?? '',
+    created_at: memory.createdAt ?? 0,
+    metadata: {
+      thought: memory.content.thought,
+      actions: memory.content.actions,
+      attachments: memory.content.attachments,
+    },
+  };
+}
+
+/**
+ * The agent's replies in a messaging channel created after `after` (epoch
+ * milliseconds), oldest first. The agent keeps the channel's messages in a
+ * room derived from the channel ID.
+ */
+export async function readReplies(
+  runtime: IAgentRuntime,
+  channelId: string,
+  after: number
+): Promise<ChatEvent[]> {
+  const roomId = createUniqueUuid(runtime, channelId);
+  const memories = new Map<string, Memory>();
+  let end: number | undefined;
+  // Pages come newest first, so a full one can leave older replies for the next
+  for (;;) {
+    const page = await runtime.getMemories({
+      tableName: 'messages',
+      roomId,
+      entityId: runtime.agentId,
+      start: after + 1,
+      end,
+      count: CHAT_EVENTS_BATCH,
+    });
+    const known = memories.size;
+    for (const memory of page) memories.set(memory.id as string, memory);
+    if (page.length < CHAT_EVENTS_BATCH || memories.size === known) break;
+    // `end` is inclusive, so replies from the oldest one's millisecond are read again
+    end = Math.min(...page.map((memory) => memory.createdAt ?? 0));
+  }
+  return [...memories.values()]
+    .filter(
+      (memory) =>
+        memory.entityId === runtime.agentId &&
+        (memory.createdAt ?? 0) > after &&
+        Boolean(memory.content?.text)
+    )
+    .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0))
+    .map((memory) => toChatEvent(memory, channelId));
+}
+
+/**
+ * Pushes the agent's replies in one chat to the browser as server-sent
+ * events, for clients that cannot keep a Socket.IO connection (see the SSE
+ * transport in frontend/services/chat). Each reply is a `message` event whose
+ * ID is its creation time, so a reconnecting client resumes from its
+ * Last-Event-ID header; `after` sets the starting point otherwise. Like the
+ * Purl socket's joinChat, the stream needs the chat token, sent in the
+ * X-Purl-Chat-Token header; a page asks for it once, right after creating
+ * the channel (see PurlSocketService.issueChatToken).
+ *
+ * - POST /purl/chat/token   { channelId, entityId } -> { token }
+ * - GET /purl/chat/events?channelId=...&entityId=...&after=...   text/event-stream of replies
+ */
+export const purlChatRoutes: Route[] = [
+  {
+    name: 'purl-chat-token',
+    path: '/purl/chat/token',
+    type: 'POST',
+    handler: requireApiKey(
+      withPurlSocket(async (req, res, service) => {
+        const chat = readChat(res, req.body);
+        if (!chat) return;
+        if (!(await service.isChatParticipant(chat.channelId, chat.entityId))) {
+          sendError(res, 403, 'NOT_A_PARTICIPANT', 'Only a participant of a chat can follow it');
+          return;
+        }
+        const token = await service.issueChatToken(chat.channelId, chat.entityId);
+        if (!token) {
+          sendError(res, 409, 'CHAT_TOKEN_ISSUED', 'The token for this chat was issued already');
+          return;
+        }
+        res.json({ success: true, data: { token } });
+      })
+    ),
+  },
+  {
+    name: 'purl-chat-events',
+    path: '/purl/chat/events',
+    type: 'GET',
+    handler: requireApiKey(
+      withPurlSocket(async (req, res, service, runtime) => {
+        const chat = readChat(res, req.query);
+        if (!chat) return;
+        const { channelId, entityId } = chat;
+        const token = String(req.headers?.['x-purl-chat-token'] ?? '');
+        if (!(await service.canFollowChat(channelId, entityId, token))) {
+          logger.warn({ channelId, entityId }, 'Refused a chat stream without the chat token');
+          sendError(
+            res,
+            403,
+            'CHAT_FORBIDDEN',
+            'Only the visitor who started a chat can follow it'
+          );
+          return;
+        }
+        let cursor =
+          Number(req.headers?.['last-event-id']) || Number(req.query?.after) || Date.now();
+
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache, no-transform',
+          Connection: 'keep-alive',
+          'X-Accel-Buffering': 'no',
+        });
+        res.write('retry: 5000\n\n');
+
+        let checking = false;
+        const check = async () => {
+          if (checking) return;
+          checking = true;
+          try {
+            for (const event of await readReplies(runtime, channelId, cursor)) {
+              res.write(
+                `id: ${event.created_at}\nevent: message\ndata: ${JSON.stringify(event)}\n\n`
+              );
+              cursor = Math.max(cursor, event.created_at);
+            }
+            res.flush?.();
+          } catch (error) {
+            logger.error({ error }, `Could not read replies for chat ${channelId}`);
+          } finally {
+            checking = false;
+          }
+        };
+
+        const poll = setInterval(check, getConfig().PURL_CHAT_EVENTS_POLL_MS);
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), CHAT_EVENTS_HEARTBEAT_MS);
+        req.on?.('close', () => {
+          clearInterval(poll);
+          clearInterval(heartbeat);
+        });
+        await check();
+      })
+    ),
+  },
+];
@@ -0,0 +1,168 @@
+import { type IAgentRuntime, type Route, logger } from '@elizaos/core';
+import {
+  DEFAULT_MAINTENANCE_MESSAGE,
+  type MaintenanceSettings,
+  PurlMaintenanceService,
+} from '../services/purl-maintenance';
+import { requireApiKey } from './auth';
+import { type ServiceRouteHandler, sendError, withService } from './responses';
+
+/** Longest operator message shown on the maintenance page. */
+export const MAX_MAINTENANCE_MESSAGE_LENGTH = 500;
+
+type MaintenanceChanges = Partial<Omit<MaintenanceSettings, 'updatedAt'>>;
+
+const withPurlMaintenance = (handler: ServiceRouteHandler<PurlMaintenanceService>) =>
+  withService(PurlMaintenanceService.serviceType, 'maintenance', handler);
+
+/** Reads an ISO date or epoch milliseconds; null clears the field. */
+function parseTime(value: unknown): number | null | undefined {
+  if (value === null) return null;
+  const time = typeof value === 'number' ? value : Date.parse(String(value));
+  return Number.isFinite(time) ? time : undefined;
+}
+
+/**
+ * Reads a toggle request. `enabled` flips the switch when the body sets
+ * nothing else, and switching off clears the ETA unless a new one is given.
+ * `startsAt` and `endsAt` are set or cleared together.
+ */
+export function parseMaintenance(
+  body: any,
+  current: MaintenanceSettings
+): MaintenanceChanges | { error: string } {
+  const { enabled, message, eta, startsAt, endsAt } = body ?? {};
+  const changes: MaintenanceChanges = {};
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return { error: '"enabled" must be true or false' };
+  }
+  if (message !== undefined) {
+    if (message !== null && typeof message !== 'string') {
+      return { error: '"message" must be a string, or null for the default message' };
+    }
+    if (typeof message === 'string' && message.trim().length > MAX_MAINTENANCE_MESSAGE_LENGTH) {
+      return { error: `"message" must be at most ${MAX_MAINTENANCE_MESSAGE_LENGTH} characters` };
+    }
+    changes.message = message?.trim() || null;
+  }
+  if (eta !== undefined) {
+    const time = parseTime(eta);
+    if (time === undefined) {
+      return { error: '"eta" must be an ISO date, a timestamp in milliseconds or null' };
+    }
+    changes.eta = time;
+  }
+  if (startsAt !== undefined || endsAt !== undefined) {
+    const start = parseTime(startsAt);
+    const end = parseTime(endsAt);
+    if (start === undefined || end === undefined || (start === null) !== (end === null)) {
+      return { error: '"startsAt" and "endsAt" must both be dates, or both null to clear' };
+    }
+    if (start !== null && end !== null && end <= start) {
+      return { error: '"endsAt" must be after "startsAt"' };
+    }
+    changes.startsAt = start;
+    changes.endsAt = end;
+  }
+
+  const isFlip = enabled === undefined && Object.keys(changes).length === 0;
+  if (isFlip || enabled !== undefined) {
+    changes.enabled = isFlip ? !current.enabled : enabled;
+    if (!changes.enabled && changes.eta === undefined) {
+      changes.eta = null;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Maintenance status for the frontend and operator controls. Reading needs a
+ * key with the read scope; changing it needs admin. Changes are also pushed to
+ * the frontend as a `maintenanceChanged` socket event.
+ *
+ * - GET  /purl/maintenance          whether maintenance is on, with the message, ETA and window
+ * - POST /purl/maintenance/toggle   switch it, e.g. { "enabled": true, "message": "...",
+ *                                   "eta": "2026-01-01T09:00:00Z" } or a window
+ *                                   { "startsAt": "...", "endsAt": "..." }; an empty body flips it
+ */
+export const purlMaintenanceRoutes: Route[] = [
+  {
+    name: 'purl-maintenance',
+    path: '/purl/maintenance',
+    type: 'GET',
+    handler: requireApiKey(
+      withPurlMaintenance(async (_req, res, service) => {
+        res.json({ success: true, data: service.getStatus() });
+      })
+    ),
+  },
+  {
+    name: 'purl-maintenance-toggle',
+    path: '/purl/maintenance/toggle',
+    type: 'POST',
+    handler: requireApiKey(
+      withPurlMaintenance(async (req, res, service) => {
+        const changes = parseMaintenance(req.body, service.getStatus());
+        if ('error' in changes) {
+          sendError(res, 400, 'INVALID_MAINTENANCE', changes.error);
+          return;
+        }
+        const status = await service.update(changes);
+        logger.info(
+          `Purl maintenance ${status.active ? 'on' : 'off'} by operator (${req.apiKeyName ?? 'no API key'})`
+        );
+        res.json({ success: true, data: status });
+      }),
+      'admin'
+    ),
+  },
+];
+
+/**
+ * Refuses a new chat message with a 503 while maintenance is on, and hands
+ * every other request on to the ElizaOS messaging API.
+ *
+ * Plugin routes are matched before the server's own API, so these wildcard
+ * routes see the messaging requests first; Express leaves its `next` on the
+ * request for passing them on. Global routes run on the first agent, so it is
+ * that agent's maintenance that closes chat. Messages sent over the ElizaOS
+ * socket cannot be stopped here, which is why the frontend also swaps the
+ * chat for its maintenance page.
+ */
+function guardChatMessages(): NonNullable<Route['handler']> {
+  return async (req: any, res: any, runtime: IAgentRuntime) => {
+    const service = runtime.getService<PurlMaintenanceService>(PurlMaintenanceService.serviceType);
+    const isNewMessage = /\/messages\/?$/.test(req.path ?? '');
+    if (!isNewMessage || !service?.isActive()) {
+      req.next?.();
+      return;
+    }
+    const { message, eta } = service.getStatus();
+    if (eta !== null) {
+      res.setHeader?.('Retry-After', String(Math.max(1, Math.ceil((eta - Date.now()) / 1000))));
+    }
+    sendError(res, 503, 'MAINTENANCE', message ?? DEFAULT_MAINTENANCE_MESSAGE);
+  };
+}
+
+/**
+ * Chat endpoints that stop accepting messages during maintenance:
+ *
+ * - POST /api/messaging/sessions/:sessionId/messages
+ * - POST /api/messaging/central-channels/:channelId/messages
+ */
+export const maintenanceGuardRoutes: Route[] = [
+  {
+    name: 'purl-maintenance-session-guard',
+    path: '/api/messaging/sessions/*',
+    type: 'POST',
+    handler: guardChatMessages(),
+  },
+  {
+    name: 'purl-maintenance-channel-guard',
+    path: '/api/messaging/central-channels/*',
+    type: 'POST',
+    handler: guardChatMessages(),
+  },
+];
@@ -0,0 +1,105 @@
+import type { Route } from '@elizaos/core';
+import {
+  MAX_TELEMETRY_EVENTS,
+  PurlTelemetryService,
+  TELEMETRY_RETENTION_HOURS,
+} from '../services/purl-telemetry';
+import { TELEMETRY_EVENT_TYPES, formatPrometheus } from '../telemetry/metrics';
+import { requireApiKey } from './auth';
+import { type ServiceRouteHandler, sendError, withService } from './responses';
+
+const withPurlTelemetry = (handler: ServiceRouteHandler<PurlTelemetryService>) =>
+  withService(PurlTelemetryService.serviceType, 'metrics', handler);
+
+/** Whether the client asked for the Prometheus text format. */
+function wantsPrometheus(req: any): boolean {
+  if (req.query?.format) return req.query.format === 'prometheus';
+  const accept = String(req.headers?.accept ?? '');
+  return accept.includes('text/plain') && !accept.includes('application/json');
+}
+
+/**
+ * Reads an optional positive integer query parameter, capped at `max`.
+ */
+function parseLimit(value: unknown, max: number): number | null {
+  if (value === undefined) return max;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 ? Math.min(limit, max) : null;
+}
+
+/**
+ * Server-side numbers for dashboards and scrapers. Both need a key with the
+ * read scope.
+ *
+ * - GET /purl/metrics          all-time counters and the last ?hours= hours (default 48) as
+ *                              JSON, or the counters in Prometheus text format with
+ *                              ?format=prometheus or an Accept: text/plain header
+ * - GET /purl/metrics/events   recent event rows, filtered with ?type= and ?since= (epoch ms),
+ *                              limited with ?limit= (default and maximum 500)
+ */
+export const purlMetricsRoutes: Route[] = [
+  {
+    name: 'purl-metrics',
+    path: '/purl/metrics',
+    type: 'GET',
+    handler: requireApiKey(
+      withPurlTelemetry((req, res, service, runtime) => {
+        const { since, counters } = service.getTotals();
+        if (wantsPrometheus(req)) {
+          res.setHeader?.('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+          res.send(formatPrometheus(counters, runtime.character?.name ?? String(runtime.agentId)));
+          return;
+        }
+        const hours = parseLimit(req.query?.hours, TELEMETRY_RETENTION_HOURS);
+        if (hours === null) {
+          sendError(res, 400, 'INVALID_QUERY', 'hours must be a positive integer');
+          return;
+        }
+        res.json({
+          success: true,
+          data: {
+            since: new Date(since).toISOString(),
+            totals: counters,
+            hours: service
+              .getHours(hours)
+              .map((bucket) => ({ ...bucket, hour: new Date(bucket.hour).toISOString() })),
+          },
+        });
+      })
+    ),
+  },
+  {
+    name: 'purl-metrics-events',
+    path: '/purl/metrics/events',
+    type: 'GET',
+    handler: requireApiKey(
+      withPurlTelemetry((req, res, service) => {
+        const { type, since } = req.query ?? {};
+        const limit = parseLimit(req.query?.limit, MAX_TELEMETRY_EVENTS);
+        if (limit === null) {
+          sendError(res, 400, 'INVALID_QUERY', 'limit must be a positive integer');
+          return;
+        }
+        if (type !== undefined && !TELEMETRY_EVENT_TYPES.includes(type)) {
+          sendError(
+            res,
+            400,
+            'INVALID_QUERY',
+            `type must be one of ${TELEMETRY_EVENT_TYPES.join(', ')}`
+          );
+          return;
+        }
+        const sinceTime = since === undefined ? 0 : Number(since);
+        if (!Number.isFinite(sinceTime)) {
+          sendError(res, 400, 'INVALID_QUERY', 'since must be a timestamp in milliseconds');
+          return;
+        }
+        const events = service
+          .getEvents({ since: sinceTime })
+          .filter((event) => !type || event.type === type)
+          .slice(-limit);
+        res.json({ success: true, data: { events, count: events.length } });
+      })
+    ),
+  },
+];
@@ -0,0 +1,79 @@
+import { type Route, logger } from '@elizaos/core';
+import { MODERATION_ACTIONS, type ModerationAction } from '../moderation/policy';
+import { MAX_DECISIONS, PurlModerationService } from '../services/purl-moderation';
+import { requireApiKey } from './auth';
+import { type ServiceRouteHandler, sendError, withService } from './responses';
+
+const withPurlModeration = (handler: ServiceRouteHandler<PurlModerationService>) =>
+  withService(PurlModerationService.serviceType, 'moderation', handler);
+
+/**
+ * Moderation decisions and the conversations they flagged. Reading needs a
+ * key with the read scope; unmuting needs admin.
+ *
+ * - GET  /purl/moderation/decisions   stored decisions, newest first (?roomId, ?action, ?limit)
+ * - GET  /purl/moderation/flags       flagged rooms with how the logs page should show them
+ * - POST /purl/moderation/unmute      let Purl talk in a muted room again, { "roomId": "..." }
+ */
+export const purlModerationRoutes: Route[] = [
+  {
+    name: 'purl-moderation-decisions',
+    path: '/purl/moderation/decisions',
+    type: 'GET',
+    handler: requireApiKey(
+      withPurlModeration(async (req, res, service) => {
+        const { roomId, action, limit } = req.query ?? {};
+        if (action !== undefined && !MODERATION_ACTIONS.includes(action)) {
+          sendError(
+            res,
+            400,
+            'INVALID_ACTION',
+            `"action" must be one of ${MODERATION_ACTIONS.join(', ')}`
+          );
+          return;
+        }
+        const count = limit === undefined ? MAX_DECISIONS : Number(limit);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_DECISIONS) {
+          sendError(res, 400, 'INVALID_LIMIT', `"limit" must be between 1 and ${MAX_DECISIONS}`);
+          return;
+        }
+        const decisions = await service.getDecisions({
+          roomId: roomId ? String(roomId) : undefined,
+          action: action as ModerationAction | undefined,
+          limit: count,
+        });
+        res.json({ success: true, data: { decisions } });
+      })
+    ),
+  },
+  {
+    name: 'purl-moderation-flags',
+    path: '/purl/moderation/flags',
+    type: 'GET',
+    handler: requireApiKey(
+      withPurlModeration(async (_req, res, service) => {
+        res.json({ success: true, data: { flags: service.getFlags() } });
+      })
+    ),
+  },
+  {
+    name: 'purl-moderation-unmute',
+    path: '/purl/moderation/unmute',
+    type: 'POST',
+    handler: requireApiKey(
+      withPurlModeration(async (req, res, service) => {
+        const roomId = req.body?.roomId;
+        if (typeof roomId !== 'string' || roomId.trim() === '') {
+          sendError(res, 400, 'INVALID_ROOM', '"roomId" is required');
+          return;
+        }
+        const flag = await service.unmute(roomId.trim());
+        logger.info(
+          `Purl unmuted in room ${roomId} by operator (${req.apiKeyName ?? 'no API key'})`
+        );
+        res.json({ success: true, data: { roomId: roomId.trim(), flag } });
+      }),
+      'admin'
+    ),
+  },
+];
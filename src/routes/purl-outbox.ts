@@ -0,0 +1,157 @@
+import { type Route, logger } from '@elizaos/core';
+import {
+  MAX_POST_LENGTH,
+  OUTBOX_STATUSES,
+  type OutboxPost,
+  type OutboxStatus,
+  PurlOutboxService,
+} from '../services/purl-outbox';
+import { requireApiKey } from './auth';
+import { type ServiceRouteHandler, sendError, withService } from './responses';
+
+const withPurlOutbox = (handler: ServiceRouteHandler<PurlOutboxService>) =>
+  withService(PurlOutboxService.serviceType, 'outbox', handler);
+
+/**
+ * Wraps an admin route acting on the post in the `:id` path parameter, which
+ * must exist and be in one of `statuses`.
+ */
+function withOutboxPost(
+  statuses: OutboxStatus[],
+  handler: (req: any, res: any, service: PurlOutboxService, post: OutboxPost) => Promise<void>
+) {
+  return requireApiKey(
+    withPurlOutbox(async (req, res, service) => {
+      const post = service.getPost(String(req.params?.id ?? ''));
+      if (!post) {
+        sendError(res, 404, 'POST_NOT_FOUND', `No post with id "${req.params?.id}"`);
+        return;
+      }
+      if (!statuses.includes(post.status)) {
+        sendError(res, 409, 'INVALID_POST_STATE', `Post is ${post.status}`);
+        return;
+      }
+      await handler(req, res, service, post);
+    }),
+    'admin'
+  );
+}
+
+/**
+ * Reads the optional `text` and `publishAt` (ISO date or epoch milliseconds)
+ * of an approval.
+ */
+export function parseApproval(
+  body: any
+): { text?: string; publishAt?: number } | { error: string } {
+  const { text, publishAt } = body ?? {};
+  if (text !== undefined && (typeof text !== 'string' || text.trim() === '')) {
+    return { error: '"text" must be a non-empty string' };
+  }
+  if (typeof text === 'string' && text.trim().length > MAX_POST_LENGTH) {
+    return { error: `"text" must be at most ${MAX_POST_LENGTH} characters` };
+  }
+  let time: number | undefined;
+  if (publishAt !== undefined) {
+    time = typeof publishAt === 'number' ? publishAt : Date.parse(String(publishAt));
+    if (!Number.isFinite(time)) {
+      return { error: '"publishAt" must be an ISO date or a timestamp in milliseconds' };
+    }
+  }
+  return {
+    ...(text !== undefined ? { text: text.trim() } : {}),
+    ...(time !== undefined ? { publishAt: time } : {}),
+  };
+}
+
+/**
+ * Operator routes for the scheduled post outbox. Listing needs a key with the
+ * read scope; everything else needs admin. Routes with an `:id` only match
+ * requests that name the agent (`?agentId=`).
+ *
+ * - GET    /purl/outbox               posts oldest first, filtered with ?status=, and the next run
+ * - POST   /purl/outbox/generate      write a new draft now
+ * - POST   /purl/outbox/:id/approve   approve a draft, e.g. { "text": "...", "publishAt": "2026-01-01T09:00:00Z" }
+ * - POST   /purl/outbox/:id/publish   publish a draft or approved post now
+ * - DELETE /purl/outbox/:id           discard a post that has not been published
+ */
+export const purlOutboxRoutes: Route[] = [
+  {
+    name: 'purl-outbox',
+    path: '/purl/outbox',
+    type: 'GET',
+    handler: requireApiKey(
+      withPurlOutbox(async (req, res, service) => {
+        const status = req.query?.status;
+        if (status !== undefined && !OUTBOX_STATUSES.includes(status)) {
+          sendError(
+            res,
+            400,
+            'INVALID_QUERY',
+            `status must be one of ${OUTBOX_STATUSES.join(', ')}`
+          );
+          return;
+        }
+        const posts = service.listPosts(status);
+        const nextRun = service.getNextRun();
+        res.json({
+          success: true,
+          data: {
+            posts,
+            count: posts.length,
+            nextRun: nextRun === null ? null : new Date(nextRun).toISOString(),
+          },
+        });
+      })
+    ),
+  },
+  {
+    name: 'purl-outbox-generate',
+    path: '/purl/outbox/generate',
+    type: 'POST',
+    handler: requireApiKey(
+      withPurlOutbox(async (_req, res, service) => {
+        const post = await service.generateDraft('operator');
+        res.status(201).json({ success: true, data: post });
+      }),
+      'admin'
+    ),
+  },
+  {
+    name: 'purl-outbox-approve',
+    path: '/purl/outbox/:id/approve',
+    type: 'POST',
+    handler: withOutboxPost(['draft'], async (req, res, service, post) => {
+      const parsed = parseApproval(req.body);
+      if ('error' in parsed) {
+        sendError(res, 400, 'INVALID_APPROVAL', parsed.error);
+        return;
+      }
+      const approved = await service.approve(post.id, parsed);
+      logger.info(`Post ${post.id} approved by operator (${req.apiKeyName ?? 'no API key'})`);
+      res.json({ success: true, data: approved });
+    }),
+  },
+  {
+    name: 'purl-outbox-publish',
+    path: '/purl/outbox/:id/publish',
+    type: 'POST',
+    handler: withOutboxPost(['draft', 'approved'], async (_req, res, service, post) => {
+      const result = await service.publish(post.id);
+      if (result.status !== 'published') {
+        sendError(res, 502, 'PUBLISH_FAILED', result.error ?? 'Publishing failed');
+        return;
+      }
+      res.json({ success: true, data: result });
+    }),
+  },
+  {
+    name: 'purl-outbox-discard',
+    path: '/purl/outbox/:id',
+    type: 'DELETE',
+    handler: withOutboxPost(['draft', 'approved'], async (_req, res, service, post) => {
+      await service.discard(post.id);
+      res.json({ success: true, data: { id: post.id } });
+    }),
+  },
+];
@@ -0,0 +1,33 @@
+import type { Route } from '@elizaos/core';
+import { MAX_REWRITES, PurlOutputService } from '../services/purl-output';
+import { requireApiKey } from './auth';
+import { type ServiceRouteHandler, sendError, withService } from './responses';
+
+const withPurlOutput = (handler: ServiceRouteHandler<PurlOutputService>) =>
+  withService(PurlOutputService.serviceType, 'output', handler);
+
+/**
+ * Operator route for reviewing what the output stage changed. Needs a key
+ * with the read scope.
+ *
+ * - GET /purl/output/rewrites   recent rewritten replies with their reasons, newest last,
+ *                               limited with ?limit= (default and maximum 200)
+ */
+export const purlOutputRoutes: Route[] = [
+  {
+    name: 'purl-output-rewrites',
+    path: '/purl/output/rewrites',
+    type: 'GET',
+    handler: requireApiKey(
+      withPurlOutput((req, res, service) => {
+        const limit = Number(req.query?.limit ?? MAX_REWRITES);
+        if (!Number.isInteger(limit) || limit < 1) {
+          sendError(res, 400, 'INVALID_QUERY', 'limit must be a positive integer');
+          return;
+        }
+        const rewrites = service.getRewrites(limit);
+        res.json({ success: true, data: { rewrites, count: rewrites.length } });
+      })
+    ),
+  },
+];
@@ -0,0 +1,96 @@
+import { type Route, logger } from '@elizaos/core';
+import { PurlPersonaService } from '../services/purl-persona';
+import { requireApiKey } from './auth';
+import { type ServiceRouteHandler, sendError, withService } from './responses';
+
+const withPurlPersona = (handler: ServiceRouteHandler<PurlPersonaService>) =>
+  withService(PurlPersonaService.serviceType, 'persona', handler);
+
+/**
+ * Reads the `persona` field of a request body: a profile name, or null to go
+ * back to the character file's selection.
+ */
+export function parsePersona(
+  body: any,
+  profiles: string[]
+): { persona: string | null } | { error: string } {
+  const persona = body?.persona;
+  if (persona !== null && typeof persona !== 'string') {
+    return { error: '"persona" must be a profile name, or null to clear the selection' };
+  }
+  if (persona !== null && !profiles.includes(persona)) {
+    return { error: `Unknown persona "${persona}". Expected one of: ${profiles.join(', ')}` };
+  }
+  return { persona };
+}
+
+/**
+ * Wraps an admin route that changes a selection: checks there are profiles to
+ * pick from and parses the body before calling `select`.
+ */
+function selectPersona(
+  select: (req: any, res: any, service: PurlPersonaService, persona: string | null) => Promise<void>
+) {
+  return requireApiKey(
+    withPurlPersona(async (req, res, service) => {
+      const profiles = service.listProfiles();
+      if (profiles.length === 0) {
+        sendError(res, 409, 'NO_PERSONAS', 'The character file defines no persona profiles');
+        return;
+      }
+      const parsed = parsePersona(req.body, profiles);
+      if ('error' in parsed) {
+        sendError(res, 400, 'INVALID_PERSONA', parsed.error);
+        return;
+      }
+      await select(req, res, service, parsed.persona);
+      if (res.headersSent) return;
+      logger.info(`Purl persona changed by operator (${req.apiKeyName ?? 'no API key'})`);
+      res.json({ success: true, data: service.getSelection() });
+    }),
+    'admin'
+  );
+}
+
+/**
+ * Operator routes for Purl's persona profiles. Reading needs a key with the
+ * read scope; switching needs admin. A null persona goes back to the
+ * character file's selection.
+ *
+ * - GET  /purl/persona           profiles, the default and the platform and room selections
+ * - POST /purl/persona/default   switch the default, e.g. { "persona": "degen" }
+ * - POST /purl/persona/room      pin one room, e.g. { "roomId": "...", "persona": "cat" }
+ */
+export const purlPersonaRoutes: Route[] = [
+  {
+    name: 'purl-persona',
+    path: '/purl/persona',
+    type: 'GET',
+    handler: requireApiKey(
+      withPurlPersona(async (_req, res, service) => {
+        res.json({ success: true, data: service.getSelection() });
+      })
+    ),
+  },
+  {
+    name: 'purl-persona-default',
+    path: '/purl/persona/default',
+    type: 'POST',
+    handler: selectPersona(async (_req, _res, service, persona) => {
+      await service.setDefault(persona);
+    }),
+  },
+  {
+    name: 'purl-persona-room',
+    path: '/purl/persona/room',
+    type: 'POST',
+    handler: selectPersona(async (req, res, service, persona) => {
+      const roomId = req.body?.roomId;
+      if (typeof roomId !== 'string' || roomId.trim() === '') {
+        sendError(res, 400, 'INVALID_PERSONA', '"roomId" must be a non-empty string');
+        return;
+      }
+      await service.setRoomPersona(roomId, persona);
+    }),
+  },
+];
@@ -0,0 +1,127 @@
+import { type Route, logger } from '@elizaos/core';
+import { getPurlMood } from '../providers/purl-mood';
+import { NEED_KEYS, type PurlNeeds, PurlStateService } from '../services/purl-state';
+import { requireApiKey } from './auth';
+import { type ServiceRouteHandler, sendError, withService } from './responses';
+
+/**
+ * Reads need values from a request body, accepting only known needs with
+ * numeric values inside the given range.
+ */
+export function parseNeeds(
+  body: unknown,
+  range: { min: number; max: number }
+): { needs: Partial<PurlNeeds> } | { error: string } {
+  if (body === undefined || body === null) return { needs: {} };
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Body must be an object of need values' };
+  }
+
+  const needs: Partial<PurlNeeds> = {};
+  for (const [key, value] of Object.entries(body)) {
+    if (!NEED_KEYS.includes(key as keyof PurlNeeds)) {
+      return { error: `Unknown need "${key}". Expected one of: ${NEED_KEYS.join(', ')}` };
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: `"${key}" must be a number` };
+    }
+    if (value < range.min || value > range.max) {
+      return { error: `"${key}" must be between ${range.min} and ${range.max}` };
+    }
+    needs[key as keyof PurlNeeds] = value;
+  }
+  return { needs };
+}
+
+const withPurlState = (handler: ServiceRouteHandler<PurlStateService>) =>
+  withService(PurlStateService.serviceType, 'state', handler);
+
+function stateResponse(service: PurlStateService) {
+  const state = service.getState();
+  return { success: true, data: { mood: getPurlMood(state), state } };
+}
+
+/**
+ * Operator routes for reading and adjusting Purl's pet state. Reading needs a
+ * key with the read scope; reset and nudge need admin.
+ *
+ * - GET  /purl/state           current needs and derived mood
+ * - GET  /purl/state/history   recent changes, filterable with ?since= and ?limit=
+ * - POST /purl/state/reset     set needs to absolute values (defaults when body is empty)
+ * - POST /purl/state/nudge     apply relative changes, e.g. { "hunger": -20 }
+ */
+export const purlStateRoutes: Route[] = [
+  {
+    name: 'purl-state',
+    path: '/purl/state',
+    type: 'GET',
+    handler: requireApiKey(
+      withPurlState(async (_req, res, service) => {
+        await service.applyDecay();
+        res.json(stateResponse(service));
+      })
+    ),
+  },
+  {
+    name: 'purl-state-history',
+    path: '/purl/state/history',
+    type: 'GET',
+    handler: requireApiKey(
+      withPurlState(async (req, res, service) => {
+        const since = Number(req.query?.since ?? 0);
+        const limit = Number(req.query?.limit ?? 100);
+        if (!Number.isFinite(since) || !Number.isInteger(limit) || limit < 1) {
+          sendError(
+            res,
+            400,
+            'INVALID_QUERY',
+            'since must be a timestamp and limit a positive integer'
+          );
+          return;
+        }
+        const history = service.getHistory({ since, limit });
+        res.json({ success: true, data: { history, count: history.length } });
+      })
+    ),
+  },
+  {
+    name: 'purl-state-reset',
+    path: '/purl/state/reset',
+    type: 'POST',
+    handler: requireApiKey(
+      withPurlState(async (req, res, service) => {
+        const parsed = parseNeeds(req.body, { min: 0, max: 100 });
+        if ('error' in parsed) {
+          sendError(res, 400, 'INVALID_NEEDS', parsed.error);
+          return;
+        }
+        await service.reset(parsed.needs);
+        logger.info(`Purl state reset by operator (${req.apiKeyName ?? 'no API key'})`);
+        res.json(stateResponse(service));
+      }),
+      'admin'
+    ),
+  },
+  {
+    name: 'purl-state-nudge',
+    path: '/purl/state/nudge',
+    type: 'POST',
+    handler: requireApiKey(
+      withPurlState(async (req, res, service) => {
+        const parsed = parseNeeds(req.body, { min: -100, max: 100 });
+        if ('error' in parsed) {
+          sendError(res, 400, 'INVALID_NEEDS', parsed.error);
+          return;
+        }
+        if (Object.keys(parsed.needs).length === 0) {
+          sendError(res, 400, 'INVALID_NEEDS', 'Provide at least one need to nudge');
+          return;
+        }
+        await service.applyDecay();
+        await service.update(parsed.needs, { source: 'operator' });
+        res.json(stateResponse(service));
+      }),
+      'admin'
+    ),
+  },
+];
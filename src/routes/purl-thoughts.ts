@@ -0,0 +1,81 @@
+import { type Route, logger } from '@elizaos/core';
+import {
+  BUSY_LEVELS,
+  type BusyLevel,
+  type ChatActivitySummary,
+  PurlThoughtService,
+} from '../services/purl-thoughts';
+import { requireApiKey } from './auth';
+import { type ServiceRouteHandler, sendError, withService } from './responses';
+
+const COUNT_FIELDS = [
+  'recentMessages',
+  'activeConversations',
+  'newMessages',
+  'newConversations',
+] as const;
+
+const withPurlThoughts = (handler: ServiceRouteHandler<PurlThoughtService>) =>
+  withService(PurlThoughtService.serviceType, 'thought', handler);
+
+/**
+ * Reads the activity summary posted by useAgentThoughts. Only the summary is
+ * accepted; the prompt itself is always built on the server.
+ */
+export function parseActivitySummary(
+  body: any
+): { activity: ChatActivitySummary } | { error: string } {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Body must be an activity summary object' };
+  }
+  if (!BUSY_LEVELS.includes(body.busyLevel)) {
+    return { error: `busyLevel must be one of: ${BUSY_LEVELS.join(', ')}` };
+  }
+
+  const activity: ChatActivitySummary = {
+    busyLevel: body.busyLevel as BusyLevel,
+    recentMessages: 0,
+    activeConversations: 0,
+  };
+  for (const field of COUNT_FIELDS) {
+    const value = body[field] ?? 0;
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `${field} must be a non-negative integer` };
+    }
+    activity[field] = value;
+  }
+  return { activity };
+}
+
+/**
+ * POST /purl/thoughts
+ *
+ * Returns the shared thought for the posted chat activity, generating a new one
+ * with the agent's small text model when the cached thought has expired.
+ */
+export const purlThoughtRoutes: Route[] = [
+  {
+    name: 'purl-thoughts',
+    path: '/purl/thoughts',
+    type: 'POST',
+    handler: requireApiKey(
+      withPurlThoughts(async (req, res, service) => {
+        const parsed = parseActivitySummary(req.body);
+        if ('error' in parsed) {
+          sendError(res, 400, 'INVALID_ACTIVITY', parsed.error);
+          return;
+        }
+
+        try {
+          const { thought, cached } = await service.getThought(parsed.activity);
+          res.json({ success: true, data: { ...thought, cached } });
+        } catch (error) {
+          logger.error({ error }, 'Failed to generate Purl thought');
+          if (!res.headersSent) {
+            sendError(res, 502, 'THOUGHT_GENERATION_FAILED', 'Could not generate a thought');
+          }
+        }
+      })
+    ),
+  },
+];
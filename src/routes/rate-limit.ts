@@ -0,0 +1,103 @@
+import { createHash } from 'node:crypto';
+import { type IAgentRuntime, type Route, logger } from '@elizaos/core';
+import {
+  API_KEY_BUCKET_PREFIX,
+  type RateLimitPolicyName,
+  type RateLimitResult,
+  RateLimiterService,
+  getRateLimitPolicies,
+} from '../services/rate-limiter';
+import { sendError } from './responses';
+
+type RouteHandler = NonNullable<Route['handler']>;
+
+/** Client IP as seen by Express, falling back to the raw socket address. */
+export function getClientIp(req: any): string {
+  return req.ip ?? req.socket?.remoteAddress ?? 'unknown';
+}
+
+/**
+ * Rate-limit keys for a request: always the client IP, plus a digest of the
+ * X-API-Key header when one is sent so a shared key cannot be spread across
+ * many IPs to dodge the limit. The key bucket has its own, higher limit (see
+ * getRateLimitPolicies). The raw key is never stored.
+ */
+export function getRateLimitKeys(req: any): string[] {
+  const keys = [`ip:${getClientIp(req)}`];
+  const apiKey = req.headers?.['x-api-key'];
+  if (typeof apiKey === 'string' && apiKey) {
+    keys.push(
+      `${API_KEY_BUCKET_PREFIX}${createHash('sha256').update(apiKey).digest('hex').slice(0, 16)}`
+    );
+  }
+  return keys;
+}
+
+/**
+ * Sets the IETF RateLimit headers (the `standardHeaders` style of
+ * config/rate-limiting.js), plus Retry-After when the request was refused.
+ */
+export function setRateLimitHeaders(
+  res: any,
+  result: RateLimitResult,
+  windowMs: number,
+  now = Date.now()
+) {
+  const resetSeconds = Math.max(0, Math.ceil((result.resetAt - now) / 1000));
+  res.setHeader?.('RateLimit-Policy', `${result.limit};w=${Math.ceil(windowMs / 1000)}`);
+  res.setHeader?.('RateLimit-Limit', String(result.limit));
+  res.setHeader?.('RateLimit-Remaining', String(result.remaining));
+  res.setHeader?.('RateLimit-Reset', String(resetSeconds));
+  if (!result.allowed) {
+    res.setHeader?.('Retry-After', String(resetSeconds));
+  }
+}
+
+/**
+ * Wraps a plugin route handler with the named sliding-window limit. Requests
+ * over the limit get 429 RATE_LIMITED. Limits are skipped when rate limiting
+ * is disabled or the rate limiter service is not running, and a failing
+ * limiter store lets the request through, as on the Purl socket.
+ */
+export function rateLimit(
+  handler: RouteHandler,
+  policyName: RateLimitPolicyName = 'api'
+): RouteHandler {
+  return async (req: any, res: any, runtime: IAgentRuntime) => {
+    const limiter = runtime.getService<RateLimiterService>(RateLimiterService.serviceType);
+    if (!limiter?.enabled) {
+      return handler(req, res, runtime);
+    }
+
+    const now = Date.now();
+    let result: RateLimitResult;
+    try {
+      result = await limiter.consume(policyName, getRateLimitKeys(req), now);
+    } catch (error) {
+      logger.error({ error }, `Rate limit check failed: ${req.method} ${req.path}`);
+      return handler(req, res, runtime);
+    }
+    setRateLimitHeaders(res, result, getRateLimitPolicies()[policyName].windowMs, now);
+
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil((result.resetAt - now) / 1000));
+      sendError(
+        res,
+        429,
+        'RATE_LIMITED',
+        `Too many requests, please try again in ${retryAfter} seconds`
+      );
+      return;
+    }
+    return handler(req, res, runtime);
+  };
+}
+
+/**
+ * Applies rateLimit to every route in the list.
+ */
+export function withRateLimit(routes: Route[], policyName: RateLimitPolicyName = 'api'): Route[] {
+  return routes.map((route) =>
+    route.handler ? { ...route, handler: rateLimit(route.handler, policyName) } : route
+  );
+}
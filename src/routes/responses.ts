@@ -0,0 +1,49 @@
+import { type IAgentRuntime, type Route, type Service, logger } from '@elizaos/core';
+
+/**
+ * Sends an error in the ElizaOS API shape: `{ success: false, error: { code, message } }`.
+ */
+export function sendError(res: any, status: number, code: string, message: string) {
+  res.status(status).json({ success: false, error: { code, message } });
+}
+
+/** A route handler that is given the service it needs; see withService. */
+export type ServiceRouteHandler<S extends Service> = (
+  req: any,
+  res: any,
+  service: S,
+  runtime: IAgentRuntime
+) => void | Promise<void>;
+
+/**
+ * Wraps a route handler that needs one of the plugin's services. Reports a 503
+ * when the service is not running and a 500 `PURL_<LABEL>_ERROR` when the
+ * handler throws; errors are handled here because the server does not await
+ * route handlers. `label` names the routes in messages, e.g. 'state'.
+ */
+export function withService<S extends Service>(
+  serviceType: string,
+  label: string,
+  handler: ServiceRouteHandler<S>
+): NonNullable<Route['handler']> {
+  return async (req: any, res: any, runtime: IAgentRuntime) => {
+    const service = runtime.getService<S>(serviceType);
+    if (!service) {
+      sendError(res, 503, 'SERVICE_UNAVAILABLE', `Purl ${label} service is not running`);
+      return;
+    }
+    try {
+      await handler(req, res, service, runtime);
+    } catch (error) {
+      logger.error({ error }, `Purl ${label} route failed: ${req.method} ${req.path}`);
+      if (!res.headersSent) {
+        sendError(
+          res,
+          500,
+          `PURL_${label.toUpperCase()}_ERROR`,
+          `Failed to process Purl ${label} request`
+        );
+      }
+    }
+  };
+}
@@ -0,0 +1,310 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import {
+  type IAgentRuntime,
+  type Memory,
+  MemoryType,
+  ModelType,
+  Service,
+  type UUID,
+  createUniqueUuid,
+  logger,
+} from '@elizaos/core';
+import { getConfig } from '../config/env';
+import { Bm25Index } from '../knowledge/bm25';
+import { chunkDocument, extractText, findKnowledgeFiles } from '../knowledge/documents';
+
+export interface KnowledgePassage {
+  id: UUID;
+  documentId: UUID;
+  /** Path relative to the knowledge directory, e.g. "8_month_cat_journal.pdf". */
+  source: string;
+  title: string;
+  text: string;
+  position: number;
+}
+
+export interface KnowledgeSearchResult extends KnowledgePassage {
+  score: number;
+  method: 'embedding' | 'bm25';
+}
+
+export interface IngestSummary {
+  files: number;
+  passages: number;
+  stored: number;
+}
+
+/** Tables used by ElizaOS for documents and their searchable fragments. */
+export const DOCUMENTS_TABLE = 'documents';
+export const KNOWLEDGE_TABLE = 'knowledge';
+
+/** Number of passages returned by default. */
+export const DEFAULT_KNOWLEDGE_RESULTS = 3;
+
+/** BM25 hits scoring below this are too loosely related to be worth quoting. */
+export const MIN_BM25_SCORE = 1;
+
+const EMBEDDING_MATCH_THRESHOLD = 0.5;
+
+interface ManifestEntry {
+  hash: string;
+  fragments: number;
+}
+
+const manifestKey = (agentId: UUID) => `purl-knowledge:${agentId}`;
+
+/**
+ * Loads Purl's journal and other documents from the knowledge directory
+ * (docs/ by default) into agent memory, and finds passages relevant to a
+ * message.
+ *
+ * PDFs and markdown files are split into passages, one per journal entry, and
+ * stored as knowledge fragments; a manifest of file hashes in the cache means
+ * unchanged files are not stored again on restart. When an embedding model is
+ * registered, fragments are embedded and searched semantically. Otherwise, or
+ * if that search finds nothing, an in-process BM25 index over the same
+ * passages is used.
+ */
+export class PurlKnowledgeService extends Service {
+  static serviceType = 'purl_knowledge';
+  capabilityDescription = "Ingests Purl's journal into knowledge memories and retrieves passages.";
+
+  private passages = new Map<UUID, KnowledgePassage>();
+  private index = new Bm25Index<KnowledgePassage>([], () => '');
+  private ingesting: Promise<IngestSummary> | null = null;
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting Purl knowledge service ***');
+    const service = new PurlKnowledgeService(runtime);
+    // Extracting the journal takes a few seconds; do not hold up agent startup
+    service.ingesting = service.ingest().catch((error) => {
+      logger.error({ error }, 'Knowledge ingestion failed');
+      return { files: 0, passages: 0, stored: 0 };
+    });
+    return service;
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping Purl knowledge service ***');
+    const service = runtime.getService(PurlKnowledgeService.serviceType);
+    if (!service) {
+      throw new Error('Purl knowledge service not found');
+    }
+    await service.stop();
+  }
+
+  /** Resolves once the ingestion started with the service has finished. */
+  async whenReady(): Promise<IngestSummary | null> {
+    return this.ingesting;
+  }
+
+  getPassages(): KnowledgePassage[] {
+    return [...this.passages.values()];
+  }
+
+  private hasEmbeddings() {
+    return Boolean(this.runtime.getModel?.(ModelType.TEXT_EMBEDDING));
+  }
+
+  /**
+   * Reads every PDF and markdown file under `dir`, stores new or changed files
+   * as knowledge memories, removes memories of deleted files and rebuilds the
+   * search index.
+   */
+  async ingest(dir = getConfig().PURL_KNOWLEDGE_DIR): Promise<IngestSummary> {
+    const root = path.resolve(process.cwd(), dir);
+    const files = findKnowledgeFiles(root);
+    const previous =
+      (await this.runtime.getCache<Record<string, ManifestEntry>>(
+        manifestKey(this.runtime.agentId)
+      )) ?? {};
+    const manifest: Record<string, ManifestEntry> = {};
+    const passages: KnowledgePassage[] = [];
+    let stored = 0;
+
+    for (const file of files) {
+      const source = path.relative(root, file).split(path.sep).join('/');
+      const hash = createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 16);
+
+      let chunks;
+      try {
+        chunks = chunkDocument(await extractText(file));
+      } catch (error) {
+        logger.error({ error }, `Could not extract text from ${source}`);
+        if (previous[source]) manifest[source] = previous[source];
+        continue;
+      }
+
+      const documentId = this.documentId(source, hash);
+      const filePassages = chunks.map((chunk) => ({
+        id: this.fragmentId(documentId, chunk.position),
+        documentId,
+        source,
+        ...chunk,
+      }));
+      passages.push(...filePassages);
+      manifest[source] = { hash, fragments: filePassages.length };
+
+      if (previous[source]?.hash !== hash) {
+        if (previous[source]) await this.removeDocument(source, previous[source]);
+        if (await this.storeDocument(documentId, source, filePassages)) {
+          stored += filePassages.length;
+        }
+      }
+    }
+
+    for (const [source, entry] of Object.entries(previous)) {
+      if (!manifest[source]) await this.removeDocument(source, entry);
+    }
+
+    await this.runtime.setCache(manifestKey(this.runtime.agentId), manifest);
+    this.passages = new Map(passages.map((passage) => [passage.id, passage]));
+    this.index = new Bm25Index(passages, (passage) => `${passage.title} ${passage.text}`);
+
+    logger.info(
+      `Loaded ${passages.length} knowledge passages from ${files.length} files (${stored} newly stored)`
+    );
+    return { files: files.length, passages: passages.length, stored };
+  }
+
+  private documentId(source: string, hash: string) {
+    return createUniqueUuid(this.runtime, `purl-knowledge:${source}:${hash}`);
+  }
+
+  private fragmentId(documentId: UUID, position: number) {
+    return createUniqueUuid(this.runtime, `${documentId}:${position}`);
+  }
+
+  /**
+   * Stores the document and its passages. Returns false when the document is
+   * already in memory, e.g. after the cache was cleared but the database kept.
+   */
+  private async storeDocument(
+    documentId: UUID,
+    source: string,
+    passages: KnowledgePassage[]
+  ): Promise<boolean> {
+    if (await this.runtime.getMemoryById(documentId)) {
+      return false;
+    }
+    const { agentId } = this.runtime;
+    const timestamp = Date.now();
+    const embed = this.hasEmbeddings();
+    // Passages left over from an interrupted run are kept rather than rewritten
+    const existing = new Set(
+      (
+        await this.runtime.getMemoriesByIds(
+          passages.map((passage) => passage.id),
+          KNOWLEDGE_TABLE
+        )
+      ).map((memory) => memory.id)
+    );
+
+    for (const passage of passages) {
+      if (existing.has(passage.id)) continue;
+      let memory: Memory = {
+        id: passage.id,
+        agentId,
+        entityId: agentId,
+        roomId: agentId,
+        content: { text: passage.text, source },
+        metadata: {
+          type: MemoryType.FRAGMENT,
+          documentId,
+          position: passage.position,
+          source,
+          title: passage.title,
+          timestamp,
+        },
+      };
+      if (embed) {
+        try {
+          memory = await this.runtime.addEmbeddingToMemory(memory);
+        } catch (error) {
+          logger.warn(`Storing ${source} passage ${passage.position} without an embedding`);
+        }
+      }
+      await this.runtime.createMemory(memory, KNOWLEDGE_TABLE);
+    }
+
+    // Written last: its presence marks the whole document as stored
+    await this.runtime.createMemory(
+      {
+        id: documentId,
+        agentId,
+        entityId: agentId,
+        roomId: agentId,
+        content: { text: passages.map((passage) => passage.text).join('\n\n'), source },
+        metadata: { type: MemoryType.DOCUMENT, source, timestamp },
+      },
+      DOCUMENTS_TABLE
+    );
+    logger.info(`Stored ${passages.length} knowledge passages from ${source}`);
+    return true;
+  }
+
+  private async removeDocument(source: string, { hash, fragments }: ManifestEntry) {
+    const documentId = this.documentId(source, hash);
+    const ids = Array.from({ length: fragments }, (_, position) =>
+      this.fragmentId(documentId, position)
+    );
+    try {
+      await this.runtime.deleteManyMemories([...ids, documentId]);
+      logger.info(`Removed ${fragments} outdated knowledge passages from ${source}`);
+    } catch (error) {
+      logger.warn(`Could not remove outdated knowledge passages from ${source}`);
+    }
+  }
+
+  /**
+   * Returns the passages most relevant to `query`, best first. Uses embedding
+   * search when available and falls back to BM25 keyword ranking.
+   */
+  async search(query: string, limit = DEFAULT_KNOWLEDGE_RESULTS): Promise<KnowledgeSearchResult[]> {
+    if (!query.trim() || this.passages.size === 0) return [];
+
+    if (this.hasEmbeddings()) {
+      try {
+        const results = await this.searchByEmbedding(query, limit);
+        if (results.length > 0) return results;
+      } catch (error) {
+        logger.warn('Embedding search failed, falling back to keyword search');
+      }
+    }
+
+    return this.index
+      .search(query, limit)
+      .filter(({ score }) => score >= MIN_BM25_SCORE)
+      .map(({ item, score }) => ({ ...item, score, method: 'bm25' as const }));
+  }
+
+  private async searchByEmbedding(query: string, limit: number) {
+    const embedding = await this.runtime.useModel(ModelType.TEXT_EMBEDDING, { text: query });
+    const memories = await this.runtime.searchMemories({
+      tableName: KNOWLEDGE_TABLE,
+      embedding,
+      query,
+      count: limit,
+      match_threshold: EMBEDDING_MATCH_THRESHOLD,
+      roomId: this.runtime.agentId,
+    });
+
+    return memories.flatMap((memory) => {
+      const passage = memory.id ? this.passages.get(memory.id) : undefined;
+      return passage
+        ? [{ ...passage, score: memory.similarity ?? 0, method: 'embedding' as const }]
+        : [];
+    });
+  }
+
+  async stop() {
+    logger.info('*** Stopping Purl knowledge service instance ***');
+    await this.ingesting;
+  }
+}
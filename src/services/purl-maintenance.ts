@@ -0,0 +1,166 @@
+import { type IAgentRuntime, Service, logger } from '@elizaos/core';
+import { PurlSocketService } from './purl-socket';
+
+/** Socket event broadcast whenever maintenance starts, ends or is edited. */
+export const MAINTENANCE_EVENT = 'maintenanceChanged';
+
+/** How often a scheduled window is checked for starting or ending. */
+export const MAINTENANCE_TICK_MS = 30_000;
+
+/** Chat refusals use this when the operator does not leave a message of their own. */
+export const DEFAULT_MAINTENANCE_MESSAGE =
+  "Purl is taking a nap while we work on her home. She'll be back soon!";
+
+export interface MaintenanceSettings {
+  /** Switched on by an operator, independent of the window. */
+  enabled: boolean;
+  message: string | null;
+  /** When the operator expects to be done, epoch ms. */
+  eta: number | null;
+  /** A scheduled window, epoch ms; maintenance is on from startsAt until endsAt. */
+  startsAt: number | null;
+  endsAt: number | null;
+  updatedAt: number;
+}
+
+export interface MaintenanceStatus extends MaintenanceSettings {
+  /** Whether maintenance is on right now, by switch or by window. */
+  active: boolean;
+  /** On because of the scheduled window rather than the switch. */
+  scheduled: boolean;
+}
+
+const DEFAULT_SETTINGS: MaintenanceSettings = {
+  enabled: false,
+  message: null,
+  eta: null,
+  startsAt: null,
+  endsAt: null,
+  updatedAt: 0,
+};
+
+/**
+ * Puts Purl into maintenance from the backend, so the frontend can swap in its
+ * maintenance page without a rebuild.
+ *
+ * Maintenance is on while an operator has switched it on, or during a
+ * scheduled window. Settings are persisted through the runtime cache, and the
+ * status is broadcast as a retained socket event whenever it changes, including
+ * when a window opens or closes on its own.
+ */
+export class PurlMaintenanceService extends Service {
+  static serviceType = 'purl_maintenance';
+  capabilityDescription =
+    'Switches Purl into maintenance mode, by hand or on a schedule, and tells the frontend.';
+
+  private settings: MaintenanceSettings = { ...DEFAULT_SETTINGS };
+  private wasActive = false;
+  private tickTimer: ReturnType<typeof setInterval> | null = null;
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting Purl maintenance service ***');
+    const service = new PurlMaintenanceService(runtime);
+    await service.load();
+    service.broadcast();
+    service.tickTimer = setInterval(() => service.tick(), MAINTENANCE_TICK_MS);
+    service.tickTimer.unref?.();
+    return service;
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping Purl maintenance service ***');
+    const service = runtime.getService(PurlMaintenanceService.serviceType);
+    if (!service) {
+      throw new Error('Purl maintenance service not found');
+    }
+    await service.stop();
+  }
+
+  private get cacheKey() {
+    return `purl-maintenance:${this.runtime.agentId}`;
+  }
+
+  async load() {
+    try {
+      const saved = await this.runtime.getCache<MaintenanceSettings>(this.cacheKey);
+      if (saved) {
+        this.settings = { ...DEFAULT_SETTINGS, ...saved };
+      }
+    } catch (error) {
+      logger.warn({ error }, 'Could not load Purl maintenance settings, starting switched off');
+    }
+    this.wasActive = this.isActive();
+  }
+
+  isActive(now = Date.now()): boolean {
+    return this.settings.enabled || this.inWindow(now);
+  }
+
+  private inWindow(now: number): boolean {
+    const { startsAt, endsAt } = this.settings;
+    return startsAt !== null && endsAt !== null && startsAt <= now && now < endsAt;
+  }
+
+  /**
+   * The settings and whether they put Purl into maintenance at `now`. During
+   * a window without an ETA of its own, the window's end is the ETA.
+   */
+  getStatus(now = Date.now()): MaintenanceStatus {
+    const scheduled = !this.settings.enabled && this.inWindow(now);
+    return {
+      ...this.settings,
+      eta: this.settings.eta ?? (scheduled ? this.settings.endsAt : null),
+      active: this.isActive(now),
+      scheduled,
+    };
+  }
+
+  /**
+   * Changes the settings, persists them and tells the frontend.
+   */
+  async update(changes: Partial<Omit<MaintenanceSettings, 'updatedAt'>>, now = Date.now()) {
+    this.settings = { ...this.settings, ...changes, updatedAt: now };
+    await this.runtime.setCache(this.cacheKey, this.settings);
+    this.logTransition(now);
+    this.broadcast(now);
+    return this.getStatus(now);
+  }
+
+  /**
+   * Broadcasts when a scheduled window has opened or closed since the last
+   * check, or when the socket came up after this service and has nothing to
+   * replay to new clients yet.
+   */
+  tick(now = Date.now()) {
+    const socket = this.runtime.getService<PurlSocketService>(PurlSocketService.serviceType);
+    const unannounced = socket && socket.getLastPayload(MAINTENANCE_EVENT) === undefined;
+    if (this.isActive(now) === this.wasActive && !unannounced) return;
+    this.logTransition(now);
+    this.broadcast(now);
+  }
+
+  private logTransition(now: number) {
+    const active = this.isActive(now);
+    if (active !== this.wasActive) {
+      logger.info(`Purl maintenance ${active ? 'started' : 'ended'}`);
+      this.wasActive = active;
+    }
+  }
+
+  private broadcast(now = Date.now()) {
+    const socket = this.runtime.getService<PurlSocketService>(PurlSocketService.serviceType);
+    socket?.broadcast(MAINTENANCE_EVENT, this.getStatus(now), { retain: true });
+  }
+
+  async stop() {
+    logger.info('*** Stopping Purl maintenance service instance ***');
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+}
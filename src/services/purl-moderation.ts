@@ -0,0 +1,367 @@
+import { type IAgentRuntime, type Memory, ModelType, Service, logger } from '@elizaos/core';
+import { and, desc, eq } from 'drizzle-orm';
+import { getConfig } from '../config/env';
+import {
+  type ModerationAction,
+  type ModerationDirection,
+  type ModerationPolicy,
+  type ModerationResult,
+  DEFAULT_REFUSAL,
+  classify,
+  readPolicyFile,
+} from '../moderation/policy';
+import { moderationDecisionsTable } from '../db/schema';
+import { findPromptRuns } from '../models/reply-prompt';
+import { findReplyField } from './purl-output';
+
+/** How the public logs page should show a flagged conversation. */
+export type FlagLevel = 'blur' | 'hide';
+
+export interface RoomFlag {
+  roomId: string;
+  level: FlagLevel;
+  /** Number of messages and replies in the room that were masked or refused. */
+  count: number;
+  muted: boolean;
+  lastAt: number;
+}
+
+/** Stored on a moderated message's content, where the logs page reads it. */
+export interface MessageModeration {
+  action: ModerationAction;
+  rules: string[];
+}
+
+export interface ModerationDecision {
+  id?: string;
+  agentId: string;
+  roomId: string | null;
+  entityId: string | null;
+  messageId: string | null;
+  direction: ModerationDirection;
+  action: ModerationAction;
+  rules: string[];
+  excerpt: string;
+  createdAt?: Date;
+}
+
+/** Number of decisions a single GET /purl/moderation/decisions returns at most. */
+export const MAX_DECISIONS = 200;
+
+/** Longest excerpt stored with a decision. */
+export const MAX_EXCERPT_LENGTH = 280;
+
+const FLAG_LEVELS: Partial<Record<ModerationAction, FlagLevel>> = {
+  mask: 'blur',
+  refuse: 'hide',
+  mute_room: 'hide',
+};
+
+const REFUSING: ModerationAction[] = ['refuse', 'mute_room'];
+
+const OUTPUT_MODEL_TYPES: string[] = [ModelType.TEXT_SMALL, ModelType.TEXT_LARGE];
+
+interface TrackedRun {
+  runId: string;
+  messageId?: string;
+  roomId?: string;
+  /** The message being answered, as the model sees it. */
+  message?: string;
+}
+
+/**
+ * Checks what users send and what Purl replies against the local moderation
+ * policy (PURL_MODERATION_POLICY_FILE).
+ *
+ * Incoming messages are checked as they arrive, before bootstrap stores them:
+ * masked words are replaced in the message itself, so neither the model nor
+ * the public logs see them. A refused message gets the policy's refusal
+ * instead of a reply, and mute_room also mutes Purl in the room until an
+ * operator unmutes it. Replies are checked the way the output stage sees
+ * them, by wrapping the runtime's text models; a reply that breaks a
+ * refuse or mute_room rule is replaced by the refusal.
+ *
+ * Every message or reply that matches a rule is written to the
+ * purl_moderation_decisions table, and rooms with masked or refused content
+ * are flagged so the public logs page can blur or hide them.
+ */
+export class PurlModerationService extends Service {
+  static serviceType = 'purl_moderation';
+  capabilityDescription =
+    'Masks, refuses or mutes chat that breaks the moderation policy and flags it for the logs.';
+
+  private policy: ModerationPolicy = { mask: '*', refusal: DEFAULT_REFUSAL, rules: [] };
+  private flags: Record<string, RoomFlag> = {};
+  private runs = new Map<string, TrackedRun>();
+  private messageActions = new Map<string, ModerationAction>();
+  private originalUseModel: IAgentRuntime['useModel'] | null = null;
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting Purl moderation service ***');
+    const service = new PurlModerationService(runtime);
+    service.loadPolicy();
+    await service.load();
+    if (getConfig().PURL_MODERATION_ENABLED) {
+      service.install();
+    }
+    return service;
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping Purl moderation service ***');
+    const service = runtime.getService(PurlModerationService.serviceType);
+    if (!service) {
+      throw new Error('Purl moderation service not found');
+    }
+    await service.stop();
+  }
+
+  private get cacheKey() {
+    return `purl-moderation:${this.runtime.agentId}`;
+  }
+
+  /**
+   * Reads the policy file. Without one every message is allowed, which is
+   * logged since it is probably a deployment mistake.
+   */
+  loadPolicy(file = getConfig().PURL_MODERATION_POLICY_FILE) {
+    const policy = readPolicyFile(file);
+    if (!policy) {
+      logger.warn(`Moderation policy ${file} not found, all messages will be allowed`);
+      return;
+    }
+    this.policy = policy;
+    logger.info(`Loaded moderation policy ${file} with ${policy.rules.length} rules`);
+  }
+
+  async load() {
+    try {
+      const saved = await this.runtime.getCache<Record<string, RoomFlag>>(this.cacheKey);
+      if (saved) this.flags = saved;
+    } catch (error) {
+      logger.warn({ error }, 'Could not load moderation flags, starting with none');
+    }
+  }
+
+  getPolicy(): ModerationPolicy {
+    return this.policy;
+  }
+
+  /**
+   * Checks a user's message. The masking happens before the first await, so
+   * it lands before bootstrap stores the message and prompts the model.
+   */
+  async moderateIncoming(message: Memory): Promise<ModerationResult | null> {
+    const text = message.content?.text;
+    if (!getConfig().PURL_MODERATION_ENABLED) return null;
+    if (!text || message.entityId === this.runtime.agentId) return null;
+    const result = classify(text, this.policy, 'incoming');
+    if (result.matches.length === 0) return null;
+
+    if (result.action !== 'allow') {
+      const moderation: MessageModeration = {
+        action: result.action,
+        rules: result.matches.map((match) => match.rule),
+      };
+      message.content.text = result.masked;
+      message.content.moderation = moderation as any;
+    }
+    if (message.id) this.messageActions.set(message.id, result.action);
+
+    await this.record({
+      direction: 'incoming',
+      result,
+      roomId: message.roomId,
+      entityId: message.entityId,
+      messageId: message.id,
+    });
+    if (result.action === 'mute_room' && message.roomId) {
+      await this.runtime.setParticipantUserState(message.roomId, this.runtime.agentId, 'MUTED');
+      this.flagRoom(message.roomId, result.action, { muted: true });
+      await this.save();
+      logger.info(`Muted room ${message.roomId} after a message broke the moderation policy`);
+    }
+    return result;
+  }
+
+  /**
+   * Remembers which message a run answers, from bootstrap's RUN_STARTED. Its
+   * metadata is the message's content, masked by now.
+   */
+  trackRun(payload: {
+    runId?: string;
+    messageId?: string;
+    roomId?: string;
+    metadata?: { text?: unknown };
+  }) {
+    const { runId, messageId, roomId, metadata } = payload;
+    if (!runId) return;
+    const message = typeof metadata?.text === 'string' ? metadata.text : undefined;
+    this.runs.set(runId, { runId, messageId, roomId, message });
+  }
+
+  /** Forgets a run once bootstrap reports it ended. */
+  endRun(runId: string | undefined) {
+    if (!runId) return;
+    const run = this.runs.get(runId);
+    if (run?.messageId) this.messageActions.delete(run.messageId);
+    this.runs.delete(runId);
+  }
+
+  /**
+   * Returns the reply to send instead of `draft`: the refusal when the message
+   * being answered was refused or the reply itself breaks a refusing rule,
+   * otherwise the draft with its matches masked.
+   */
+  async moderateReply(draft: string, runId?: string): Promise<string> {
+    const run = runId ? this.runs.get(runId) : undefined;
+    if (run && this.isRefused(run)) return this.policy.refusal;
+
+    const result = classify(draft, this.policy, 'outgoing');
+    if (result.matches.length === 0) return draft;
+    await this.record({ direction: 'outgoing', result, roomId: run?.roomId });
+    if (REFUSING.includes(result.action)) return this.policy.refusal;
+    return result.action === 'mask' ? result.masked : draft;
+  }
+
+  /**
+   * Whether an unfinished reply may be shown as it is written: not when the
+   * message it answers was refused or the text so far matches any outgoing
+   * rule. Nothing is recorded; moderateReply() does that for the final reply.
+   */
+  allowsPreview(draft: string, runId?: string): boolean {
+    if (!getConfig().PURL_MODERATION_ENABLED) return true;
+    const run = runId ? this.runs.get(runId) : undefined;
+    if (run && this.isRefused(run)) return false;
+    return classify(draft, this.policy, 'outgoing').matches.length === 0;
+  }
+
+  /** Whether the message a run answers was refused. */
+  private isRefused(run: TrackedRun) {
+    const incoming = run.messageId ? this.messageActions.get(run.messageId) : undefined;
+    return !!incoming && REFUSING.includes(incoming);
+  }
+
+  /**
+   * Routes the runtime's text model calls through moderateReply(), for the
+   * run whose message the prompt answers (see src/models/reply-prompt.ts).
+   */
+  install() {
+    if (this.originalUseModel) return;
+    const original = this.runtime.useModel.bind(this.runtime);
+    this.originalUseModel = this.runtime.useModel;
+
+    this.runtime.useModel = (async (type: string, params: any) => {
+      const response = await original(type as any, params);
+      if (!OUTPUT_MODEL_TYPES.includes(type) || typeof response !== 'string') return response;
+      const field = findReplyField(response);
+      if (!field) return response;
+      const runs = findPromptRuns(this.runs.values(), params?.prompt);
+      // The same text sent to two rooms at once matches both runs, and was moderated alike
+      const run = runs.find((r) => this.isRefused(r)) ?? (runs.length === 1 ? runs[0] : undefined);
+      const text = await this.moderateReply(field.value, run?.runId);
+      if (text === field.value) return response;
+      return response.slice(0, field.start) + text + response.slice(field.end);
+    }) as IAgentRuntime['useModel'];
+  }
+
+  private async record(options: {
+    direction: ModerationDirection;
+    result: ModerationResult;
+    roomId?: string;
+    entityId?: string;
+    messageId?: string;
+  }) {
+    const { direction, result, roomId, entityId, messageId } = options;
+    const decision: ModerationDecision = {
+      agentId: this.runtime.agentId,
+      roomId: roomId ?? null,
+      entityId: entityId ?? null,
+      messageId: messageId ?? null,
+      direction,
+      action: result.action,
+      rules: result.matches.map((match) => match.rule),
+      excerpt: result.masked.slice(0, MAX_EXCERPT_LENGTH),
+    };
+    logger.info(
+      `Moderation ${direction} ${decision.action} (${decision.rules.join(', ')})${roomId ? ` in room ${roomId}` : ''}`
+    );
+
+    if (roomId && FLAG_LEVELS[result.action]) {
+      this.flagRoom(roomId, result.action);
+      await this.save();
+    }
+    try {
+      await this.runtime.db.insert(moderationDecisionsTable).values(decision);
+    } catch (error) {
+      logger.error({ error }, 'Could not store moderation decision');
+    }
+  }
+
+  private flagRoom(roomId: string, action: ModerationAction, options: { muted?: boolean } = {}) {
+    const level = FLAG_LEVELS[action];
+    if (!level) return;
+    const current = this.flags[roomId];
+    this.flags[roomId] = {
+      roomId,
+      level: current?.level === 'hide' ? 'hide' : level,
+      count: (current?.count ?? 0) + (options.muted ? 0 : 1),
+      muted: options.muted ?? current?.muted ?? false,
+      lastAt: Date.now(),
+    };
+  }
+
+  private async save() {
+    await this.runtime.setCache(this.cacheKey, this.flags);
+  }
+
+  /** Flagged rooms, most recently flagged first. */
+  getFlags(): RoomFlag[] {
+    return Object.values(this.flags).sort((a, b) => b.lastAt - a.lastAt);
+  }
+
+  /** Stored decisions, newest first, optionally for one room or action. */
+  async getDecisions(
+    options: { roomId?: string; action?: ModerationAction; limit?: number } = {}
+  ): Promise<ModerationDecision[]> {
+    const { roomId, action, limit = MAX_DECISIONS } = options;
+    const table = moderationDecisionsTable;
+    return this.runtime.db
+      .select()
+      .from(table)
+      .where(
+        and(
+          eq(table.agentId, this.runtime.agentId),
+          roomId ? eq(table.roomId, roomId) : undefined,
+          action ? eq(table.action, action) : undefined
+        )
+      )
+      .orderBy(desc(table.createdAt))
+      .limit(limit);
+  }
+
+  /**
+   * Lets Purl speak in a muted room again. The room stays flagged for the
+   * logs.
+   */
+  async unmute(roomId: string): Promise<RoomFlag | null> {
+    await this.runtime.setParticipantUserState(roomId as any, this.runtime.agentId, null);
+    const flag = this.flags[roomId];
+    if (!flag) return null;
+    this.flags[roomId] = { ...flag, muted: false };
+    await this.save();
+    return this.flags[roomId];
+  }
+
+  async stop() {
+    logger.info('*** Stopping Purl moderation service instance ***');
+    if (this.originalUseModel) {
+      this.runtime.useModel = this.originalUseModel;
+      this.originalUseModel = null;
+    }
+  }
+}
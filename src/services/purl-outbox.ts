@@ -0,0 +1,398 @@
+import { randomUUID } from 'node:crypto';
+import { type IAgentRuntime, ModelType, Service, logger } from '@elizaos/core';
+import { and, asc, eq, inArray } from 'drizzle-orm';
+import { getConfig } from '../config/env';
+import { outboxPostsTable } from '../db/schema';
+import { type PostPublisher, selectPublisher } from '../outbox/publishers';
+import { type Schedule, nextRun, parseSchedule } from '../outbox/schedule';
+import { applyStyleRules } from '../output/style-rules';
+import { formatPersona } from '../providers/purl-persona';
+import { PurlPersonaService } from './purl-persona';
+
+export const OUTBOX_STATUSES = ['draft', 'approved', 'published'] as const;
+
+export type OutboxStatus = (typeof OUTBOX_STATUSES)[number];
+
+/** One post in the outbox. */
+export interface OutboxPost {
+  id: string;
+  text: string;
+  status: OutboxStatus;
+  createdAt: number;
+  /** Whether the schedule wrote it or an operator asked for it. */
+  source: 'schedule' | 'operator';
+  approvedAt?: number;
+  /** When an approved post goes out; it is published on the first tick after this. */
+  publishAt?: number;
+  publishedAt?: number;
+  publisher?: string;
+  /** The platform's id and link for a published post. */
+  externalId?: string;
+  url?: string;
+  /** Why the last publish attempt failed; the post went back to draft. */
+  error?: string;
+}
+
+/** Posts longer than this are cut, since they have to fit in a tweet. */
+export const MAX_POST_LENGTH = 280;
+
+/** Published posts kept in the outbox as history. */
+export const MAX_PUBLISHED_POSTS = 200;
+
+/** Scheduled generation pauses while this many drafts wait for review. */
+export const MAX_PENDING_DRAFTS = 10;
+
+/** How often the schedule and due posts are checked. */
+export const OUTBOX_TICK_MS = 60_000;
+
+/** Platform the generated posts are written for, used to pick the persona. */
+const POST_PLATFORM = 'twitter';
+
+type OutboxPostRow = typeof outboxPostsTable.$inferSelect;
+
+// Posts keep times as epoch milliseconds; the table stores timestamps
+const toDate = (time: number | undefined) => (time === undefined ? null : new Date(time));
+const toTime = (date: Date | null) => (date ? date.getTime() : undefined);
+
+function toRow(post: OutboxPost, agentId: string): OutboxPostRow {
+  return {
+    id: post.id,
+    agentId,
+    status: post.status,
+    text: post.text,
+    source: post.source,
+    platform: post.publisher ?? null,
+    externalId: post.externalId ?? null,
+    url: post.url ?? null,
+    error: post.error ?? null,
+    createdAt: new Date(post.createdAt),
+    approvedAt: toDate(post.approvedAt),
+    scheduledAt: toDate(post.publishAt),
+    publishedAt: toDate(post.publishedAt),
+  };
+}
+
+function fromRow(row: OutboxPostRow): OutboxPost {
+  return {
+    id: row.id,
+    text: row.text,
+    status: row.status as OutboxStatus,
+    createdAt: row.createdAt.getTime(),
+    source: row.source as OutboxPost['source'],
+    approvedAt: toTime(row.approvedAt),
+    publishAt: toTime(row.scheduledAt),
+    publishedAt: toTime(row.publishedAt),
+    publisher: row.platform ?? undefined,
+    externalId: row.externalId ?? undefined,
+    url: row.url ?? undefined,
+    error: row.error ?? undefined,
+  };
+}
+
+/**
+ * Cleans raw model output into a post: drops labels and wrapping quotes,
+ * applies the output casing and emoji rules and cuts it at a word boundary
+ * when it runs past MAX_POST_LENGTH.
+ */
+export function cleanPost(raw: string): string {
+  const text = raw
+    .trim()
+    .replace(/^(post|tweet|purl)\s*:\s*/i, '')
+    .replace(/^["'`]+|["'`]+$/g, '')
+    .trim();
+  const styled = applyStyleRules(text, { casing: getConfig().PURL_OUTPUT_CASING }).text;
+  if (styled.length <= MAX_POST_LENGTH) return styled;
+
+  const cut = styled.slice(0, MAX_POST_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > MAX_POST_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trim();
+}
+
+/**
+ * Writes and publishes Purl's posts on a schedule, with a human in the loop.
+ *
+ * On every PURL_OUTBOX_SCHEDULE slot a post is generated from the character's
+ * post style (and the persona selected for X) and stored as a draft. Operators
+ * review drafts through the /purl/outbox routes, editing and approving them
+ * with an optional publish time; approved posts are published once due,
+ * through the Twitter plugin when it is loaded or the file stand-in otherwise
+ * (PURL_OUTBOX_PUBLISHER). With PURL_OUTBOX_AUTO_APPROVE drafts skip review.
+ *
+ * Posts are stored in the purl_outbox_posts table and kept in memory while
+ * the agent runs. The scheduler only runs with PURL_OUTBOX_ENABLED; the
+ * routes always work.
+ */
+export class PurlOutboxService extends Service {
+  static serviceType = 'purl_outbox';
+  capabilityDescription =
+    'Generates scheduled posts into a reviewable outbox and publishes approved ones.';
+
+  private posts: OutboxPost[] = [];
+  private schedule: Schedule | null = null;
+  private nextSlot: number | null = null;
+  private tickTimer: ReturnType<typeof setInterval> | null = null;
+  private ticking: Promise<void> | null = null;
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting Purl outbox service ***');
+    const service = new PurlOutboxService(runtime);
+    await service.load();
+    if (getConfig().PURL_OUTBOX_ENABLED) {
+      service.startSchedule();
+    }
+    return service;
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping Purl outbox service ***');
+    const service = runtime.getService(PurlOutboxService.serviceType);
+    if (!service) {
+      throw new Error('Purl outbox service not found');
+    }
+    await service.stop();
+  }
+
+  async load() {
+    const table = outboxPostsTable;
+    try {
+      const rows: OutboxPostRow[] = await this.runtime.db
+        .select()
+        .from(table)
+        .where(eq(table.agentId, this.runtime.agentId))
+        .orderBy(asc(table.createdAt));
+      this.posts = rows.map(fromRow);
+    } catch (error) {
+      logger.warn({ error }, 'Could not load the post outbox, starting empty');
+    }
+  }
+
+  /**
+   * Starts checking the schedule. Slots missed while the agent was down are
+   * not made up, so a restart never produces a burst of drafts.
+   */
+  startSchedule(now = Date.now()) {
+    this.schedule = parseSchedule(getConfig().PURL_OUTBOX_SCHEDULE);
+    this.nextSlot = nextRun(this.schedule, now);
+    this.tickTimer = setInterval(() => {
+      this.tick().catch((error) => logger.error({ error }, 'Purl outbox tick failed'));
+    }, OUTBOX_TICK_MS);
+    this.tickTimer.unref?.();
+    logger.info(`Purl outbox scheduled (${this.schedule.source})`);
+  }
+
+  /** When the next draft will be generated, or null when the scheduler is off. */
+  getNextRun(): number | null {
+    return this.nextSlot;
+  }
+
+  /**
+   * Generates a draft when a schedule slot has come up, then publishes the
+   * approved posts that are due. Overlapping ticks wait on the running one.
+   */
+  async tick(now = Date.now()) {
+    if (this.ticking) return this.ticking;
+    this.ticking = (async () => {
+      if (this.schedule && this.nextSlot !== null && now >= this.nextSlot) {
+        this.nextSlot = nextRun(this.schedule, now);
+        if (this.listPosts('draft').length >= MAX_PENDING_DRAFTS) {
+          logger.info(`Skipping scheduled post: ${MAX_PENDING_DRAFTS} drafts await review`);
+        } else {
+          const post = await this.generateDraft('schedule', now);
+          if (getConfig().PURL_OUTBOX_AUTO_APPROVE) {
+            await this.approve(post.id, { publishAt: now }, now);
+          }
+        }
+      }
+      for (const post of this.listPosts('approved')) {
+        if ((post.publishAt ?? 0) <= now) {
+          await this.publish(post.id, now);
+        }
+      }
+    })();
+    try {
+      await this.ticking;
+    } finally {
+      this.ticking = null;
+    }
+  }
+
+  /** Posts oldest first, optionally only those in one state. */
+  listPosts(status?: OutboxStatus): OutboxPost[] {
+    return this.posts.filter((post) => !status || post.status === status);
+  }
+
+  getPost(id: string): OutboxPost | undefined {
+    return this.posts.find((post) => post.id === id);
+  }
+
+  /**
+   * Asks the model for a new post in Purl's post style and stores it as a draft.
+   */
+  async generateDraft(source: OutboxPost['source'] = 'operator', now = Date.now()) {
+    const raw = await this.runtime.useModel(ModelType.TEXT_SMALL, {
+      prompt: this.buildPrompt(),
+      maxTokens: 120,
+      temperature: 0.9,
+    });
+    const text = cleanPost(String(raw ?? ''));
+    if (!text) {
+      throw new Error('Model did not produce a post');
+    }
+
+    const post: OutboxPost = { id: randomUUID(), text, status: 'draft', createdAt: now, source };
+    await this.runtime.db.insert(outboxPostsTable).values(toRow(post, this.runtime.agentId));
+    this.posts = [...this.posts, post];
+    logger.info(`New post draft ${post.id}: ${text}`);
+    return post;
+  }
+
+  /**
+   * Approves a draft, optionally replacing its text and choosing when it goes
+   * out (immediately by default).
+   */
+  async approve(
+    id: string,
+    options: { text?: string; publishAt?: number } = {},
+    now = Date.now()
+  ): Promise<OutboxPost> {
+    const post = this.requirePost(id, 'draft');
+    const updated: OutboxPost = {
+      ...post,
+      text: options.text ?? post.text,
+      status: 'approved',
+      approvedAt: now,
+      publishAt: options.publishAt ?? now,
+      error: undefined,
+    };
+    await this.replace(updated);
+    return updated;
+  }
+
+  /**
+   * Publishes a draft or approved post now. A failed attempt sends the post
+   * back to draft with the error, so someone looks at it before it is retried.
+   */
+  async publish(id: string, now = Date.now()): Promise<OutboxPost> {
+    const post = this.requirePost(id, 'draft', 'approved');
+    let publisher: PostPublisher | undefined;
+    try {
+      const config = getConfig();
+      publisher = selectPublisher(
+        this.runtime,
+        config.PURL_OUTBOX_PUBLISHER,
+        config.PURL_OUTBOX_FILE
+      );
+      const result = await publisher.publish(post.text);
+      const published: OutboxPost = {
+        ...post,
+        status: 'published',
+        publishedAt: now,
+        publisher: publisher.name,
+        externalId: result.id,
+        url: result.url,
+        error: undefined,
+      };
+      await this.replace(published);
+      logger.info(`Published post ${post.id} via ${publisher.name}: ${result.url ?? result.id}`);
+      return published;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      logger.error({ error }, `Publishing post ${post.id} failed`);
+      const failed: OutboxPost = {
+        ...post,
+        status: 'draft',
+        publisher: publisher?.name,
+        error: message,
+      };
+      await this.replace(failed);
+      return failed;
+    }
+  }
+
+  /** Removes a post that has not been published. */
+  async discard(id: string) {
+    this.requirePost(id, 'draft', 'approved');
+    await this.remove([id]);
+  }
+
+  private requirePost(id: string, ...statuses: OutboxStatus[]): OutboxPost {
+    const post = this.getPost(id);
+    if (!post) {
+      throw new Error(`Post ${id} not found`);
+    }
+    if (!statuses.includes(post.status)) {
+      throw new Error(`Post ${id} is ${post.status}, expected ${statuses.join(' or ')}`);
+    }
+    return post;
+  }
+
+  private async replace(updated: OutboxPost) {
+    const table = outboxPostsTable;
+    await this.runtime.db
+      .update(table)
+      .set(toRow(updated, this.runtime.agentId))
+      .where(and(eq(table.agentId, this.runtime.agentId), eq(table.id, updated.id)));
+    this.posts = this.posts.map((post) => (post.id === updated.id ? updated : post));
+    if (updated.status === 'published') {
+      await this.prunePublished();
+    }
+  }
+
+  private async remove(ids: string[]) {
+    const table = outboxPostsTable;
+    await this.runtime.db
+      .delete(table)
+      .where(and(eq(table.agentId, this.runtime.agentId), inArray(table.id, ids)));
+    this.posts = this.posts.filter((post) => !ids.includes(post.id));
+  }
+
+  private buildPrompt(): string {
+    const { character } = this.runtime;
+    const bio = Array.isArray(character.bio) ? character.bio : [character.bio];
+    const bioSample = [...bio].sort(() => Math.random() - 0.5).slice(0, 4);
+    const topics = [...(character.topics ?? [])].sort(() => Math.random() - 0.5).slice(0, 5);
+    const style = [...(character.style?.all ?? []), ...(character.style?.post ?? [])];
+    const persona = this.runtime
+      .getService<PurlPersonaService>(PurlPersonaService.serviceType)
+      ?.resolve({ source: POST_PLATFORM });
+    const examples = (character.postExamples ?? []).slice(0, 5);
+    const recent = this.posts.slice(-10).map((post) => post.text);
+
+    return [
+      `You are ${character.name}.`,
+      character.system,
+      `About ${character.name}:\n${bioSample.map((line) => `- ${line}`).join('\n')}`,
+      topics.length ? `Topics you might post about: ${topics.join(', ')}` : '',
+      style.length ? `# How you post\n${style.map((rule) => `- ${rule}`).join('\n')}` : '',
+      persona ? formatPersona(persona, 'post') : '',
+      examples.length ? `# Posts you have written before\n${examples.join('\n')}` : '',
+      recent.length ? `# Recent posts (do not repeat them)\n${recent.join('\n')}` : '',
+      `Write one new post for X in your own voice. Under ${MAX_POST_LENGTH} characters. Reply with the post only.`,
+    ]
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /** Published posts are history; only the newest MAX_PUBLISHED_POSTS are kept. */
+  private async prunePublished() {
+    const published = this.listPosts('published');
+    const dropped = published
+      .slice(0, Math.max(0, published.length - MAX_PUBLISHED_POSTS))
+      .map((post) => post.id);
+    if (dropped.length > 0) {
+      await this.remove(dropped);
+    }
+  }
+
+  async stop() {
+    logger.info('*** Stopping Purl outbox service instance ***');
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+}
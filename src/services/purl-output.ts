@@ -0,0 +1,238 @@
+import { type IAgentRuntime, ModelType, Service, logger } from '@elizaos/core';
+import { getConfig } from '../config/env';
+import { type RewriteReason, applyStyleRules, findMostSimilar } from '../output/style-rules';
+
+/** A reply that was changed before it was sent, and why. */
+export interface OutputRewrite {
+  timestamp: number;
+  reasons: RewriteReason[];
+  original: string;
+  text: string;
+  /** The earlier reply the draft repeated, and how similar it was (0-1). */
+  repeated?: { text: string; similarity: number };
+  /** Number of extra model calls made to get a reply that does not repeat. */
+  regenerations: number;
+}
+
+/** Fields that hold the outgoing text in the XML replies of bootstrap and platform plugins. */
+export const REPLY_FIELDS = ['text', 'message', 'post'] as const;
+
+/** Number of rewrites kept in the persisted log. */
+export const MAX_REWRITES = 200;
+
+const OUTPUT_MODEL_TYPES: string[] = [ModelType.TEXT_SMALL, ModelType.TEXT_LARGE];
+
+interface ReplyField {
+  start: number;
+  end: number;
+  value: string;
+}
+
+/**
+ * Finds the outgoing text in a raw model response, e.g. the `<text>` of the
+ * message handler's XML. Returns null for responses that are not replies
+ * (should-respond decisions, reflections, embeddings) or carry no text.
+ */
+export function findReplyField(response: string): ReplyField | null {
+  for (const field of REPLY_FIELDS) {
+    const match = new RegExp(`<${field}>([\\s\\S]*?)</${field}>`).exec(response);
+    if (match && match[1].trim()) {
+      const start = match.index + field.length + 2;
+      return { start, end: start + match[1].length, value: match[1].trim() };
+    }
+  }
+  return null;
+}
+
+const repeatHint = (previous: string) =>
+  [
+    '# Say something new',
+    'Your draft was too close to something you already said:',
+    `"${previous}"`,
+    'Write the reply again with different wording and a different angle.',
+  ].join('\n');
+
+/**
+ * Enforces Purl's style rules on everything the agent is about to send.
+ *
+ * The service wraps the runtime's text models, so it sees each reply after
+ * the model writes it and before bootstrap or a platform plugin sends it.
+ * Emojis are stripped, the PURL_OUTPUT_CASING rule is applied, and a reply
+ * that is at least PURL_OUTPUT_SIMILARITY percent similar to one of the last
+ * PURL_OUTPUT_HISTORY_SIZE replies is generated again, up to
+ * PURL_OUTPUT_MAX_REGENERATIONS times, keeping the least repetitive draft.
+ * Every rewrite is logged with its reasons and kept for GET /purl/output/rewrites.
+ *
+ * Plain-text generations (her thoughts, autonomous tweets) have no reply
+ * field and pass through unchanged.
+ */
+export class PurlOutputService extends Service {
+  static serviceType = 'purl_output';
+  capabilityDescription =
+    'Strips emojis, applies casing rules and regenerates repetitive replies before they are sent.';
+
+  private recent: string[] = [];
+  private rewrites: OutputRewrite[] = [];
+  private originalUseModel: IAgentRuntime['useModel'] | null = null;
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting Purl output service ***');
+    const service = new PurlOutputService(runtime);
+    await service.load();
+    if (getConfig().PURL_OUTPUT_FILTER) {
+      service.install();
+    }
+    return service;
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping Purl output service ***');
+    const service = runtime.getService(PurlOutputService.serviceType);
+    if (!service) {
+      throw new Error('Purl output service not found');
+    }
+    await service.stop();
+  }
+
+  private get cacheKey() {
+    return `purl-output:${this.runtime.agentId}`;
+  }
+
+  async load() {
+    try {
+      const saved = await this.runtime.getCache<{
+        recent: string[];
+        rewrites: OutputRewrite[];
+      }>(this.cacheKey);
+      if (saved) {
+        this.recent = (saved.recent ?? []).slice(-getConfig().PURL_OUTPUT_HISTORY_SIZE);
+        this.rewrites = (saved.rewrites ?? []).slice(-MAX_REWRITES);
+      }
+    } catch (error) {
+      logger.warn({ error }, 'Could not load recent replies, starting with an empty history');
+    }
+  }
+
+  /**
+   * Routes the runtime's text model calls through review().
+   */
+  install() {
+    if (this.originalUseModel) return;
+    const original = this.runtime.useModel.bind(this.runtime);
+    this.originalUseModel = this.runtime.useModel;
+
+    this.runtime.useModel = (async (type: string, params: any) => {
+      const response = await original(type as any, params);
+      if (!OUTPUT_MODEL_TYPES.includes(type) || typeof response !== 'string') return response;
+      if (typeof params?.prompt !== 'string') return response;
+      const field = findReplyField(response);
+      if (!field) return response;
+
+      // Each regenerated response is kept whole so its thought and actions go with its text
+      const candidates = [{ response, field }];
+      const regenerate = async (hint: string) => {
+        const next = await original(type as any, {
+          ...params,
+          prompt: `${params.prompt}\n\n${hint}`,
+        });
+        const nextField = typeof next === 'string' ? findReplyField(next) : null;
+        if (!nextField) return null;
+        candidates.push({ response: next as string, field: nextField });
+        return nextField.value;
+      };
+
+      const { text, attempt } = await this.review(field.value, regenerate);
+      const chosen = candidates[attempt];
+      return (
+        chosen.response.slice(0, chosen.field.start) +
+        text +
+        chosen.response.slice(chosen.field.end)
+      );
+    }) as IAgentRuntime['useModel'];
+  }
+
+  /**
+   * Applies the style rules to a draft reply and asks `regenerate` for new
+   * drafts while it repeats a recent reply. Returns the text to send and which
+   * draft it came from (0 for the original, n for the nth regeneration), and
+   * records the reply so later ones are compared against it.
+   */
+  async review(
+    draft: string,
+    regenerate: (hint: string) => Promise<string | null>
+  ): Promise<{ text: string; attempt: number }> {
+    const config = getConfig();
+    const threshold = config.PURL_OUTPUT_SIMILARITY / 100;
+    const check = (text: string, attempt: number) => {
+      const styled = applyStyleRules(text, { casing: config.PURL_OUTPUT_CASING });
+      return { ...styled, attempt, match: findMostSimilar(styled.text, this.recent) };
+    };
+
+    let best = check(draft, 0);
+    const repeated = best.match && best.match.score >= threshold ? best.match : null;
+    let regenerations = 0;
+
+    while (best.match && best.match.score >= threshold) {
+      if (regenerations >= config.PURL_OUTPUT_MAX_REGENERATIONS) break;
+      regenerations++;
+      const next = await regenerate(repeatHint(best.match.text));
+      if (next === null) break;
+      const candidate = check(next, regenerations);
+      if (!candidate.match || candidate.match.score < best.match.score) best = candidate;
+    }
+
+    // Emoji and casing reasons are those of the draft that is sent
+    const reasons: RewriteReason[] = [
+      ...(repeated ? ['repetition' as const] : []),
+      ...best.reasons,
+    ];
+    if (reasons.length > 0) {
+      this.recordRewrite({
+        timestamp: Date.now(),
+        reasons,
+        original: draft,
+        text: best.text,
+        ...(repeated
+          ? {
+              repeated: { text: repeated.text, similarity: Math.round(repeated.score * 100) / 100 },
+            }
+          : {}),
+        regenerations,
+      });
+    }
+
+    this.recent = [...this.recent, best.text].slice(-config.PURL_OUTPUT_HISTORY_SIZE);
+    await this.save();
+    return { text: best.text, attempt: best.attempt };
+  }
+
+  /** Recorded rewrites, oldest first. */
+  getRewrites(limit = MAX_REWRITES): OutputRewrite[] {
+    return this.rewrites.slice(-limit);
+  }
+
+  private recordRewrite(rewrite: OutputRewrite) {
+    this.rewrites = [...this.rewrites, rewrite].slice(-MAX_REWRITES);
+    logger.info(`Rewrote reply (${rewrite.reasons.join(', ')}): ${rewrite.text}`);
+  }
+
+  private async save() {
+    try {
+      await this.runtime.setCache(this.cacheKey, { recent: this.recent, rewrites: this.rewrites });
+    } catch (error) {
+      logger.error({ error }, 'Failed to persist Purl output history');
+    }
+  }
+
+  async stop() {
+    logger.info('*** Stopping Purl output service instance ***');
+    if (this.originalUseModel) {
+      this.runtime.useModel = this.originalUseModel;
+      this.originalUseModel = null;
+    }
+  }
+}
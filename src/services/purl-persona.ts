@@ -0,0 +1,171 @@
+import { type Character, type IAgentRuntime, Service, logger } from '@elizaos/core';
+import { type PersonaConfig, type PersonaProfile } from '../characters/schema';
+
+/** Why a profile was picked for a message, most specific first. */
+export type PersonaReason = 'room' | 'platform' | 'default';
+
+export interface ActivePersona {
+  name: string;
+  profile: PersonaProfile;
+  reason: PersonaReason;
+}
+
+/** Selections made at runtime, on top of the ones in the character file. */
+export interface PersonaOverrides {
+  default?: string;
+  rooms: Record<string, string>;
+}
+
+/**
+ * Returns the persona settings of a character file, if it has any.
+ */
+export function getPersonaConfig(character: Character): PersonaConfig | undefined {
+  return (character as Character & { personas?: PersonaConfig }).personas;
+}
+
+/**
+ * Picks which of Purl's persona profiles ("cat", "degen", ...) applies to a
+ * message: a room override first, then the profile mapped to the message's
+ * platform, then the default. Profiles are read from the running character on
+ * every call, so character file reloads take effect immediately.
+ *
+ * Operators can replace the default and pin rooms to a profile at runtime.
+ * Those overrides are persisted through the runtime cache; ones naming a
+ * profile that was since removed from the file are ignored.
+ */
+export class PurlPersonaService extends Service {
+  static serviceType = 'purl_persona';
+  capabilityDescription =
+    'Selects the persona profile Purl speaks with for each platform and room.';
+
+  private overrides: PersonaOverrides = { rooms: {} };
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting Purl persona service ***');
+    const service = new PurlPersonaService(runtime);
+    await service.load();
+    return service;
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping Purl persona service ***');
+    const service = runtime.getService(PurlPersonaService.serviceType);
+    if (!service) {
+      throw new Error('Purl persona service not found');
+    }
+    await service.stop();
+  }
+
+  private get cacheKey() {
+    return `purl-persona:${this.runtime.agentId}`;
+  }
+
+  async load() {
+    try {
+      const saved = await this.runtime.getCache<PersonaOverrides>(this.cacheKey);
+      if (saved) {
+        this.overrides = { default: saved.default, rooms: { ...saved.rooms } };
+      }
+    } catch (error) {
+      logger.warn({ error }, 'Could not load persona overrides, using the character file');
+    }
+  }
+
+  private get personaConfig(): PersonaConfig | undefined {
+    return getPersonaConfig(this.runtime.character);
+  }
+
+  /** Names of the profiles defined in the character file. */
+  listProfiles(): string[] {
+    return Object.keys(this.personaConfig?.profiles ?? {});
+  }
+
+  hasProfile(name: string): boolean {
+    return this.listProfiles().includes(name);
+  }
+
+  /** The profile used where no room or platform mapping applies. */
+  getDefault(): string | undefined {
+    const override = this.overrides.default;
+    return override && this.hasProfile(override) ? override : this.personaConfig?.default;
+  }
+
+  /**
+   * Makes `name` the default profile, or goes back to the file's default when
+   * it is null.
+   */
+  async setDefault(name: string | null) {
+    if (name !== null) this.assertProfile(name);
+    this.overrides.default = name ?? undefined;
+    await this.save();
+    logger.info(`Purl persona default set to ${this.getDefault()}`);
+  }
+
+  /**
+   * Pins a room to profile `name`, or removes the pin when it is null.
+   */
+  async setRoomPersona(roomId: string, name: string | null) {
+    if (name === null) {
+      delete this.overrides.rooms[roomId];
+    } else {
+      this.assertProfile(name);
+      this.overrides.rooms[roomId] = name;
+    }
+    await this.save();
+    logger.info(`Purl persona for room ${roomId} set to ${name ?? 'the platform default'}`);
+  }
+
+  /**
+   * Resolves the profile for a message in `roomId` from platform `source`.
+   * Returns null when the character defines no personas.
+   */
+  resolve({ roomId, source }: { roomId?: string; source?: string } = {}): ActivePersona | null {
+    const config = this.personaConfig;
+    if (!config) return null;
+
+    const candidates: Array<[string | undefined, PersonaReason]> = [
+      [roomId ? this.overrides.rooms[roomId] : undefined, 'room'],
+      [roomId ? config.rooms?.[roomId] : undefined, 'room'],
+      [source ? config.platforms?.[source] : undefined, 'platform'],
+      [this.getDefault(), 'default'],
+    ];
+    for (const [name, reason] of candidates) {
+      if (name && config.profiles[name]) {
+        return { name, profile: config.profiles[name], reason };
+      }
+    }
+    return null;
+  }
+
+  /** Everything operators need to see what is selected where. */
+  getSelection() {
+    const config = this.personaConfig;
+    return {
+      profiles: this.listProfiles(),
+      default: this.getDefault() ?? null,
+      fileDefault: config?.default ?? null,
+      platforms: { ...config?.platforms },
+      rooms: { ...config?.rooms, ...this.overrides.rooms },
+    };
+  }
+
+  private assertProfile(name: string) {
+    if (!this.hasProfile(name)) {
+      throw new Error(
+        `Unknown persona "${name}". Expected one of: ${this.listProfiles().join(', ')}`
+      );
+    }
+  }
+
+  private async save() {
+    await this.runtime.setCache(this.cacheKey, this.overrides);
+  }
+
+  async stop() {
+    logger.info('*** Stopping Purl persona service instance ***');
+  }
+}
@@ -0,0 +1,361 @@
+import { type IAgentRuntime, Service, logger } from '@elizaos/core';
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+import { Server, type Socket } from 'socket.io';
+import { CONFIG_DEFAULTS, getConfig } from '../config/env';
+import {
+  type InvalidPayloadHandler,
+  PROTOCOL_EVENT,
+  PROTOCOL_VERSION,
+  PURL_CLIENT_EVENTS,
+  PURL_SERVER_EVENTS,
+  type PurlServerEvent,
+  type PurlServerPayload,
+  listen,
+  readPayload,
+} from '../../frontend/protocol/socket';
+import { RateLimiterService } from './rate-limiter';
+
+/**
+ * Default port for Purl's realtime socket when PURL_SOCKET_PORT is not set.
+ * Kept separate from the ElizaOS server port so the agent server's own
+ * Socket.IO router stays untouched.
+ */
+export const DEFAULT_PURL_SOCKET_PORT = CONFIG_DEFAULTS.PURL_SOCKET_PORT;
+
+/** Sent to a client whose message was dropped by the per-socket rate limit. */
+export const SOCKET_RATE_LIMITED_EVENT = 'rateLimited';
+
+/** Sent by a chat page to receive the events of one ElizaOS channel, and to stop. */
+export const JOIN_CHAT_EVENT = 'joinChat';
+export const LEAVE_CHAT_EVENT = 'leaveChat';
+
+/** Service the ElizaOS server registers on each agent to reach its messaging API. */
+export const MESSAGE_BUS_SERVICE = 'message-bus-service';
+
+/** The part of the ElizaOS message bus service used to check chat joins. */
+interface MessageBusLike {
+  getChannelParticipants(channelId: string): Promise<string[]>;
+}
+
+/** The token issued for a chat, stored as its SHA-256 hash. */
+export interface ChatToken {
+  entityId: string;
+  hash: string;
+  issuedAt: number;
+}
+
+const hashToken = (token: string) => createHash('sha256').update(token).digest();
+
+const chatRoom = (channelId: string) => `chat:${channelId}`;
+
+const dropMalformed: InvalidPayloadHandler = (event, issues) =>
+  logger.warn({ event, issues }, 'Dropped a malformed Purl socket payload');
+
+/**
+ * Client address for the per-IP connection limit. X-Forwarded-For is written
+ * by the client as much as by proxies, so it is only read behind
+ * TRUSTED_PROXY_COUNT proxies, and then only the entry the outermost of them
+ * appended; otherwise the connection's own address is used.
+ */
+export function getSocketIp(
+  socket: Pick<Socket, 'handshake'>,
+  trustedProxies = getConfig().TRUSTED_PROXY_COUNT
+): string {
+  const forwarded = socket.handshake.headers?.['x-forwarded-for'];
+  if (trustedProxies > 0 && forwarded) {
+    const entries = (Array.isArray(forwarded) ? forwarded.join(',') : forwarded)
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    const client = entries[Math.max(0, entries.length - trustedProxies)];
+    if (client) return client;
+  }
+  return socket.handshake.address || 'unknown';
+}
+
+/**
+ * Realtime bridge between the plugin and the frontend.
+ *
+ * ElizaOS does not expose its Socket.IO server to plugins, so Purl runs a small
+ * dedicated Socket.IO server that actions and services can broadcast through
+ * (cat animation state, and anything else the frontend should react to live).
+ * Events broadcast with `retain` are remembered and replayed to new clients so
+ * a freshly loaded page starts in sync. Chat pages join their channel's room
+ * for events meant only for that chat, such as streamed replies, with the
+ * chat token issued when they created the channel (see issueChatToken).
+ * Connections
+ * per IP and client messages per socket are limited through the rate limiter
+ * service.
+ *
+ * Every event follows frontend/protocol/socket.ts: payloads from clients, and the
+ * ones sent to them, are validated there, and malformed ones are logged and
+ * dropped.
+ */
+export class PurlSocketService extends Service {
+  static serviceType = 'purl_socket';
+  capabilityDescription = 'Broadcasts realtime Purl events to frontend clients over Socket.IO.';
+
+  private io: Server | null = null;
+  private listenError: string | null = null;
+  private lastPayloads = new Map<string, unknown>();
+  private chatTokens: Record<string, ChatToken> = {};
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting Purl socket service ***');
+    const service = new PurlSocketService(runtime);
+    await service.load();
+    service.listen();
+    return service;
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping Purl socket service ***');
+    const service = runtime.getService(PurlSocketService.serviceType);
+    if (!service) {
+      throw new Error('Purl socket service not found');
+    }
+    await service.stop();
+  }
+
+  private get cacheKey() {
+    return `purl-chat-tokens:${this.runtime.agentId}`;
+  }
+
+  async load() {
+    try {
+      const saved = await this.runtime.getCache<Record<string, ChatToken>>(this.cacheKey);
+      if (saved) this.chatTokens = saved;
+    } catch (error) {
+      logger.warn({ error }, 'Could not load chat tokens, chats must be started again to stream');
+    }
+  }
+
+  /**
+   * Opens the Socket.IO server on PURL_SOCKET_PORT. Origins are restricted to
+   * ALLOWED_ORIGINS when it is set, matching the production CORS settings.
+   * A port that cannot be bound is logged and reported by getStatus rather
+   * than taking the agent down.
+   */
+  private listen() {
+    const { PURL_SOCKET_PORT: port, ALLOWED_ORIGINS: allowedOrigins } = getConfig();
+
+    const httpServer = createServer();
+    httpServer.on('error', (error) => {
+      this.listenError = error.message;
+      logger.error({ error, port }, 'Purl socket server failed');
+    });
+    httpServer.on('listening', () => {
+      this.listenError = null;
+      logger.info({ port }, 'Purl socket listening');
+    });
+
+    this.io = new Server(httpServer, {
+      cors: {
+        origin: allowedOrigins.length ? allowedOrigins : '*',
+        methods: ['GET', 'POST'],
+      },
+    });
+
+    this.io.use((socket, next) => {
+      const limiter = this.getRateLimiter();
+      if (limiter && !limiter.openConnection(getSocketIp(socket))) {
+        return next(new Error('Too many connections from this address'));
+      }
+      next();
+    });
+
+    this.io.on('connection', (socket) => {
+      logger.debug({ socketId: socket.id }, 'Purl socket client connected');
+      this.checkProtocolVersion(socket);
+      this.limitMessages(socket);
+      listen(
+        socket,
+        PURL_CLIENT_EVENTS,
+        JOIN_CHAT_EVENT,
+        ({ channelId, entityId, token }) => this.joinChat(socket, channelId, entityId, token),
+        dropMalformed
+      );
+      listen(
+        socket,
+        PURL_CLIENT_EVENTS,
+        LEAVE_CHAT_EVENT,
+        ({ channelId }) => socket.leave(chatRoom(channelId)),
+        dropMalformed
+      );
+      socket.emit(PROTOCOL_EVENT, { version: PROTOCOL_VERSION });
+      for (const [event, payload] of this.lastPayloads) {
+        socket.emit(event, payload);
+      }
+    });
+
+    httpServer.listen(port);
+  }
+
+  /** Adds the socket to a chat's room when it may follow the chat (see canFollowChat). */
+  private async joinChat(socket: Socket, channelId: string, entityId: string, token: string) {
+    try {
+      if (await this.canFollowChat(channelId, entityId, token)) {
+        socket.join(chatRoom(channelId));
+        return;
+      }
+      logger.warn(
+        { socketId: socket.id, channelId, entityId },
+        'Refused a chat join without the chat token'
+      );
+    } catch (error) {
+      logger.error({ error, channelId }, 'Could not check the participants of a chat');
+    }
+  }
+
+  /** Whether the messaging server lists the visitor among the channel's participants. */
+  async isChatParticipant(channelId: string, entityId: string): Promise<boolean> {
+    const bus = this.runtime.getService(MESSAGE_BUS_SERVICE) as MessageBusLike | null;
+    const participants = (await bus?.getChannelParticipants(channelId)) ?? [];
+    return participants.includes(entityId);
+  }
+
+  /**
+   * Issues the token a chat page follows its chat with, here and on
+   * GET /purl/chat/events. The messaging API takes the visitor ID a page
+   * sends on trust, and channel and visitor IDs show up in the logs, so the
+   * token is what tells the page that created a chat from any other: one is
+   * issued per channel, to the page that asks first, right after creating
+   * it. Returns null when the channel's token was issued already.
+   */
+  async issueChatToken(channelId: string, entityId: string): Promise<string | null> {
+    if (this.chatTokens[channelId]) return null;
+    const token = randomBytes(24).toString('base64url');
+    this.chatTokens[channelId] = {
+      entityId,
+      hash: hashToken(token).toString('hex'),
+      issuedAt: Date.now(),
+    };
+    await this.runtime.setCache(this.cacheKey, this.chatTokens);
+    return token;
+  }
+
+  /**
+   * Whether a page may follow a chat: it holds the token issued for the
+   * channel to this visitor, who is still one of its participants.
+   */
+  async canFollowChat(channelId: string, entityId: string, token: string): Promise<boolean> {
+    const issued = this.chatTokens[channelId];
+    if (!issued || issued.entityId !== entityId) return false;
+    if (!timingSafeEqual(hashToken(token), Buffer.from(issued.hash, 'hex'))) return false;
+    return this.isChatParticipant(channelId, entityId);
+  }
+
+  private getRateLimiter() {
+    return this.runtime.getService<RateLimiterService>(RateLimiterService.serviceType);
+  }
+
+  /**
+   * Clients send the protocol version they were built for; a different one
+   * means the frontend and the plugin were deployed out of step.
+   */
+  private checkProtocolVersion(socket: Socket) {
+    const clientVersion = socket.handshake.auth?.protocolVersion;
+    if (clientVersion !== undefined && clientVersion !== PROTOCOL_VERSION) {
+      logger.warn(
+        { socketId: socket.id, clientVersion, protocolVersion: PROTOCOL_VERSION },
+        'Purl socket client uses a different protocol version'
+      );
+    }
+  }
+
+  /**
+   * Drops client messages beyond WS_MESSAGE_RATE_LIMIT per minute and tells the
+   * client when it may send again. Also releases the IP's connection slot on
+   * disconnect.
+   */
+  private limitMessages(socket: Socket) {
+    const ip = getSocketIp(socket);
+    socket.on('disconnect', () => this.getRateLimiter()?.closeConnection(ip));
+
+    socket.use(([event], next) => {
+      const limiter = this.getRateLimiter();
+      if (!limiter?.enabled) return next();
+
+      const now = Date.now();
+      limiter
+        .consume('socketMessages', [`socket:${socket.id}`], now)
+        .then((result) => {
+          if (result.allowed) return next();
+          socket.emit(SOCKET_RATE_LIMITED_EVENT, {
+            event,
+            retryAfter: Math.max(1, Math.ceil((result.resetAt - now) / 1000)),
+          });
+        })
+        .catch((error) => {
+          logger.error({ error }, 'Socket rate limit check failed');
+          next();
+        });
+    });
+  }
+
+  /**
+   * Sends an event to every connected client. Retained events are replayed to
+   * clients that connect later. A payload that does not match the protocol is
+   * logged and not sent.
+   */
+  broadcast<E extends PurlServerEvent>(
+    event: E,
+    payload: PurlServerPayload<E>,
+    options: { retain?: boolean } = {}
+  ) {
+    const parsed = readPayload(PURL_SERVER_EVENTS, event, payload, dropMalformed);
+    if (parsed === undefined) return;
+    if (options.retain) {
+      this.lastPayloads.set(event, parsed);
+    }
+    this.io?.emit(event, parsed);
+  }
+
+  /**
+   * Sends an event to the clients following one chat (see JOIN_CHAT_EVENT),
+   * checked against the protocol like `broadcast`.
+   */
+  sendToChat<E extends PurlServerEvent>(
+    channelId: string,
+    event: E,
+    payload: PurlServerPayload<E>
+  ) {
+    const parsed = readPayload(PURL_SERVER_EVENTS, event, payload, dropMalformed);
+    if (parsed === undefined) return;
+    this.io?.to(chatRoom(channelId)).emit(event, parsed);
+  }
+
+  /**
+   * Returns the last retained payload for an event, if any.
+   */
+  getLastPayload<T = unknown>(event: string): T | undefined {
+    return this.lastPayloads.get(event) as T | undefined;
+  }
+
+  /**
+   * Whether the server is bound to its port, why not if binding failed, and
+   * how many clients are connected; reported by the readiness check.
+   */
+  getStatus(): { listening: boolean; port: number; clients: number; error?: string } {
+    return {
+      listening: Boolean(this.io?.httpServer?.listening),
+      port: getConfig().PURL_SOCKET_PORT,
+      clients: this.io?.engine?.clientsCount ?? 0,
+      ...(this.listenError && { error: this.listenError }),
+    };
+  }
+
+  async stop() {
+    logger.info('*** Stopping Purl socket service instance ***');
+    await new Promise<void>((resolve) => {
+      if (!this.io) return resolve();
+      this.io.close(() => resolve());
+    });
+    this.io = null;
+  }
+}
@@ -0,0 +1,354 @@
+import { type IAgentRuntime, Service, logger } from '@elizaos/core';
+import { CONFIG_DEFAULTS, getConfig } from '../config/env';
+import { PurlSocketService } from './purl-socket';
+
+/**
+ * Purl's needs, each on a 0-100 scale.
+ *
+ * - hunger: 0 is full, 100 is starving
+ * - energy: 0 is exhausted, 100 is fully rested
+ * - curiosity: how restless/bored she is; high means she wants stimulation
+ * - affection: how loved she feels right now
+ */
+export interface PurlNeeds {
+  hunger: number;
+  energy: number;
+  curiosity: number;
+  affection: number;
+}
+
+export interface PurlState extends PurlNeeds {
+  updatedAt: number;
+}
+
+export type PurlInteraction = 'feed' | 'play' | 'pet' | 'sleep';
+
+/** Needs before and after one interaction was applied. */
+export interface PurlInteractionResult {
+  before: PurlState;
+  after: PurlState;
+}
+
+/** What caused a change to Purl's needs. */
+export type PurlStateChangeSource = PurlInteraction | 'decay' | 'chat' | 'operator' | 'reset';
+
+/** One entry in the time series of recent changes. */
+export interface PurlStateChange {
+  timestamp: number;
+  source: PurlStateChangeSource;
+  delta: Partial<PurlNeeds>;
+  state: PurlNeeds;
+}
+
+export const DEFAULT_PURL_NEEDS: PurlNeeds = {
+  hunger: 30,
+  energy: 80,
+  curiosity: 50,
+  affection: 60,
+};
+
+/** Change per hour applied by the decay schedule. */
+export const NEEDS_DECAY_PER_HOUR: PurlNeeds = {
+  hunger: 8,
+  energy: -6,
+  curiosity: 5,
+  affection: -4,
+};
+
+/** Effect of each interaction on Purl's needs. */
+export const INTERACTION_EFFECTS: Record<PurlInteraction, Partial<PurlNeeds>> = {
+  feed: { hunger: -35, affection: 5 },
+  play: { energy: -12, curiosity: -25, affection: 8 },
+  pet: { affection: 15, curiosity: -5 },
+  sleep: { energy: 45, hunger: 5, curiosity: -10 },
+};
+
+/**
+ * Words in user chat that signal an interaction. Whole words only, so
+ * "petrol", "from scratch" or "fetch the string" do not count.
+ */
+const INTERACTION_PATTERNS: Array<[PurlInteraction, RegExp]> = [
+  [
+    'feed',
+    /\b(feed|feeds|feeding|fed|food|eat|treats|kibble|tuna|fish|snacks?|dinner|breakfast)\b/i,
+  ],
+  ['play', /\b(play|plays|playing|playtime|toys?|laser|yarn|chase)\b/i],
+  [
+    'pet',
+    /\b(pet|pets|petting|scratches|scratching|strokes?|stroking|cuddles?|cuddling|brush|brushing|boops?|hugs?)\b/i,
+  ],
+  ['sleep', /\b(sleep|sleeping|naps?|napping|nap ?time|bed ?time|tuck(ed)? in)\b/i],
+];
+
+/** How often the decay schedule runs. */
+export const DEFAULT_DECAY_INTERVAL_MS = CONFIG_DEFAULTS.PURL_STATE_DECAY_INTERVAL_MS;
+
+/** Number of changes kept in the persisted history. */
+export const MAX_HISTORY_ENTRIES = 500;
+
+/** Messages whose chat interactions are remembered for the actions (see interactFor). */
+const MAX_TRACKED_MESSAGES = 100;
+
+/** Socket event broadcast whenever Purl's needs change. */
+export const PURL_STATE_EVENT = 'purlStateChanged';
+
+export const NEED_KEYS: Array<keyof PurlNeeds> = ['hunger', 'energy', 'curiosity', 'affection'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const clamp = (value: number) => Math.min(100, Math.max(0, Math.round(value * 10) / 10));
+
+/**
+ * Returns the interactions a chat message implies, in a stable order.
+ */
+export function detectInteractions(text: string | undefined): PurlInteraction[] {
+  if (!text) return [];
+  return INTERACTION_PATTERNS.filter(([, pattern]) => pattern.test(text)).map(
+    ([interaction]) => interaction
+  );
+}
+
+/**
+ * Tracks Purl's virtual pet needs over time.
+ *
+ * Needs decay on a schedule, change when users interact with her, and are
+ * persisted through the runtime's database-backed cache so they survive restarts.
+ * Time spent offline is applied on load, so a long restart leaves her hungry.
+ */
+export class PurlStateService extends Service {
+  static serviceType = 'purl_state';
+  capabilityDescription =
+    "Simulates Purl's hunger, energy, curiosity and affection and persists them between restarts.";
+
+  private state: PurlState = { ...DEFAULT_PURL_NEEDS, updatedAt: Date.now() };
+  private history: PurlStateChange[] = [];
+  private decayTimer: ReturnType<typeof setInterval> | null = null;
+  /** Interactions applied from chat keywords, by message ID, until an action claims them. */
+  private chatInteractions = new Map<
+    string,
+    Partial<Record<PurlInteraction, PurlInteractionResult>>
+  >();
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting Purl state service ***');
+    const service = new PurlStateService(runtime);
+    await service.load();
+    service.startDecay();
+    return service;
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping Purl state service ***');
+    const service = runtime.getService(PurlStateService.serviceType);
+    if (!service) {
+      throw new Error('Purl state service not found');
+    }
+    await service.stop();
+  }
+
+  private get cacheKey() {
+    return `purl-state:${this.runtime.agentId}`;
+  }
+
+  private get historyCacheKey() {
+    return `purl-state-history:${this.runtime.agentId}`;
+  }
+
+  /**
+   * Restores the persisted state and catches up on decay since it was saved.
+   */
+  async load() {
+    try {
+      const saved = await this.runtime.getCache<PurlState>(this.cacheKey);
+      if (saved) {
+        this.state = { ...DEFAULT_PURL_NEEDS, ...saved };
+      }
+      const history = await this.runtime.getCache<PurlStateChange[]>(this.historyCacheKey);
+      if (Array.isArray(history)) {
+        this.history = history.slice(-MAX_HISTORY_ENTRIES);
+      }
+    } catch (error) {
+      logger.warn({ error }, 'Could not load Purl state, starting from defaults');
+    }
+    await this.applyDecay();
+  }
+
+  private startDecay() {
+    const interval = getConfig().PURL_STATE_DECAY_INTERVAL_MS;
+    this.decayTimer = setInterval(() => {
+      this.applyDecay().catch((error) => logger.error({ error }, 'Purl state decay failed'));
+    }, interval);
+    this.decayTimer.unref?.();
+  }
+
+  getState(): PurlState {
+    return { ...this.state };
+  }
+
+  /**
+   * Returns recorded changes, oldest first. Consecutive decay ticks are merged
+   * into a single entry so the series stays readable.
+   */
+  getHistory(options: { since?: number; limit?: number } = {}): PurlStateChange[] {
+    const { since = 0, limit = MAX_HISTORY_ENTRIES } = options;
+    return this.history.filter((change) => change.timestamp >= since).slice(-limit);
+  }
+
+  /**
+   * Advances needs by the time elapsed since the last update.
+   */
+  async applyDecay(now = Date.now()) {
+    const hours = Math.max(0, now - this.state.updatedAt) / HOUR_MS;
+    if (hours === 0) return this.getState();
+
+    const delta: Partial<PurlNeeds> = {};
+    for (const key of NEED_KEYS) {
+      delta[key] = NEEDS_DECAY_PER_HOUR[key] * hours;
+    }
+    return this.update(delta, { source: 'decay', now });
+  }
+
+  /**
+   * Applies a relative change to the needs, records it in the history,
+   * persists the result and broadcasts it to connected frontends.
+   */
+  async update(
+    delta: Partial<PurlNeeds>,
+    options: { source?: PurlStateChangeSource; now?: number } = {}
+  ) {
+    const { source = 'operator', now = Date.now() } = options;
+    const previous = this.state;
+    const next: PurlState = { ...previous, updatedAt: now };
+    for (const [key, value] of Object.entries(delta) as Array<[keyof PurlNeeds, number]>) {
+      if (NEED_KEYS.includes(key)) {
+        next[key] = clamp(next[key] + value);
+      }
+    }
+    this.state = next;
+    this.recordChange(source, previous, next);
+    await this.persist();
+    this.broadcast();
+    return this.getState();
+  }
+
+  /**
+   * Sets needs to absolute values, defaulting to a freshly adopted cat.
+   */
+  async reset(needs: Partial<PurlNeeds> = DEFAULT_PURL_NEEDS) {
+    const target = { ...DEFAULT_PURL_NEEDS, ...needs };
+    const delta: Partial<PurlNeeds> = {};
+    for (const key of NEED_KEYS) {
+      delta[key] = clamp(target[key]) - this.state[key];
+    }
+    return this.update(delta, { source: 'reset' });
+  }
+
+  private recordChange(source: PurlStateChangeSource, previous: PurlState, next: PurlState) {
+    const delta: Partial<PurlNeeds> = {};
+    for (const key of NEED_KEYS) {
+      const change = Math.round((next[key] - previous[key]) * 10) / 10;
+      if (change !== 0) delta[key] = change;
+    }
+    if (Object.keys(delta).length === 0) return;
+
+    const state: PurlNeeds = {
+      hunger: next.hunger,
+      energy: next.energy,
+      curiosity: next.curiosity,
+      affection: next.affection,
+    };
+    const last = this.history[this.history.length - 1];
+    if (source === 'decay' && last?.source === 'decay') {
+      for (const key of Object.keys(delta) as Array<keyof PurlNeeds>) {
+        delta[key] = Math.round(((last.delta[key] ?? 0) + delta[key]!) * 10) / 10;
+      }
+      this.history[this.history.length - 1] = { timestamp: next.updatedAt, source, delta, state };
+      return;
+    }
+
+    this.history.push({ timestamp: next.updatedAt, source, delta, state });
+    if (this.history.length > MAX_HISTORY_ENTRIES) {
+      this.history.splice(0, this.history.length - MAX_HISTORY_ENTRIES);
+    }
+  }
+
+  private broadcast() {
+    const socket = this.runtime.getService<PurlSocketService>(PurlSocketService.serviceType);
+    socket?.broadcast(PURL_STATE_EVENT, this.getState(), { retain: true });
+  }
+
+  /**
+   * Applies the effect of a single interaction.
+   */
+  async interact(interaction: PurlInteraction) {
+    await this.applyDecay();
+    return this.update(INTERACTION_EFFECTS[interaction], { source: interaction });
+  }
+
+  /**
+   * Applies an interaction a message asked for, for the pet interaction
+   * actions. When the message's keywords already applied it (see
+   * recordMessage), that change is returned instead of applying it twice.
+   */
+  async interactFor(
+    messageId: string | undefined,
+    interaction: PurlInteraction
+  ): Promise<PurlInteractionResult> {
+    const recorded = messageId ? this.chatInteractions.get(messageId) : undefined;
+    const applied = recorded?.[interaction];
+    if (applied) {
+      delete recorded[interaction];
+      return applied;
+    }
+    const before = await this.applyDecay();
+    const after = await this.interact(interaction);
+    return { before, after };
+  }
+
+  /**
+   * Updates needs from a user's chat message. Any message nudges curiosity
+   * down a little, since attention is stimulating; feeding, playing, petting
+   * and sleep keywords apply those interactions. With a message ID, they are
+   * remembered so the matching action does not apply them again.
+   */
+  async recordMessage(text: string | undefined, messageId?: string) {
+    await this.applyDecay();
+    let state = await this.update({ curiosity: -2 }, { source: 'chat' });
+    const interactions = detectInteractions(text);
+    const applied: Partial<Record<PurlInteraction, PurlInteractionResult>> = {};
+    for (const interaction of interactions) {
+      const before = state;
+      state = await this.update(INTERACTION_EFFECTS[interaction], { source: interaction });
+      applied[interaction] = { before, after: state };
+    }
+    if (messageId && interactions.length > 0) {
+      this.chatInteractions.set(messageId, applied);
+      if (this.chatInteractions.size > MAX_TRACKED_MESSAGES) {
+        this.chatInteractions.delete(this.chatInteractions.keys().next().value!);
+      }
+    }
+    return { state, interactions };
+  }
+
+  private async persist() {
+    try {
+      await this.runtime.setCache(this.cacheKey, this.state);
+      await this.runtime.setCache(this.historyCacheKey, this.history);
+    } catch (error) {
+      logger.error({ error }, 'Failed to persist Purl state');
+    }
+  }
+
+  async stop() {
+    logger.info('*** Stopping Purl state service instance ***');
+    if (this.decayTimer) {
+      clearInterval(this.decayTimer);
+      this.decayTimer = null;
+    }
+    await this.persist();
+  }
+}
@@ -0,0 +1,330 @@
+import {
+  EventType,
+  type GenerateTextParams,
+  type IAgentRuntime,
+  ModelType,
+  Service,
+  logger,
+} from '@elizaos/core';
+import { getConfig } from '../config/env';
+import { findPromptRuns } from '../models/reply-prompt';
+import { isTestModelEnabled } from '../models/test-model';
+import { applyStyleRules } from '../output/style-rules';
+import {
+  ReplyTextExtractor,
+  resolveStreamingProvider,
+  streamChatCompletion,
+} from '../streaming/reply-stream';
+import { PurlModerationService } from './purl-moderation';
+import { PurlSocketService } from './purl-socket';
+
+/** A piece of a reply being written: { channelId, messageId, inReplyTo, attempt, seq, delta }. */
+export const REPLY_CHUNK_EVENT = 'replyChunk';
+
+/** The end of a streamed reply: { channelId, messageId, inReplyTo, status, reason? }. */
+export const REPLY_END_EVENT = 'replyEnd';
+
+/** Name the streaming TEXT_LARGE handler is registered under. */
+export const STREAM_MODEL_PROVIDER = 'purl-stream';
+
+/** Ahead of the model plugins, which register with priority 0. */
+export const STREAM_MODEL_PRIORITY = 100;
+
+/** Pieces written within this many milliseconds are sent as one chunk. */
+export const CHUNK_INTERVAL_MS = 50;
+
+type ModelHandler = (runtime: IAgentRuntime, params: any) => Promise<any>;
+
+export type ReplyEndStatus = 'complete' | 'cancelled';
+
+interface ChatRun {
+  runId: string;
+  roomId: string;
+  channelId: string;
+  /** Central ID of the message being answered, as the chat page knows it. */
+  inReplyTo: string;
+  /** The message being answered, as the model sees it in the prompt. */
+  message: string;
+  attempt: number;
+  seq: number;
+  /** Reply text the model wrote so far, and the styled part of it already sent. */
+  raw: string;
+  text: string;
+  timer: ReturnType<typeof setTimeout> | null;
+  cancelled: boolean;
+  /** Stops the completion being streamed, if any. */
+  controller: AbortController | null;
+}
+
+/**
+ * Streams Purl's chat replies to the chat page while the model writes them.
+ *
+ * The service registers a TEXT_LARGE handler ahead of the model plugins. For
+ * model calls made while bootstrap answers a chat message, it streams the
+ * completion from OpenRouter or OpenAI (see src/streaming/reply-stream.ts),
+ * and sends the growing `<text>` field to the chat's room on the Purl socket.
+ * Other providers answer in one piece, which is sent as a single chunk; every
+ * other call goes straight to the handler that was registered before. A call
+ * belongs to the run whose message its prompt answers (see
+ * src/models/reply-prompt.ts); one that matches several runs is not streamed.
+ *
+ * Each reply is keyed by `messageId`, the bootstrap run ID, until the stored
+ * reply replaces it on the page. The preview gets the output stage's style
+ * rules, a word at a time since the rules read whole words; the stored text
+ * can still differ, since repetition and moderation are checked on the
+ * finished response. A new `attempt` (a retry or a regeneration) starts the
+ * text over. The stream ends 'complete' when the run does, or 'cancelled'
+ * with the run's status as the reason when bootstrap drops the reply (a newer
+ * message, a timeout, an error) or the moderation policy stops the preview.
+ * A dropped reply also stops its completion; a completion that goes quiet
+ * for PURL_CHAT_STREAM_TIMEOUT_MS is given up and the model plugin asked
+ * instead.
+ */
+export class PurlStreamService extends Service {
+  static serviceType = 'purl_stream';
+  capabilityDescription = "Streams Purl's chat replies to the chat page as they are written.";
+
+  private runs = new Map<string, ChatRun>();
+  private fallback: ModelHandler | null = null;
+  private active = false;
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting Purl stream service ***');
+    const service = new PurlStreamService(runtime);
+    if (getConfig().PURL_CHAT_STREAMING) {
+      service.install();
+    }
+    return service;
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping Purl stream service ***');
+    const service = runtime.getService(PurlStreamService.serviceType);
+    if (!service) {
+      throw new Error('Purl stream service not found');
+    }
+    await service.stop();
+  }
+
+  /**
+   * Puts the streaming handler in front of the TEXT_LARGE handler the model
+   * plugins registered. Services start after every plugin is registered, so
+   * that handler is known by now.
+   */
+  install() {
+    if (this.active) return;
+    const fallback = this.runtime.getModel(ModelType.TEXT_LARGE);
+    if (!fallback) {
+      logger.info('No TEXT_LARGE model registered, chat replies will not stream');
+      return;
+    }
+    this.fallback = fallback;
+    this.active = true;
+    const handler: ModelHandler = (runtime, params) => this.generate(runtime, params);
+    this.runtime.registerModel(
+      ModelType.TEXT_LARGE,
+      handler as any,
+      STREAM_MODEL_PROVIDER,
+      STREAM_MODEL_PRIORITY
+    );
+    const provider = this.getProvider();
+    logger.info(
+      provider
+        ? `Streaming chat replies from ${provider.name} (${provider.model})`
+        : 'Model provider cannot stream, chat replies are sent in one piece'
+    );
+  }
+
+  /**
+   * Starts following a run from bootstrap's RUN_STARTED, when it answers a
+   * message in an ElizaOS channel. A run still streaming in the same room is
+   * replaced by it. The payload's metadata is the message's content.
+   */
+  async trackRun(payload: {
+    runId?: string;
+    messageId?: string;
+    roomId?: string;
+    metadata?: { text?: unknown };
+  }) {
+    const { runId, messageId, roomId, metadata } = payload;
+    if (!this.active || !runId || !messageId || !roomId) return;
+    if (typeof metadata?.text !== 'string') return;
+    try {
+      const room = await this.runtime.getRoom(roomId as any);
+      if (!room?.channelId) return;
+      const message = await this.runtime.getMemoryById(messageId as any);
+      const sourceId = message?.metadata && (message.metadata as any).sourceId;
+
+      for (const run of this.runs.values()) {
+        if (run.roomId === roomId) this.end(run.runId, 'cancelled', 'replaced');
+      }
+      this.runs.set(runId, {
+        runId,
+        roomId,
+        channelId: room.channelId,
+        inReplyTo: typeof sourceId === 'string' ? sourceId : messageId,
+        message: metadata.text,
+        attempt: 0,
+        seq: 0,
+        raw: '',
+        text: '',
+        timer: null,
+        cancelled: false,
+        controller: null,
+      });
+    } catch (error) {
+      logger.error({ error }, 'Could not look up the chat of a run, its reply will not stream');
+    }
+  }
+
+  /**
+   * Ends a run's stream from RUN_ENDED or RUN_TIMEOUT. Bootstrap reports
+   * 'completed' for a reply it sent; anything else means it was dropped.
+   */
+  endRun(runId: string | undefined, status: string) {
+    if (!runId) return;
+    if (status === 'completed') this.end(runId, 'complete');
+    else this.end(runId, 'cancelled', status);
+  }
+
+  private async generate(runtime: IAgentRuntime, params: GenerateTextParams) {
+    const fallback = this.fallback as ModelHandler;
+    const runs = this.active ? findPromptRuns(this.runs.values(), params?.prompt) : [];
+    // The same text sent to two chats at once: there is no telling which this is
+    const run = runs.length === 1 ? runs[0] : undefined;
+    if (!run || (params as any).tools) {
+      return fallback(runtime, params);
+    }
+
+    const provider = this.getProvider();
+    if (provider) {
+      const onDelta = this.startAttempt(run);
+      const controller = new AbortController();
+      run.controller = controller;
+      try {
+        const { text, usage } = await streamChatCompletion(
+          provider,
+          { ...params, system: runtime.character.system },
+          onDelta,
+          { signal: controller.signal, idleTimeoutMs: getConfig().PURL_CHAT_STREAM_TIMEOUT_MS }
+        );
+        this.flush(run);
+        // The model plugins report usage themselves; this call went around them
+        if (usage) {
+          runtime.emitEvent(EventType.MODEL_USED, {
+            provider: provider.name,
+            type: ModelType.TEXT_LARGE,
+            prompt: params.prompt,
+            tokens: usage,
+          } as any);
+        }
+        return text;
+      } catch (error) {
+        // Bootstrap dropped the run: nobody is waiting for this reply any more
+        if (run.cancelled && controller.signal.aborted) throw error;
+        logger.error({ error }, 'Streaming the reply failed, asking the model plugin instead');
+      } finally {
+        if (run.controller === controller) run.controller = null;
+      }
+    }
+
+    const response = await fallback(runtime, params);
+    if (typeof response === 'string') this.startAttempt(run)(response);
+    this.flush(run);
+    return response;
+  }
+
+  /** Starts the reply over and returns the function that takes the model output. */
+  private startAttempt(run: ChatRun) {
+    run.attempt++;
+    run.raw = '';
+    run.text = '';
+    const extractor = new ReplyTextExtractor();
+    const attempt = run.attempt;
+    return (output: string) => {
+      if (run.cancelled || run.attempt !== attempt) return;
+      const delta = extractor.push(output);
+      if (!delta) return;
+      run.raw += delta;
+      run.timer ??= setTimeout(() => this.flush(run, false), CHUNK_INTERVAL_MS);
+    };
+  }
+
+  /**
+   * Sends what the model wrote since the last chunk, styled. Until the attempt
+   * is `done` the last word is held back, since more of it may follow.
+   */
+  private flush(run: ChatRun, done = true) {
+    if (run.timer) clearTimeout(run.timer);
+    run.timer = null;
+    if (run.cancelled) return;
+
+    const styled = applyStyleRules(run.raw, { casing: getConfig().PURL_OUTPUT_CASING }).text;
+    const text = done ? styled : styled.slice(0, styled.search(/\S*$/));
+    // A chunk only adds to what was sent; the stored reply corrects anything else
+    if (text.length <= run.text.length || !text.startsWith(run.text)) return;
+
+    const moderation = this.getModeration();
+    if (moderation && !moderation.allowsPreview(text, run.runId)) {
+      this.end(run.runId, 'cancelled', 'moderated');
+      return;
+    }
+    const delta = text.slice(run.text.length);
+    run.text = text;
+    this.getSocket()?.sendToChat(run.channelId, REPLY_CHUNK_EVENT, {
+      channelId: run.channelId,
+      messageId: run.runId,
+      inReplyTo: run.inReplyTo,
+      attempt: run.attempt,
+      seq: run.seq++,
+      delta,
+    });
+  }
+
+  private end(runId: string, status: ReplyEndStatus, reason?: string) {
+    const run = this.runs.get(runId);
+    if (!run) return;
+    if (status === 'complete') this.flush(run);
+    if (run.timer) clearTimeout(run.timer);
+    this.runs.delete(runId);
+    if (run.cancelled) return;
+    run.cancelled = true;
+    // A moderated preview stops showing, but the reply is still written and moderated as a whole
+    if (status === 'cancelled' && reason !== 'moderated') {
+      run.controller?.abort(new Error(`Reply ${reason ?? 'cancelled'}`));
+    }
+    // Nothing was shown for a run that never sent a chunk, so there is nothing to end
+    if (run.seq === 0) return;
+    this.getSocket()?.sendToChat(run.channelId, REPLY_END_EVENT, {
+      channelId: run.channelId,
+      messageId: run.runId,
+      inReplyTo: run.inReplyTo,
+      status,
+      ...(reason ? { reason } : {}),
+    });
+  }
+
+  /** The scripted test model replaces the real providers, so it is never bypassed. */
+  private getProvider() {
+    return isTestModelEnabled() ? null : resolveStreamingProvider(this.runtime);
+  }
+
+  private getSocket() {
+    return this.runtime.getService<PurlSocketService>(PurlSocketService.serviceType);
+  }
+
+  private getModeration() {
+    return this.runtime.getService<PurlModerationService>(PurlModerationService.serviceType);
+  }
+
+  async stop() {
+    logger.info('*** Stopping Purl stream service instance ***');
+    // The runtime cannot unregister a model, so the handler passes every call on
+    for (const runId of [...this.runs.keys()]) this.end(runId, 'cancelled', 'stopped');
+    this.active = false;
+  }
+}
@@ -0,0 +1,187 @@
+import { EventType, type IAgentRuntime, Service, logger } from '@elizaos/core';
+import {
+  type HourlyCounters,
+  type TelemetryCounters,
+  type TelemetryEvent,
+  type TokenUsage,
+  countEvent,
+  countInHours,
+  emptyCounters,
+} from '../telemetry/metrics';
+
+/** Number of event rows kept for GET /purl/metrics/events. */
+export const MAX_TELEMETRY_EVENTS = 500;
+
+/** Hours of per-hour counters kept. */
+export const TELEMETRY_RETENTION_HOURS = 48;
+
+/** How often recorded telemetry is written to the cache. */
+export const TELEMETRY_FLUSH_MS = 60_000;
+
+interface SavedTelemetry {
+  events: TelemetryEvent[];
+  hours: HourlyCounters[];
+  totals: TelemetryCounters;
+  since: number;
+}
+
+/**
+ * Records what the agent does as typed event rows and aggregates them into
+ * all-time and per-hour counters: messages received, worlds joined, message
+ * handler runs with their latency, status and chosen actions, and the tokens
+ * each model call used.
+ *
+ * The plugin's event handlers feed it. Model providers emit MODEL_USED
+ * without the runtime, so the service registers that handler itself and
+ * credits the tokens to the run in progress, which is attached to the run's
+ * row when it ends.
+ *
+ * Telemetry is persisted through the runtime cache once a minute rather than
+ * on every event, since model calls are frequent.
+ */
+export class PurlTelemetryService extends Service {
+  static serviceType = 'purl_telemetry';
+  capabilityDescription =
+    'Records runtime events and serves hourly counters in JSON and Prometheus format.';
+
+  private events: TelemetryEvent[] = [];
+  private hours: HourlyCounters[] = [];
+  private totals: TelemetryCounters = emptyCounters();
+  private since = Date.now();
+  private runTokens = new Map<string, TokenUsage>();
+  private dirty = false;
+  private stopped = false;
+  private flushTimer: ReturnType<typeof setInterval> | null = null;
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting Purl telemetry service ***');
+    const service = new PurlTelemetryService(runtime);
+    await service.load();
+    runtime.registerEvent(EventType.MODEL_USED, async (payload) =>
+      service.recordModelUsed(payload)
+    );
+    service.flushTimer = setInterval(() => {
+      service.flush().catch((error) => logger.error({ error }, 'Purl telemetry flush failed'));
+    }, TELEMETRY_FLUSH_MS);
+    service.flushTimer.unref?.();
+    return service;
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping Purl telemetry service ***');
+    const service = runtime.getService(PurlTelemetryService.serviceType);
+    if (!service) {
+      throw new Error('Purl telemetry service not found');
+    }
+    await service.stop();
+  }
+
+  private get cacheKey() {
+    return `purl-telemetry:${this.runtime.agentId}`;
+  }
+
+  async load() {
+    try {
+      const saved = await this.runtime.getCache<SavedTelemetry>(this.cacheKey);
+      if (saved) {
+        this.events = (saved.events ?? []).slice(-MAX_TELEMETRY_EVENTS);
+        this.hours = saved.hours ?? [];
+        this.totals = { ...emptyCounters(), ...saved.totals };
+        this.since = saved.since ?? this.since;
+      }
+    } catch (error) {
+      logger.warn({ error }, 'Could not load Purl telemetry, starting from zero');
+    }
+  }
+
+  /**
+   * Adds an event row and counts it. Runs collect the tokens their model
+   * calls reported.
+   */
+  record(event: TelemetryEvent) {
+    if (this.stopped) return;
+    let row = event;
+    if (event.type === 'run_ended' && !event.tokens && event.runId) {
+      const tokens = this.runTokens.get(event.runId);
+      this.runTokens.delete(event.runId);
+      if (tokens) row = { ...event, tokens };
+    }
+
+    this.events = [...this.events, row].slice(-MAX_TELEMETRY_EVENTS);
+    this.hours = countInHours(this.hours, row, TELEMETRY_RETENTION_HOURS);
+    countEvent(this.totals, row);
+    this.dirty = true;
+  }
+
+  /**
+   * Records a MODEL_USED event. Providers send the token counts but not the
+   * run, so they are credited to the run the runtime is currently in.
+   */
+  recordModelUsed(payload: {
+    type?: string;
+    provider?: string;
+    source?: string;
+    tokens?: TokenUsage;
+  }) {
+    const runId = this.runtime.getCurrentRunId?.();
+    if (runId && payload.tokens) {
+      const sum = this.runTokens.get(runId) ?? { prompt: 0, completion: 0, total: 0 };
+      this.runTokens.set(runId, {
+        prompt: sum.prompt + (payload.tokens.prompt ?? 0),
+        completion: sum.completion + (payload.tokens.completion ?? 0),
+        total: sum.total + (payload.tokens.total ?? 0),
+      });
+    }
+    this.record({
+      type: 'model_used',
+      timestamp: Date.now(),
+      source: payload.source,
+      model: payload.type,
+      provider: payload.provider,
+      tokens: payload.tokens,
+      runId,
+    });
+  }
+
+  /** Recorded event rows, oldest first, optionally only those after `since`. */
+  getEvents(options: { since?: number; limit?: number } = {}): TelemetryEvent[] {
+    const { since = 0, limit = MAX_TELEMETRY_EVENTS } = options;
+    return this.events.filter((event) => event.timestamp >= since).slice(-limit);
+  }
+
+  /** Per-hour counters for the last `limit` hours, oldest first. */
+  getHours(limit = TELEMETRY_RETENTION_HOURS): HourlyCounters[] {
+    return this.hours.slice(-limit);
+  }
+
+  /** Counters since telemetry started (`since`), surviving restarts. */
+  getTotals(): { since: number; counters: TelemetryCounters } {
+    return { since: this.since, counters: this.totals };
+  }
+
+  async flush() {
+    if (!this.dirty) return;
+    this.dirty = false;
+    const saved: SavedTelemetry = {
+      events: this.events,
+      hours: this.hours,
+      totals: this.totals,
+      since: this.since,
+    };
+    await this.runtime.setCache(this.cacheKey, saved);
+  }
+
+  async stop() {
+    logger.info('*** Stopping Purl telemetry service instance ***');
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+    this.stopped = true;
+  }
+}
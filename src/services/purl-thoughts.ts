@@ -0,0 +1,212 @@
+import { type IAgentRuntime, ModelType, Service, logger } from '@elizaos/core';
+import { CONFIG_DEFAULTS, getConfig } from '../config/env';
+import { formatPurlMood } from '../providers/purl-mood';
+import { PurlStateService } from './purl-state';
+
+export const BUSY_LEVELS = ['quiet', 'moderate', 'busy', 'chaotic'] as const;
+
+export type BusyLevel = (typeof BUSY_LEVELS)[number];
+
+/** Activity summary sent by the frontend's useAgentThoughts hook. */
+export interface ChatActivitySummary {
+  busyLevel: BusyLevel;
+  recentMessages: number;
+  activeConversations: number;
+  newMessages?: number;
+  newConversations?: number;
+}
+
+export interface PurlThought {
+  thought: string;
+  busyLevel: BusyLevel;
+  generatedAt: number;
+  expiresAt: number;
+}
+
+/** Thoughts are shown in a small bubble, so they have to stay short. */
+export const MAX_THOUGHT_LENGTH = 60;
+
+/** How long one generated thought is shared by every browser. */
+export const DEFAULT_THOUGHT_INTERVAL_MS = CONFIG_DEFAULTS.PURL_THOUGHT_INTERVAL_MS;
+
+/** Number of recent thoughts a new one must not repeat. */
+export const RECENT_THOUGHTS_LIMIT = 20;
+
+const MAX_GENERATION_ATTEMPTS = 3;
+
+const normalizeThought = (text: string) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Cleans raw model output into a single thought of at most MAX_THOUGHT_LENGTH
+ * characters, cutting at a word boundary when it runs long.
+ */
+export function cleanThought(raw: string): string {
+  const line =
+    raw
+      .split('\n')
+      .map((part) => part.trim())
+      .find(Boolean) ?? '';
+  const text = line
+    .replace(/^(thought|purl)\s*:\s*/i, '')
+    .replace(/^["'`]+|["'`]+$/g, '')
+    .trim();
+  if (text.length <= MAX_THOUGHT_LENGTH) return text;
+
+  const cut = text.slice(0, MAX_THOUGHT_LENGTH - 3);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 20 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:-]+$/, '')}...`;
+}
+
+function describeActivity(activity: ChatActivitySummary): string {
+  const { busyLevel, recentMessages, activeConversations, newMessages, newConversations } =
+    activity;
+  const lines = [
+    `Chat is ${busyLevel}: ${recentMessages} messages in the last five minutes across ${activeConversations} conversations.`,
+  ];
+  if (newMessages) lines.push(`${newMessages} new messages just came in.`);
+  if (newConversations) lines.push(`${newConversations} new conversations started.`);
+  return lines.join(' ');
+}
+
+/**
+ * Generates Purl's inner thoughts for the ThoughtBox on the home page.
+ *
+ * One thought is generated per interval and busy level and shared by every
+ * client, so a crowd of browsers costs a single model call. Each level keeps its
+ * own thought, so clients reporting different levels do not keep replacing each
+ * other's. Concurrent requests wait on the same generation, and new thoughts are
+ * checked against recent ones so the bubble does not repeat itself.
+ */
+export class PurlThoughtService extends Service {
+  static serviceType = 'purl_thoughts';
+  capabilityDescription = "Generates short, shared inner thoughts in Purl's voice.";
+
+  private current = new Map<BusyLevel, PurlThought>();
+  private pending = new Map<BusyLevel, Promise<PurlThought>>();
+  private recent: string[] = [];
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting Purl thought service ***');
+    return new PurlThoughtService(runtime);
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping Purl thought service ***');
+    const service = runtime.getService(PurlThoughtService.serviceType);
+    if (!service) {
+      throw new Error('Purl thought service not found');
+    }
+    await service.stop();
+  }
+
+  private get intervalMs() {
+    return getConfig().PURL_THOUGHT_INTERVAL_MS;
+  }
+
+  getRecentThoughts(): string[] {
+    return [...this.recent];
+  }
+
+  /**
+   * Returns the shared thought for this activity level, generating a new one
+   * when the level's cached thought has expired.
+   */
+  async getThought(
+    activity: ChatActivitySummary,
+    now = Date.now()
+  ): Promise<{ thought: PurlThought; cached: boolean }> {
+    const { busyLevel } = activity;
+    const current = this.current.get(busyLevel);
+    if (current && current.expiresAt > now) {
+      return { thought: current, cached: true };
+    }
+    const pending = this.pending.get(busyLevel);
+    if (pending) {
+      return { thought: await pending, cached: true };
+    }
+
+    const generation = this.generate(activity, now);
+    this.pending.set(busyLevel, generation);
+    try {
+      const thought = await generation;
+      return { thought, cached: false };
+    } finally {
+      this.pending.delete(busyLevel);
+    }
+  }
+
+  private async generate(activity: ChatActivitySummary, now: number): Promise<PurlThought> {
+    const prompt = this.buildPrompt(activity);
+    const seen = new Set(this.recent.map(normalizeThought));
+
+    for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+      const raw = await this.runtime.useModel(ModelType.TEXT_SMALL, {
+        prompt,
+        maxTokens: 40,
+        temperature: 0.9,
+      });
+      const text = cleanThought(String(raw ?? ''));
+      const key = normalizeThought(text);
+
+      if (!key || seen.has(key)) {
+        logger.warn(`Discarding empty or repeated thought (attempt ${attempt}): ${text}`);
+        seen.add(key);
+        continue;
+      }
+
+      this.recent = [...this.recent, text].slice(-RECENT_THOUGHTS_LIMIT);
+      const thought: PurlThought = {
+        thought: text,
+        busyLevel: activity.busyLevel,
+        generatedAt: now,
+        expiresAt: now + this.intervalMs,
+      };
+      this.current.set(activity.busyLevel, thought);
+      return thought;
+    }
+
+    // Keep showing the last thought rather than repeating an older one
+    const last = this.current.get(activity.busyLevel);
+    if (last) {
+      const thought = { ...last, expiresAt: now + this.intervalMs };
+      this.current.set(activity.busyLevel, thought);
+      return thought;
+    }
+    throw new Error('Model did not produce a new thought');
+  }
+
+  private buildPrompt(activity: ChatActivitySummary): string {
+    const { character } = this.runtime;
+    const bio = Array.isArray(character.bio) ? character.bio : [character.bio];
+    const bioSample = [...bio].sort(() => Math.random() - 0.5).slice(0, 3);
+    const purlState = this.runtime.getService<PurlStateService>(PurlStateService.serviceType);
+
+    return [
+      `You are ${character.name}.`,
+      character.system,
+      `About ${character.name}:\n${bioSample.map((line) => `- ${line}`).join('\n')}`,
+      purlState ? formatPurlMood(purlState.getState()) : '',
+      `# What you are watching\n${describeActivity(activity)}`,
+      this.recent.length
+        ? `# Thoughts you already had (do not repeat them)\n${this.recent.slice(-10).join('\n')}`
+        : '',
+      `Write one short inner thought about what you are observing or feeling, in your own voice. Under ${MAX_THOUGHT_LENGTH} characters. No quotes, no emojis, no hashtags. Reply with the thought only.`,
+    ]
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  async stop() {
+    logger.info('*** Stopping Purl thought service instance ***');
+    this.pending.clear();
+  }
+}
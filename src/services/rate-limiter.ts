@@ -0,0 +1,223 @@
+import { type IAgentRuntime, Service, logger } from '@elizaos/core';
+import { getConfig, type PurlConfig } from '../config/env';
+
+/** A sliding-window limit: at most `max` hits in any `windowMs` span. */
+export interface RateLimitWindow {
+  windowMs: number;
+  max: number;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  /** When the oldest counted hit leaves the window and a slot frees up. */
+  resetAt: number;
+}
+
+/**
+ * Storage for sliding-window counters. The in-memory store below is the
+ * default; a shared store (Redis and the like) only has to implement this to
+ * let several server instances enforce one limit. `consume` must check and
+ * record atomically so concurrent requests cannot both take the last slot.
+ */
+export interface RateLimitStore {
+  consume(key: string, window: RateLimitWindow, now: number): Promise<RateLimitResult>;
+  reset(key: string): Promise<void>;
+}
+
+/**
+ * A named limit. `keyMax` replaces `max` for API key buckets (keys starting
+ * with API_KEY_BUCKET_PREFIX), which every client sending the key shares.
+ */
+export interface RateLimitPolicy extends RateLimitWindow {
+  keyMax?: number;
+}
+
+export type RateLimitPolicyName = 'api' | 'memory' | 'socketMessages';
+
+/** Prefix of the rate-limit keys that count requests per API key. */
+export const API_KEY_BUCKET_PREFIX = 'key:';
+
+/** How often the in-memory store drops keys with no recent hits. */
+const SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * Sliding-log store kept in process memory. Only allowed hits are recorded, so
+ * a key never holds more than `max` timestamps.
+ */
+export class MemoryRateLimitStore implements RateLimitStore {
+  private hits = new Map<string, { timestamps: number[]; windowMs: number }>();
+  private lastSweep = 0;
+
+  async consume(key: string, { windowMs, max }: RateLimitWindow, now: number) {
+    this.sweep(now);
+
+    const entry = this.hits.get(key) ?? { timestamps: [], windowMs };
+    entry.windowMs = windowMs;
+    entry.timestamps = entry.timestamps.filter((timestamp) => timestamp > now - windowMs);
+
+    const allowed = entry.timestamps.length < max;
+    if (allowed) entry.timestamps.push(now);
+    this.hits.set(key, entry);
+
+    return {
+      allowed,
+      limit: max,
+      remaining: Math.max(0, max - entry.timestamps.length),
+      resetAt: (entry.timestamps[0] ?? now) + windowMs,
+    };
+  }
+
+  async reset(key: string) {
+    this.hits.delete(key);
+  }
+
+  /** Number of keys currently tracked, for tests and diagnostics. */
+  get size() {
+    return this.hits.size;
+  }
+
+  private sweep(now: number) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = now;
+    for (const [key, { timestamps, windowMs }] of this.hits) {
+      if (!timestamps.some((timestamp) => timestamp > now - windowMs)) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Limits read from the validated config; the same env vars and defaults as
+ * config/rate-limiting.js.
+ */
+export function getRateLimitPolicies(
+  config: PurlConfig = getConfig()
+): Record<RateLimitPolicyName, RateLimitPolicy> {
+  return {
+    api: {
+      windowMs: config.API_RATE_LIMIT_WINDOW_MS,
+      max: config.API_RATE_LIMIT_REQUESTS,
+      keyMax: config.API_KEY_RATE_LIMIT_REQUESTS,
+    },
+    memory: {
+      windowMs: config.MEMORY_API_RATE_LIMIT_WINDOW_MS,
+      max: config.MEMORY_API_RATE_LIMIT_REQUESTS,
+      keyMax: config.MEMORY_API_KEY_RATE_LIMIT_REQUESTS,
+    },
+    socketMessages: { windowMs: 60_000, max: config.WS_MESSAGE_RATE_LIMIT },
+  };
+}
+
+/**
+ * Server-side enforcement of the rate-limiting config.
+ *
+ * REST routes are limited per client IP and, when a key is sent, per API key
+ * (see routes/rate-limit.ts). The Purl socket asks this service before
+ * accepting a connection and before handling each client message. Limits are
+ * off unless RATE_LIMIT_ENABLED is true, which is the default in production.
+ */
+export class RateLimiterService extends Service {
+  static serviceType = 'rate_limiter';
+  capabilityDescription = 'Enforces per-IP, per-API-key and per-socket rate limits.';
+
+  private store: RateLimitStore = new MemoryRateLimitStore();
+  private connections = new Map<string, number>();
+
+  constructor(runtime: IAgentRuntime) {
+    super(runtime);
+  }
+
+  static async start(runtime: IAgentRuntime) {
+    logger.info('*** Starting rate limiter service ***');
+    return new RateLimiterService(runtime);
+  }
+
+  static async stop(runtime: IAgentRuntime) {
+    logger.info('*** Stopping rate limiter service ***');
+    const service = runtime.getService(RateLimiterService.serviceType);
+    if (!service) {
+      throw new Error('Rate limiter service not found');
+    }
+    await service.stop();
+  }
+
+  get enabled() {
+    return getConfig().RATE_LIMIT_ENABLED;
+  }
+
+  /** Swaps the counter store, e.g. for a shared store across instances. */
+  setStore(store: RateLimitStore) {
+    this.store = store;
+  }
+
+  /**
+   * Records one hit against every key under the named policy. The request is
+   * allowed only if every key is within its limit; the returned result is the
+   * most restrictive one. Stops at the first key that is over its limit. API
+   * key buckets are held to the policy's `keyMax`.
+   */
+  async consume(
+    policyName: RateLimitPolicyName,
+    keys: string[],
+    now = Date.now()
+  ): Promise<RateLimitResult> {
+    const policy = getRateLimitPolicies()[policyName];
+    let result: RateLimitResult = {
+      allowed: true,
+      limit: policy.max,
+      remaining: policy.max,
+      resetAt: now + policy.windowMs,
+    };
+
+    for (const key of keys) {
+      const window =
+        key.startsWith(API_KEY_BUCKET_PREFIX) && policy.keyMax !== undefined
+          ? { windowMs: policy.windowMs, max: policy.keyMax }
+          : policy;
+      const keyResult = await this.store.consume(`${policyName}:${key}`, window, now);
+      if (!keyResult.allowed || keyResult.remaining < result.remaining) {
+        result = keyResult;
+      }
+      if (!keyResult.allowed) {
+        logger.warn(`Rate limit "${policyName}" exceeded for ${key}`);
+        break;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Registers a socket connection from `ip`. Returns false, without counting
+   * it, when the IP already has WS_MAX_CONNECTIONS_PER_IP open connections.
+   */
+  openConnection(ip: string): boolean {
+    const open = this.connections.get(ip) ?? 0;
+    if (this.enabled && open >= getConfig().WS_MAX_CONNECTIONS_PER_IP) {
+      logger.warn(`Refusing socket connection: ${ip} already has ${open} connections`);
+      return false;
+    }
+    this.connections.set(ip, open + 1);
+    return true;
+  }
+
+  closeConnection(ip: string) {
+    const open = (this.connections.get(ip) ?? 0) - 1;
+    if (open > 0) {
+      this.connections.set(ip, open);
+    } else {
+      this.connections.delete(ip);
+    }
+  }
+
+  getConnectionCount(ip: string): number {
+    return this.connections.get(ip) ?? 0;
+  }
+
+  async stop() {
+    logger.info('*** Stopping rate limiter service instance ***');
+    this.connections.clear();
+  }
+}
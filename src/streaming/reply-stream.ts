@@ -0,0 +1,217 @@
+import { type GenerateTextParams, type IAgentRuntime } from '@elizaos/core';
+
+/**
+ * Token streaming for chat replies: reading a streamed chat completion and
+ * pulling the reply text out of the message handler's XML as it arrives.
+ * These are the pure parts; src/services/purl-stream.ts sends the text to the
+ * chat page.
+ */
+
+/** Token counts of a streamed completion, in the shape of the MODEL_USED event. */
+export interface StreamUsage {
+  prompt: number;
+  completion: number;
+  total: number;
+}
+
+/** How a streamed completion can be stopped early. */
+export interface StreamOptions {
+  /** Aborts the request, e.g. when the run it answers is dropped. */
+  signal?: AbortSignal;
+  /** Gives up when the API sends nothing for this many milliseconds; 0 waits forever. */
+  idleTimeoutMs?: number;
+}
+
+/** An OpenAI-compatible chat completions API that can stream. */
+export interface StreamingProvider {
+  name: 'openrouter' | 'openai';
+  baseUrl: string;
+  apiKey: string;
+  model: string;
+}
+
+const REPLY_OPEN_TAG = '<text>';
+const REPLY_CLOSE_TAG = '</text>';
+
+/**
+ * Follows the raw model output and returns the part of the `<text>` field
+ * that has not been returned yet. The thought and actions before it are
+ * skipped, and a closing tag split across two chunks is held back until it
+ * is complete.
+ */
+export class ReplyTextExtractor {
+  private buffer = '';
+  private sent = 0;
+
+  push(chunk: string): string {
+    this.buffer += chunk;
+    const open = this.buffer.indexOf(REPLY_OPEN_TAG);
+    if (open === -1) return '';
+
+    const start = open + REPLY_OPEN_TAG.length;
+    const close = this.buffer.indexOf(REPLY_CLOSE_TAG, start);
+    let end = close === -1 ? this.buffer.length : close;
+    if (close === -1) {
+      for (let length = REPLY_CLOSE_TAG.length - 1; length > 0; length--) {
+        if (this.buffer.endsWith(REPLY_CLOSE_TAG.slice(0, length))) {
+          end -= length;
+          break;
+        }
+      }
+    }
+
+    // Leading whitespace is dropped, as findReplyField trims the final reply
+    const text = this.buffer.slice(start, end).trimStart();
+    if (text.length <= this.sent) return '';
+    const delta = text.slice(this.sent);
+    this.sent = text.length;
+    return delta;
+  }
+}
+
+/**
+ * The provider that answers TEXT_LARGE calls, when it can stream. Follows the
+ * model plugin order of src/character.ts: Anthropic is registered first when
+ * its key is set, and its API is not OpenAI-compatible, so it does not stream.
+ */
+export function resolveStreamingProvider(runtime: IAgentRuntime): StreamingProvider | null {
+  const setting = (key: string) => {
+    const value = runtime.getSetting(key);
+    return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+  };
+
+  if (setting('ANTHROPIC_API_KEY')) return null;
+  const openRouterKey = setting('OPENROUTER_API_KEY');
+  if (openRouterKey) {
+    return {
+      name: 'openrouter',
+      baseUrl: setting('OPENROUTER_BASE_URL') ?? 'https://openrouter.ai/api/v1',
+      apiKey: openRouterKey,
+      model: setting('OPENROUTER_LARGE_MODEL') ?? setting('LARGE_MODEL') ?? 'openai/gpt-4.1-nano',
+    };
+  }
+  const openAiKey = setting('OPENAI_API_KEY');
+  if (openAiKey) {
+    return {
+      name: 'openai',
+      baseUrl: setting('OPENAI_BASE_URL') ?? 'https://api.openai.com/v1',
+      apiKey: openAiKey,
+      model: setting('OPENAI_LARGE_MODEL') ?? setting('LARGE_MODEL') ?? 'gpt-4o',
+    };
+  }
+  return null;
+}
+
+/**
+ * Runs a text generation as a streamed chat completion with the same
+ * settings the model plugins use, calling `onDelta` with each piece of output.
+ * Resolves with the whole response and, when the API reports it, its usage.
+ * Rejects with the abort reason when `signal` aborts or the API goes quiet for
+ * longer than `idleTimeoutMs`.
+ */
+export async function streamChatCompletion(
+  provider: StreamingProvider,
+  params: Omit<GenerateTextParams, 'runtime' | 'modelType'> & { system?: string },
+  onDelta: (delta: string) => void,
+  { signal, idleTimeoutMs = 0 }: StreamOptions = {}
+): Promise<{ text: string; usage: StreamUsage | null }> {
+  const controller = new AbortController();
+  const abort = () => controller.abort(signal?.reason);
+  if (signal?.aborted) abort();
+  signal?.addEventListener('abort', abort, { once: true });
+  let idleTimer: ReturnType<typeof setTimeout> | undefined;
+  const resetIdleTimer = () => {
+    if (!idleTimeoutMs) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(
+      () =>
+        controller.abort(new Error(`${provider.name} stream sent nothing for ${idleTimeoutMs}ms`)),
+      idleTimeoutMs
+    );
+  };
+
+  try {
+    resetIdleTimer();
+    return await readCompletion(provider, params, onDelta, controller.signal, resetIdleTimer);
+  } finally {
+    clearTimeout(idleTimer);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+async function readCompletion(
+  provider: StreamingProvider,
+  params: Omit<GenerateTextParams, 'runtime' | 'modelType'> & { system?: string },
+  onDelta: (delta: string) => void,
+  signal: AbortSignal,
+  onActivity: () => void
+): Promise<{ text: string; usage: StreamUsage | null }> {
+  const response = await fetch(`${provider.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    signal,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${provider.apiKey}`,
+    },
+    body: JSON.stringify({
+      model: provider.model,
+      stream: true,
+      stream_options: { include_usage: true },
+      messages: [
+        ...(params.system ? [{ role: 'system', content: params.system }] : []),
+        { role: 'user', content: params.prompt },
+      ],
+      temperature: params.temperature ?? 0.7,
+      max_tokens: params.maxTokens ?? 8192,
+      frequency_penalty: params.frequencyPenalty ?? 0.7,
+      presence_penalty: params.presencePenalty ?? 0.7,
+      ...(params.stopSequences?.length ? { stop: params.stopSequences } : {}),
+    }),
+  });
+  if (!response.ok || !response.body) {
+    throw new Error(`${provider.name} stream failed: ${response.status} ${response.statusText}`);
+  }
+
+  let text = '';
+  let usage: StreamUsage | null = null;
+  let pending = '';
+  const decoder = new TextDecoder();
+  const reader = response.body.getReader();
+  // Fetch ends the body on abort, but a read in progress should not wait for it
+  signal.addEventListener('abort', () => reader.cancel(signal.reason).catch(() => {}), {
+    once: true,
+  });
+  for (;;) {
+    const { done, value } = await reader.read();
+    signal.throwIfAborted();
+    if (done) break;
+    onActivity();
+    pending += decoder.decode(value, { stream: true });
+    const lines = pending.split('\n');
+    pending = lines.pop() ?? '';
+    for (const line of lines) {
+      const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+      if (!data || data === '[DONE]') continue;
+      let event: any;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        // Not an event (a proxy's keep-alive or a mangled line): the reply goes on without it
+        continue;
+      }
+      const delta = event.choices?.[0]?.delta?.content;
+      if (typeof delta === 'string' && delta) {
+        text += delta;
+        onDelta(delta);
+      }
+      if (event.usage) {
+        usage = {
+          prompt: event.usage.prompt_tokens ?? 0,
+          completion: event.usage.completion_tokens ?? 0,
+          total: event.usage.total_tokens ?? 0,
+        };
+      }
+    }
+  }
+  return { text, usage };
+}
@@ -0,0 +1,67 @@
+import { type IAgentRuntime } from '@elizaos/core';
+import { PurlTelemetryService } from '../services/purl-telemetry';
+import { type TelemetryEvent } from './metrics';
+
+/**
+ * Builds event rows from the runtime's event payloads. Payloads come from
+ * bootstrap and the platform plugins, so every field is read defensively.
+ */
+
+export function messageEvent(
+  type: 'message_received' | 'voice_message_received',
+  payload: any,
+  now = Date.now()
+): TelemetryEvent {
+  const message = payload?.message;
+  return {
+    type,
+    timestamp: now,
+    source: message?.content?.source ?? payload?.source,
+    roomId: message?.roomId,
+    entityId: message?.entityId,
+  };
+}
+
+export function worldEvent(
+  type: 'world_connected' | 'world_joined',
+  payload: any,
+  now = Date.now()
+): TelemetryEvent {
+  return {
+    type,
+    timestamp: now,
+    source: payload?.source,
+    worldId: payload?.world?.id,
+    entityId: payload?.entity?.id ?? payload?.entityId,
+  };
+}
+
+/**
+ * Bootstrap's RUN_ENDED: the run's duration is the reply latency and the
+ * response content lists the actions it chose.
+ */
+export function runEvent(payload: any, now = Date.now()): TelemetryEvent {
+  const actions = payload?.responseContent?.actions;
+  const duration =
+    payload?.duration ??
+    (payload?.endTime && payload?.startTime ? payload.endTime - payload.startTime : undefined);
+  return {
+    type: 'run_ended',
+    timestamp: payload?.endTime ?? now,
+    source: payload?.metadata?.source ?? payload?.source,
+    roomId: payload?.roomId,
+    entityId: payload?.entityId,
+    runId: payload?.runId,
+    status: payload?.status,
+    ...(typeof duration === 'number' ? { latencyMs: duration } : {}),
+    ...(Array.isArray(actions) ? { actions: actions.map(String) } : {}),
+  };
+}
+
+/**
+ * Records an event row when the telemetry service is running.
+ */
+export function recordTelemetry(runtime: IAgentRuntime | undefined, event: TelemetryEvent) {
+  const telemetry = runtime?.getService?.<PurlTelemetryService>(PurlTelemetryService.serviceType);
+  telemetry?.record(event);
+}
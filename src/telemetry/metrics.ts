@@ -0,0 +1,192 @@
+/**
+ * Event rows and the counters aggregated from them. These are the pure
+ * functions; src/services/purl-telemetry.ts records events as the runtime
+ * emits them and GET /purl/metrics serves the result.
+ */
+
+export const TELEMETRY_EVENT_TYPES = [
+  'message_received',
+  'voice_message_received',
+  'world_connected',
+  'world_joined',
+  'run_ended',
+  'model_used',
+] as const;
+
+export type TelemetryEventType = (typeof TELEMETRY_EVENT_TYPES)[number];
+
+export interface TokenUsage {
+  prompt: number;
+  completion: number;
+  total: number;
+}
+
+/** One recorded event. Fields that do not apply to the event type are left out. */
+export interface TelemetryEvent {
+  type: TelemetryEventType;
+  timestamp: number;
+  /** Where the event came from: client_chat, twitter, discord, ... */
+  source?: string;
+  roomId?: string;
+  entityId?: string;
+  worldId?: string;
+  /** Runs and model calls: the message handler run they belong to. */
+  runId?: string;
+  /** Runs: how the message handler finished (completed, muted, replaced, ...). */
+  status?: string;
+  /** Runs: milliseconds from receiving the message to finishing the reply. */
+  latencyMs?: number;
+  /** Runs: the actions the agent chose, e.g. ["REPLY"]. */
+  actions?: string[];
+  /** Runs and model calls: tokens reported by the model provider, which may leave some out. */
+  tokens?: Partial<TokenUsage>;
+  /** Model calls: the model type and provider that served it. */
+  model?: string;
+  provider?: string;
+}
+
+export interface TelemetryCounters {
+  events: Partial<Record<TelemetryEventType, number>>;
+  runs: Record<string, number>;
+  actions: Record<string, number>;
+  latency: { count: number; totalMs: number; maxMs: number };
+  tokens: TokenUsage;
+}
+
+/** Counters for one clock hour, starting at `hour` (epoch milliseconds). */
+export interface HourlyCounters extends TelemetryCounters {
+  hour: number;
+}
+
+const HOUR_MS = 3_600_000;
+
+export const emptyTokens = (): TokenUsage => ({ prompt: 0, completion: 0, total: 0 });
+
+export const emptyCounters = (): TelemetryCounters => ({
+  events: {},
+  runs: {},
+  actions: {},
+  latency: { count: 0, totalMs: 0, maxMs: 0 },
+  tokens: emptyTokens(),
+});
+
+export const hourStart = (timestamp: number) => Math.floor(timestamp / HOUR_MS) * HOUR_MS;
+
+const increment = <K extends string>(counts: Partial<Record<K, number>>, key: K, by = 1) => {
+  counts[key] = (counts[key] ?? 0) + by;
+};
+
+/**
+ * Adds an event to a set of counters. Model calls count towards the token
+ * totals; runs count their status, actions and latency but not their tokens,
+ * which were already counted with the model calls they made.
+ */
+export function countEvent(counters: TelemetryCounters, event: TelemetryEvent) {
+  increment(counters.events, event.type);
+  if (event.type === 'model_used' && event.tokens) {
+    counters.tokens.prompt += event.tokens.prompt ?? 0;
+    counters.tokens.completion += event.tokens.completion ?? 0;
+    counters.tokens.total += event.tokens.total ?? 0;
+  }
+  if (event.type === 'run_ended') {
+    increment(counters.runs, event.status ?? 'unknown');
+    for (const action of event.actions ?? []) increment(counters.actions, action);
+    if (event.latencyMs !== undefined) {
+      counters.latency.count++;
+      counters.latency.totalMs += event.latencyMs;
+      counters.latency.maxMs = Math.max(counters.latency.maxMs, event.latencyMs);
+    }
+  }
+}
+
+/**
+ * Adds an event to its hour, starting a new hour when needed, and drops
+ * hours older than `retentionHours`. Returns the hours oldest first.
+ */
+export function countInHours(
+  hours: HourlyCounters[],
+  event: TelemetryEvent,
+  retentionHours: number
+): HourlyCounters[] {
+  const hour = hourStart(event.timestamp);
+  let bucket = hours.find((candidate) => candidate.hour === hour);
+  let result = hours;
+  if (!bucket) {
+    bucket = { hour, ...emptyCounters() };
+    result = [...hours, bucket].sort((a, b) => a.hour - b.hour);
+  }
+  countEvent(bucket, event);
+  const oldest = hour - (retentionHours - 1) * HOUR_MS;
+  return result.filter((candidate) => candidate.hour >= oldest);
+}
+
+const escapeLabel = (value: string) =>
+  value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function metric(
+  lines: string[],
+  name: string,
+  type: 'counter' | 'gauge',
+  help: string,
+  samples: Array<[Record<string, string>, number]>
+) {
+  lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  for (const [labels, value] of samples) {
+    const entries = Object.entries(labels);
+    const labelText = entries.length
+      ? `{${entries.map(([key, label]) => `${key}="${escapeLabel(label)}"`).join(',')}}`
+      : '';
+    lines.push(`${name}${labelText} ${value}`);
+  }
+}
+
+/**
+ * Formats counters in the Prometheus text exposition format. Every sample is
+ * labelled with the agent so several agents can be scraped into one job.
+ */
+export function formatPrometheus(totals: TelemetryCounters, agent: string): string {
+  const lines: string[] = [];
+  const withAgent = (labels: Record<string, string> = {}) => ({ agent, ...labels });
+
+  metric(
+    lines,
+    'purl_events_total',
+    'counter',
+    'Runtime events recorded by the Purl plugin.',
+    TELEMETRY_EVENT_TYPES.map((type) => [withAgent({ type }), totals.events[type] ?? 0])
+  );
+  metric(
+    lines,
+    'purl_runs_total',
+    'counter',
+    'Message handler runs, by how they finished.',
+    Object.entries(totals.runs).map(([status, count]) => [withAgent({ status }), count])
+  );
+  metric(
+    lines,
+    'purl_actions_total',
+    'counter',
+    'Actions chosen in message handler runs.',
+    Object.entries(totals.actions).map(([action, count]) => [withAgent({ action }), count])
+  );
+  metric(
+    lines,
+    'purl_model_tokens_total',
+    'counter',
+    'Tokens reported by the model providers.',
+    (['prompt', 'completion', 'total'] as const).map((kind) => [
+      withAgent({ kind }),
+      totals.tokens[kind],
+    ])
+  );
+  metric(lines, 'purl_run_latency_seconds_sum', 'counter', 'Total message handler run time.', [
+    [withAgent(), totals.latency.totalMs / 1000],
+  ]);
+  metric(lines, 'purl_run_latency_seconds_count', 'counter', 'Runs with a measured latency.', [
+    [withAgent(), totals.latency.count],
+  ]);
+  metric(lines, 'purl_run_latency_seconds_max', 'gauge', 'Slowest message handler run.', [
+    [withAgent(), totals.latency.maxMs / 1000],
+  ]);
+  return `${lines.join('\n')}\n`;
+}
@@ -1,4 +1,4 @@
-import { defineConfig } from 'vite';
+import { defineConfig, searchForWorkspaceRoot } from 'vite';
 import react from '@vitejs/plugin-react';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -42,6 +42,13 @@ export default defineConfig({
     hmr: {
       port: 24678, // Use a different port for HMR to avoid conflicts
     },
+    fs: {
+      // The socket protocol schemas are shared with the plugin
+      allow: [
+        searchForWorkspaceRoot(path.resolve(__dirname, 'frontend')),
+        path.resolve(__dirname, 'src/protocol'),
+      ],
+    },
     proxy: {
       // Proxy WebSocket connections to the agent backend
       '/ws': {